@@ -3,18 +3,59 @@ const path = require('path');
 const isDev = require('electron-is-dev');
 const url = require('url');
 const fs = require('fs');
+const { SaveFileStore } = require('./saveFiles');
 
-// ゲームデータの保存先ディレクトリ
-const saveDirectory = path.join(app.getPath('userData'), 'saves');
+// エクスポートファイルの拡張子と最大サイズ（src/game/data/SaveTransfer.js と合わせる）
+const SAVE_EXPORT_EXTENSION = 'drpgsave';
+const MAX_EXPORT_SIZE = 10 * 1024 * 1024;
 
-// 保存ディレクトリが存在しない場合は作成
-if (!fs.existsSync(saveDirectory)) {
-  fs.mkdirSync(saveDirectory, { recursive: true });
-}
+// 終了時のオートセーブを待つ最大時間（ミリ秒）
+const QUIT_AUTOSAVE_TIMEOUT = 3000;
+
+// ゲームデータの保存先（ディレクトリがなければ作成される）
+const saveStore = new SaveFileStore(path.join(app.getPath('userData'), 'saves'));
 
 let mainWindow;
 
+// 終了前のオートセーブ（null: 未実行 / Promise: 実行中 / true: 完了）
+let quitAutosave = null;
+
+/**
+ * 終了前にレンダラーへオートセーブを依頼し、完了（またはタイムアウト）まで待つ
+ * @returns {Promise<void>}
+ */
+function requestQuitAutosave() {
+  if (!quitAutosave) {
+    quitAutosave = new Promise(resolve => {
+      if (!mainWindow || mainWindow.isDestroyed()) {
+        resolve();
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        console.warn('Quit autosave timed out');
+        ipcMain.removeListener('quit-autosave-done', onDone);
+        resolve();
+      }, QUIT_AUTOSAVE_TIMEOUT);
+
+      function onDone() {
+        clearTimeout(timer);
+        resolve();
+      }
+
+      ipcMain.once('quit-autosave-done', onDone);
+      mainWindow.webContents.send('app-before-quit');
+    }).then(() => {
+      quitAutosave = true;
+    });
+  }
+  return quitAutosave;
+}
+
 function createWindow() {
+  // 新しいウィンドウでは終了時のオートセーブをやり直す（macOS でウィンドウを開き直した場合）
+  quitAutosave = null;
+
   // メインウィンドウを作成
   mainWindow = new BrowserWindow({
     width: 1280,
@@ -45,6 +86,16 @@ function createWindow() {
     mainWindow.webContents.openDevTools();
   }
 
+  // ウィンドウを閉じる前に終了時のオートセーブを済ませる
+  mainWindow.on('close', (event) => {
+    if (quitAutosave === true) return;
+
+    event.preventDefault();
+    requestQuitAutosave().then(() => {
+      if (mainWindow) mainWindow.close();
+    });
+  });
+
   // ウィンドウが閉じられたときの処理
   mainWindow.on('closed', () => {
     mainWindow = null;
@@ -61,6 +112,14 @@ app.on('window-all-closed', () => {
   }
 });
 
+// 終了前にオートセーブ（メニューやCmd+Qからの終了ではウィンドウのcloseより先に呼ばれる）
+app.on('before-quit', (event) => {
+  if (quitAutosave === true) return;
+
+  event.preventDefault();
+  requestQuitAutosave().then(() => app.quit());
+});
+
 // アクティブ化されたときにウィンドウがなければ作成（macOS）
 app.on('activate', () => {
   if (BrowserWindow.getAllWindows().length === 0) {
@@ -68,14 +127,11 @@ app.on('activate', () => {
   }
 });
 
-// ゲームデータ保存のIPC通信ハンドラ
-ipcMain.handle('save-game', async (event, gameData) => {
+// セーブデータ書き込みのIPC通信ハンドラ
+// セーブ封筒への変換やマイグレーションはレンダラー側で行い、ここでは文字列をそのまま保存する
+ipcMain.handle('save-game', async (event, saveSlot, serialized) => {
   try {
-    const saveSlot = gameData.saveSlot || 0;
-    const savePath = path.join(saveDirectory, `save_${saveSlot}.json`);
-    
-    // ゲームデータをJSON形式で保存
-    fs.writeFileSync(savePath, JSON.stringify(gameData, null, 2));
+    saveStore.write(saveSlot, serialized);
     
     return { 
       success: true, 
@@ -90,27 +146,17 @@ ipcMain.handle('save-game', async (event, gameData) => {
   }
 });
 
-// ゲームデータ読み込みのIPC通信ハンドラ
-ipcMain.handle('load-game', async (event, saveSlot = 0) => {
+// セーブデータ読み込みのIPC通信ハンドラ
+// スロットが空の場合も成功として data: null を返す
+// 本体が壊れている場合はバックアップから読み込み、recoveredFrom に世代を返す
+ipcMain.handle('load-game', async (event, saveSlot) => {
   try {
-    const savePath = path.join(saveDirectory, `save_${saveSlot}.json`);
-    
-    // ファイルが存在するかチェック
-    if (!fs.existsSync(savePath)) {
-      return { 
-        success: false, 
-        message: `No save data found for slot ${saveSlot}` 
-      };
-    }
-    
-    // ゲームデータを読み込む
-    const saveDataStr = fs.readFileSync(savePath, 'utf8');
-    const gameData = JSON.parse(saveDataStr);
+    const { data, recoveredFrom } = saveStore.read(saveSlot);
     
     return { 
       success: true, 
-      gameData,
-      message: `Game loaded successfully from slot ${saveSlot}` 
+      data,
+      recoveredFrom
     };
   } catch (error) {
     console.error('Error loading game:', error);
@@ -121,74 +167,101 @@ ipcMain.handle('load-game', async (event, saveSlot = 0) => {
   }
 });
 
-// セーブデータの一覧を取得するIPC通信ハンドラ
+// セーブスロットIDの一覧を取得するIPC通信ハンドラ
 ipcMain.handle('get-save-slots', async () => {
   try {
-    const files = fs.readdirSync(saveDirectory);
-    const saveSlots = [];
+    return { success: true, slots: saveStore.list() };
+  } catch (error) {
+    console.error('Error getting save slots:', error);
+    return { 
+      success: false, 
+      message: `Failed to get save slots: ${error.message}`, 
+      slots: [] 
+    };
+  }
+});
+
+// セーブデータを削除するIPC通信ハンドラ
+ipcMain.handle('delete-save', async (event, saveSlot) => {
+  try {
+    // 本体とバックアップをまとめて削除（ファイルがなければ deleted: false）
+    const deleted = saveStore.remove(saveSlot);
     
-    // 保存ファイルをループして各スロットの基本情報を取得
-    for (const file of files) {
-      if (file.startsWith('save_') && file.endsWith('.json')) {
-        const filePath = path.join(saveDirectory, file);
-        const saveDataStr = fs.readFileSync(filePath, 'utf8');
-        const saveData = JSON.parse(saveDataStr);
-        
-        // スロット番号を取得 (save_0.json -> 0)
-        const slotMatch = file.match(/save_(\d+)\.json/);
-        const slot = slotMatch ? parseInt(slotMatch[1]) : 0;
-        
-        // 必要な情報だけ抽出
-        saveSlots.push({
-          slot,
-          playerClass: saveData.playerClass,
-          playerLevel: saveData.playerLevel,
-          difficulty: saveData.difficulty,
-          currentLevel: saveData.currentLevel,
-          lastSaved: fs.statSync(filePath).mtime
-        });
-      }
+    return { 
+      success: true, 
+      deleted,
+      message: deleted
+        ? `Save data deleted for slot ${saveSlot}`
+        : `No save data found for slot ${saveSlot}` 
+    };
+  } catch (error) {
+    console.error('Error deleting save:', error);
+    return { 
+      success: false, 
+      message: `Failed to delete save: ${error.message}` 
+    };
+  }
+});
+
+// エクスポート文字列をファイルに書き出すIPC通信ハンドラ
+ipcMain.handle('export-save-file', async (event, fileName, content) => {
+  try {
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'セーブデータのエクスポート',
+      defaultPath: path.join(app.getPath('documents'), path.basename(String(fileName))),
+      filters: [{ name: 'Diablo-Like RPG Save', extensions: [SAVE_EXPORT_EXTENSION] }]
+    });
+    
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
     }
     
+    fs.writeFileSync(filePath, content, 'utf8');
+    
     return { 
       success: true, 
-      saveSlots: saveSlots.sort((a, b) => a.slot - b.slot) 
+      filePath,
+      message: `Save exported to ${filePath}` 
     };
   } catch (error) {
-    console.error('Error getting save slots:', error);
+    console.error('Error exporting save:', error);
     return { 
       success: false, 
-      message: `Failed to get save slots: ${error.message}`, 
-      saveSlots: [] 
+      message: `Failed to export save: ${error.message}` 
     };
   }
 });
 
-// セーブデータを削除するIPC通信ハンドラ
-ipcMain.handle('delete-save', async (event, saveSlot = 0) => {
+// エクスポートファイルを読み込むIPC通信ハンドラ
+// 内容の検証はレンダラー側（SaveTransfer）で行う
+ipcMain.handle('import-save-file', async () => {
   try {
-    const savePath = path.join(saveDirectory, `save_${saveSlot}.json`);
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'セーブデータのインポート',
+      properties: ['openFile'],
+      filters: [
+        { name: 'Diablo-Like RPG Save', extensions: [SAVE_EXPORT_EXTENSION] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
     
-    // ファイルが存在するかチェック
-    if (!fs.existsSync(savePath)) {
-      return { 
-        success: false, 
-        message: `No save data found for slot ${saveSlot}` 
-      };
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
     }
     
-    // セーブデータを削除
-    fs.unlinkSync(savePath);
+    if (fs.statSync(filePaths[0]).size > MAX_EXPORT_SIZE) {
+      throw new Error('Export file is too large');
+    }
     
     return { 
       success: true, 
-      message: `Save data deleted for slot ${saveSlot}` 
+      content: fs.readFileSync(filePaths[0], 'utf8') 
     };
   } catch (error) {
-    console.error('Error deleting save:', error);
+    console.error('Error importing save:', error);
     return { 
       success: false, 
-      message: `Failed to delete save: ${error.message}` 
+      message: `Failed to import save: ${error.message}` 
     };
   }
-});
\ No newline at end of file
+});
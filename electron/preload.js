@@ -2,18 +2,31 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 // Electronの機能をブラウザ環境に公開
 contextBridge.exposeInMainWorld('electronAPI', {
-  // ゲームデータの保存
-  saveGame: (gameData) => ipcRenderer.invoke('save-game', gameData),
+  // セーブデータ（シリアライズ済みの文字列）の保存
+  saveGame: (saveSlot, serialized) => ipcRenderer.invoke('save-game', saveSlot, serialized),
   
-  // ゲームデータの読み込み
+  // セーブデータ（シリアライズ済みの文字列）の読み込み
   loadGame: (saveSlot) => ipcRenderer.invoke('load-game', saveSlot),
   
-  // セーブデータの一覧を取得
+  // セーブスロットIDの一覧を取得
   getSaveSlots: () => ipcRenderer.invoke('get-save-slots'),
   
   // セーブデータの削除
   deleteSave: (saveSlot) => ipcRenderer.invoke('delete-save', saveSlot),
   
+  // エクスポート文字列をファイルに保存（保存ダイアログを表示）
+  exportSaveFile: (fileName, content) => ipcRenderer.invoke('export-save-file', fileName, content),
+  
+  // エクスポートファイルの読み込み（ファイル選択ダイアログを表示）
+  importSaveFile: () => ipcRenderer.invoke('import-save-file'),
+  
+  // アプリ終了前の通知を受け取る（終了時のオートセーブ用）
+  // コールバックの処理が終わったら quitAutosaveDone() を呼ぶ
+  onBeforeQuit: (callback) => ipcRenderer.on('app-before-quit', () => callback()),
+  
+  // 終了時のオートセーブが完了したことを通知
+  quitAutosaveDone: () => ipcRenderer.send('quit-autosave-done'),
+  
   // Electronかどうかの判定用フラグ
   isElectron: true
 });
\ No newline at end of file
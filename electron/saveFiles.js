@@ -0,0 +1,263 @@
+// electron/saveFiles.js
+//
+// セーブファイルの読み書き（メインプロセス用）
+// - 一時ファイルに書き込んでからrenameすることで、書き込み中のクラッシュでも既存のセーブを壊さない
+// - 保存内容と一緒にSHA-256のチェックサムを記録し、読み込み時に検証する
+// - スロットごとに世代バックアップを保持し、本体が壊れていれば新しいバックアップから順に読み込む
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// セーブファイルの識別子
+const SAVE_FILE_FORMAT = 'diablo-rpg-save-file';
+
+// スロットごとに保持するバックアップの数
+const SAVE_BACKUP_COUNT = 3;
+
+// スロットIDとして許可する文字
+const SLOT_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// save_<slot>.json / save_<slot>.json.bak<n>
+const SAVE_FILE_PATTERN = /^save_([A-Za-z0-9_-]+)\.json(?:\.bak\d+)?$/;
+
+/**
+ * 文字列のSHA-256チェックサムを計算
+ * @param {string} text - 対象の文字列
+ * @returns {string} 16進数のチェックサム
+ */
+function computeChecksum(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * セーブファイルの内容を検証し、保存されていた文字列を取り出す
+ * チェックサム付きの形式になる前のファイルは、JSONとして読めればそのまま受け入れる
+ * @param {string} fileContent - ファイルの内容
+ * @returns {string} 保存されていた文字列
+ */
+function unpackSaveFile(fileContent) {
+  const parsed = JSON.parse(fileContent);
+
+  if (!parsed || parsed.format !== SAVE_FILE_FORMAT) {
+    // 旧形式（チェックサムなし）
+    return fileContent;
+  }
+
+  if (typeof parsed.payload !== 'string') {
+    throw new Error('Save file has no payload');
+  }
+
+  if (computeChecksum(parsed.payload) !== parsed.checksum) {
+    throw new Error('Save file checksum mismatch');
+  }
+
+  // 中身もJSONとして読めることを確認
+  JSON.parse(parsed.payload);
+
+  return parsed.payload;
+}
+
+/**
+ * 保存する文字列をチェックサム付きのファイル内容に変換
+ * @param {string} payload - 保存する文字列
+ * @returns {string} ファイルの内容
+ */
+function packSaveFile(payload) {
+  return JSON.stringify({
+    format: SAVE_FILE_FORMAT,
+    checksum: computeChecksum(payload),
+    payload
+  });
+}
+
+/**
+ * ファイルを同期的に書き込み、ディスクへのフラッシュまで待つ
+ * @param {string} filePath - 書き込み先
+ * @param {string} content - 内容
+ */
+function writeFileDurable(filePath, content) {
+  const fd = fs.openSync(filePath, 'w');
+  try {
+    fs.writeFileSync(fd, content, 'utf8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * ファイルが有効なセーブかどうか
+ * @param {string} filePath - ファイルパス
+ * @returns {boolean} 読み込めて検証に通ればtrue
+ */
+function isValidSaveFile(filePath) {
+  try {
+    unpackSaveFile(fs.readFileSync(filePath, 'utf8'));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * スロットごとのセーブファイルを管理するクラス
+ */
+class SaveFileStore {
+  /**
+   * @param {string} directory - セーブファイルを置くディレクトリ
+   * @param {Object} options - オプション
+   * @param {number} options.backupCount - スロットごとのバックアップ数
+   */
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.backupCount = options.backupCount !== undefined ? options.backupCount : SAVE_BACKUP_COUNT;
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  /**
+   * スロットIDからセーブファイルのパスを取得
+   * @param {string} slot - スロットID
+   * @returns {string} セーブファイルのパス
+   */
+  getSavePath(slot) {
+    const id = String(slot);
+    if (!SLOT_PATTERN.test(id)) {
+      throw new Error(`Invalid save slot: ${slot}`);
+    }
+    return path.join(this.directory, `save_${id}.json`);
+  }
+
+  /**
+   * バックアップファイルのパスを取得
+   * @param {string} slot - スロットID
+   * @param {number} generation - 世代（1が最新）
+   * @returns {string} バックアップファイルのパス
+   */
+  getBackupPath(slot, generation) {
+    return `${this.getSavePath(slot)}.bak${generation}`;
+  }
+
+  /**
+   * 現在のセーブをバックアップに回す
+   * 古い世代から順にずらし、本体はコピーして最新のバックアップにする
+   * 本体が壊れている場合は、有効なバックアップを押し出さないようにバックアップしない
+   * @param {string} slot - スロットID
+   */
+  rotateBackups(slot) {
+    const savePath = this.getSavePath(slot);
+    if (this.backupCount <= 0 || !fs.existsSync(savePath) || !isValidSaveFile(savePath)) {
+      return;
+    }
+
+    for (let generation = this.backupCount - 1; generation >= 1; generation--) {
+      const from = this.getBackupPath(slot, generation);
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, this.getBackupPath(slot, generation + 1));
+      }
+    }
+
+    fs.copyFileSync(savePath, this.getBackupPath(slot, 1));
+  }
+
+  /**
+   * スロットに書き込む
+   * 一時ファイルに書き込んでからrenameするため、途中で失敗しても本体は壊れない
+   * @param {string} slot - スロットID
+   * @param {string} payload - 保存する文字列
+   */
+  write(slot, payload) {
+    if (typeof payload !== 'string') {
+      throw new Error('Save data must be a serialized string');
+    }
+
+    const savePath = this.getSavePath(slot);
+    const tempPath = `${savePath}.tmp`;
+
+    writeFileDurable(tempPath, packSaveFile(payload));
+    this.rotateBackups(slot);
+    fs.renameSync(tempPath, savePath);
+  }
+
+  /**
+   * スロットを読み込む
+   * 本体が読めない・検証に失敗した場合は新しいバックアップから順に試す
+   * @param {string} slot - スロットID
+   * @returns {Object} { data, recoveredFrom } dataは空スロットならnull。recoveredFromは復旧に使ったバックアップの世代
+   */
+  read(slot) {
+    const candidates = [{ filePath: this.getSavePath(slot), generation: 0 }];
+    for (let generation = 1; generation <= this.backupCount; generation++) {
+      candidates.push({ filePath: this.getBackupPath(slot, generation), generation });
+    }
+
+    let found = false;
+    let lastError = null;
+
+    for (const { filePath, generation } of candidates) {
+      if (!fs.existsSync(filePath)) continue;
+      found = true;
+
+      try {
+        const data = unpackSaveFile(fs.readFileSync(filePath, 'utf8'));
+        if (generation > 0) {
+          console.warn(`Save slot ${slot} restored from backup ${generation}: ${lastError && lastError.message}`);
+        }
+        return { data, recoveredFrom: generation > 0 ? generation : null };
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    if (found) {
+      throw new Error(`No valid save file for slot ${slot}: ${lastError.message}`);
+    }
+
+    return { data: null, recoveredFrom: null };
+  }
+
+  /**
+   * スロットの本体・バックアップ・一時ファイルをすべて削除する
+   * @param {string} slot - スロットID
+   * @returns {boolean} 何か削除した場合はtrue
+   */
+  remove(slot) {
+    const savePath = this.getSavePath(slot);
+    const paths = [savePath, `${savePath}.tmp`];
+    for (let generation = 1; generation <= this.backupCount; generation++) {
+      paths.push(this.getBackupPath(slot, generation));
+    }
+
+    let deleted = false;
+    for (const filePath of paths) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        deleted = true;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * 保存されているスロットIDの一覧（本体がなくバックアップだけのスロットも含む）
+   * @returns {string[]} スロットIDの配列
+   */
+  list() {
+    const slots = new Set();
+    for (const file of fs.readdirSync(this.directory)) {
+      const match = file.match(SAVE_FILE_PATTERN);
+      if (match) {
+        slots.add(match[1]);
+      }
+    }
+    return [...slots];
+  }
+}
+
+module.exports = {
+  SAVE_BACKUP_COUNT,
+  SaveFileStore,
+  computeChecksum
+};
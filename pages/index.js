@@ -29,34 +29,6 @@ export default function Home() {
 
         console.log('Starting game, Electron mode:', isElectron);
 
-        // Electronモードの場合、ローカルストレージの代わりにElectron APIを使用
-        if (isElectron) {
-          // セーブ関数をオーバーライド
-          gameInstance.saveGameData = async (slot, data) => {
-            try {
-              const result = await window.electronAPI.saveGame({
-                ...data,
-                saveSlot: slot
-              });
-              return result.success;
-            } catch (error) {
-              console.error('Error saving game:', error);
-              return false;
-            }
-          };
-
-          // ロード関数をオーバーライド
-          gameInstance.loadGameData = async (slot) => {
-            try {
-              const result = await window.electronAPI.loadGame(slot);
-              return result.success ? result.gameData : null;
-            } catch (error) {
-              console.error('Error loading game:', error);
-              return null;
-            }
-          };
-        }
-
         // ゲームの初期化
         gameInstance.init();
         gameInitialized.current = true;
@@ -84,7 +84,12 @@ const AudioPlaceholders = {
       const bgmList = [
         { key: 'bgm_main' },
         { key: 'bgm_battle' },
-        { key: 'bgm_town' }
+        { key: 'bgm_town' },
+        { key: 'bgm_forest' },
+        { key: 'bgm_desert' },
+        { key: 'bgm_tundra' },
+        { key: 'bgm_swamp' },
+        { key: 'bgm_volcanic' }
       ];
 
       // SFXを生成
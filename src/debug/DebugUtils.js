@@ -848,7 +848,10 @@ class DebugUtils {
       { key: 'B', desc: 'デバッグボス追加' },
       { key: 'F', desc: 'FPS制限切替' },
       { key: 'O', desc: '無敵モード切替' },
-      { key: 'F1', desc: 'このヘルプを表示/非表示' }
+      { key: 'F1', desc: 'このヘルプを表示/非表示' },
+      { key: 'F2', desc: 'フロアの結果を書き出す（マップ調整の学習用）' },
+      { key: 'F3', desc: '現在のマップをTiled形式で書き出す' },
+      { key: 'F4', desc: '経路探索のベンチマークを開く' }
     ];
     
     // キー一覧のテキスト作成
@@ -31,6 +31,13 @@ class MapLoader {
       'tile_stone': 4,
       'tile_snow': 5,
       'tile_lava': 6, // 通行不可
+      'tile_cave': 7,
+      'tile_stairs_up': 8,
+      'tile_stairs_down': 9,
+      'tile_floor': 10,
+      'tile_lava_pool': 11,
+      'tile_poison': 12,
+      'tile_mud': 13,
       
       // オブジェクトタイル
       'tile_wall': 0,
@@ -39,13 +46,18 @@ class MapLoader {
       'obstacle_rock': 3,
       'obstacle_bush': 4,
       'obstacle_crate': 5,
+      'obstacle_stalagmite': 6,
+      'obstacle_crystal': 7,
+      'obstacle_waypoint': 8,
+      'obstacle_quest_board': 9,
 
       // 壁タイル（新しく追加）
       'wall_stone': 0,
       'wall_brick': 1,
       'wall_wood': 2,
       'wall_ice': 3,
-      'wall_metal': 4
+      'wall_metal': 4,
+      'wall_cave': 5
     };
     
     // タイルの通行可能性マッピング（true: 通行可能, false: 通行不可）
@@ -57,17 +69,29 @@ class MapLoader {
       'tile_stone': true,
       'tile_snow': true,
       'tile_lava': false,
+      'tile_cave': true,
+      'tile_stairs_up': true,
+      'tile_stairs_down': true,
+      'tile_floor': true,
+      'tile_lava_pool': true, // 危険地帯は通行可能
+      'tile_poison': true,
+      'tile_mud': true,
       'tile_wall': false,
       'item_chest': false, // 通行不可（アイテム取得時に通行可能になる場合は、ゲームロジックで処理）
       'obstacle_tree': false,
       'obstacle_rock': false,
       'obstacle_bush': false,
       'obstacle_crate': false,
+      'obstacle_stalagmite': false,
+      'obstacle_crystal': false,
+      'obstacle_waypoint': false,
+      'obstacle_quest_board': false,
       'wall_stone': false, // 壁はすべて通行不可
       'wall_brick': false,
       'wall_wood': false,
       'wall_ice': false,
-      'wall_metal': false
+      'wall_metal': false,
+      'wall_cave': false
     };
     
     // 生成されたタイルセットの情報
@@ -132,19 +156,23 @@ class MapLoader {
     // 地形タイルが存在するか確認
     const terrainTiles = [
       'tile_water', 'tile_grass', 'tile_dirt', 'tile_sand',
-      'tile_stone', 'tile_snow', 'tile_lava'
+      'tile_stone', 'tile_snow', 'tile_lava', 'tile_cave',
+      'tile_stairs_up', 'tile_stairs_down', 'tile_floor',
+      'tile_lava_pool', 'tile_poison', 'tile_mud'
     ];
     
     // オブジェクトタイルが存在するか確認
     const objectTiles = [
       'tile_wall', 'item_chest', 'obstacle_tree',
-      'obstacle_rock', 'obstacle_bush', 'obstacle_crate'
+      'obstacle_rock', 'obstacle_bush', 'obstacle_crate',
+      'obstacle_stalagmite', 'obstacle_crystal',
+      'obstacle_waypoint', 'obstacle_quest_board'
     ];
     
     // 壁タイルを追加
     const wallTiles = [
       'wall_stone', 'wall_brick', 'wall_wood', 
-      'wall_ice', 'wall_metal'
+      'wall_ice', 'wall_metal', 'wall_cave'
     ];
     
     // 不足しているタイルをPlaceholderAssetsで生成
@@ -226,6 +254,13 @@ class MapLoader {
       'stone': 0x708090,
       'snow': 0xFFFAFA,
       'lava': 0xFF4500,
+      'cave': 0x4A4A55,
+      'stairs_up': 0xC8B88A,
+      'stairs_down': 0x5A4A3A,
+      'floor': 0xA0784C,
+      'lava_pool': 0xFF6A00,
+      'poison': 0x7FBF3F,
+      'mud': 0x6B5030,
       'wall': 0x808080
     };
     
@@ -242,7 +277,11 @@ class MapLoader {
       'tree': 0x228B22,    // フォレストグリーン
       'rock': 0x696969,    // ディムグレー
       'bush': 0x32CD32,    // ライムグリーン
-      'crate': 0xCD853F    // ペルー
+      'crate': 0xCD853F,   // ペルー
+      'stalagmite': 0x8B7D6B, // 灰褐色
+      'crystal': 0x7FDBFF, // 水色
+      'waypoint': 0x9B59FF, // 紫
+      'quest_board': 0x6B4226 // 焦げ茶
     };
     
     return obstacleColors[obstacleType] || 0x8B4513;
@@ -259,7 +298,8 @@ class MapLoader {
       'brick': 0xB22222,   // 煉瓦色
       'wood': 0x8B4513,    // 茶色
       'ice': 0xADD8E6,     // 薄い青
-      'metal': 0x696969    // 暗い灰色
+      'metal': 0x696969,   // 暗い灰色
+      'cave': 0x4A4038     // 暗い岩色
     };
     
     return wallColors[wallType] || 0x808080;
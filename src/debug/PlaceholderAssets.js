@@ -80,6 +80,13 @@ class PlaceholderAssets {
         { key: 'tile_stone', color: 0x708090 },
         { key: 'tile_snow', color: 0xFFFAFA },
         { key: 'tile_lava', color: 0xFF4500 },
+        { key: 'tile_cave', color: 0x4A4A55 },
+        { key: 'tile_stairs_up', color: 0xC8B88A },
+        { key: 'tile_stairs_down', color: 0x5A4A3A },
+        { key: 'tile_floor', color: 0xA0784C },
+        { key: 'tile_lava_pool', color: 0xFF6A00 },
+        { key: 'tile_poison', color: 0x7FBF3F },
+        { key: 'tile_mud', color: 0x6B5030 },
         { key: 'tile_wall', color: 0x808080 },
         { key: 'item_chest', color: 0x8B4513 }
       ];
@@ -90,7 +97,8 @@ class PlaceholderAssets {
         { key: 'wall_brick', color: 0xB22222, type: 'brick' },
         { key: 'wall_wood', color: 0x8B4513, type: 'wood' },
         { key: 'wall_ice', color: 0xADD8E6, type: 'ice' },
-        { key: 'wall_metal', color: 0x696969, type: 'metal' }
+        { key: 'wall_metal', color: 0x696969, type: 'metal' },
+        { key: 'wall_cave', color: 0x4A4038, type: 'cave' }
       ];
       
       // 各タイルのプレースホルダーを作成
@@ -375,6 +383,13 @@ class PlaceholderAssets {
         stone: 0x708090,  // スレートグレー
         snow: 0xFFFAFA,   // スノー
         lava: 0xFF4500,   // オレンジレッド
+        cave: 0x4A4A55,   // 洞窟の床
+        stairs_up: 0xC8B88A,   // 上り階段
+        stairs_down: 0x5A4A3A, // 下り階段
+        floor: 0xA0784C,  // 建物の床
+        lava_pool: 0xFF6A00, // 溶岩だまり
+        poison: 0x7FBF3F, // 毒沼
+        mud: 0x6B5030,    // 泥
         wall: 0x808080    // グレー
       };
       
@@ -387,7 +402,11 @@ class PlaceholderAssets {
         tree: 0x228B22,    // フォレストグリーン
         rock: 0x696969,    // ディムグレー
         bush: 0x32CD32,    // ライムグリーン
-        crate: 0xCD853F    // ペルー
+        crate: 0xCD853F,   // ペルー
+        stalagmite: 0x8B7D6B, // 灰褐色
+        crystal: 0x7FDBFF, // 水色
+        waypoint: 0x9B59FF, // 紫
+        quest_board: 0x6B4226 // 焦げ茶
       };
       
       return obstacleColors[obstacleType] || 0x8B4513;
@@ -400,7 +419,8 @@ class PlaceholderAssets {
         brick: 0xB22222,   // 煉瓦色
         wood: 0x8B4513,    // 茶色
         ice: 0xADD8E6,     // 薄い青
-        metal: 0x696969    // 暗い灰色
+        metal: 0x696969,   // 暗い灰色
+        cave: 0x4A4038     // 暗い岩色
       };
       
       return wallColors[wallType] || 0x808080;
@@ -50,7 +50,9 @@ class TilesetGenerator {
             columns: 4,
             tileKeys: [
                 'tile_water', 'tile_grass', 'tile_dirt', 'tile_sand',
-                'tile_stone', 'tile_snow', 'tile_lava'
+                'tile_stone', 'tile_snow', 'tile_lava', 'tile_cave',
+                'tile_stairs_up', 'tile_stairs_down', 'tile_floor',
+                'tile_lava_pool', 'tile_poison', 'tile_mud'
             ],
             outputKey: 'tileset_terrain'
         }, options);
@@ -27,7 +27,8 @@ class ItemPlaceholders extends PlaceholderAssets {
       armor: 0x4682B4,            // スティールブルー（防具）
       chest_closed: 0x8B4513,     // 茶（閉じた宝箱）
       chest_open: 0xFFD700,       // 金（開いた宝箱）
-      gold_coin: 0xFFD700         // 金（金貨）
+      gold_coin: 0xFFD700,        // 金（金貨）
+      key: 0xDAA520               // ゴールデンロッド（扉の鍵）
     };
     
     // 通常アイテムプレースホルダー作成
@@ -25,7 +25,14 @@ class TilePlaceholders extends PlaceholderAssets {
       sand: 0xF4A460,   // サンディブラウン
       stone: 0x708090,  // スレートグレー
       snow: 0xFFFAFA,   // スノー
-      lava: 0xFF4500    // オレンジレッド
+      lava: 0xFF4500,   // オレンジレッド
+      cave: 0x4A4A55,   // 洞窟の床
+      stairs_up: 0xC8B88A,   // 上り階段
+      stairs_down: 0x5A4A3A, // 下り階段
+      floor: 0xA0784C,  // 建物の床
+      lava_pool: 0xFF6A00, // 溶岩だまり（危険地帯）
+      poison: 0x7FBF3F, // 毒沼（危険地帯）
+      mud: 0x6B5030     // 泥（危険地帯）
     };
     
     // 障害物タイプと色のマッピング
@@ -33,7 +40,17 @@ class TilePlaceholders extends PlaceholderAssets {
       tree: 0x228B22,    // フォレストグリーン
       rock: 0x696969,    // ディムグレー
       bush: 0x32CD32,    // ライムグリーン
-      crate: 0xCD853F    // ペルー
+      crate: 0xCD853F,   // ペルー
+      stalagmite: 0x8B7D6B, // 灰褐色
+      crystal: 0x7FDBFF, // 水色
+      waypoint: 0x9B59FF, // 紫
+      quest_board: 0x6B4226 // 焦げ茶
+    };
+    
+    // 扉・門と色のマッピング
+    const doorColors = {
+      door: 0x8B5A2B,    // 木の扉
+      gate: 0x5A5A66     // 鉄格子の門
     };
     
     // タイルプレースホルダー作成
@@ -50,6 +67,20 @@ class TilePlaceholders extends PlaceholderAssets {
       createObstacle(scene, key, color, placeholders);
     });
     
+    // 扉プレースホルダー作成（閉じた扉・鍵のかかった扉・開いた扉）
+    Object.entries(doorColors).forEach(([kind, color]) => {
+      for (const state of ['closed', 'locked', 'open']) {
+        this.createDoor(scene, `${kind}_${state}`, color, placeholders);
+      }
+    });
+    
+    // 罠プレースホルダー作成（トゲの罠・矢の罠の感圧板の待機中と作動中、飛んでいる矢）
+    for (const kind of ['spikes', 'arrow']) {
+      this.createTrap(scene, `trap_${kind}`, placeholders);
+      this.createTrap(scene, `trap_${kind}_active`, placeholders);
+    }
+    this.createTrap(scene, 'trap_arrow_bolt', placeholders);
+    
     // 壁プレースホルダー（特殊処理）
     createWallTile(scene, 'tile_wall', 0x808080, 'stone', placeholders);
   }
@@ -213,6 +244,55 @@ class TilePlaceholders extends PlaceholderAssets {
           graphics.fillCircle(22, y + 2, 3);
           graphics.fillCircle(16, y - 4, 2);
         }
+      } else if (key.includes('stairs')) {
+        // 階段のパターン - 段差を横線で表現（上りは奥ほど明るく、下りは奥ほど暗く）
+        const isUp = key.includes('up');
+        for (let step = 0; step < 4; step++) {
+          const shade = isUp ? brightenColor(color, 10 * (4 - step)) : darkenColor(color, 10 * (4 - step));
+          graphics.fillStyle(shade, 1);
+          graphics.fillRect(2, 2 + step * 7, tileSize - 4, 6);
+        }
+        graphics.lineStyle(1, darkenColor(color, 40), 0.8);
+        for (let step = 1; step < 4; step++) {
+          graphics.beginPath();
+          graphics.moveTo(2, 1 + step * 7);
+          graphics.lineTo(tileSize - 2, 1 + step * 7);
+          graphics.strokePath();
+        }
+      } else if (key.includes('cave')) {
+        // 洞窟の床のパターン - 小石と湿ったしみ
+        graphics.fillStyle(darkenColor(color, 20), 0.5);
+        graphics.fillCircle(7, 9, 3);
+        graphics.fillCircle(23, 22, 4);
+        graphics.fillStyle(brightenColor(color, 25), 0.6);
+        graphics.fillCircle(20, 6, 1);
+        graphics.fillCircle(10, 24, 1);
+        graphics.fillCircle(27, 13, 1);
+      } else if (key.includes('poison')) {
+        // 毒沼のパターン - 濃い色のしみと泡
+        graphics.fillStyle(darkenColor(color, 30), 0.6);
+        graphics.fillCircle(10, 12, 6);
+        graphics.fillCircle(24, 22, 5);
+        graphics.fillStyle(brightenColor(color, 40), 0.8);
+        graphics.fillCircle(9, 10, 2);
+        graphics.fillCircle(22, 20, 2);
+        graphics.fillCircle(26, 8, 1);
+      } else if (key.includes('mud')) {
+        // 泥のパターン - 暗いぬかるみと水たまりの光
+        graphics.fillStyle(darkenColor(color, 25), 0.7);
+        graphics.fillEllipse(10, 20, 14, 8);
+        graphics.fillEllipse(24, 9, 12, 6);
+        graphics.fillStyle(brightenColor(color, 30), 0.5);
+        graphics.fillEllipse(20, 24, 6, 2);
+      } else if (key.includes('floor')) {
+        // 建物の床のパターン - 板張り（板ごとに継ぎ目の位置をずらす）
+        graphics.lineStyle(1, darkenColor(color, 30), 0.7);
+        for (let row = 0; row < 4; row++) {
+          const y = row * 8;
+          graphics.lineBetween(0, y, tileSize, y);
+          const joint = (row % 2) * 16 + 8;
+          graphics.lineBetween(joint, y, joint, y + 8);
+        }
       } else if (key.includes('wall')) {
         // 壁のパターン - 水と同様の手法で実装
         // レンガ模様
@@ -332,6 +412,45 @@ class TilePlaceholders extends PlaceholderAssets {
       graphics.strokeRect(4, 8, 24, 20);
       graphics.lineBetween(4, 18, 28, 18);
       graphics.lineBetween(16, 8, 16, 28);
+    } else if (key.includes('stalagmite')) {
+      // 石筍のプレースホルダー
+      graphics.fillStyle(color, 1);
+      graphics.fillTriangle(16, 2, 24, 30, 8, 30);
+      graphics.fillTriangle(8, 14, 12, 30, 4, 30);
+      
+      // 陰影
+      graphics.fillStyle(darkenColor(color, 30), 0.4);
+      graphics.fillTriangle(16, 2, 24, 30, 16, 30);
+    } else if (key.includes('crystal')) {
+      // 水晶のプレースホルダー
+      graphics.fillStyle(color, 1);
+      graphics.fillTriangle(16, 2, 22, 28, 10, 28);
+      graphics.fillTriangle(8, 12, 12, 28, 4, 28);
+      graphics.fillTriangle(24, 10, 28, 28, 20, 28);
+      
+      // 輝き
+      graphics.fillStyle(brightenColor(color, 50), 0.6);
+      graphics.fillTriangle(16, 2, 16, 28, 12, 24);
+    } else if (key.includes('waypoint')) {
+      // ウェイポイントのプレースホルダー（台座と光る石）
+      graphics.fillStyle(0x696969, 1);
+      graphics.fillRect(6, 24, 20, 6);
+      graphics.fillStyle(color, 1);
+      graphics.fillTriangle(16, 2, 23, 24, 9, 24);
+      
+      // 輝き
+      graphics.fillStyle(brightenColor(color, 50), 0.6);
+      graphics.fillCircle(16, 14, 3);
+    } else if (key.includes('quest_board')) {
+      // 依頼の掲示板のプレースホルダー（支柱と板、貼り紙）
+      graphics.fillStyle(darkenColor(color, 20), 1);
+      graphics.fillRect(7, 18, 3, 13);
+      graphics.fillRect(22, 18, 3, 13);
+      graphics.fillStyle(color, 1);
+      graphics.fillRect(3, 4, 26, 16);
+      graphics.fillStyle(0xF5F0DC, 1);
+      graphics.fillRect(6, 7, 7, 9);
+      graphics.fillRect(16, 6, 9, 7);
     } else {
       // その他の障害物（デフォルト）
       graphics.fillStyle(color, 1);
@@ -348,6 +467,114 @@ class TilePlaceholders extends PlaceholderAssets {
     }
   }
 
+  /**
+   * 扉プレースホルダー作成
+   * キーは `${種類}_${状態}`（種類: door / gate、状態: closed / locked / open）
+   * @param {Phaser.Scene} scene - Phaserシーン
+   * @param {string} key - テクスチャーキー
+   * @param {number} color - 色（16進数）
+   * @param {Object} placeholders - プレースホルダーオブジェクト
+   */
+  createDoor(scene, key, color, placeholders) {
+    const graphics = scene.add.graphics();
+    const width = 32;
+    const height = 32;
+    
+    if (key.endsWith('_open')) {
+      // 開いた扉は両端の枠だけ
+      graphics.fillStyle(darkenColor(color, 20), 1);
+      graphics.fillRect(0, 0, 4, height);
+      graphics.fillRect(width - 4, 0, 4, height);
+    } else if (key.startsWith('gate')) {
+      // 門（鉄格子）
+      graphics.fillStyle(color, 1);
+      for (let x = 2; x < width; x += 6) {
+        graphics.fillRect(x, 0, 3, height);
+      }
+      graphics.fillRect(0, 6, width, 3);
+      graphics.fillRect(0, height - 9, width, 3);
+    } else {
+      // 扉（板張り）
+      graphics.fillStyle(color, 1);
+      graphics.fillRect(0, 0, width, height);
+      graphics.lineStyle(1, darkenColor(color, 30), 0.8);
+      for (let x = 8; x < width; x += 8) {
+        graphics.lineBetween(x, 0, x, height);
+      }
+      graphics.strokeRect(0, 0, width, height);
+    }
+    
+    // 鍵のかかった扉には錠前を描く
+    if (key.endsWith('_locked')) {
+      graphics.fillStyle(0xFFD700, 1);
+      graphics.fillRect(12, 14, 8, 8);
+      graphics.lineStyle(2, 0xFFD700, 1);
+      graphics.strokeCircle(16, 13, 3);
+    }
+    
+    // テクスチャとして生成して登録
+    graphics.generateTexture(key, width, height);
+    graphics.destroy();
+    
+    // プレースホルダー一覧に追加
+    if (placeholders) {
+      placeholders[key] = { type: 'door', color, width, height };
+    }
+  }
+
+  /**
+   * 罠プレースホルダー作成
+   * キーは `trap_${種類}`（待機中）、`trap_${種類}_active`（作動中）と、飛んでいる矢の `trap_arrow_bolt`
+   * @param {Phaser.Scene} scene - Phaserシーン
+   * @param {string} key - テクスチャーキー
+   * @param {Object} placeholders - プレースホルダーオブジェクト
+   */
+  createTrap(scene, key, placeholders) {
+    const graphics = scene.add.graphics();
+    const width = 32;
+    const height = key === 'trap_arrow_bolt' ? 8 : 32;
+    const color = key.startsWith('trap_spikes') ? 0xB0B0B0 : 0xD8C080;
+    
+    if (key === 'trap_arrow_bolt') {
+      // 矢（右向き、飛ぶ向きに回転させて使う）
+      graphics.fillStyle(0x8B5A2B, 1);
+      graphics.fillRect(4, 3, 20, 2);
+      graphics.fillStyle(0xC0C0C0, 1);
+      graphics.fillTriangle(24, 0, 31, 4, 24, 8);
+      graphics.fillStyle(0xFFFFFF, 1);
+      graphics.fillTriangle(0, 1, 6, 4, 0, 7);
+    } else if (key.startsWith('trap_spikes')) {
+      // トゲの罠（床の穴、作動中はトゲが飛び出す）
+      graphics.fillStyle(0x333333, 0.8);
+      for (const [x, y] of [[8, 8], [24, 8], [8, 24], [24, 24], [16, 16]]) {
+        graphics.fillCircle(x, y, 3);
+        if (key.endsWith('_active')) {
+          graphics.fillStyle(color, 1);
+          graphics.fillTriangle(x - 3, y + 2, x, y - 7, x + 3, y + 2);
+          graphics.fillStyle(0x333333, 0.8);
+        }
+      }
+    } else {
+      // 矢の罠の感圧板（作動中は沈んで暗くなる）
+      const plateColor = key.endsWith('_active') ? darkenColor(color, 30) : color;
+      graphics.fillStyle(darkenColor(color, 40), 1);
+      graphics.fillRect(5, 5, 22, 22);
+      graphics.fillStyle(plateColor, 1);
+      graphics.fillRect(7, 7, 18, 18);
+      graphics.lineStyle(1, darkenColor(color, 50), 0.8);
+      graphics.strokeRect(7, 7, 18, 18);
+    }
+    
+    // テクスチャとして生成して登録
+    graphics.generateTexture(key, width, height);
+    graphics.destroy();
+    
+    // プレースホルダー一覧に追加
+    if (placeholders) {
+      placeholders[key] = { type: 'trap', color, width, height };
+    }
+  }
+
   /**
    * 壁タイルのパターン作成（レンガ調）
    * @param {Phaser.GameObjects.Graphics} graphics - グラフィックスオブジェクト
@@ -384,7 +611,7 @@ class TilePlaceholders extends PlaceholderAssets {
    * @param {Phaser.Scene} scene - Phaserシーン
    * @param {string} key - テクスチャーキー
    * @param {number} color - 色（16進数）
-   * @param {string} wallType - 壁のタイプ ('stone', 'brick', 'wood', 'ice', 'metal')
+   * @param {string} wallType - 壁のタイプ ('stone', 'brick', 'wood', 'ice', 'metal', 'cave')
    * @param {Object} placeholders - プレースホルダーオブジェクト
    */
   createWallTile(scene, key, color, wallType = 'stone', placeholders) {
@@ -419,6 +646,7 @@ class TilePlaceholders extends PlaceholderAssets {
           // 金属壁パターン
           createMetalWallPattern(graphics, color, tileSize);
           break;
+        case 'cave':
         case 'stone':
         default:
           // 石壁パターン（デフォルト）
@@ -702,6 +930,8 @@ Object.assign(PlaceholderAssets.prototype, {
   createTilePlaceholders: TilePlaceholders.prototype.createTilePlaceholders,
   createTileWithPattern: TilePlaceholders.prototype.createTileWithPattern,
   createObstacle: TilePlaceholders.prototype.createObstacle,
+  createDoor: TilePlaceholders.prototype.createDoor,
+  createTrap: TilePlaceholders.prototype.createTrap,
   createWallPattern: TilePlaceholders.prototype.createWallPattern,
   createWallTile: TilePlaceholders.prototype.createWallTile,
   createBrickWallPattern: TilePlaceholders.prototype.createBrickWallPattern,
@@ -45,7 +45,7 @@ export default class BasicAction extends Action {
     this.attackCooldown = config.attackCooldown || 0;
     this.lastAttackTime = 0;
     this.damage = config.damage || 0;
-    this.damageType = config.damageType || 'physical';
+    this.damageType = config.damageType || (this.owner && this.owner.attackDamageType) || 'physical';
     
     // アクション特有の設定
     this.setupAction();
@@ -855,8 +855,8 @@ export default class BasicAction extends Action {
     const dirX = dx / length;
     const dirY = dy / length;
     
-    // 移動速度 
-    let speed = this.moveSpeed * speedMultiplier;
+    // 移動速度（泥などの危険地帯の上では遅くなる）
+    let speed = this.moveSpeed * speedMultiplier * (this.owner.terrainSpeedMultiplier || 1);
 
     // 移動距離を計算
     const scalingFactor = this.owner.constructor.name === 'Player' ? 10 : 2;
@@ -1058,17 +1058,8 @@ export default class BasicAction extends Action {
   updateChasePath() {
     if (!this.owner || !this.target || !this.topDownMap) return;
     
-    // 現在位置をタイル座標に変換
-    const ownerTile = this.topDownMap.worldToTileXY(this.owner.x, this.owner.y);
-    
-    // ターゲット位置をタイル座標に変換
-    const targetTile = this.topDownMap.worldToTileXY(this.target.x, this.target.y);
-    
-    // 経路探索
-    const tilePath = this.topDownMap.findPath(
-      ownerTile.x, ownerTile.y,
-      targetTile.x, targetTile.y
-    );
+    // 経路探索（大勢で同じターゲットを追いかける場合、マップ側でフローフィールドを共有する）
+    const tilePath = this.topDownMap.findChasePath(this.owner, this.target);
     
     // 経路が見つかった場合
     if (tilePath && tilePath.length > 0) {
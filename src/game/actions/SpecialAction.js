@@ -1,6 +1,7 @@
 import Action from './Action';
 import { ActionType } from '../../constants/actionTypes';
 import { getDistance } from '../../utils/mathUtils';
+import { getSpatialIndex } from '../map/spatial/SpatialHash';
 
 /**
  * 特殊なアクションクラス
@@ -604,45 +605,22 @@ export default class SpecialAction extends Action {
 
   /**
    * 範囲内のターゲットを取得
+   * 最大ターゲット数を超える場合は中心に近いものから選ぶ
    * @param {boolean} allies - 味方を対象とするかどうか
    * @returns {Array} 範囲内のターゲットの配列
    */
   getTargetsInArea(allies = false) {
-    if (!this.scene || !this.target) return [];
-    
-    const targets = [];
-    const centerX = this.target.x;
-    const centerY = this.target.y;
-    
-    // ターゲットのリストを取得
-    let entities = [];
-    if (allies) {
-      // 味方リスト（プレイヤー、コンパニオン）
-      entities = [
-        ...(this.scene.player ? [this.scene.player] : []),
-        ...(this.scene.companions || [])
-      ];
-    } else {
-      // 敵リスト
-      entities = this.scene.enemies || [];
-    }
-    
-    // 範囲内のエンティティをフィルタリング
-    for (const entity of entities) {
-      if (!entity || entity.life <= 0) continue;
-      
-      const distance = getDistance(centerX, centerY, entity.x, entity.y);
-      if (distance <= this.areaOfEffect) {
-        targets.push(entity);
-      }
-      
-      // 最大ターゲット数に達した場合
-      if (targets.length >= this.maxTargets) {
-        break;
-      }
-    }
+    const spatialIndex = getSpatialIndex(this.scene);
+    if (!spatialIndex || !this.target) return [];
+    
+    // 味方（プレイヤー、コンパニオン）か敵
+    const targets = spatialIndex.queryRadius(this.target.x, this.target.y, this.areaOfEffect, {
+      categories: allies ? ['player', 'companion'] : ['enemy'],
+      filter: entity => entity.life > 0,
+      sort: true
+    });
     
-    return targets;
+    return targets.slice(0, this.maxTargets);
   }
 
   /**
@@ -892,11 +870,12 @@ export default class SpecialAction extends Action {
       let currentTarget = this.target;
       
       // 複数ターゲットの場合は範囲内からランダムに選択
-      if (projectileCount > 1 && this.scene.enemies && this.scene.enemies.length > 0) {
-        const possibleTargets = this.scene.enemies.filter(enemy => 
-          enemy && enemy.life > 0 && 
-          getDistance(this.owner.x, this.owner.y, enemy.x, enemy.y) <= this.range
-        );
+      const spatialIndex = getSpatialIndex(this.scene);
+      if (projectileCount > 1 && spatialIndex) {
+        const possibleTargets = spatialIndex.queryRadius(this.owner.x, this.owner.y, this.range, {
+          categories: ['enemy'],
+          filter: enemy => enemy.life > 0
+        });
         
         if (possibleTargets.length > 0) {
           currentTarget = possibleTargets[Math.floor(Math.random() * possibleTargets.length)];
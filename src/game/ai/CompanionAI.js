@@ -1,4 +1,5 @@
 import { getDistance } from '../../utils/mathUtils';
+import { getSpatialIndex } from '../map/spatial/SpatialHash';
 
 /**
  * ActionSystemを用いた仲間AI制御クラス
@@ -167,17 +168,13 @@ export default class CompanionAI {
    * @returns {Array} 範囲内の敵の配列
    */
   getNearbyEnemies() {
-    if (!this.companion || !this.scene) return [];
+    const spatialIndex = getSpatialIndex(this.scene);
+    if (!this.companion || !spatialIndex) return [];
     
-    // シーンの敵リスト
-    const enemies = this.scene.enemies || [];
-    
-    // 知覚範囲内の敵をフィルタリング
-    return enemies.filter(enemy => {
-      if (!enemy || enemy.isDead || enemy.life <= 0) return false;
-      
-      const distance = getDistance(this.companion.x, this.companion.y, enemy.x, enemy.y);
-      return distance <= this.options.perceptionRadius;
+    // 知覚範囲内の敵
+    return spatialIndex.queryRadius(this.companion.x, this.companion.y, this.options.perceptionRadius, {
+      categories: ['enemy'],
+      filter: enemy => !enemy.isDead && enemy.life > 0
     });
   }
 
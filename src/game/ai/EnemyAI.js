@@ -415,6 +415,21 @@ export default class EnemyAI {
     }
   }
 
+  /**
+   * 敵の休止に合わせて、更新タイマーを止める・再開する
+   * 休止時は現在の行動もキャンセルする
+   * @param {boolean} sleeping - 休止するかどうか
+   */
+  setSleeping(sleeping) {
+    if (this.updateEvent) {
+      this.updateEvent.paused = sleeping;
+    }
+    
+    if (sleeping) {
+      this.cancelCurrentAction();
+    }
+  }
+
   /**
    * 値を設定
    * @param {string} key - キー
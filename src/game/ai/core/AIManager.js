@@ -5,10 +5,25 @@
 import { getDistance } from '../../utils/mathUtils';
 
 class AIManager {
-    constructor() {
+    /**
+     * @param {object} options - { spatialIndex: 範囲での検索に使う空間インデックス（SpatialHash） }
+     */
+    constructor(options = {}) {
       this.controllers = new Map();
       this.enabled = true;
       this.globalBlackboard = new Map(); // 全AIで共有されるデータ
+      
+      // コントローラーが操作するキャラクター → コントローラー（空間インデックスの検索結果から引く）
+      this.controllersByOwner = new Map();
+      this.spatialIndex = options.spatialIndex || null;
+    }
+  
+    /**
+     * 範囲での検索に使う空間インデックスを設定します（フロアを移動したときなど）
+     * @param {SpatialHash|null} spatialIndex - 空間インデックス
+     */
+    setSpatialIndex(spatialIndex) {
+      this.spatialIndex = spatialIndex;
     }
   
     /**
@@ -19,8 +34,12 @@ class AIManager {
     register(id, controller) {
       if (this.controllers.has(id)) {
         console.warn(`ID ${id} のAIコントローラーは既に存在します。置き換えます。`);
+        this.unregister(id);
       }
       this.controllers.set(id, controller);
+      if (controller.owner) {
+        this.controllersByOwner.set(controller.owner, controller);
+      }
     }
   
     /**
@@ -28,6 +47,10 @@ class AIManager {
      * @param {string} id - 削除するコントローラーのID
      */
     unregister(id) {
+      const controller = this.controllers.get(id);
+      if (controller && this.controllersByOwner.get(controller.owner) === controller) {
+        this.controllersByOwner.delete(controller.owner);
+      }
       this.controllers.delete(id);
     }
   
@@ -88,11 +111,18 @@ class AIManager {
   
     /**
      * 指定した位置から一定の半径内にあるすべてのAIコントローラーを取得します
+     * 空間インデックスがあれば、半径内のキャラクターを検索してそのコントローラーを返します
      * @param {object} position - 中心位置
      * @param {number} radius - 検索する半径
      * @returns {Array} 半径内のAIコントローラーの配列
      */
     getControllersInRadius(position, radius) {
+      if (this.spatialIndex) {
+        return this.spatialIndex
+          .queryRadius(position.x, position.y, radius, { filter: owner => this.controllersByOwner.has(owner) })
+          .map(owner => this.controllersByOwner.get(owner));
+      }
+      
       const result = [];
       
       for (const controller of this.controllers.values()) {
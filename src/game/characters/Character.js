@@ -3,6 +3,7 @@ import { v4 as uuidv4 } from 'uuid';
 import { CharacterClassType } from '../../constants/characterTypes';
 import { getDistance } from '../../utils/mathUtils';
 import AssetManager from '../core/AssetManager';
+import { getSpatialIndex } from '../map/spatial/SpatialHash';
 
 // Phaserを動的にロードするための変数とヘルパー関数
 let Phaser = null;
@@ -85,6 +86,9 @@ export default class Character {
     this.moveTarget = null;
     this.movePath = [];
     
+    // 足元の地形による移動速度の倍率（泥などの危険地帯の上では1未満）
+    this.terrainSpeedMultiplier = 1;
+    
     // アクション関連
     this.isPerformingAction = false;
     this.currentAction = null;
@@ -93,6 +97,7 @@ export default class Character {
     // 戦闘関連
     this.attackRange = 1;
     this.attackSpeed = 1;
+    this.attackDamageType = 'physical'; // 通常攻撃のダメージの種類（フロアの変性で変わる）
     this.lastAttackTime = 0;
     this.basicAR = this.calculateBasicAR();
     this.finalAR = this.basicAR;
@@ -103,7 +108,10 @@ export default class Character {
     this.isDead = false;
     this.isStunned = false;
     this.isInvulnerable = false;
-    
+
+    // カメラから離れて休止しているか（休止中は表示・更新・物理演算を止める）
+    this.isSleeping = false;
+
     // アニメーション関連
     this.direction = config.direction || 'down'; // down, up, left, right
     this.animationState = 'idle'; // idle, walk, attack, hurt, death
@@ -111,6 +119,9 @@ export default class Character {
     // キャラクタータイプ情報（アニメーション用）
     this.characterType = 'character'; // デフォルト
     this.characterSubtype = 'default'; // デフォルト
+    
+    // 空間インデックスでの種類（派生クラスで設定する）
+    this.spatialCategory = 'character';
 
     // AssetManagerの初期化確認
     if (!AssetManager.initialized && scene) {
@@ -169,6 +180,7 @@ export default class Character {
   set x(value) {
     this._x = value;
     if (this.sprite) this.sprite.x = value;
+    this.updateSpatialIndex();
   }
   
   get y() {
@@ -178,6 +190,15 @@ export default class Character {
   set y(value) {
     this._y = value;
     if (this.sprite) this.sprite.y = value;
+    this.updateSpatialIndex();
+  }
+  
+  /**
+   * 空間インデックスに現在の位置を登録する（登録済みならセルが変わったときだけ移し替える）
+   */
+  updateSpatialIndex() {
+    const spatialIndex = getSpatialIndex(this.scene);
+    if (spatialIndex) spatialIndex.update(this, this.spatialCategory);
   }
   
   // アルファ値のゲッターとセッター
@@ -226,6 +247,28 @@ export default class Character {
     return this;
   }
   
+  setVisible(visible) {
+    if (this.sprite) this.sprite.setVisible(visible);
+    if (this.healthBar && this.healthBar.setVisible) this.healthBar.setVisible(visible);
+    return this;
+  }
+  
+  /**
+   * 休止・再開する（カメラから離れたときに TopDownMap から呼ばれる）
+   * 休止中は非表示になり、更新と物理演算を止める
+   * @param {boolean} sleeping - 休止するかどうか
+   */
+  setSleeping(sleeping) {
+    if (this.isSleeping === sleeping || !this.sprite) return;
+
+    this.isSleeping = sleeping;
+    if (sleeping) this.stopMoving();
+    this.setVisible(!sleeping);
+    if (this.body) this.body.enable = !sleeping;
+
+    this.emit(sleeping ? 'sleep' : 'wake', this);
+  }
+
   // イベント発火の委譲
   emit(event, ...args) {
     if (this.sprite) {
@@ -502,7 +545,7 @@ export default class Character {
     this.showAttackEffect(target);
     
     // ダメージ適用
-    target.takeDamage(damage, 'physical', isCritical, this);
+    target.takeDamage(damage, this.attackDamageType, isCritical, this);
     
     // 攻撃完了
     this.scene.time.delayedCall(500, () => {
@@ -674,7 +717,8 @@ export default class Character {
       const normalizedDy = dy / distance;
       
       // 移動速度に基づく移動量
-      const moveAmount = this.moveSpeed * (delta / 16); // 60FPSを想定
+      // 泥などの危険地帯の上では遅くなる（TopDownMap.updateHazards() が設定する）
+      const moveAmount = this.moveSpeed * this.terrainSpeedMultiplier * (delta / 16); // 60FPSを想定
       
       // 新しい位置
       const newX = this.x + normalizedDx * moveAmount;
@@ -703,11 +747,14 @@ export default class Character {
   
   // 更新処理
   update(time, delta) {
-    if (this.isDead) return;
+    if (this.isDead || this.isSleeping) return;
     
     // 移動処理
     this.updateMovement(delta);
     
+    // 空間インデックスへの登録（フロアの移動でマップが変わった場合も登録し直す）
+    this.updateSpatialIndex();
+    
     // ヘルスバーの位置更新
     this.updateHealthBar();
     
@@ -720,4 +767,24 @@ export default class Character {
     
     // ターゲット追跡とAI処理は派生クラスで実装
   }
+  
+  // リソースの解放
+  destroy() {
+    const spatialIndex = getSpatialIndex(this.scene);
+    if (spatialIndex) spatialIndex.remove(this);
+    
+    if (this.scene) {
+      this.scene.events.off('update', this.update, this);
+    }
+    
+    if (this.healthBar && this.healthBar.destroy) {
+      this.healthBar.destroy();
+      this.healthBar = null;
+    }
+    
+    if (this.sprite) {
+      this.sprite.destroy();
+      this.sprite = null;
+    }
+  }
 }
\ No newline at end of file
@@ -1,10 +1,15 @@
 import Character from './Character';
 import { getDistance } from '../../utils/mathUtils';
+import { getSpatialIndex } from '../map/spatial/SpatialHash';
 
 export default class Companion extends Character {
   constructor(scene, x, y, texture, config = {}) {
     super(scene, x, y, texture, config);
     
+    // 空間インデックスに登録
+    this.spatialCategory = 'companion';
+    this.updateSpatialIndex();
+    
     // コンパニオン固有のプロパティ
     this.followDistance = config.followDistance || 80; // プレイヤーとの距離
     this.attackRange = config.attackRange || 2; // 攻撃範囲
@@ -264,31 +269,17 @@ export default class Companion extends Character {
   
   // 最も近い敵を探す
   findNearestEnemy() {
-    if (!this.scene || !this.scene.enemies) return null;
-    
-    let nearestEnemy = null;
-    let shortestDistance = Number.MAX_VALUE;
+    const spatialIndex = getSpatialIndex(this.scene);
+    if (!spatialIndex) return null;
     
     // アグレッシブモードなら広範囲、それ以外は近距離のみ検索
     const searchRange = this.tacticsMode === 'aggressive' ? 250 : 150;
     
-    for (const enemy of this.scene.enemies) {
-      // 死亡している敵はスキップ
-      if (enemy.isDead) continue;
-      
-      // 敵との距離
-      const distanceToEnemy = getDistance(
-        this.x, this.y, enemy.x, enemy.y
-      );
-      
-      // 検索範囲内で最も近い敵を記録
-      if (distanceToEnemy <= searchRange && distanceToEnemy < shortestDistance) {
-        nearestEnemy = enemy;
-        shortestDistance = distanceToEnemy;
-      }
-    }
-    
-    return nearestEnemy;
+    // 死亡している敵は除く
+    return spatialIndex.findNearest(this.x, this.y, searchRange, {
+      categories: ['enemy'],
+      filter: enemy => !enemy.isDead
+    });
   }
   
   // 経験値の獲得（プレイヤーの獲得経験値から割合で取得）
@@ -6,6 +6,10 @@ export default class Enemy extends Character {
   constructor(scene, x, y, texture, config = {}) {
     super(scene, x, y, texture, config);
 
+    // 空間インデックスに登録
+    this.spatialCategory = 'enemy';
+    this.updateSpatialIndex();
+
     // ActionSystemを取得
     this.actionSystem = scene.actionSystem;
     if (!this.actionSystem) {
@@ -38,6 +42,12 @@ export default class Enemy extends Character {
     // ドロップアイテム
     this.dropItemList = config.dropItemList || [];
     
+    // ドロップ判定に使う乱数（マップのシードから派生したものを渡すと再現可能になる）
+    this.random = config.random || Math.random;
+    
+    // レアなアイテムの見つかりやすさ（フロアの変性で上がる）
+    this.itemFind = 1;
+    
     // 経験値
     this.expValue = this.calculateExpValue();
     
@@ -50,8 +60,8 @@ export default class Enemy extends Character {
     // エリート敵や特殊敵の場合の強化
     this.applyEnemyTypeBuffs();
     
-    // 難易度に応じた強化
-    this.applyDifficultyBuffs(config.difficulty || 'normal');
+    // 難易度とフロアの変性に応じた強化
+    this.applyDifficultyBuffs(config.difficulty || 'normal', config.modifiers || null);
   }
   
   // 経験値の計算
@@ -119,7 +129,8 @@ export default class Enemy extends Character {
   }
   
   // 難易度に応じた強化の適用
-  applyDifficultyBuffs(difficulty) {
+  // modifiers にフロアの変性の効果（getMapModifierEffects() の結果）を渡すと、変性による強化と報酬の増加も適用する
+  applyDifficultyBuffs(difficulty, modifiers = null) {
     // 難易度による敵の強化
     switch (difficulty) {
       case 'nightmare':
@@ -138,6 +149,20 @@ export default class Enemy extends Character {
         this.goldValue *= 1.5;
         break;
     }
+    
+    // フロアの変性による強化（危険な変性ほど経験値・ゴールド・アイテムが増える）
+    if (modifiers) {
+      this.moveSpeed *= modifiers.enemyMoveSpeed;
+      this.attackSpeed *= modifiers.enemyAttackSpeed;
+      this.attackCooldown /= modifiers.enemyAttackSpeed;
+      this.basicAttack *= modifiers.enemyDamage;
+      if (modifiers.enemyDamageType) {
+        this.attackDamageType = modifiers.enemyDamageType;
+      }
+      this.expValue *= modifiers.experience;
+      this.goldValue *= modifiers.goldFind;
+      this.itemFind = modifiers.itemFind;
+    }
   }
   
   // ドロップアイテムの設定
@@ -149,8 +174,8 @@ export default class Enemy extends Character {
   dropItems() {
     if (!this.scene || !this.dropItemList || this.dropItemList.length === 0) return;
     
-    // ドロップ判定
-    const rand = Math.random();
+    // ドロップ判定（アイテムが見つかりやすいほど低い値になり、ドロップしやすくなる）
+    const rand = this.random() / this.itemFind;
     let cumulativeProbability = 0;
     
     // アイテムファクトリーの取得
@@ -168,6 +193,7 @@ export default class Enemy extends Character {
           type: dropItem.itemType,
           level: this.level,
           rarity: this.getRarityForDrop(),
+          random: this.random,
           x: this.x,
           y: this.y
         });
@@ -175,6 +201,7 @@ export default class Enemy extends Character {
         if (item) {
           this.scene.add.existing(item);
           this.scene.items.push(item);
+          if (this.scene.topDownMap) this.scene.topDownMap.registerGroundItem(item);
         }
         
         break;
@@ -192,14 +219,15 @@ export default class Enemy extends Character {
       if (goldItem) {
         this.scene.add.existing(goldItem);
         this.scene.items.push(goldItem);
+        if (this.scene.topDownMap) this.scene.topDownMap.registerGroundItem(goldItem);
       }
     }
   }
   
   // ドロップする装備のレア度決定
   getRarityForDrop() {
-    // 敵の種類とレベルに基づいてレア度を決定
-    const rand = Math.random() * 100;
+    // 敵の種類とレベルに基づいてレア度を決定（アイテムが見つかりやすいほどレア度が上がる）
+    const rand = this.random() * 100 / this.itemFind;
     
     // ボス敵
     if (this.enemyType === 'boss') {
@@ -250,6 +278,15 @@ export default class Enemy extends Character {
     }
   }
   
+  // 休止のオーバーライド - 休止中はAIの定期実行も止める
+  setSleeping(sleeping) {
+    super.setSleeping(sleeping);
+    
+    if (this.aiController && this.aiController.setSleeping) {
+      this.aiController.setSleeping(this.isSleeping);
+    }
+  }
+  
   // 更新処理のオーバーライド - ActionSystemに制御を委譲
   update(time, delta) {
     // 親クラスの更新処理を呼び出し
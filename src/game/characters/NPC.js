@@ -11,11 +11,17 @@ class NPC extends Character {
   constructor(config) {
     super(config);
     
+    // 空間インデックスに登録
+    this.spatialCategory = 'npc';
+    this.updateSpatialIndex();
+    
     // NPC固有プロパティ
     this.isShop = config.isShop || false;
     this.type = config.type || 'villager';
     this.shopType = config.shopType || 'general';
     this.shopItems = config.shopItems || [];
+    this.serviceType = config.serviceType || null; // 宿屋などのサービス（NPCType の serviceType）
+    this.building = config.building || null; // いる建物の種類（町の施設の主人など）
     this.dialogues = config.dialogues || [];
     this.currentDialogueIndex = 0;
     this.interactRange = config.interactRange || 100;
@@ -72,6 +78,9 @@ class NPC extends Character {
   update(time, delta) {
     super.update(time, delta);
     
+    // 休止中（カメラから離れているとき）は動かない
+    if (this.isSleeping) return;
+    
     // NPCのアイドル時の動き
     this.updateIdleBehavior(time, delta);
   }
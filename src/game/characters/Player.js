@@ -1,11 +1,23 @@
 import Character from './Character';
 import Inventory from '../core/Inventory';
 import { PlayerStats } from '../data/PlayerStats';
+import { getDistance } from '../../utils/mathUtils';
+import { getSpatialIndex } from '../map/spatial/SpatialHash';
+import { ItemType } from '../../constants/itemTypes';
+import Door from '../objects/Door';
+import Obstacle from '../objects/Obstacle';
+
+// 扉を開け閉めできる距離（ピクセル）
+const DOOR_INTERACTION_RANGE = 100;
 
 export default class Player extends Character {
   constructor(scene, x, y, texture, config = {}) {
     super(scene, x, y, texture, config);
     
+    // 空間インデックスに登録
+    this.spatialCategory = 'player';
+    this.updateSpatialIndex();
+    
     // PlayerStatsシングルトンの取得
     this.playerStats = PlayerStats.getInstance();
     
@@ -14,6 +26,9 @@ export default class Player extends Character {
     this.potionCount = config.potionCount || 5;
     this.potionRegenerationValue = config.potionRegenerationValue || 30;
     
+    // 今いるフロアの変性の効果（getMapModifierEffects() の結果、フロアに入るたびに設定される）
+    this.mapModifierEffects = null;
+    
     // 移動速度を調整 (値を大きくして移動を速く)
     //this.moveSpeed = config.moveSpeed || 2000; // 元の値より大きく設定
     this.moveSpeed = 2000; // 元の値より大きく設定
@@ -207,6 +222,14 @@ export default class Player extends Character {
         else if (entity.type === 'item' || entity.type === 'chest') {
           this.collectItem(entity);
         }
+        // 扉の場合は開け閉め（クラス名はビルド時の圧縮で変わるため instanceof で判定する）
+        else if (entity instanceof Door) {
+          this.useDoor(entity);
+        }
+        // 壊せる障害物の場合は攻撃
+        else if (entity instanceof Obstacle) {
+          this.breakObstacle(entity);
+        }
         return;
       }
     }
@@ -315,6 +338,81 @@ export default class Player extends Character {
     }
   }
   
+  /**
+   * 扉を開け閉めする（鍵のかかった扉は、持っている鍵で開ける）
+   * @param {Door} door - 扉
+   * @returns {boolean} 開け閉めできたかどうか
+   */
+  useDoor(door) {
+    if (!door || !this.scene.topDownMap) return false;
+    
+    const uiScene = this.scene.scene.get('UIScene');
+    const showMessage = message => {
+      if (uiScene && uiScene.showMessage) uiScene.showMessage(message);
+    };
+    
+    if (getDistance(this.x, this.y, door.x, door.y) > DOOR_INTERACTION_RANGE) {
+      showMessage(`${door.name}まで近づいてください`);
+      return false;
+    }
+    
+    const result = this.scene.topDownMap.toggleDoor(door, this);
+    
+    if (!result.success) {
+      if (result.reason === 'locked') {
+        showMessage(`${door.name}には鍵がかかっている`);
+      } else if (result.reason === 'blocked') {
+        showMessage(`${door.name}の前に何かあって閉められない`);
+      }
+      return false;
+    }
+    
+    // 鍵を使った場合はインベントリが変わるため、PlayerStatsを更新
+    if (result.key) {
+      showMessage(`${result.key.name}で${door.name}を開けた`);
+      this.saveToPlayerStats();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * 壊せる障害物を攻撃する
+   * @param {Obstacle} obstacle - 障害物
+   * @returns {boolean} 攻撃したかどうか
+   */
+  breakObstacle(obstacle) {
+    if (!obstacle || !obstacle.breakable || obstacle.state === 'broken') return false;
+    if (this.isPerformingAction) return false;
+    
+    // 攻撃クールダウンチェック
+    const now = Date.now();
+    if (now - this.lastAttackTime < 1000 / this.attackSpeed) return false;
+    
+    // 攻撃範囲外の場合は近づく（1タイルを32pxとして計算、障害物は隣のタイルから叩ける）
+    const attackRangePixels = Math.max(this.attackRange || 1, 1) * 32 + 16;
+    if (getDistance(this.x, this.y, obstacle.x, obstacle.y) > attackRangePixels) {
+      this.setMoveTarget(obstacle.x, obstacle.y);
+      return false;
+    }
+    
+    this.lastAttackTime = now;
+    this.faceTarget(obstacle);
+    this.animationState = 'attack';
+    this.playAnimation();
+    
+    obstacle.takeDamage(this.basicAttack || 1, this);
+    
+    this.scene.time.delayedCall(300, () => {
+      if (this.animationState === 'attack') {
+        this.animationState = 'idle';
+        this.playAnimation();
+      }
+    });
+    
+    return true;
+  }
+  
   /**
    * 基本攻撃の実行
    */
@@ -350,28 +448,15 @@ export default class Player extends Character {
    * 最も近い敵を探す
    */
   findNearestEnemy() {
-    if (!this.scene || !this.scene.enemies || this.scene.enemies.length === 0) return null;
-    
-    let nearestEnemy = null;
-    let minDistance = Infinity;
-    
-    for (const enemy of this.scene.enemies) {
-      if (enemy && !enemy.isDead) {
-        const dist = Math.sqrt(
-          Math.pow(this.x - enemy.x, 2) + 
-          Math.pow(this.y - enemy.y, 2)
-        );
-        
-        if (dist < minDistance) {
-          minDistance = dist;
-          nearestEnemy = enemy;
-        }
-      }
-    }
+    const spatialIndex = getSpatialIndex(this.scene);
+    if (!spatialIndex) return null;
     
     // 一定距離内の敵だけを対象にする
     const attackRange = this.attackRange || 150;
-    return minDistance <= attackRange ? nearestEnemy : null;
+    return spatialIndex.findNearest(this.x, this.y, attackRange, {
+      categories: ['enemy'],
+      filter: enemy => !enemy.isDead
+    });
   }
   
   /**
@@ -473,7 +558,7 @@ export default class Player extends Character {
     // 1000で割ると秒単位になるので、moveSpeedが一定以上の値でないと動きが遅くなる
     // 例えば200の場合、delta=16.6msとすると、1フレームでの移動は約3.32ピクセル
     const scalingFactor = 10; // 調整可能な値
-    const normalizedSpeed = this.moveSpeed * scalingFactor * (delta / 1000);
+    const normalizedSpeed = this.moveSpeed * this.terrainSpeedMultiplier * scalingFactor * (delta / 1000);
     
     // キー入力に基づいて方向を決定
     if (this.cursors.up.isDown || this.keys.up.isDown) {
@@ -1113,7 +1198,7 @@ export default class Player extends Character {
   equipItem(item) {
     if (!item) return false;
     
-    if (item.constructor.name === 'Equipment') {
+    if (item.itemType === ItemType.equipment) {
       const result = item.equip(this);
       
       // 成功した場合、PlayerStatsを更新
@@ -1240,6 +1325,23 @@ export default class Player extends Character {
     };
   }
   
+  /**
+   * フロアの変性をプレイヤーに適用する（フロアに入るたびにMainSceneから呼ばれる）
+   * @param {Object|null} effects - getMapModifierEffects() の結果
+   */
+  applyMapModifiers(effects) {
+    this.mapModifierEffects = effects;
+  }
+  
+  // 自然回復のオーバーライド - ライフが自然回復しない変性のフロアでは回復しない
+  regenerateLife(delta) {
+    if (this.mapModifierEffects && this.mapModifierEffects.noLifeRegeneration) return;
+    
+    if (super.regenerateLife) {
+      super.regenerateLife(delta);
+    }
+  }
+  
   // 更新処理のオーバーライド
   update(time, delta) {
     super.update(time, delta);
@@ -1269,6 +1371,11 @@ export default class Player extends Character {
     this.playerStats.deaths += 1;
     this.playerStats.playTime += Date.now() - this.startPlayTime;
     
+    // 死亡したフロアの結果を記録（マップ生成の調整に使う）
+    if (this.scene.recordFloorOutcome) {
+      this.scene.recordFloorOutcome({ died: true });
+    }
+    
     // 死亡理由の取得
     let deathReason = 'モンスターの攻撃による';
     if (killer) {
@@ -1283,17 +1390,34 @@ export default class Player extends Character {
       }
     }
     
+    const gameOverData = {
+      deathReason: deathReason,
+      playTime: this.playerStats.playTime,
+      level: this.level,
+      gold: this.gold,
+      kills: this.playerStats.kills
+    };
+    
+    // ハードコアモードではキャラクターが永久に失われる
+    // ゲームオーバー画面を待たずにセーブスロットを死亡済みにし、終了してもやり直せないようにする
+    const gameData = this.scene.gameData;
+    if (gameData && gameData.hardcore && this.scene.endHardcoreCharacter) {
+      gameOverData.hardcore = true;
+      gameOverData.playerClass = gameData.playerClass;
+      gameOverData.currentLevel = gameData.currentLevel;
+      this.scene.endHardcoreCharacter(gameOverData);
+    } else {
+      // 通常モードの死亡はハードコアとは別の記録として残す
+      this.playerStats.recordRun({
+        playerClass: gameData ? gameData.playerClass : undefined,
+        currentLevel: gameData ? gameData.currentLevel : undefined,
+        deathReason: deathReason
+      }, false);
+    }
+    
     // プレイヤー死亡時の特殊処理
     // ゲームオーバー画面表示など
     this.scene.time.delayedCall(3000, () => {
-      const gameOverData = {
-        deathReason: deathReason,
-        playTime: this.playerStats.playTime,
-        level: this.level,
-        gold: this.gold,
-        kills: this.playerStats.kills
-      };
-      
       // UISceneに渡す
       const uiScene = this.scene.scene.get('UIScene');
       if (uiScene && uiScene.showGameOver) {
@@ -5,6 +5,7 @@ import SimplePlaceholderAssets from '../../debug/SimplePlaceholderAssets';
 import MapLoader from '../../debug/MapLoader';
 import CharacterLoader from '../../debug/CharacterLoader'; 
 import { isDebugMode } from '../../debug';
+import { getBiomeTerrainType } from '../map/generator/Biomes';
 
 /**
  * アセットマネージャー
@@ -189,7 +190,14 @@ class AssetManager {
         sand: 3,
         stone: 4,
         snow: 5,
-        lava: 6    // 通行不可
+        lava: 6,   // 通行不可
+        cave: 7,   // 洞窟の床
+        stairs_up: 8,
+        stairs_down: 9,
+        floor: 10, // 町の建物の床
+        lava_pool: 11, // 危険地帯（通行可能、乗っているとダメージ）
+        poison: 12,
+        mud: 13    // 危険地帯（通行可能、乗っていると遅くなる）
       },
       // オブジェクトタイル
       objects: {
@@ -198,7 +206,11 @@ class AssetManager {
         tree: 2,
         rock: 3,
         bush: 4,
-        crate: 5
+        crate: 5,
+        stalagmite: 6,
+        crystal: 7,
+        waypoint: 8,
+        quest_board: 9
       },
       // 壁タイル - 新規追加
       walls: {
@@ -206,7 +218,8 @@ class AssetManager {
         brick: 1,
         wood: 2,
         ice: 3,
-        metal: 4
+        metal: 4,
+        cave: 5
       }
     };
 
@@ -221,6 +234,13 @@ class AssetManager {
       'tile_stone': true,
       'tile_snow': true,
       'tile_lava': false,
+      'tile_cave': true,
+      'tile_stairs_up': true,
+      'tile_stairs_down': true,
+      'tile_floor': true,
+      'tile_lava_pool': true, // 危険地帯は通行可能（ダメージや減速はゲームロジックで処理）
+      'tile_poison': true,
+      'tile_mud': true,
 
       'tile_wall': false,
       'item_chest': false, // 通行不可（アイテム取得時に通行可能になる場合は、ゲームロジックで処理）
@@ -228,12 +248,17 @@ class AssetManager {
       'obstacle_rock': false,
       'obstacle_bush': false,
       'obstacle_crate': false,
+      'obstacle_stalagmite': false,
+      'obstacle_crystal': false,
+      'obstacle_waypoint': false,
+      'obstacle_quest_board': false,
 
       'wall_stone': false,
       'wall_brick': false,
       'wall_wood': false,
       'wall_ice': false,
-      'wall_metal': false
+      'wall_metal': false,
+      'wall_cave': false
     };
 
     // タイルマッピング（統合タイルセット用）
@@ -246,6 +271,13 @@ class AssetManager {
       'tile_stone': 4,
       'tile_snow': 5,
       'tile_lava': 6, // 通行不可
+      'tile_cave': 7,
+      'tile_stairs_up': 8,
+      'tile_stairs_down': 9,
+      'tile_floor': 10,
+      'tile_lava_pool': 11,
+      'tile_poison': 12,
+      'tile_mud': 13,
       
       // オブジェクトタイル
       'tile_wall': 0,
@@ -254,13 +286,18 @@ class AssetManager {
       'obstacle_rock': 3,
       'obstacle_bush': 4,
       'obstacle_crate': 5,
+      'obstacle_stalagmite': 6,
+      'obstacle_crystal': 7,
+      'obstacle_waypoint': 8,
+      'obstacle_quest_board': 9,
 
       // 壁タイル - 新規追加
       'wall_stone': 0,
       'wall_brick': 1,
       'wall_wood': 2,
       'wall_ice': 3,
-      'wall_metal': 4
+      'wall_metal': 4,
+      'wall_cave': 5
     };
     
     // アニメーションマッピング
@@ -324,7 +361,13 @@ class AssetManager {
       bgm: {
         main: 'bgm_main',
         battle: 'bgm_battle',
-        town: 'bgm_town'
+        town: 'bgm_town',
+        // フィールドのバイオームごとのBGM
+        forest: 'bgm_forest',
+        desert: 'bgm_desert',
+        tundra: 'bgm_tundra',
+        swamp: 'bgm_swamp',
+        volcanic: 'bgm_volcanic'
       },
       sfx: {
         attack: 'sfx_attack',
@@ -425,23 +468,12 @@ class AssetManager {
   /**
    * 高さ値から地形タイル情報を取得
    * @param {number} heightValue - 高さ値（0.0～1.0）
+   * @param {string|null} biome - フィールドのバイオーム（省略時は草原の対応で、低い順に水・草・土・石・雪）
    * @returns {Object} タイルセット情報（キーとインデックス）
    */
-  getTerrainFromHeight(heightValue) {
-    // 高さに基づいて地形タイプを決定
-    let terrainType;
-    
-    if (heightValue < 0.3) {
-      terrainType = 'water'; // 低い地形（水域）- 通行不可
-    } else if (heightValue < 0.5) {
-      terrainType = 'grass'; // 中程度の地形（草原）
-    } else if (heightValue < 0.7) {
-      terrainType = 'dirt';  // 中高地形（土）
-    } else if (heightValue < 0.85) {
-      terrainType = 'stone'; // 高地形（石）
-    } else {
-      terrainType = 'snow';  // 最高地（雪）
-    }
+  getTerrainFromHeight(heightValue, biome = null) {
+    // 高さとバイオームに基づいて地形タイプを決定（砂漠なら砂、火山なら溶岩など）
+    const terrainType = getBiomeTerrainType(heightValue, biome);
     
     // 地形タイプをMapLoaderの命名規則に合わせる
     const tileKey = `tile_${terrainType}`;
@@ -454,8 +486,10 @@ class AssetManager {
         index: terrainType === 'water' ? 0 : 
               terrainType === 'grass' ? 1 : 
               terrainType === 'dirt' ? 2 : 
+              terrainType === 'sand' ? 3 : 
               terrainType === 'stone' ? 4 : 
-              terrainType === 'snow' ? 5 : 1, // デフォルトは草
+              terrainType === 'snow' ? 5 : 
+              terrainType === 'lava' ? 6 : 1, // デフォルトは草
         type: terrainType,
         walkable: terrainType !== 'water' && terrainType !== 'lava'
       };
@@ -474,8 +508,10 @@ class AssetManager {
         index: terrainType === 'water' ? 0 : 
               terrainType === 'grass' ? 1 : 
               terrainType === 'dirt' ? 2 : 
+              terrainType === 'sand' ? 3 : 
               terrainType === 'stone' ? 4 : 
-              terrainType === 'snow' ? 5 : 1, // デフォルトは草
+              terrainType === 'snow' ? 5 : 
+              terrainType === 'lava' ? 6 : 1, // デフォルトは草
         type: terrainType,
         walkable: terrainType !== 'water' && terrainType !== 'lava'
       };
@@ -1722,7 +1758,12 @@ class AssetManager {
     const bgmList = [
       { key: 'bgm_main', type: 'bgm', subtype: 'main' },
       { key: 'bgm_battle', type: 'bgm', subtype: 'battle' },
-      { key: 'bgm_town', type: 'bgm', subtype: 'town' }
+      { key: 'bgm_town', type: 'bgm', subtype: 'town' },
+      { key: 'bgm_forest', type: 'bgm', subtype: 'forest' },
+      { key: 'bgm_desert', type: 'bgm', subtype: 'desert' },
+      { key: 'bgm_tundra', type: 'bgm', subtype: 'tundra' },
+      { key: 'bgm_swamp', type: 'bgm', subtype: 'swamp' },
+      { key: 'bgm_volcanic', type: 'bgm', subtype: 'volcanic' }
     ];
     
     // サウンドを生成
@@ -2078,12 +2119,13 @@ class AssetManager {
   /**
    * 特定の高さ値からテクスチャ情報を取得する
    * @param {number} heightValue - 高さ値（0.0～1.0）
+   * @param {string|null} biome - フィールドのバイオーム（統合タイルセットを使用する場合のみ反映）
    * @returns {Object} テクスチャキーとインデックスを含むオブジェクト
    */
-  getTextureFromHeight(heightValue) {
+  getTextureFromHeight(heightValue, biome = null) {
     // 統合タイルセットを使用する場合
     if (this.integratedTilesets) {
-      return this.getTerrainFromHeight(heightValue);
+      return this.getTerrainFromHeight(heightValue, biome);
     }
     
     // 従来の処理として残す（後方互換性のため）
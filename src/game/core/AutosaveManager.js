@@ -0,0 +1,205 @@
+// src/game/core/AutosaveManager.js
+import { SAVE_SLOTS } from './constants';
+import { Game } from './Game';
+import { GameSettings } from '../data/GameSettings';
+
+// オートセーブのきっかけ
+export const AUTOSAVE_TRIGGERS = {
+  MAP_TRANSITION: 'map-transition',
+  INTERVAL: 'interval',
+  BEFORE_BOSS: 'before-boss',
+  QUIT: 'quit'
+};
+
+// きっかけごとに参照する設定項目
+const TRIGGER_SETTINGS = {
+  [AUTOSAVE_TRIGGERS.MAP_TRANSITION]: 'onMapTransition',
+  [AUTOSAVE_TRIGGERS.BEFORE_BOSS]: 'beforeBossMap',
+  [AUTOSAVE_TRIGGERS.QUIT]: 'onQuit'
+};
+
+// 連続したオートセーブを間引く間隔（ミリ秒）
+const MIN_AUTOSAVE_GAP = 3000;
+
+/**
+ * オートセーブ用のスロットIDかどうか
+ * 以前の単一オートセーブスロット（'auto'）も含む
+ * @param {string} slot - スロットID
+ * @returns {boolean} オートセーブスロットならtrue
+ */
+export function isAutosaveSlot(slot) {
+  const id = String(slot);
+  return id === SAVE_SLOTS.AUTO_PREFIX || id.startsWith(`${SAVE_SLOTS.AUTO_PREFIX}-`);
+}
+
+/**
+ * n番目のオートセーブスロットIDを取得
+ * @param {number} index - 1から始まる番号
+ * @returns {string} スロットID
+ */
+export function getAutosaveSlot(index) {
+  return `${SAVE_SLOTS.AUTO_PREFIX}-${index}`;
+}
+
+/**
+ * オートセーブを管理するクラス
+ * 設定（GameSettings.autosave）に従って、マップ移動時・一定間隔・ボスマップ前・終了時に
+ * MainScene の状態をオートセーブ専用のスロットへローテーションしながら保存する
+ * 手動セーブのスロットには書き込まない（ハードコアキャラクターを除く）
+ */
+export class AutosaveManager {
+  /**
+   * @param {Phaser.Scene} scene - セーブデータを作成するシーン（MainScene）
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    // 一定間隔のオートセーブ用タイマー
+    this.intervalTimer = null;
+
+    // 保存中のPromise（同時に複数回書き込まないため）
+    this.pending = null;
+
+    // 最後にオートセーブした時刻
+    this.lastSavedAt = 0;
+  }
+
+  /**
+   * 現在のオートセーブ設定を取得
+   * @returns {Object} GameSettings.autosave
+   */
+  getPolicy() {
+    return GameSettings.getInstance().autosave;
+  }
+
+  /**
+   * 設定に従って一定間隔のオートセーブを開始する
+   * 設定変更後に呼び直すとタイマーを作り直す
+   */
+  start() {
+    this.stop();
+
+    const policy = this.getPolicy();
+    if (!policy.enabled || !(policy.intervalMinutes > 0)) return;
+
+    this.intervalTimer = this.scene.time.addEvent({
+      delay: policy.intervalMinutes * 60 * 1000,
+      loop: true,
+      callback: () => this.trigger(AUTOSAVE_TRIGGERS.INTERVAL)
+    });
+  }
+
+  /**
+   * 一定間隔のオートセーブを停止する
+   */
+  stop() {
+    if (this.intervalTimer) {
+      this.intervalTimer.remove();
+      this.intervalTimer = null;
+    }
+  }
+
+  /**
+   * きっかけに応じてオートセーブする（設定で無効なら何もしない）
+   * @param {string} reason - AUTOSAVE_TRIGGERS のいずれか
+   * @returns {Promise<boolean>} 保存した場合はtrue
+   */
+  async trigger(reason) {
+    const policy = this.getPolicy();
+    if (!policy.enabled) return false;
+
+    const settingKey = TRIGGER_SETTINGS[reason];
+    if (settingKey && !policy[settingKey]) return false;
+
+    // マップ移動直後の間隔セーブなど、短時間の重複は省く（終了時は必ず保存）
+    if (reason !== AUTOSAVE_TRIGGERS.QUIT && Date.now() - this.lastSavedAt < MIN_AUTOSAVE_GAP) {
+      return false;
+    }
+
+    return this.saveNow(reason);
+  }
+
+  /**
+   * 設定に関係なく直ちにオートセーブする
+   * @param {string} reason - ログ用のきっかけ
+   * @returns {Promise<boolean>} 保存した場合はtrue
+   */
+  async saveNow(reason = 'manual') {
+    // 保存中なら、その完了を待ってから保存し直す
+    if (this.pending) {
+      await this.pending.catch(() => {});
+    }
+
+    this.pending = this.writeAutosave(reason);
+    try {
+      return await this.pending;
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  /**
+   * オートセーブを書き込む
+   * @param {string} reason - ログ用のきっかけ
+   * @returns {Promise<boolean>} 保存した場合はtrue
+   */
+  async writeAutosave(reason) {
+    // 死亡したプレイヤーの状態は保存しない
+    if (this.scene.player && this.scene.player.isDead) return false;
+
+    try {
+      const saveData = this.scene.createSaveData();
+      if (!saveData) return false;
+
+      const slot = await this.selectSlot();
+      const saved = await Game.getInstance().saveGameData(slot, saveData);
+
+      if (saved) {
+        this.lastSavedAt = Date.now();
+        console.log(`Autosaved to slot ${slot} (${reason})`);
+        this.scene.events.emit('autosaved', { slot, reason });
+      }
+
+      return saved;
+    } catch (error) {
+      console.error('オートセーブに失敗しました:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 次に書き込むオートセーブスロットを選ぶ
+   * 空きスロットがあればそれを、なければ最も古いスロットを使う
+   * ハードコアキャラクターは死亡前の状態を残さないよう、キャラクターのスロットにだけ保存する
+   * @returns {Promise<string>} スロットID
+   */
+  async selectSlot() {
+    if (this.scene.gameData.hardcore && this.scene.saveSlot) {
+      return this.scene.saveSlot;
+    }
+
+    const slotCount = Math.max(1, this.getPolicy().slotCount || 1);
+    const saves = await Game.getInstance().getSaveSlots();
+
+    let oldestSlot = null;
+    let oldestSavedAt = Infinity;
+
+    for (let index = 1; index <= slotCount; index++) {
+      const slot = getAutosaveSlot(index);
+      const summary = saves.find(save => save.slot === slot);
+
+      if (!summary) return slot;
+
+      // 壊れたスロットは日時が不明なので最優先で上書きする
+      const savedAt = summary.savedAt || 0;
+      if (savedAt < oldestSavedAt) {
+        oldestSavedAt = savedAt;
+        oldestSlot = slot;
+      }
+    }
+
+    return oldestSlot;
+  }
+}
+
+export default AutosaveManager;
@@ -7,8 +7,21 @@ import MainScene from './scenes/MainScene';
 import GameOverScene from './scenes/GameOverScene';
 import PauseScene from './scenes/PauseScene';
 import UIScene from './scenes/UIScene';
+import SaveSlotScene from './scenes/SaveSlotScene';
+import PathfindingBenchmarkScene from './scenes/PathfindingBenchmarkScene';
 import { GAME_CONFIG, SCENES } from './constants';
 import { GameSettings } from '../data/GameSettings';
+import { AUTOSAVE_TRIGGERS } from './AutosaveManager';
+import { createSaveEnvelope, migrateSave, summarizeSave, SAVE_STATUS } from '../data/SaveFormat';
+import { createSaveStorage } from '../data/storage';
+import {
+  encodeSaveExport,
+  decodeSaveExport,
+  getExportFileName,
+  writeExportFile,
+  readExportFile
+} from '../data/SaveTransfer';
+import { PlayerStats } from '../data/PlayerStats';
 import SimplePlaceholderAssets from '../../debug/SimplePlaceholderAssets';
 
 /**
@@ -49,7 +62,9 @@ export class Game {
       MainScene.initialize(),
       GameOverScene.initialize(),
       PauseScene.initialize(),
-      UIScene.initialize()
+      UIScene.initialize(),
+      SaveSlotScene.initialize(),
+      PathfindingBenchmarkScene.initialize()
     ]);
 
     console.log("登録前:", MainMenuScene, OptionsMenuScene);
@@ -62,7 +77,9 @@ export class Game {
       [SCENES.GAME]: MainScene,
       [SCENES.GAME_OVER]: GameOverScene,
       [SCENES.PAUSE]: PauseScene,
-      [SCENES.UI]: UIScene
+      [SCENES.UI]: UIScene,
+      [SCENES.SAVE_SLOTS]: SaveSlotScene,
+      [SCENES.PATHFINDING_BENCHMARK]: PathfindingBenchmarkScene
     });
 
     console.log("登録後:", game.sceneHelper.registeredSceneClasses);
@@ -119,6 +136,13 @@ export class Game {
         window.addEventListener('resize', game.onResize.bind(game));
       }
       
+      // Electronの終了時にオートセーブ
+      if (typeof window !== 'undefined' && window.electronAPI && window.electronAPI.onBeforeQuit) {
+        window.electronAPI.onBeforeQuit(() => {
+          game.autosaveOnQuit().finally(() => window.electronAPI.quitAutosaveDone());
+        });
+      }
+      
       console.log('ゲームが初期化されました');
     }
     
@@ -146,6 +170,9 @@ export class Game {
     // ゲームインスタンス
     this.instance = null;
     
+    // セーブデータの保存先（初回アクセス時に実行環境に合わせて選択）
+    this.storage = null;
+    
     // シーン間でのデータ共有用
     this.registry = {
       playerData: null,
@@ -166,6 +193,23 @@ export class Game {
     }
   }
   
+  /**
+   * プレイ中であれば終了時のオートセーブを行う
+   * @returns {Promise<boolean>} 保存した場合はtrue
+   */
+  async autosaveOnQuit() {
+    if (!this.instance) return false;
+    
+    const mainScene = this.instance.scene.getScene(SCENES.GAME);
+    // ポーズ中（PauseScene表示中）もプレイ中として扱う
+    if (!mainScene || !mainScene.autosaveManager ||
+        !(mainScene.sys.isActive() || mainScene.sys.isPaused())) {
+      return false;
+    }
+    
+    return mainScene.autosaveManager.trigger(AUTOSAVE_TRIGGERS.QUIT);
+  }
+  
   /**
    * ウィンドウリサイズ時の処理
    */
@@ -298,21 +342,39 @@ export class Game {
     }
   }
   
+  /**
+   * セーブデータの保存先を取得する
+   * 未設定の場合は実行環境（Electron / IndexedDB / localStorage）に合わせて作成する
+   * @returns {SaveStorage|null} セーブストレージ
+   */
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createSaveStorage();
+    }
+    return this.storage;
+  }
+  
+  /**
+   * セーブデータの保存先を設定する
+   * @param {SaveStorage} storage - セーブストレージ
+   */
+  setStorage(storage) {
+    this.storage = storage;
+  }
+  
   /**
    * ゲームデータを保存する
+   * データはバージョン付きのセーブ封筒に包んで保存される
    * @param {string|number} slot - セーブスロット
    * @param {Object} data - 保存するゲームデータ
    * @returns {Promise<boolean>} 保存が成功したかどうかを返すPromise
    */
   async saveGameData(slot, data) {
     try {
-      const saveKey = `diablo-rpg-save-${slot}`;
-      const saveData = JSON.stringify({
-        ...data,
-        timestamp: Date.now()
-      });
+      const storage = this.getStorage();
+      if (!storage) return false;
       
-      localStorage.setItem(saveKey, saveData);
+      await storage.write(slot, JSON.stringify(createSaveEnvelope(data)));
       console.log(`Game saved to slot ${slot}`);
       return true;
     } catch (error) {
@@ -323,26 +385,207 @@ export class Game {
   
   /**
    * ゲームデータをロードする
+   * 古いバージョンのセーブは現在のバージョンまでマイグレーションされる
    * @param {string|number} slot - ロードするセーブスロット
-   * @returns {Promise<Object|null>} ロードしたゲームデータを返すPromise、データがない場合はnull
+   * @returns {Promise<Object>} { success, status, gameData, message } を返すPromise
+   *   status は SAVE_STATUS（ok / empty / too-new / corrupted / dead）のいずれか
    */
   async loadGameData(slot) {
     try {
-      const saveKey = `diablo-rpg-save-${slot}`;
-      const saveData = localStorage.getItem(saveKey);
+      const storage = this.getStorage();
+      const result = migrateSave(storage ? await storage.read(slot) : null);
       
-      if (!saveData) {
-        return null;
+      if (result.status !== SAVE_STATUS.OK) {
+        if (result.status !== SAVE_STATUS.EMPTY) {
+          console.warn(`Save slot ${slot} could not be loaded: ${result.message}`);
+        }
+        return { success: false, status: result.status, gameData: null, message: result.message };
       }
       
-      const parsedData = JSON.parse(saveData);
-      console.log(`Game loaded from slot ${slot}`);
-      return parsedData;
+      // 死亡したハードコアキャラクターは再開できない
+      if (this.isDeadHardcoreSave(result.data)) {
+        return {
+          success: false,
+          status: SAVE_STATUS.DEAD,
+          gameData: null,
+          message: 'This hardcore character has died and can no longer be played'
+        };
+      }
+      
+      console.log(`Game loaded from slot ${slot} (${result.message})`);
+      return { success: true, status: result.status, gameData: result.data, message: result.message };
     } catch (error) {
       console.error('Error loading game:', error);
-      return null;
+      return { success: false, status: SAVE_STATUS.CORRUPTED, gameData: null, message: error.message };
+    }
+  }
+  
+  /**
+   * 死亡したハードコアキャラクターのセーブかどうか
+   * 死亡前に保存・エクスポートしたセーブも、プレイ記録に死亡したランとして残っていれば対象になる
+   * @param {Object} saveData - マイグレーション済みのセーブデータ
+   * @returns {boolean} 再開できないセーブならtrue
+   */
+  isDeadHardcoreSave(saveData) {
+    const gameState = saveData.gameState || {};
+    if (gameState.dead) return true;
+    return !!gameState.hardcore && PlayerStats.getInstance().isHardcoreRunDead(gameState.runId);
+  }
+  
+  /**
+   * セーブスロットの一覧を取得する
+   * 読み込めないスロットも status 付きで一覧に含める
+   * @returns {Promise<Array>} スロット概要の配列（保存日時の新しい順）
+   */
+  async getSaveSlots() {
+    try {
+      const storage = this.getStorage();
+      if (!storage) return [];
+      
+      const slots = await storage.list();
+      const summaries = await Promise.all(slots.map(async slot => {
+        try {
+          return { slot, ...summarizeSave(await storage.read(slot)) };
+        } catch (error) {
+          // Electronでは本体とバックアップがすべて壊れているとスロットの読み込み自体が失敗する
+          // 他のスロットは表示できるよう、このスロットだけ壊れたスロットとして一覧に含める
+          console.warn(`Save slot ${slot} could not be read: ${error.message}`);
+          return { slot, ...summarizeSave(null), status: SAVE_STATUS.CORRUPTED, message: error.message };
+        }
+      }));
+      
+      return summaries.sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+    } catch (error) {
+      console.error('Error getting save slots:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * セーブデータを削除する
+   * @param {string|number} slot - 削除するセーブスロット
+   * @returns {Promise<boolean>} 削除できた場合はtrue
+   */
+  async deleteSaveData(slot) {
+    try {
+      const storage = this.getStorage();
+      if (!storage) return false;
+      
+      const deleted = await storage.remove(slot);
+      if (deleted) {
+        console.log(`Save slot ${slot} deleted`);
+      }
+      return deleted;
+    } catch (error) {
+      console.error('Error deleting save:', error);
+      return false;
     }
   }
+  
+  /**
+   * セーブデータを共有用のエクスポート文字列に変換する
+   * 読み込めないセーブはエクスポートしない
+   * @param {string|number} slot - エクスポートするセーブスロット
+   * @returns {Promise<Object>} { success, status, exportText, message }
+   */
+  async exportSaveData(slot) {
+    try {
+      const storage = this.getStorage();
+      const serialized = storage ? await storage.read(slot) : null;
+      const result = migrateSave(serialized);
+      
+      if (result.status !== SAVE_STATUS.OK) {
+        return { success: false, status: result.status, exportText: null, message: result.message };
+      }
+      
+      const exportText = await encodeSaveExport(serialized);
+      return { success: true, status: result.status, exportText, message: `Save slot ${slot} exported` };
+    } catch (error) {
+      console.error('Error exporting save:', error);
+      return { success: false, status: SAVE_STATUS.CORRUPTED, exportText: null, message: error.message };
+    }
+  }
+  
+  /**
+   * エクスポート文字列を検証してセーブスロットに取り込む
+   * loadGameData と同じ検証を通ったデータだけを、現在のバージョンで保存し直す
+   * @param {string|number} slot - 取り込み先のセーブスロット
+   * @param {string} exportText - エクスポート文字列
+   * @returns {Promise<Object>} { success, status, message }
+   */
+  async importSaveData(slot, exportText) {
+    try {
+      const result = await decodeSaveExport(exportText);
+      
+      if (result.status !== SAVE_STATUS.OK) {
+        console.warn(`Save import rejected: ${result.message}`);
+        return { success: false, status: result.status, message: result.message };
+      }
+      
+      // 死亡前のエクスポートを取り込んでハードコアキャラクターを生き返らせることはできない
+      if (this.isDeadHardcoreSave(result.data)) {
+        console.warn('Save import rejected: hardcore character has died');
+        return {
+          success: false,
+          status: SAVE_STATUS.DEAD,
+          message: 'This hardcore character has died and can no longer be imported'
+        };
+      }
+      
+      const saved = await this.saveGameData(slot, result.data);
+      return {
+        success: saved,
+        status: saved ? SAVE_STATUS.OK : SAVE_STATUS.CORRUPTED,
+        message: saved ? `Save imported to slot ${slot}` : `Failed to write slot ${slot}`
+      };
+    } catch (error) {
+      console.error('Error importing save:', error);
+      return { success: false, status: SAVE_STATUS.CORRUPTED, message: error.message };
+    }
+  }
+  
+  /**
+   * セーブスロットをファイルにエクスポートする
+   * Electronでは保存ダイアログ、ブラウザではダウンロード
+   * @param {string|number} slot - エクスポートするセーブスロット
+   * @returns {Promise<Object>} { success, canceled, message }
+   */
+  async exportSaveToFile(slot) {
+    const result = await this.exportSaveData(slot);
+    if (!result.success) {
+      return { success: false, canceled: false, message: result.message };
+    }
+    
+    try {
+      const written = await writeExportFile(getExportFileName(slot), result.exportText);
+      return { success: written, canceled: !written, message: result.message };
+    } catch (error) {
+      console.error('Error writing export file:', error);
+      return { success: false, canceled: false, message: error.message };
+    }
+  }
+  
+  /**
+   * ファイルを選択してセーブスロットにインポートする
+   * Electronではファイル選択ダイアログ、ブラウザではファイル入力
+   * @param {string|number} slot - 取り込み先のセーブスロット
+   * @returns {Promise<Object>} { success, canceled, status, message }
+   */
+  async importSaveFromFile(slot) {
+    let exportText;
+    try {
+      exportText = await readExportFile();
+    } catch (error) {
+      console.error('Error reading export file:', error);
+      return { success: false, canceled: false, status: SAVE_STATUS.CORRUPTED, message: error.message };
+    }
+    
+    if (exportText === null) {
+      return { success: false, canceled: true, status: null, message: 'Import canceled' };
+    }
+    
+    return { canceled: false, ...(await this.importSaveData(slot, exportText)) };
+  }
 }
 
 // アプリケーションのエントリーポイント（オプション）
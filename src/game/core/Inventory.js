@@ -1,3 +1,5 @@
+import { ItemType } from '../../constants/itemTypes';
+
 // Phaserを動的にロードするための変数とヘルパー関数
 let Phaser = null;
 async function loadPhaser() {
@@ -78,7 +80,7 @@ export default class Inventory {
     if (!item) return false;
     
     // ポーションの場合は特別処理
-    if (item.constructor.name === 'Potion') {
+    if (item.itemType === ItemType.potion) {
       return this.addPotion(item);
     }
     
@@ -238,9 +240,9 @@ export default class Inventory {
     return Array.from(uniqueItems);
   }
   
-  // 特定のタイプのアイテムを検索
+  // 特定のタイプ（ItemType の値）のアイテムを検索
   findItemsByType(type) {
-    return this.getAllItems().filter(item => item.constructor.name === type);
+    return this.getAllItems().filter(item => item.itemType === type);
   }
   
   // インベントリが満杯か確認
@@ -289,7 +291,7 @@ export default class Inventory {
     if (!item || !this.owner) return false;
     
     // 装備可能アイテムかチェック
-    if (item.constructor.name !== 'Equipment') {
+    if (item.itemType !== ItemType.equipment) {
       return false;
     }
     
@@ -468,7 +470,7 @@ export default class Inventory {
       
       if (itemX !== -1 && itemY !== -1) {
         itemData.push({
-          type: item.constructor.name,
+          type: item.itemType,
           uuid: item.uuid,
           x: itemX,
           y: itemY,
@@ -509,7 +511,7 @@ export default class Inventory {
     if (data.items && Array.isArray(data.items)) {
       for (const itemInfo of data.items) {
         const item = itemFactory.createItem({
-          type: itemInfo.type.toLowerCase(),
+          type: itemInfo.type,
           ...itemInfo.data
         });
         
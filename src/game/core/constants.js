@@ -12,7 +12,9 @@ export const SCENES = {
     GAME_OVER: 'GameOverScene',
     PAUSE: 'PauseScene',
     LOADING: 'LoadingScene',
-    UI: 'UIScene'
+    UI: 'UIScene',
+    SAVE_SLOTS: 'SaveSlotScene',
+    PATHFINDING_BENCHMARK: 'PathfindingBenchmarkScene'
   };
   
   /**
@@ -37,6 +39,18 @@ export const SCENES = {
     DEFAULT_MANA: 50
   };
   
+  /**
+   * マップの大きさ（タイル数）
+   * フィールドは新しいゲームの開始時に選んだ広さで生成し、それ以外のマップは標準の大きさで生成する
+   */
+  export const MAP_SIZE = 80;
+  
+  export const FIELD_SIZES = {
+    normal: { name: '標準', size: MAP_SIZE },
+    large: { name: '広い', size: 250 },
+    huge: { name: '広大', size: 500 }
+  };
+  
   /**
    * アイテムタイプの定数
    */
@@ -77,4 +91,13 @@ export const SCENES = {
     LEVEL_UP: 'level_up',
     QUEST_COMPLETE: 'quest_complete',
     ITEM_PICKUP: 'item_pickup'
-  };
\ No newline at end of file
+  };
+  
+  /**
+   * セーブスロットの定数
+   */
+  export const SAVE_SLOTS = {
+    // オートセーブスロットの接頭辞（auto-1, auto-2, ... をローテーション）
+    AUTO_PREFIX: 'auto',
+    MANUAL: ['1', '2', '3', '4', '5']
+  };
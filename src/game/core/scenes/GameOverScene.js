@@ -23,6 +23,7 @@ async function getSceneClass() {
 // シーンの初期化
 import { SCENES } from '../constants';
 import { PlayerStats } from '../../data/PlayerStats';
+import { CharacterClassType } from '../../../constants/characterTypes';
 
 // GameOverSceneのプロキシクラス
 export default class GameOverScene {
@@ -46,6 +47,7 @@ export default class GameOverScene {
       init(data) {
         // 前のシーンからのデータを受け取る
         this.gameData = data || {};
+        this.resultsShown = false;
         this.playerStats = PlayerStats.getInstance();
       }
     
@@ -58,6 +60,9 @@ export default class GameOverScene {
       }
     
       create() {
+        // ハードコアキャラクターの死亡時は墓標（メモリアル）画面を表示
+        const isHardcore = !!this.gameData.hardcore;
+        
         // BGMの停止と効果音の再生
         this.sound.stopAll();
         this.sound.play('gameover-sound', { volume: 0.7 });
@@ -77,10 +82,10 @@ export default class GameOverScene {
           .setAlpha(0);
         
         // ゲームオーバーテキスト（最初は透明）
-        const gameOverText = this.add.text(this.cameras.main.width / 2, this.cameras.main.height / 2 - 20, 'ゲームオーバー', {
+        const gameOverText = this.add.text(this.cameras.main.width / 2, this.cameras.main.height / 2 - 20, isHardcore ? '安らかに眠れ' : 'ゲームオーバー', {
           fontSize: '64px',
           fontFamily: 'Arial Black',
-          color: '#f00',
+          color: isHardcore ? '#ccc' : '#f00',
           stroke: '#000',
           strokeThickness: 8,
           shadow: { offsetX: 5, offsetY: 5, color: '#000', blur: 10, stroke: true, fill: true }
@@ -109,8 +114,7 @@ export default class GameOverScene {
                   ease: 'Power2',
                   onComplete: () => {
                     // 全てのアニメーション完了後にプレイヤー情報と選択肢を表示
-                    this.showPlayerStats();
-                    this.showOptions();
+                    this.showResults();
                   }
                 });
               }
@@ -125,8 +129,66 @@ export default class GameOverScene {
           bloodOverlay.setAlpha(0.7);
           skull.setAlpha(1).setScale(0.5);
           gameOverText.setAlpha(1);
+          this.showResults();
+        });
+      }
+      
+      /**
+       * 統計情報と選択肢を表示（一度だけ）
+       */
+      showResults() {
+        if (this.resultsShown) return;
+        this.resultsShown = true;
+        
+        if (this.gameData.hardcore) {
+          this.showMemorial();
+        } else {
           this.showPlayerStats();
           this.showOptions();
+        }
+      }
+      
+      /**
+       * ハードコアキャラクターの墓標を表示
+       * キャラクターは失われたため、リトライはできずメインメニューへ戻る選択肢のみ
+       */
+      showMemorial() {
+        const statsY = this.cameras.main.height / 2 + 50;
+        const statsX = this.cameras.main.width / 2;
+        const textStyle = {
+          fontSize: '22px',
+          fontFamily: 'Arial',
+          color: '#ddd',
+          stroke: '#000',
+          strokeThickness: 3
+        };
+        
+        const classType = CharacterClassType[this.gameData.playerClass];
+        const className = classType ? classType.name : '冒険者';
+        const name = this.playerStats.name || '名もなき英雄';
+        const level = this.gameData.level || this.playerStats.level || 1;
+        const deathReason = this.gameData.deathReason || 'モンスターの攻撃による';
+        
+        // 同じモードの記録の中で何人目の戦死者か
+        const fallenCount = this.playerStats.getHistory(true).length;
+        
+        const lines = [
+          `${name}  ―  ${className} Lv.${level}`,
+          `第${this.gameData.currentLevel || 1}階層にて力尽きる（${deathReason}死）`,
+          `生存時間: ${this.formatPlayTime(this.gameData.playTime || 0)}  /  撃破数: ${this.gameData.kills || 0}`,
+          `ハードコアの戦死者 ${fallenCount} 人目 ― このキャラクターは二度と蘇らない`
+        ];
+        
+        lines.forEach((line, index) => {
+          this.add.text(statsX, statsY + index * 36, line, {
+            ...textStyle,
+            color: index === lines.length - 1 ? '#aa8866' : textStyle.color
+          }).setOrigin(0.5);
+        });
+        
+        this.createButton(statsX, this.cameras.main.height - 80, 'メインメニューへ', () => {
+          this.scene.stop(SCENES.GAME);
+          this.scene.start(SCENES.MAIN_MENU);
         });
       }
       
@@ -72,12 +72,23 @@ export default class LoadingScene {
       { key: 'tile_snow', path: 'assets/images/tiles/tile_snow.png' },
       { key: 'tile_sand', path: 'assets/images/tiles/tile_sand.png' },
       { key: 'tile_lava', path: 'assets/images/tiles/tile_lava.png' },
+      { key: 'tile_cave', path: 'assets/images/tiles/tile_cave.png' },
+      { key: 'tile_stairs_up', path: 'assets/images/tiles/tile_stairs_up.png' },
+      { key: 'tile_stairs_down', path: 'assets/images/tiles/tile_stairs_down.png' },
+      { key: 'tile_floor', path: 'assets/images/tiles/tile_floor.png' },
+      { key: 'tile_lava_pool', path: 'assets/images/tiles/tile_lava_pool.png' },
+      { key: 'tile_poison', path: 'assets/images/tiles/tile_poison.png' },
+      { key: 'tile_mud', path: 'assets/images/tiles/tile_mud.png' },
       
       // 障害物
       { key: 'obstacle_tree', path: 'assets/images/tiles/obstacle_tree.png' },
       { key: 'obstacle_rock', path: 'assets/images/tiles/obstacle_rock.png' },
       { key: 'obstacle_bush', path: 'assets/images/tiles/obstacle_bush.png' },
       { key: 'obstacle_crate', path: 'assets/images/tiles/obstacle_crate.png' },
+      { key: 'obstacle_stalagmite', path: 'assets/images/tiles/obstacle_stalagmite.png' },
+      { key: 'obstacle_crystal', path: 'assets/images/tiles/obstacle_crystal.png' },
+      { key: 'obstacle_waypoint', path: 'assets/images/tiles/obstacle_waypoint.png' },
+      { key: 'obstacle_quest_board', path: 'assets/images/tiles/obstacle_quest_board.png' },
       
       // アイテム
       { key: 'item_potion_health', path: 'assets/images/items/item_potion_health.png' },
@@ -147,6 +158,11 @@ export default class LoadingScene {
       { key: 'bgm_main', path: 'assets/audio/bgm_main.mp3' },
       { key: 'bgm_battle', path: 'assets/audio/bgm_battle.mp3' },
       { key: 'bgm_town', path: 'assets/audio/bgm_town.mp3' },
+      { key: 'bgm_forest', path: 'assets/audio/bgm_forest.mp3' },
+      { key: 'bgm_desert', path: 'assets/audio/bgm_desert.mp3' },
+      { key: 'bgm_tundra', path: 'assets/audio/bgm_tundra.mp3' },
+      { key: 'bgm_swamp', path: 'assets/audio/bgm_swamp.mp3' },
+      { key: 'bgm_volcanic', path: 'assets/audio/bgm_volcanic.mp3' },
       { key: 'sfx_attack', path: 'assets/audio/sfx_attack.mp3' },
       { key: 'sfx_spell', path: 'assets/audio/sfx_spell.mp3' },
       { key: 'sfx_item', path: 'assets/audio/sfx_item.mp3' },
@@ -21,6 +21,8 @@ async function getSceneClass() {
 }
 
 import { SCENES } from '../constants';
+import { Game } from '../Game';
+import { SAVE_STATUS } from '../../data/SaveFormat';
 import SimplePlaceholderAssets  from '../../../debug/SimplePlaceholderAssets';
 import AudioPlaceholders from '../../../debug/AudioPlaceholders';
 
@@ -40,6 +42,9 @@ export default class MainMenuScene {
     class MainMenuSceneImpl extends Scene {
       constructor() {
         super({ key: SCENES.MAIN_MENU });
+        
+        // 「つづきから」で読み込むセーブ
+        this.latestSave = null;
       }
     
       preload() {
@@ -99,26 +104,44 @@ export default class MainMenuScene {
         }).setOrigin(0.5);
         
         // メニューボタンの作成
-        const buttonStartGame = this.createButton(this.cameras.main.width / 2, 350, 'ゲームスタート', () => {
-          this.scene.start(SCENES.GAME);
+        // 「つづきから」はセーブデータの確認が終わるまで無効
+        this.buttonContinue = this.createButton(this.cameras.main.width / 2, 320, 'つづきから', () => {
+          this.continueGame();
+        });
+        this.setButtonEnabled(this.buttonContinue, false);
+        
+        const buttonStartGame = this.createButton(this.cameras.main.width / 2, 380, 'ゲームスタート', () => {
+          this.scene.start(SCENES.SAVE_SLOTS, { mode: 'new' });
         });
         
-        const buttonOptions = this.createButton(this.cameras.main.width / 2, 420, 'オプション', () => {
+        const buttonLoad = this.createButton(this.cameras.main.width / 2, 440, 'ロード', () => {
+          this.scene.start(SCENES.SAVE_SLOTS, { mode: 'load' });
+        });
+        
+        const buttonOptions = this.createButton(this.cameras.main.width / 2, 500, 'オプション', () => {
           this.scene.start(SCENES.OPTIONS_MENU);
         });
         
-        const buttonCredits = this.createButton(this.cameras.main.width / 2, 490, 'クレジット', () => {
+        const buttonCredits = this.createButton(this.cameras.main.width / 2, 560, 'クレジット', () => {
           // クレジット表示ロジック
           console.log('クレジット表示');
         });
         
-        const buttonExit = this.createButton(this.cameras.main.width / 2, 560, 'ゲーム終了', () => {
+        const buttonExit = this.createButton(this.cameras.main.width / 2, 620, 'ゲーム終了', () => {
           // ゲーム終了ロジック（ブラウザゲームでは実装制限あり）
           if (window.confirm('ゲームを終了しますか？')) {
             window.close(); // ブラウザ環境では制限がある場合があります
           }
         });
         
+        // 最新のセーブデータを確認して「つづきから」を有効化
+        this.findLatestSave().then(latest => {
+          this.latestSave = latest;
+          if (latest && this.sys.isActive()) {
+            this.setButtonEnabled(this.buttonContinue, true);
+          }
+        });
+        
         // デバッグモードかどうかを判定
         const isDebugMode = window.location.search.includes('debug=true');
         
@@ -136,6 +159,45 @@ export default class MainMenuScene {
         }
       }
       
+      /**
+       * 読み込み可能なセーブのうち最も新しいものを取得
+       * @returns {Promise<Object|null>} スロットの概要（セーブがなければnull）
+       */
+      async findLatestSave() {
+        const saves = await Game.getInstance().getSaveSlots();
+        
+        // getSaveSlots() は保存日時の新しい順（死亡したハードコアキャラクターは除く）
+        return saves.find(save => save.status === SAVE_STATUS.OK && !save.dead) || null;
+      }
+      
+      /**
+       * 最新のセーブからゲームを再開
+       */
+      async continueGame() {
+        if (!this.latestSave) return;
+        
+        const slot = this.latestSave.slot;
+        const result = await Game.getInstance().loadGameData(slot);
+        
+        if (!result.success) {
+          window.alert(`セーブデータを読み込めませんでした。\n${result.message}`);
+          return;
+        }
+        
+        this.scene.start(SCENES.GAME, { saveData: result.gameData, saveSlot: slot });
+      }
+      
+      /**
+       * ボタンの有効/無効を切り替える
+       * @param {Object} buttonObj - createButton() の戻り値
+       * @param {boolean} enabled - 有効にするかどうか
+       */
+      setButtonEnabled(buttonObj, enabled) {
+        buttonObj.enabled = enabled;
+        buttonObj.button.setAlpha(enabled ? 1 : 0.4);
+        buttonObj.text.setAlpha(enabled ? 1 : 0.4);
+      }
+      
       createButton(x, y, text, callback) {
         const button = this.add.image(x, y, 'button-normal')
           .setInteractive()
@@ -151,7 +213,11 @@ export default class MainMenuScene {
         // デバッグモード判定
         const isDebugMode = window.location.search.includes('debug=true');
         
+        const buttonObj = { button, text: buttonText, enabled: true };
+        
         button.on('pointerover', () => {
+          if (!buttonObj.enabled) return;
+          
           button.setTexture('button-hover');
           
           // ホバー音（デバッグモード時はスキップ）
@@ -169,6 +235,8 @@ export default class MainMenuScene {
         });
         
         button.on('pointerdown', () => {
+          if (!buttonObj.enabled) return;
+          
           // クリック音（デバッグモード時はスキップ）
           if (!isDebugMode && this.sound && this.sound.play) {
             try {
@@ -181,7 +249,7 @@ export default class MainMenuScene {
           callback();
         });
         
-        return { button, text: buttonText };
+        return buttonObj;
       }
       
       update() {
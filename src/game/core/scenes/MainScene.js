@@ -28,6 +28,10 @@ async function getPhaserMath() {
 
 import TopDownMap from '../../map/TopDownMap';
 import MapGenerator from '../../map/generator';
+import { loadPrefabs } from '../../map/generator/VaultPrefabs';
+import { getBiome } from '../../map/generator/Biomes';
+import { summarizePerformance } from '../../map/generator/MapTuning';
+import { loadHandmadeMaps, serializeTiledMap } from '../../map/tiled/TiledMap';
 import CharacterFactory from '../../factories/CharacterFactory';
 import ItemFactory from '../../factories/ItemFactory';
 import ActionFactory from '../../factories/ActionFactory';
@@ -36,12 +40,16 @@ import { PlayerStats } from '../../data/PlayerStats';
 import { Game } from '../../core/Game';
 import Debug from '../../../debug';
 import { generatePlayerStats } from '../../../debug/DebugUtils';
-import { SCENES } from '../constants';
+import { SCENES, MAP_SIZE, FIELD_SIZES } from '../constants';
+import { AutosaveManager, AUTOSAVE_TRIGGERS, isAutosaveSlot } from '../AutosaveManager';
+import { deriveSeed, forkRandom, generateRunSeed, normalizeSeed } from '../../../utils/seededRandom';
+import { v4 as uuidv4 } from 'uuid';
 import AssetManager from '../AssetManager';
 
 // ActionSystemのインポート
 import ActionSystem from '../../actions/ActionSystem';
 import MapLoader from '../../../debug/MapLoader';
+import { writeExportFile } from '../../data/SaveTransfer';
 
 /**
  * マップデータの妥当性をチェックする関数
@@ -184,6 +192,9 @@ export default class MainScene {
         this.topDownMap = null; // isometricMapからtopDownMapに変更
         this.mapGenerator = null;
         
+        // Tiled で作った手作りのマップ（マップタイプごと）
+        this.handmadeMaps = {};
+        
         // ファクトリーのインスタンス
         this.characterFactory = null;
         this.itemFactory = null;
@@ -193,21 +204,128 @@ export default class MainScene {
         this.actionSystem = null;
         
         // ゲームデータ
-        this.gameData = {
-          currentLevel: 1,
-          difficulty: 'normal' // 'normal', 'nightmare', 'hell'
-        };
+        this.gameData = this.createDefaultGameData();
         
         // スキルツリーマネージャー
         this.skillTreeManager = null;
         
         // 現在のマップタイプ
         this.currentMapType = 'field';
+        
+        // セーブデータから復元するワールド（新規ゲームならnull）
+        this.savedWorld = null;
+        
+        // 以前のセーブに保存されていた、今いるフロアのレイアウト（シードから作り直したフロアならnull）
+        this.savedLayout = null;
+        
+        // 訪れたことのある現在以外のフロア（フロアレベルをキーに、マップのレイアウトと状態を保持）
+        this.floors = {};
+        
+        // 到着した階段（一度降りるまでは階段を使わない）
+        this.stairsLock = null;
+        
+        // フロア移動中かどうか
+        this.isChangingFloor = false;
+        
+        // 画面全体の色合い（バイオームの雰囲気）を付けるオーバーレイと、再生中のBGMのサブタイプ
+        this.ambientOverlay = null;
+        this.currentBgm = null;
+        
+        // 新しく生成したフロアでのプレイ結果の集計（マップ生成の調整モデルの学習データになる）
+        this.floorTracking = null;
+        
+        // 手動セーブの保存先スロット（nullならオートセーブスロットに保存）
+        this.saveSlot = null;
+        
+        // スロットを選んで新しく始めたゲームかどうか
+        this.isNewGame = false;
+        
+        // オートセーブマネージャー
+        this.autosaveManager = null;
       }
       
+      /**
+       * 新しいゲームのゲームデータ
+       * @returns {Object} ゲームデータ
+       */
+      createDefaultGameData() {
+        return {
+          currentLevel: 1,
+          difficulty: 'normal' // 'normal', 'nightmare', 'hell'
+        };
+      }
+
       init(data) {
+        this.isNewGame = !!data.isNewGame;
+        
         // 前のシーンからのデータ受け取り
-        this.gameData = data.gameData || this.gameData;
+        // 新しいゲームは、前にプレイ・ロードしたキャラクターやフロアを引き継がないよう初期状態から始める
+        if (this.isNewGame) {
+          this.gameData = this.createDefaultGameData();
+          PlayerStats.getInstance().reset();
+        } else {
+          this.gameData = data.gameData || this.gameData;
+        }
+        
+        // 手動セーブの保存先スロット
+        this.saveSlot = data.saveSlot && !isAutosaveSlot(data.saveSlot) ? data.saveSlot : null;
+        
+        // ハードコア（パーマデス）モードは新しいゲームの開始時に選ぶ
+        if (this.isNewGame) {
+          this.gameData.hardcore = !!data.hardcore;
+          this.gameData.runId = null;
+          
+          // フィールドの広さも新しいゲームの開始時に選ぶ（同じシードでも広さが違えば別のマップになる）
+          this.gameData.fieldSize = FIELD_SIZES[data.fieldSize] ? data.fieldSize : 'normal';
+        }
+        
+        // ランのシード（マップ・配置・ドロップの乱数はすべてここから派生する）
+        // 新しいランでは入力されたシードを使い、なければランダムに決める
+        const hasSeed = data.seed !== undefined && data.seed !== null && data.seed !== '';
+        this.gameData.runSeed = hasSeed ? normalizeSeed(data.seed) : generateRunSeed();
+        
+        // シードを入力したランはマップ生成を調整しない（同じシードなら誰がプレイしても同じマップにする）
+        this.gameData.seededRun = hasSeed;
+        
+        // セーブデータからの再開
+        this.savedWorld = null;
+        this.savedLayout = null;
+        this.floors = {};
+        this.stairsLock = null;
+        this.isChangingFloor = false;
+        this.ambientOverlay = null;
+        this.currentBgm = null;
+        this.floorTracking = null;
+        if (data.saveData) {
+          const { playerData, gameState, world } = data.saveData;
+          
+          this.gameData = { ...this.gameData, ...gameState };
+          
+          // オートセーブから再開した場合は、元の手動スロットに保存を続ける
+          if (!this.saveSlot && gameState && gameState.manualSlot) {
+            this.saveSlot = gameState.manualSlot;
+          }
+          
+          if (playerData) {
+            PlayerStats.getInstance().loadFromData(playerData);
+          }
+          
+          this.savedWorld = world || null;
+          this.floors = world && world.floors ? { ...world.floors } : {};
+          
+          // ランのシードがない古いセーブは、保存されていたマップのシードを引き継ぐ
+          if (!gameState || gameState.runSeed === undefined) {
+            this.gameData.runSeed = world && world.seed !== undefined
+              ? normalizeSeed(world.seed)
+              : generateRunSeed();
+          }
+        }
+        
+        // ランID（ハードコアキャラクターが死亡したランを、死亡前のエクスポートから取り込めないようにする）
+        // ランIDがない古いセーブは、再開したときに振る
+        if (!this.gameData.runId) {
+          this.gameData.runId = uuidv4();
+        }
         
         // AssetManagerを現在のシーンで更新
         AssetManager.updateScene(this);
@@ -242,28 +360,50 @@ export default class MainScene {
         // MapLoaderを明示的に初期化
         MapLoader.initialize(this);
         
-        // マップジェネレーターの作成（そのまま）
+        // マップジェネレーターの作成（復元時は保存されたシードを使用）
+        // ダンジョンに埋め込むヴォルトのプレハブは public/data/prefabs から読み込む
         this.mapGenerator = new MapGenerator({
-          width: 80,
-          height: 80,
-          seed: Date.now(),
-          difficultyLevel: this.gameData.difficulty
+          width: MAP_SIZE,
+          height: MAP_SIZE,
+          seed: this.gameData.runSeed,
+          difficultyLevel: this.gameData.difficulty,
+          prefabs: await loadPrefabs()
         });
         
+        // 学習済みのマップ生成の調整モデルを読み込む（なければ既定の設定で生成する）
+        await this.mapGenerator.initializeTensorFlowModel();
+        
+        // Tiled で作った町やアリーナを public/data/maps から読み込む
+        this.handmadeMaps = await loadHandmadeMaps();
+        
         // TopDownMapの作成（タイルサイズを32x32に変更）
         this.topDownMap = new TopDownMap({
           scene: this,
           tileSize: 32 // 正方形のタイルサイズに変更
         });
         
-        // マップの生成
-        await this.generateMap();
+        // マップの生成（セーブデータがあれば保存時の状態を復元）
+        if (this.savedWorld) {
+          await this.restoreMap(this.savedWorld);
+        } else {
+          await this.generateMap();
+        }
         
         // プレイヤーの作成
-        this.createPlayer();
+        this.createPlayer(this.savedWorld ? this.savedWorld.playerPosition : null);
+        
+        // フロアの変性をプレイヤーに適用（UIへの表示は UIScene の作成時に行う）
+        this.applyMapModifiers();
+        
+        // 開始位置が階段の上でも、そのまま別のフロアへ移動しないようにする
+        this.lockStairsAtPlayer();
         
         // コンパニオンの作成（オプション）
-        if (this.gameData.hasCompanion) {
+        if (this.savedWorld && this.savedWorld.companions) {
+          for (const companionState of this.savedWorld.companions) {
+            this.createCompanion(companionState);
+          }
+        } else if (this.gameData.hasCompanion) {
           this.createCompanion();
         }
         
@@ -282,6 +422,20 @@ export default class MainScene {
         // ゲーム開始イベント
         this.events.emit('game-started', this.gameData);
         
+        // オートセーブの開始（シーン終了時に停止）
+        this.autosaveManager = new AutosaveManager(this);
+        this.autosaveManager.start();
+        this.events.once('shutdown', () => {
+          this.autosaveManager.stop();
+          AssetManager.stopBGM();
+        });
+        
+        // 新しいゲームは開始時点で選択したスロットに保存（既存のセーブを上書き）
+        if (this.isNewGame) {
+          this.isNewGame = false;
+          this.saveGame();
+        }
+        
          // デバッグモードの初期化
         if (this.isDebugMode) {
 
@@ -331,18 +485,16 @@ export default class MainScene {
               width: this.topDownMap.width,
               height: this.topDownMap.height,
               tileSize: this.topDownMap.tileSize,
-              groundLayer: this.topDownMap.groundLayer ? 'loaded' : 'missing',
-              objectLayer: this.topDownMap.objectLayer ? 'loaded' : 'missing',
-              entities: this.topDownMap.entities.length
+              loadedChunks: this.topDownMap.chunks.size,
+              entities: this.topDownMap.entities.length,
+              activeEntities: this.topDownMap.activeEntities ? this.topDownMap.activeEntities.size : 'all'
             });
             
-            // マップのタイル数を表示
-            if (this.topDownMap.groundLayer) {
-              const tileCount = this.topDownMap.groundLayer.tilemap.layers.reduce((count, layer) => {
-                return count + layer.data.reduce((c, row) => c + row.filter(tile => tile.index !== -1).length, 0);
-              }, 0);
-              console.log(`🗺️ マップタイル数: ${tileCount}`);
-            }
+            // 読み込み済みのチャンクのタイル数を表示
+            const tileCount = this.topDownMap.map.layers.reduce((count, layer) => {
+              return count + layer.data.reduce((c, row) => c + row.filter(tile => tile.index !== -1).length, 0);
+            }, 0);
+            console.log(`🗺️ マップタイル数: ${tileCount}`);
           }
           
           // 追加敵の生成（デバッグ用）
@@ -373,6 +525,8 @@ export default class MainScene {
         // プレイヤーの更新
         if (this.player) {
           this.player.update(time, delta);
+          this.checkStairs();
+          this.trackFloorDamage();
         }
         
         // コンパニオンの更新
@@ -401,8 +555,14 @@ export default class MainScene {
           // 進行度に応じてマップタイプを決定
           this.selectMapType();
           
-          // マップを生成
-          const mapData = await this.mapGenerator.generateMap(this.currentMapType);
+          // 最近のプレイ結果から生成パラメータを調整する
+          await this.applyMapTuning();
+          this.applyMapSize(this.currentMapType);
+          
+          // 手作りのマップがあるマップタイプはそれを使い、なければ生成する
+          // フロアごとのシードを使うため、同じランの同じフロアは必ず同じマップになる
+          const mapData = this.createHandmadeMap() ||
+            await this.mapGenerator.generateMap(this.currentMapType, this.getFloorSeed(), this.getStairsOptions());
           
           // 生成したマップをTopDownMapに設定
           this.topDownMap.setMapData(mapData);
@@ -410,6 +570,12 @@ export default class MainScene {
           // オブジェクトを配置
           this.topDownMap.placeObjects();
           
+          // マップに合わせて色合いとBGMを切り替える
+          this.applyMapAmbience();
+          
+          // このフロアでのプレイ結果の集計を始める
+          this.startFloorTracking();
+          
           // マップの境界をカメラに設定
           /*if (this.topDownMap.map) {
             const mapWidthInPixels = this.topDownMap.width * this.topDownMap.tileSize;
@@ -426,50 +592,343 @@ export default class MainScene {
         }
       }
       
+      /**
+       * セーブデータからマップを復元
+       * マップはシードと、生成したときの大きさ・生成パラメータから作り直し（生成は同じシードなら必ず同じになる）、
+       * 撃破済みの敵・開封済みの宝箱・破壊済みの障害物・地面のアイテムを保存時の状態に戻す
+       * レイアウトを保存していた以前のセーブは、保存されたレイアウトをそのまま使う
+       * @param {Object} world - セーブデータのworld
+       * @returns {Promise<boolean>} 成功したかどうか
+       */
+      async restoreMap(world) {
+        try {
+          this.currentMapType = world.mapType;
+          
+          let mapData = world.layout;
+          if (!mapData) {
+            // 大きさや生成パラメータがないセーブは、今の設定で作り直す
+            if (world.width && world.height) {
+              this.mapGenerator.setMapSize(world.width, world.height);
+            } else {
+              this.applyMapSize(world.mapType);
+            }
+            this.mapGenerator.setTuning(world.parameters || {});
+            
+            mapData = this.createHandmadeMap() ||
+              await this.mapGenerator.generateMap(
+                world.mapType,
+                world.seed !== undefined ? world.seed : this.getFloorSeed(),
+                this.getStairsOptions()
+              );
+          }
+          
+          // 保存されていたレイアウトは、今のマップ生成で作り直すと変わりうるため、次のセーブでもレイアウトを残す
+          this.savedLayout = world.layout || null;
+          
+          // 階段が追加される前のセーブのレイアウトには、ここで階段を配置する
+          if (!mapData.stairs) {
+            mapData.stairs = this.mapGenerator.placeStairs(mapData, this.getStairsOptions());
+          }
+          
+          this.topDownMap.setMapData(mapData, world.state);
+          this.topDownMap.placeObjects();
+          this.topDownMap.restoreGroundItems(world.state ? world.state.groundItems : []);
+          this.applyMapAmbience();
+          
+          // 途中から再開したフロアは、かかった時間や被ダメージが分からないため集計しない
+          this.floorTracking = null;
+          
+          console.log(`Map restored: ${this.currentMapType}, Size: ${this.topDownMap.width}x${this.topDownMap.height}`);
+          
+          return true;
+        } catch (error) {
+          console.error('Map restore failed:', error);
+          return this.generateMap();
+        }
+      }
+      
+      /**
+       * 現在のマップタイプの手作りのマップから、フロアのマップを作る
+       * 選ぶマップはフロアのシードで決まる。必要な階段が置かれていなければ自動で配置する
+       * @param {number} level - フロアレベル（省略時は現在のフロア）
+       * @returns {Object|null} マップデータ（手作りのマップがなければnull）
+       */
+      createHandmadeMap(level = this.gameData.currentLevel) {
+        const candidates = this.handmadeMaps[this.currentMapType];
+        if (!candidates || candidates.length === 0) return null;
+        
+        // 重みに従って選ぶ
+        const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+        let roll = forkRandom(this.gameData.runSeed, 'handmade-map', level)() * totalWeight;
+        const entry = candidates.find(candidate => (roll -= candidate.weight) < 0) || candidates[candidates.length - 1];
+        
+        // 同じマップを複数のフロアで使うため、フロアごとに複製する
+        const mapData = JSON.parse(JSON.stringify(entry.mapData));
+        mapData.seed = this.getFloorSeed(level);
+        mapData.difficulty = this.gameData.difficulty;
+        
+        const stairsOptions = this.getStairsOptions(level);
+        const authored = mapData.stairs || {};
+        if ((stairsOptions.up && !authored.up) || (stairsOptions.down && !authored.down)) {
+          mapData.stairs = this.mapGenerator.placeStairs(mapData, stairsOptions);
+        } else {
+          mapData.stairs = {
+            up: stairsOptions.up ? authored.up : null,
+            down: stairsOptions.down ? authored.down : null
+          };
+        }
+        
+        console.log(`Handmade map used: ${entry.id} (${entry.file})`);
+        return mapData;
+      }
+      
+      /**
+       * 現在のマップを Tiled で編集できるファイル（.tmj）として書き出す
+       * @returns {Promise<boolean>} 保存した場合はtrue
+       */
+      async exportMapAsTiled() {
+        const mapData = this.topDownMap ? this.topDownMap.mapData : null;
+        if (!mapData) return false;
+        
+        try {
+          return await writeExportFile(`${mapData.type}-${mapData.seed}.tmj`, serializeTiledMap(mapData));
+        } catch (error) {
+          console.error('Failed to export map as Tiled file:', error);
+          return false;
+        }
+      }
+      
+      /**
+       * 現在のマップに合わせて画面の色合いとBGMを切り替える
+       * フィールドはバイオームの色合いとBGM、町は町のBGM、それ以外はメインのBGMを使う
+       */
+      applyMapAmbience() {
+        const mapData = this.topDownMap.mapData;
+        const biome = mapData.type === 'field' ? getBiome(mapData.biome) : null;
+        const tint = biome ? biome.tint : 0xffffff;
+        
+        // カメラに固定した矩形を乗算で重ねて、キャラクターも含めた画面全体に色を付ける
+        if (!this.ambientOverlay) {
+          this.ambientOverlay = this.add.rectangle(0, 0, this.scale.width, this.scale.height, 0xffffff)
+            .setOrigin(0, 0)
+            .setScrollFactor(0)
+            .setBlendMode('MULTIPLY')
+            .setDepth(900);
+        }
+        this.ambientOverlay.setFillStyle(tint);
+        this.ambientOverlay.setVisible(tint !== 0xffffff);
+        
+        // 同じBGMが続く場合は最初から再生し直さない
+        const bgm = biome ? biome.bgm : (mapData.type === 'town' ? 'town' : 'main');
+        if (bgm !== this.currentBgm) {
+          this.currentBgm = bgm;
+          AssetManager.playBGM(bgm, { fade: true });
+        }
+      }
+      
+      /**
+       * 現在のフロアの変性（ライフが自然回復しないなど）をプレイヤーに適用する
+       * 敵と宝箱への効果は TopDownMap が配置するときに適用する
+       */
+      applyMapModifiers() {
+        if (this.player && this.player.applyMapModifiers) {
+          this.player.applyMapModifiers(this.topDownMap.modifierEffects);
+        }
+      }
+      
+      /**
+       * 調整モデルの予測した生成パラメータをマップジェネレーターに設定する
+       * 同じ難易度の最近のフロアの結果を入力にする（モデルがなければ既定の設定に戻る）
+       * シードを入力したランでは、手元のプレイ結果でマップが変わらないよう調整しない
+       */
+      async applyMapTuning() {
+        if (this.gameData.seededRun) {
+          this.mapGenerator.setTuning({});
+          return;
+        }
+        
+        const { difficulty, currentLevel } = this.gameData;
+        const outcomes = PlayerStats.getInstance().getFloorOutcomes(difficulty);
+        
+        this.mapGenerator.setTuning(await this.mapGenerator.predictGenerationParameters({
+          level: currentLevel,
+          maxLevel: this.getMaxLevel(),
+          performance: summarizePerformance(outcomes)
+        }));
+      }
+      
+      /**
+       * マップタイプに合わせた大きさをマップジェネレーターに設定する
+       * フィールドは新しいゲームの開始時に選んだ広さ（選ぶ前のセーブは標準）、それ以外は標準の大きさ
+       * @param {string} mapType - マップタイプ
+       */
+      applyMapSize(mapType) {
+        const fieldSize = FIELD_SIZES[this.gameData.fieldSize] || FIELD_SIZES.normal;
+        const size = mapType === 'field' ? fieldSize.size : MAP_SIZE;
+        this.mapGenerator.setMapSize(size, size);
+      }
+      
+      /**
+       * 現在のフロアでのプレイ結果の集計を始める
+       */
+      startFloorTracking() {
+        this.floorTracking = {
+          startedAt: this.time.now,
+          damageTaken: 0,
+          lastLife: this.player ? this.player.life : null,
+          kills: PlayerStats.getInstance().kills
+        };
+      }
+      
+      /**
+       * プレイヤーのライフの減少を、最大ライフに対する割合で被ダメージとして加算する
+       */
+      trackFloorDamage() {
+        const tracking = this.floorTracking;
+        if (!tracking) return;
+        
+        const { life, maxLife } = this.player;
+        if (tracking.lastLife !== null && life < tracking.lastLife && maxLife > 0) {
+          tracking.damageTaken += (tracking.lastLife - life) / maxLife;
+        }
+        tracking.lastLife = life;
+      }
+      
+      /**
+       * 現在のフロアの結果を記録する（階段を降りたとき、または死亡したときに呼ぶ）
+       * @param {Object} result - { died: 死亡したかどうか }
+       * @returns {Object|null} 記録した結果（集計していないフロアならnull）
+       */
+      recordFloorOutcome({ died = false } = {}) {
+        const tracking = this.floorTracking;
+        const mapData = this.topDownMap ? this.topDownMap.mapData : null;
+        if (!tracking || !mapData || !mapData.parameters) return null;
+        
+        // 同じフロアを二重に記録しない
+        this.floorTracking = null;
+        
+        return PlayerStats.getInstance().recordFloorOutcome({
+          difficulty: this.gameData.difficulty,
+          level: this.gameData.currentLevel,
+          maxLevel: this.getMaxLevel(),
+          mapType: mapData.type,
+          parameters: mapData.parameters,
+          died,
+          clearTimeMs: this.time.now - tracking.startedAt,
+          damageTaken: tracking.damageTaken,
+          kills: PlayerStats.getInstance().kills - tracking.kills
+        });
+      }
+      
+      /**
+       * 記録したフロアの結果をファイルに書き出す（tools/maptuning の学習データ）
+       * @returns {Promise<boolean>} 保存した場合はtrue
+       */
+      async exportFloorOutcomes() {
+        const date = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+        try {
+          return await writeExportFile(`floor-outcomes-${date}.json`, PlayerStats.getInstance().exportFloorOutcomes());
+        } catch (error) {
+          console.error('Failed to export floor outcomes:', error);
+          return false;
+        }
+      }
+      
       /**
        * 進行度に応じてマップタイプを選択
        */
       selectMapType() {
+        // 進行度で決まるマップタイプ（アリーナ・町）がなければダンジョン40%・フィールド30%・洞窟30%
+        const random = forkRandom(this.gameData.runSeed, 'map-type', this.gameData.currentLevel);
+        this.currentMapType = this.getFixedMapType() || this.rollMapType(random());
+      }
+      
+      /**
+       * ランダムなマップタイプを決定
+       * @param {number} roll - 0以上1未満の乱数
+       * @returns {string} マップタイプ
+       */
+      rollMapType(roll) {
+        if (roll < 0.4) return 'dungeon';
+        if (roll < 0.7) return 'field';
+        return 'cave';
+      }
+      
+      /**
+       * フロアのマップ生成に使うシードを取得
+       * @param {number} level - フロアレベル（省略時は現在のフロア）
+       * @returns {number} シード
+       */
+      getFloorSeed(level = this.gameData.currentLevel) {
+        return deriveSeed(this.gameData.runSeed, 'floor', level);
+      }
+      
+      /**
+       * 進行度によって決まっているマップタイプを取得
+       * @param {number} level - フロアレベル（省略時は現在のフロア）
+       * @returns {string|null} 'arena' / 'town'、ランダムに決まる場合はnull
+       */
+      getFixedMapType(level = this.gameData.currentLevel) {
         // 進行度（1-100）に応じてマップタイプを決定
-        const progress = this.calculateProgressPercentage();
+        const progress = this.calculateProgressPercentage(level);
         
         // まれにアリーナ（ボスマップ）を生成（10%ごとに1回）
         if (progress % 10 === 0 && progress > 0) {
-          this.currentMapType = 'arena';
-          return;
+          return 'arena';
         }
         
         // 進行度10%ごとに町マップを生成（ただし、アリーナの次は生成しない）
         if ((progress + 5) % 10 === 0 && progress > 0) {
-          this.currentMapType = 'town';
-          return;
+          return 'town';
         }
         
-        // その他の場合は50%の確率でダンジョンかフィールド
-        this.currentMapType = Math.random() < 0.5 ? 'dungeon' : 'field';
+        return null;
+      }
+      
+      /**
+       * 進行度パーセンテージ（0-100）を計算
+       * @param {number} level - フロアレベル（省略時は現在のフロア）
+       */
+      calculateProgressPercentage(level = this.gameData.currentLevel) {
+        return Math.floor((level / this.getMaxLevel()) * 100);
       }
       
       /**
-       * 現在の進行度パーセンテージ（0-100）を計算
+       * 難易度ごとの最下層のフロアレベルを取得
+       * @returns {number} 最下層のフロアレベル
        */
-      calculateProgressPercentage() {
-        const maxLevel = {
+      getMaxLevel() {
+        return {
           normal: 30,
           nightmare: 60,
           hell: 100
         }[this.gameData.difficulty];
-        
-        return Math.floor((this.gameData.currentLevel / maxLevel) * 100);
+      }
+      
+      /**
+       * フロアに置く階段を取得（1階に上り階段はなく、最下層に下り階段はない）
+       * @param {number} level - フロアレベル（省略時は現在のフロア）
+       * @returns {Object} { up, down }
+       */
+      getStairsOptions(level = this.gameData.currentLevel) {
+        return {
+          up: level > 1,
+          down: level < this.getMaxLevel()
+        };
       }
 
       /**
        * プレイヤーの作成
+       * @param {Object|null} savedPosition - セーブデータのワールド座標（省略時はランダム）
        */
-      createPlayer() {
+      createPlayer(savedPosition = null) {
         try {
           // プレイヤーのスタート位置を移動可能な場所から取得
-          const startPosition = this.topDownMap.getRandomWalkablePosition();
-          const worldPos = this.topDownMap.tileToWorldXY(startPosition.x, startPosition.y);
+          let worldPos = savedPosition;
+          if (!worldPos) {
+            const startPosition = this.topDownMap.getStartPosition();
+            worldPos = this.topDownMap.tileToWorldXY(startPosition.x, startPosition.y);
+          }
           
           // PlayerStatsから保存済みのプレイヤーレベルを取得
           const playerStats = PlayerStats.getInstance();
@@ -535,47 +994,38 @@ export default class MainScene {
       
       /**
        * コンパニオンの作成
+       * @param {Object|null} savedState - セーブデータのコンパニオン状態（省略時は新規作成）
        */
-      createCompanion() {
-        // プレイヤーの周辺で移動可能な場所を探す
-        const playerPos = this.topDownMap.worldToTileXY(this.player.x, this.player.y);
-        let companionPos = null;
-        
-        // プレイヤーの近くで移動可能な位置を探す
-        const directions = [
-          { dx: 1, dy: 0 }, { dx: 0, dy: 1 }, 
-          { dx: -1, dy: 0 }, { dx: 0, dy: -1 }
-        ];
-        
-        for (const dir of directions) {
-          const x = playerPos.x + dir.dx;
-          const y = playerPos.y + dir.dy;
-          
-          if (this.topDownMap.isWalkableAt(x, y) && !this.topDownMap.hasEntityAt(x, y)) {
-            companionPos = { x, y };
-            break;
-          }
-        }
-        
-        // 適切な位置が見つからなければランダムな位置を使用
-        if (!companionPos) {
-          companionPos = this.topDownMap.getRandomWalkablePosition();
-        }
-        
-        // ワールド座標に変換
-        const worldPos = this.topDownMap.tileToWorldXY(companionPos.x, companionPos.y);
+      createCompanion(savedState = null) {
+        // 保存された座標があればそのまま使用し、なければプレイヤーの周辺を探す
+        const worldPos = savedState
+          ? { x: savedState.x, y: savedState.y }
+          : this.findCompanionSpawnPosition();
         
         // コンパニオンタイプを取得
-        const companionType = this.gameData.companionType || 'rogue';
+        const companionType = (savedState && savedState.companionType) || this.gameData.companionType || 'rogue';
         
         // コンパニオンの作成 - AssetManager/CharacterLoaderと連携
         const companion = this.characterFactory.createCompanion({
           x: worldPos.x,
           y: worldPos.y,
-          level: this.gameData.playerLevel || 1,
-          classType: companionType
+          level: (savedState && savedState.level) || this.gameData.playerLevel || 1,
+          classType: companionType,
+          name: savedState ? savedState.name : undefined,
+          tacticsMode: savedState ? savedState.tacticsMode : undefined
         });
         
+        // セーブ用にコンパニオンタイプを保持
+        companion.companionType = companionType;
+        
+        // 保存時の状態を復元
+        if (savedState) {
+          companion.experience = savedState.experience || 0;
+          companion.life = Math.min(savedState.life || companion.maxLife, companion.maxLife);
+          companion.mana = Math.min(savedState.mana || companion.maxMana, companion.maxMana);
+          companion.setTacticsMode(savedState.tacticsMode);
+        }
+        
         // コンパニオンをシーンに追加
         this.add.existing(companion);
         
@@ -598,6 +1048,40 @@ export default class MainScene {
         }
       }
 
+      /**
+       * プレイヤーの周辺でコンパニオンを配置できるワールド座標を探す
+       * @returns {Object} ワールド座標
+       */
+      findCompanionSpawnPosition() {
+        // プレイヤーの周辺で移動可能な場所を探す
+        const playerPos = this.topDownMap.worldToTileXY(this.player.x, this.player.y);
+        let companionPos = null;
+        
+        // プレイヤーの近くで移動可能な位置を探す
+        const directions = [
+          { dx: 1, dy: 0 }, { dx: 0, dy: 1 }, 
+          { dx: -1, dy: 0 }, { dx: 0, dy: -1 }
+        ];
+        
+        for (const dir of directions) {
+          const x = playerPos.x + dir.dx;
+          const y = playerPos.y + dir.dy;
+          
+          if (this.topDownMap.isWalkableAt(x, y) && !this.topDownMap.hasEntityAt(x, y)) {
+            companionPos = { x, y };
+            break;
+          }
+        }
+        
+        // 適切な位置が見つからなければランダムな位置を使用
+        if (!companionPos) {
+          companionPos = this.topDownMap.getRandomWalkablePosition();
+        }
+        
+        // ワールド座標に変換
+        return this.topDownMap.tileToWorldXY(companionPos.x, companionPos.y);
+      }
+      
       /**
        * スキルツリーシステムの初期化
        */
@@ -765,6 +1249,22 @@ export default class MainScene {
             Debug.DebugUtils.showDebugHelp(this);
           });
 
+          // F2キー：マップ生成の調整モデルの学習データ（フロアの結果）を書き出す
+          this.input.keyboard.on('keydown-F2', () => {
+            this.exportFloorOutcomes();
+          });
+
+          // F3キー：現在のマップを Tiled のファイルとして書き出す
+          this.input.keyboard.on('keydown-F3', () => {
+            this.exportMapAsTiled();
+          });
+
+          // F4キー：経路探索のベンチマークを開く（ゲームは一時停止する）
+          this.input.keyboard.on('keydown-F4', () => {
+            this.scene.pause();
+            this.scene.launch(SCENES.PATHFINDING_BENCHMARK, { returnScene: SCENES.GAME });
+          });
+
           // Nキー：デバッグNPC追加
           this.input.keyboard.on('keydown-N', () => {
             if (this.player && this.topDownMap) {
@@ -1006,40 +1506,147 @@ export default class MainScene {
         this.gameData.playerLevel = this.player.level;
       }
       
+      /**
+       * プレイヤーが階段の上にいればフロアを移動
+       * 到着した階段からは、一度降りるまで移動しない
+       */
+      checkStairs() {
+        if (!this.topDownMap || !this.topDownMap.mapData || this.isChangingFloor) return;
+        
+        const tile = this.topDownMap.worldToTileXY(this.player.x, this.player.y);
+        const key = `${tile.x},${tile.y}`;
+        
+        if (this.stairsLock) {
+          if (this.stairsLock !== key) {
+            this.stairsLock = null;
+          }
+          return;
+        }
+        
+        const direction = this.topDownMap.getStairsAt(tile.x, tile.y);
+        if (direction === 'down') {
+          this.goToNextFloor();
+        } else if (direction === 'up') {
+          this.goToPreviousFloor();
+        }
+      }
+      
+      /**
+       * プレイヤーが今いるタイルの階段を使えないようにする
+       */
+      lockStairsAtPlayer() {
+        if (!this.player || !this.topDownMap) return;
+        
+        const tile = this.topDownMap.worldToTileXY(this.player.x, this.player.y);
+        this.stairsLock = `${tile.x},${tile.y}`;
+      }
+      
       /**
        * 次のフロアへの進行
+       * @returns {Promise<boolean>} 移動できた場合はtrue
        */
       async goToNextFloor() {
-        // 現在のフロアレベルを更新
-        this.gameData.currentLevel++;
-        
-        // 新しいマップを生成
-        await this.generateMap();
-        
-        // プレイヤーの位置をリセット
-        const startPosition = this.topDownMap.getRandomWalkablePosition();
-        const worldPos = this.topDownMap.tileToWorldXY(startPosition.x, startPosition.y);
-        this.player.x=worldPos.x;
-        this.player.y=worldPos.y;
-        
-        // コンパニオンの位置も更新
-        if (this.companions.length > 0) {
-          for (const companion of this.companions) {
-            // プレイヤーの近くに配置
-            const companionPos = this.topDownMap.getRandomWalkablePosition();
-            const companionWorldPos = this.topDownMap.tileToWorldXY(companionPos.x, companionPos.y);
-            companion.x=companionWorldPos.x;
-            companion.y=companionWorldPos.y;
-          }
+        return this.changeFloor(this.gameData.currentLevel + 1);
+      }
+      
+      /**
+       * 前のフロアへの移動
+       * @returns {Promise<boolean>} 移動できた場合はtrue
+       */
+      async goToPreviousFloor() {
+        return this.changeFloor(this.gameData.currentLevel - 1);
+      }
+      
+      /**
+       * 指定したフロアへ移動
+       * 今いるフロアの状態は保存し、訪れたことのあるフロアは保存した状態から復元する
+       * 降りた場合は上り階段、上った場合は下り階段の上に到着する
+       * @param {number} level - 移動先のフロアレベル
+       * @returns {Promise<boolean>} 移動できた場合はtrue
+       */
+      async changeFloor(level) {
+        if (this.isChangingFloor || level < 1 || level > this.getMaxLevel() || level === this.gameData.currentLevel) {
+          return false;
         }
         
-        // フロア移動イベント
-        this.events.emit('floor-changed', this.gameData.currentLevel);
+        this.isChangingFloor = true;
         
-        // UIの更新
-        const uiScene = this.scene.get('UIScene');
-        if (uiScene && uiScene.updateFloorInfo) {
-          uiScene.updateFloorInfo(this.gameData.currentLevel);
+        try {
+          const descending = level > this.gameData.currentLevel;
+          
+          // アリーナ（ボスマップ）に入る前にオートセーブ（移動前の状態を残す）
+          if (descending && this.autosaveManager && this.getFixedMapType(level) === 'arena' && !this.floors[level]) {
+            await this.autosaveManager.trigger(AUTOSAVE_TRIGGERS.BEFORE_BOSS);
+          }
+          
+          // 降りた場合はクリアしたフロアとして結果を記録
+          if (descending) {
+            this.recordFloorOutcome();
+          }
+          
+          // 今いるフロアの状態を保存
+          this.floors[this.gameData.currentLevel] = this.getFloorSaveData();
+          
+          // 現在のフロアレベルを更新
+          this.gameData.currentLevel = level;
+          
+          // 訪れたことのあるフロアは復元し、初めてのフロアは生成する
+          const savedFloor = this.floors[level];
+          delete this.floors[level];
+          
+          if (savedFloor) {
+            await this.restoreMap(savedFloor);
+          } else {
+            await this.generateMap();
+          }
+          
+          // プレイヤーを到着した階段の上に移動
+          const startPosition = this.topDownMap.getStairsPosition(descending ? 'up' : 'down') ||
+            this.topDownMap.getStartPosition();
+          const worldPos = this.topDownMap.tileToWorldXY(startPosition.x, startPosition.y);
+          this.player.x=worldPos.x;
+          this.player.y=worldPos.y;
+          this.lockStairsAtPlayer();
+          
+          // コンパニオンの位置も更新
+          if (this.companions.length > 0) {
+            for (const [index, companion] of this.companions.entries()) {
+              // プレイヤーの近くに配置
+              const companionPos = this.topDownMap.getRandomWalkablePosition(
+                this.topDownMap.createPlacementRandom('companion', index)
+              );
+              const companionWorldPos = this.topDownMap.tileToWorldXY(companionPos.x, companionPos.y);
+              companion.x=companionWorldPos.x;
+              companion.y=companionWorldPos.y;
+            }
+          }
+          
+          // フロア移動イベント
+          this.events.emit('floor-changed', this.gameData.currentLevel);
+          
+          // UIの更新
+          const uiScene = this.scene.get('UIScene');
+          if (uiScene && uiScene.updateFloorInfo) {
+            uiScene.updateFloorInfo(this.gameData.currentLevel);
+          }
+          
+          // フロアの変性をプレイヤーに適用して表示
+          this.applyMapModifiers();
+          if (uiScene && uiScene.showMapModifiers) {
+            uiScene.showMapModifiers();
+          }
+          
+          // マップ移動時のオートセーブ
+          if (this.autosaveManager) {
+            this.autosaveManager.trigger(AUTOSAVE_TRIGGERS.MAP_TRANSITION);
+          }
+          
+          return true;
+        } catch (error) {
+          console.error(`Failed to change floor to ${level}:`, error);
+          return false;
+        } finally {
+          this.isChangingFloor = false;
         }
       }
       
@@ -1061,41 +1668,164 @@ export default class MainScene {
         }
       }
 
+      /**
+       * ハードコアキャラクターの死亡処理
+       * セーブスロットを死亡済みにして二度と読み込めないようにし、プレイ記録に残す
+       * @param {Object} deathInfo - 死亡時の情報（deathReason, playTime, level, gold, kills）
+       * @returns {Promise<Object>} プレイ記録に追加した内容
+       */
+      async endHardcoreCharacter(deathInfo) {
+        // 死亡後にオートセーブで生前の状態が保存されないよう止め、書き込み中のものは完了を待つ
+        if (this.autosaveManager) {
+          this.autosaveManager.stop();
+          if (this.autosaveManager.pending) {
+            await this.autosaveManager.pending.catch(() => {});
+          }
+        }
+        
+        const record = PlayerStats.getInstance().recordRun({
+          runId: this.gameData.runId,
+          playerClass: this.gameData.playerClass,
+          difficulty: this.gameData.difficulty,
+          currentLevel: this.gameData.currentLevel,
+          deathReason: deathInfo.deathReason,
+          playTime: deathInfo.playTime,
+          level: deathInfo.level,
+          kills: deathInfo.kills
+        }, true);
+        
+        // 死亡済みの印を付けて保存（スロット一覧では墓標として表示される）
+        if (this.saveSlot) {
+          const saveData = this.createSaveData();
+          saveData.gameState.dead = true;
+          saveData.gameState.deathInfo = {
+            deathReason: deathInfo.deathReason,
+            diedAt: record.endedAt
+          };
+          saveData.world = null;
+          
+          const saved = await Game.getInstance().saveGameData(this.saveSlot, saveData);
+          if (!saved) {
+            console.error(`Failed to mark hardcore save slot ${this.saveSlot} as dead`);
+          }
+        }
+        
+        return record;
+      }
+      
+      /**
+       * 現在のフロアのマップをセーブ用に取得
+       * レイアウトは保存せず、作り直すためのシード・大きさ・生成パラメータと、マップ上の変化だけを含む
+       * （広大なフィールドのレイアウトは1フロアで数MBになるため）
+       * 以前のセーブから復元したレイアウトだけは、そのまま保存し続ける
+       * @returns {Object|null} フロアデータ（seed, mapType, width, height, parameters, state と、以前のセーブなら layout）
+       */
+      getFloorSaveData() {
+        if (!this.topDownMap || !this.topDownMap.mapData) return null;
+        
+        const mapData = this.topDownMap.mapData;
+        const floor = {
+          seed: mapData.seed !== undefined ? mapData.seed : this.mapGenerator.options.seed,
+          mapType: this.currentMapType,
+          width: mapData.width,
+          height: mapData.height,
+          parameters: mapData.parameters || null,
+          state: this.topDownMap.getWorldState()
+        };
+        
+        if (mapData === this.savedLayout) {
+          floor.layout = mapData;
+        }
+        
+        return floor;
+      }
+      
+      /**
+       * 現在のワールド状態をセーブ用に取得
+       * 現在のフロアのマップとキャラクターの位置、訪れたことのある他のフロアを含む
+       * @returns {Object|null} ワールドデータ
+       */
+      getWorldSaveData() {
+        const floor = this.getFloorSaveData();
+        if (!floor) return null;
+        
+        return {
+          ...floor,
+          floors: { ...this.floors },
+          playerPosition: this.player ? { x: this.player.x, y: this.player.y } : null,
+          companions: this.companions
+            .filter(companion => companion && !companion.isDead)
+            .map(companion => ({
+              companionType: companion.companionType,
+              name: companion.name,
+              level: companion.level,
+              experience: companion.experience || 0,
+              life: companion.life,
+              mana: companion.mana,
+              tacticsMode: companion.tacticsMode,
+              x: companion.x,
+              y: companion.y
+            }))
+        };
+      }
+      
+      /**
+       * セーブデータを作成
+       * @returns {Object} セーブデータ（playerData, gameState, world）
+       */
+      createSaveData() {
+        // プレイヤーデータの保存
+        const saveData = {};
+        
+        if (this.player && this.player.onGameSave) {
+          saveData.playerData = this.player.onGameSave();
+        }
+        
+        // ゲーム状態の保存
+        saveData.gameState = {
+          currentLevel: this.gameData.currentLevel,
+          difficulty: this.gameData.difficulty,
+          mapType: this.currentMapType,
+          playerClass: this.gameData.playerClass,
+          hasCompanion: this.gameData.hasCompanion,
+          companionType: this.gameData.companionType,
+          hardcore: !!this.gameData.hardcore,
+          runSeed: this.gameData.runSeed,
+          seededRun: !!this.gameData.seededRun,
+          fieldSize: this.gameData.fieldSize || 'normal',
+          runId: this.gameData.runId,
+          manualSlot: this.saveSlot,
+          timestamp: Date.now()
+        };
+        
+        // ワールド状態の保存
+        saveData.world = this.getWorldSaveData();
+        
+        return saveData;
+      }
+      
       /**
        * ゲームの保存
+       * 手動スロットが選ばれていなければオートセーブスロットに保存する
+       * @returns {Promise<boolean>} 保存できた場合はtrue
        */
-      saveGame() {
+      async saveGame() {
         try {
-          // プレイヤーデータの保存
-          let saveData = {};
+          let saved;
           
-          if (this.player && this.player.onGameSave) {
-            saveData.playerData = this.player.onGameSave();
+          if (this.saveSlot) {
+            saved = await Game.getInstance().saveGameData(this.saveSlot, this.createSaveData());
+          } else {
+            saved = this.autosaveManager ? await this.autosaveManager.saveNow() : false;
           }
           
-          // ゲーム状態の保存
-          saveData.gameState = {
-            currentLevel: this.gameData.currentLevel,
-            difficulty: this.gameData.difficulty,
-            mapType: this.currentMapType,
-            timestamp: Date.now()
-          };
-          
-          // ゲームインスタンスを取得してセーブ
-          const game = Game.getInstance();
-          if (game && game.saveGameData) {
-            game.saveGameData('auto', saveData);
-            
-            // 保存通知
-            const uiScene = this.scene.get('UIScene');
-            if (uiScene && uiScene.showMessage) {
-              uiScene.showMessage('ゲームを保存しました');
-            }
-            
-            return true;
+          // 保存通知
+          const uiScene = this.scene.get('UIScene');
+          if (uiScene && uiScene.showMessage) {
+            uiScene.showMessage(saved ? 'ゲームを保存しました' : 'ゲームの保存に失敗しました');
           }
           
-          return false;
+          return saved;
         } catch (error) {
           console.error('ゲームの保存に失敗しました:', error);
           return false;
@@ -30,6 +30,9 @@ import { SCENES } from '../constants';
 import { GameSettings } from '../../data/GameSettings';
 import SimplePlaceholderAssets  from '../../../debug/SimplePlaceholderAssets';
 
+// 定期オートセーブの間隔の選択肢（分、0はオフ）
+const AUTOSAVE_INTERVALS = [0, 5, 10, 15, 30];
+
 export default class OptionsMenuScene {
   // 静的なシーンインスタンスを保持
   static instance = null;
@@ -88,7 +91,7 @@ export default class OptionsMenuScene {
           .setDisplaySize(this.cameras.main.width, this.cameras.main.height);
         
         // オプションタイトル
-        this.add.text(this.cameras.main.width / 2, 80, 'オプション設定', {
+        this.add.text(this.cameras.main.width / 2, 60, 'オプション設定', {
           fontSize: '36px',
           fontFamily: 'Arial Black',
           color: '#fff',
@@ -97,7 +100,7 @@ export default class OptionsMenuScene {
         }).setOrigin(0.5);
         
         // 音量設定セクション
-        this.add.text(this.cameras.main.width / 2, 160, '音量設定', {
+        this.add.text(this.cameras.main.width / 2, 125, '音量設定', {
           fontSize: '28px',
           fontFamily: 'Arial',
           color: '#fff',
@@ -106,20 +109,20 @@ export default class OptionsMenuScene {
         }).setOrigin(0.5);
         
         // BGM音量スライダー
-        this.createVolumeSlider(220, 'BGM音量', this.settings.bgmVolume, (value) => {
+        this.createVolumeSlider(175, 'BGM音量', this.settings.bgmVolume, (value) => {
           this.settings.bgmVolume = value;
           // BGM音量の適用
           this.sound.volume = value;
         });
         
         // SE音量スライダー
-        this.createVolumeSlider(280, 'SE音量', this.settings.sfxVolume, (value) => {
+        this.createVolumeSlider(220, 'SE音量', this.settings.sfxVolume, (value) => {
           this.settings.sfxVolume = value;
           // SEの音量設定を適用
         });
         
         // グラフィック設定セクション
-        this.add.text(this.cameras.main.width / 2, 360, 'グラフィック設定', {
+        this.add.text(this.cameras.main.width / 2, 280, 'グラフィック設定', {
           fontSize: '28px',
           fontFamily: 'Arial',
           color: '#fff',
@@ -128,7 +131,7 @@ export default class OptionsMenuScene {
         }).setOrigin(0.5);
         
         // フルスクリーン設定
-        this.createToggle(420, 'フルスクリーン', this.settings.fullscreen, (value) => {
+        this.createToggle(330, 'フルスクリーン', this.settings.fullscreen, (value) => {
           this.settings.fullscreen = value;
           if (value) {
             this.scale.startFullscreen();
@@ -138,13 +141,52 @@ export default class OptionsMenuScene {
         });
         
         // エフェクト品質設定
-        this.createDropdown(480, 'エフェクト品質', ['低', '中', '高'], this.settings.effectQuality, (value) => {
+        this.createDropdown(375, 'エフェクト品質', ['低', '中', '高'], this.settings.effectQuality, (value) => {
           this.settings.effectQuality = value;
           // エフェクト品質の適用
         });
         
+        // オートセーブ設定セクション
+        this.add.text(this.cameras.main.width / 2, 435, 'オートセーブ設定', {
+          fontSize: '28px',
+          fontFamily: 'Arial',
+          color: '#fff',
+          stroke: '#000',
+          strokeThickness: 3
+        }).setOrigin(0.5);
+        
+        const autosave = this.settings.autosave;
+        
+        this.createToggle(480, 'オートセーブ', autosave.enabled, (value) => {
+          autosave.enabled = value;
+        });
+        
+        // 一定間隔のオートセーブ（0分はオフ）
+        const intervalIndex = Math.max(0, AUTOSAVE_INTERVALS.indexOf(autosave.intervalMinutes));
+        this.createDropdown(
+          520,
+          '定期オートセーブ',
+          AUTOSAVE_INTERVALS.map(minutes => (minutes > 0 ? `${minutes}分ごと` : 'オフ')),
+          intervalIndex,
+          (index) => {
+            autosave.intervalMinutes = AUTOSAVE_INTERVALS[index];
+          }
+        );
+        
+        this.createToggle(560, 'マップ移動時', autosave.onMapTransition, (value) => {
+          autosave.onMapTransition = value;
+        });
+        
+        this.createToggle(600, 'ボス戦の前', autosave.beforeBossMap, (value) => {
+          autosave.beforeBossMap = value;
+        });
+        
+        this.createToggle(640, '終了時', autosave.onQuit, (value) => {
+          autosave.onQuit = value;
+        });
+        
         // 戻るボタン
-        const backButton = this.add.text(this.cameras.main.width / 2, 580, '保存して戻る', {
+        const backButton = this.add.text(this.cameras.main.width / 2, 690, '保存して戻る', {
           fontSize: '26px',
           fontFamily: 'Arial',
           color: '#fff',
@@ -163,6 +205,12 @@ export default class OptionsMenuScene {
         backButton.on('pointerdown', () => {
           // 設定の保存
           this.settings.saveSettings();
+          
+          // プレイ中ならオートセーブの間隔を新しい設定で開始し直す
+          const mainScene = this.scene.get(SCENES.GAME);
+          if (mainScene && mainScene.autosaveManager) {
+            mainScene.autosaveManager.start();
+          }
           // メインメニューに戻る
           this.scene.start(SCENES.MAIN_MENU);
         });
@@ -0,0 +1,200 @@
+// src/game/core/scenes/PathfindingBenchmarkScene.js
+
+// Phaserを動的にロードするためのユーティリティ
+let PhaserModule = null;
+
+// 非同期でPhaserをロードする関数
+async function getPhaserModule() {
+  if (PhaserModule) return PhaserModule;
+
+  try {
+    PhaserModule = await import('phaser');
+    return PhaserModule;
+  } catch (error) {
+    console.error('Failed to load Phaser:', error);
+    throw error;
+  }
+}
+
+// SceneクラスをPhaserから取得するユーティリティ関数
+async function getSceneClass() {
+  const phaser = await getPhaserModule();
+  return phaser.Scene || phaser.default.Scene;
+}
+
+import { SCENES } from '../constants';
+import {
+  BENCHMARK_MAP_TYPES,
+  BENCHMARK_MAP_SIZE,
+  CHASER_COUNT,
+  benchmarkMap
+} from '../../map/pathfinding/PathfindingBenchmark';
+
+// 計測する組み合わせ（危険地帯と罠のコストなし・ありのそれぞれで全マップを計測する）
+const BENCHMARK_CASES = [false, true].flatMap(hazards => BENCHMARK_MAP_TYPES.map(mapType => ({ mapType, hazards })));
+
+// 結果の列の左端（コストなし・あり）
+const RESULT_COLUMNS_X = [40, 660];
+
+// PathfindingBenchmarkSceneのプロキシクラス
+export default class PathfindingBenchmarkScene {
+  // 静的なシーンインスタンスを保持
+  static instance = null;
+
+  /**
+   * Phaserシーンのインスタンス化前に非同期で初期化する
+   */
+  static async initialize() {
+    if (PathfindingBenchmarkScene.instance) return PathfindingBenchmarkScene.instance;
+
+    const Scene = await getSceneClass();
+
+    /**
+     * 経路探索のベンチマーク（デバッグ用）
+     * 100x100のマップで大勢の敵が同じターゲットを追いかける状況を作り、
+     * 経路探索の方法ごとに全員の経路を求める時間を計測する（計測は PathfindingBenchmark.js）
+     * 危険地帯と罠のコストを設定しない場合と設定した場合を左右に並べて表示する
+     */
+    class PathfindingBenchmarkSceneImpl extends Scene {
+      constructor() {
+        super({ key: SCENES.PATHFINDING_BENCHMARK });
+        this.returnScene = null;
+        this.results = [];
+        this.running = false;
+      }
+
+      init(data) {
+        // 閉じたときに再開するシーン
+        this.returnScene = (data && data.returnScene) || null;
+        this.results = [];
+        this.running = false;
+      }
+
+      create() {
+        this.add.rectangle(
+          this.cameras.main.width / 2,
+          this.cameras.main.height / 2,
+          this.cameras.main.width,
+          this.cameras.main.height,
+          0x000000,
+          0.85
+        );
+
+        this.add.text(this.cameras.main.width / 2, 30, '経路探索ベンチマーク', {
+          fontSize: '28px',
+          fontFamily: 'Arial Black',
+          color: '#ffffff',
+          stroke: '#000000',
+          strokeThickness: 4
+        }).setOrigin(0.5);
+
+        this.resultTexts = RESULT_COLUMNS_X.map(x => this.add.text(x, 70, '', {
+          fontSize: '16px',
+          fontFamily: 'monospace',
+          color: '#ffffff',
+          lineSpacing: 4
+        }));
+
+        this.add.text(this.cameras.main.width / 2, this.cameras.main.height - 30, 'R: 再計測  /  ESC: 閉じる', {
+          fontSize: '18px',
+          fontFamily: 'Arial',
+          color: '#aaaaaa'
+        }).setOrigin(0.5);
+
+        this.input.keyboard.on('keydown-R', () => this.runBenchmark());
+        this.input.keyboard.on('keydown-ESC', () => this.close());
+
+        this.runBenchmark();
+      }
+
+      /**
+       * すべてのマップで計測する
+       * 計測中も画面が更新されるよう、マップごとに次のフレーム以降へ分けて実行する
+       */
+      runBenchmark() {
+        if (this.running) return;
+        this.running = true;
+        this.results = [];
+
+        const runNext = index => {
+          if (index >= BENCHMARK_CASES.length) {
+            this.running = false;
+            this.renderResults();
+            return;
+          }
+
+          const { mapType, hazards } = BENCHMARK_CASES[index];
+          this.renderResults(`${mapType}${hazards ? '（危険地帯あり）' : ''} を計測中...`);
+          this.time.delayedCall(50, () => {
+            this.results.push(benchmarkMap(mapType, { hazards }));
+            runNext(index + 1);
+          });
+        };
+
+        runNext(0);
+      }
+
+      /**
+       * 計測結果を表示する
+       * @param {string} status - 計測中のメッセージ
+       */
+      renderResults(status = '') {
+        const pad = (value, width) => String(value).padStart(width);
+        const columns = [
+          [`敵 ${CHASER_COUNT} 体 × 2回の経路探索（${BENCHMARK_MAP_SIZE}x${BENCHMARK_MAP_SIZE}）`, ''],
+          ['危険地帯と罠のコストあり（A*と比べる）', '']
+        ];
+
+        for (const result of this.results) {
+          const lines = columns[result.hazards ? 1 : 0];
+          const baseline = result.methods.find(method => method.id === result.baselineId).time;
+          lines.push(result.hazards
+            ? `[${result.mapType}]  コスト ${result.costlyTiles} タイル  コストの不一致: ${result.mismatches}`
+            : `[${result.mapType}]  経路長の不一致: ${result.mismatches}`);
+
+          for (const method of result.methods) {
+            lines.push(
+              `${pad(method.time.toFixed(1), 9)} ms` +
+              `${pad(method.expandedNodes, 10)} ノード` +
+              `${pad((baseline / Math.max(method.time, 0.001)).toFixed(1), 8)} 倍  ` +
+              method.name
+            );
+          }
+          lines.push('');
+
+          console.log(`Pathfinding benchmark (${result.mapType}${result.hazards ? ', hazards' : ''}):`, result.methods);
+        }
+
+        if (status) columns[0].push(status);
+        this.resultTexts.forEach((text, index) => text.setText(columns[index].join('\n')));
+      }
+
+      /**
+       * ベンチマークを閉じて元のシーンに戻る
+       */
+      close() {
+        if (this.running) return;
+
+        if (this.returnScene) {
+          this.scene.resume(this.returnScene);
+        }
+        this.scene.stop();
+      }
+    }
+
+    // 実装クラスを保存
+    PathfindingBenchmarkScene.instance = PathfindingBenchmarkSceneImpl;
+    return PathfindingBenchmarkSceneImpl;
+  }
+
+  /**
+   * シーンのインスタンス化
+   * initialize()が事前に呼ばれている必要がある
+   */
+  constructor() {
+    if (!PathfindingBenchmarkScene.instance) {
+      throw new Error('PathfindingBenchmarkScene must be initialized before instantiation. Call PathfindingBenchmarkScene.initialize() first.');
+    }
+    return new PathfindingBenchmarkScene.instance();
+  }
+}
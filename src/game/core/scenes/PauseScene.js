@@ -23,6 +23,8 @@ async function getSceneClass() {
 }
 
 import { SCENES } from '../constants';
+import { AUTOSAVE_TRIGGERS } from '../AutosaveManager';
+import { GameSettings } from '../../data/GameSettings';
 
 export default class PauseScene {
   // 静的なシーンインスタンスを保持
@@ -87,10 +89,7 @@ export default class PauseScene {
         });
         
         const mainMenuButton = this.createMenuButton(0, 80, 'メインメニューへ', () => {
-          if (window.confirm('メインメニューに戻りますか？\n進行状況は失われます。')) {
-            this.scene.stop(SCENES.GAME);
-            this.scene.start(SCENES.MAIN_MENU);
-          }
+          this.quitToMainMenu();
         });
         
         menuContainer.add([resumeButton.container, optionsButton.container, mainMenuButton.container]);
@@ -155,6 +154,29 @@ export default class PauseScene {
         return { container, button, text: buttonText };
       }
       
+      /**
+       * メインメニューに戻る
+       * 終了時のオートセーブが有効ならセーブしてから戻る
+       */
+      async quitToMainMenu() {
+        const mainScene = this.scene.get(SCENES.GAME);
+        const autosaveManager = mainScene && mainScene.autosaveManager;
+        const policy = GameSettings.getInstance().autosave;
+        const willAutosave = autosaveManager && policy.enabled && policy.onQuit;
+        
+        const message = willAutosave
+          ? 'メインメニューに戻りますか？\n現在の状態はオートセーブされます。'
+          : 'メインメニューに戻りますか？\n最後のセーブ以降の進行状況は失われます。';
+        if (!window.confirm(message)) return;
+        
+        if (willAutosave) {
+          await autosaveManager.trigger(AUTOSAVE_TRIGGERS.QUIT);
+        }
+        
+        this.scene.stop(SCENES.GAME);
+        this.scene.start(SCENES.MAIN_MENU);
+      }
+      
       /**
        * ゲームを再開する
        */
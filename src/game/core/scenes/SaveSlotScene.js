@@ -0,0 +1,550 @@
+// src/game/core/scenes/SaveSlotScene.js
+
+// Phaserを動的にロードするためのユーティリティ
+let PhaserModule = null;
+
+// 非同期でPhaserをロードする関数
+async function getPhaserModule() {
+  if (PhaserModule) return PhaserModule;
+
+  try {
+    PhaserModule = await import('phaser');
+    return PhaserModule;
+  } catch (error) {
+    console.error('Failed to load Phaser:', error);
+    throw error;
+  }
+}
+
+// SceneクラスをPhaserから取得するユーティリティ関数
+async function getSceneClass() {
+  const phaser = await getPhaserModule();
+  return phaser.Scene || phaser.default.Scene;
+}
+
+import { SCENES, SAVE_SLOTS, FIELD_SIZES } from '../constants';
+import { Game } from '../Game';
+import { SAVE_STATUS } from '../../data/SaveFormat';
+import { isAutosaveSlot } from '../AutosaveManager';
+import { normalizeSeed } from '../../../utils/seededRandom';
+import { CharacterClassType } from '../../../constants/characterTypes';
+
+// 難易度の表示名
+const DIFFICULTY_NAMES = {
+  normal: 'ノーマル',
+  nightmare: 'ナイトメア',
+  hell: 'ヘル'
+};
+
+// 入力できるシードの最大文字数
+const SEED_INPUT_MAX_LENGTH = 32;
+
+export default class SaveSlotScene {
+  // 静的なシーンインスタンスを保持
+  static instance = null;
+
+  /**
+   * Phaserシーンのインスタンス化前に非同期で初期化する
+   */
+  static async initialize() {
+    if (SaveSlotScene.instance) return SaveSlotScene.instance;
+
+    const Scene = await getSceneClass();
+
+    // Sceneを継承した実装クラス
+    class SaveSlotSceneImpl extends Scene {
+      constructor() {
+        super({ key: SCENES.SAVE_SLOTS });
+
+        // 'load': 既存のセーブを読み込む / 'new': 新しいゲームを始めるスロットを選ぶ
+        this.mode = 'load';
+
+        // スロット一覧の表示用コンテナ
+        this.listContainer = null;
+
+        // 新しいゲームをハードコア（パーマデス）モードで始めるかどうか
+        this.hardcore = false;
+
+        // 新しいゲームのフィールドの広さ（FIELD_SIZES のキー）
+        this.fieldSize = 'normal';
+
+        // 新しいゲームのシード（nullならランダム）
+        this.seed = null;
+
+        // 入力中のシード（入力していないときはnull）
+        this.seedDraft = null;
+      }
+
+      init(data) {
+        this.mode = data && data.mode === 'new' ? 'new' : 'load';
+        this.hardcore = false;
+        this.fieldSize = 'normal';
+        this.seed = null;
+        this.seedDraft = null;
+        this.seedButton = null;
+      }
+
+      create() {
+        // 背景
+        this.add.rectangle(
+          this.cameras.main.width / 2,
+          this.cameras.main.height / 2,
+          this.cameras.main.width,
+          this.cameras.main.height,
+          0x000000,
+          0.85
+        );
+
+        // タイトル
+        const title = this.mode === 'new' ? '新しいゲーム - スロットを選択' : 'ロード';
+        this.add.text(this.cameras.main.width / 2, 60, title, {
+          fontSize: '36px',
+          fontFamily: 'Arial Black',
+          color: '#ffffff',
+          stroke: '#000000',
+          strokeThickness: 6
+        }).setOrigin(0.5);
+
+        // 戻るボタン
+        this.createButton(this.cameras.main.width / 2, this.cameras.main.height - 50, 180, '戻る', () => {
+          this.scene.start(SCENES.MAIN_MENU);
+        });
+
+        // ESCキーで戻る（シードの入力中は入力の取り消し）
+        this.input.keyboard.on('keydown-ESC', () => {
+          if (this.seedDraft !== null) {
+            this.finishSeedInput(false);
+            return;
+          }
+          this.scene.start(SCENES.MAIN_MENU);
+        });
+
+        if (this.mode === 'new') {
+          this.createHardcoreToggle(this.cameras.main.height - 150);
+          this.createFieldSizeButton(this.cameras.main.height - 150);
+          this.createSeedButton(this.cameras.main.height - 150);
+        }
+
+        this.refreshSlots();
+      }
+
+      /**
+       * ハードコアモードの切り替えボタンを作成
+       * @param {number} y - 表示位置のY座標
+       */
+      createHardcoreToggle(y) {
+        const centerX = this.cameras.main.width / 2;
+        const label = () => `ハードコア: ${this.hardcore ? 'オン' : 'オフ'}`;
+
+        const toggle = this.createButton(centerX - 300, y, 260, label(), () => {
+          this.hardcore = !this.hardcore;
+          toggle.text.setText(label());
+          toggle.button.setStrokeStyle(2, this.hardcore ? 0xff4444 : 0xffffff, 1);
+        });
+
+        this.add.text(centerX, y + 40, 'ハードコアでは死亡するとキャラクターが失われ、セーブデータも読み込めなくなります', {
+          fontSize: '16px',
+          fontFamily: 'Arial',
+          color: '#cc8888'
+        }).setOrigin(0.5);
+      }
+
+      /**
+       * フィールドの広さの切り替えボタンを作成
+       * 広いフィールドほど探索に時間がかかり、敵と宝箱も多くなる
+       * @param {number} y - 表示位置のY座標
+       */
+      createFieldSizeButton(y) {
+        const centerX = this.cameras.main.width / 2;
+        const sizes = Object.keys(FIELD_SIZES);
+        const label = () => {
+          const { name, size } = FIELD_SIZES[this.fieldSize];
+          return `フィールド: ${name} (${size}x${size})`;
+        };
+
+        const button = this.createButton(centerX, y, 260, label(), () => {
+          this.fieldSize = sizes[(sizes.indexOf(this.fieldSize) + 1) % sizes.length];
+          button.text.setText(label());
+        });
+      }
+
+      /**
+       * シード入力ボタンを作成
+       * 同じシードで始めると同じマップ・配置・ドロップのランになる
+       * Electronでは window.prompt が使えないため、ボタンをクリックしてキーボードで直接入力する
+       * @param {number} y - 表示位置のY座標
+       */
+      createSeedButton(y) {
+        const centerX = this.cameras.main.width / 2;
+
+        this.seedButton = this.createButton(centerX + 300, y, 260, '', () => {
+          if (this.seedDraft === null) {
+            this.seedDraft = this.seed !== null ? String(this.seed) : '';
+            this.updateSeedButton();
+          } else {
+            this.finishSeedInput(true);
+          }
+        });
+        this.updateSeedButton();
+
+        // 入力中のキー入力（Enterで確定、ESCは keydown-ESC で取り消し）
+        this.input.keyboard.on('keydown', event => {
+          if (this.seedDraft === null) return;
+
+          if (event.key === 'Enter') {
+            this.finishSeedInput(true);
+          } else if (event.key === 'Backspace') {
+            this.seedDraft = this.seedDraft.slice(0, -1);
+            this.updateSeedButton();
+          } else if (event.key.length === 1 && this.seedDraft.length < SEED_INPUT_MAX_LENGTH) {
+            this.seedDraft += event.key;
+            this.updateSeedButton();
+          }
+        });
+      }
+
+      /**
+       * シードの入力を終える
+       * @param {boolean} apply - 入力したシードを使うかどうか（空欄ならランダム）
+       */
+      finishSeedInput(apply) {
+        if (this.seedDraft === null) return;
+
+        if (apply) {
+          const input = this.seedDraft.trim();
+          this.seed = input === '' ? null : input;
+        }
+        this.seedDraft = null;
+        this.updateSeedButton();
+      }
+
+      /**
+       * シード入力ボタンの表示を更新する
+       */
+      updateSeedButton() {
+        if (!this.seedButton) return;
+
+        const editing = this.seedDraft !== null;
+        const text = editing
+          ? `シード: ${this.seedDraft}_`
+          : `シード: ${this.seed !== null ? normalizeSeed(this.seed) : 'ランダム'}`;
+
+        this.seedButton.text.setText(text);
+        this.seedButton.button.setStrokeStyle(2, editing ? 0xffff00 : 0xffffff, 1);
+      }
+
+      /**
+       * スロット一覧を読み込んで表示し直す
+       */
+      async refreshSlots() {
+        const saves = await Game.getInstance().getSaveSlots();
+
+        // シーンが既に終了していれば何もしない
+        if (!this.sys || !this.sys.isActive()) return;
+
+        if (this.listContainer) {
+          this.listContainer.destroy();
+        }
+        this.listContainer = this.add.container(0, 0);
+
+        // 新規ゲームは手動スロットのみ、ロードは存在するオートセーブ（新しい順）も含める
+        const autosaveSlots = saves
+          .filter(save => isAutosaveSlot(save.slot))
+          .map(save => save.slot);
+        const slotIds = this.mode === 'new'
+          ? SAVE_SLOTS.MANUAL
+          : [...autosaveSlots, ...SAVE_SLOTS.MANUAL];
+
+        slotIds.forEach((slot, index) => {
+          const summary = saves.find(save => save.slot === slot) || null;
+          this.createSlotRow(slot, summary, 120 + index * 68);
+        });
+      }
+
+      /**
+       * スロット1行分の表示を作成
+       * @param {string} slot - スロットID
+       * @param {Object|null} summary - Game.getSaveSlots() の要素（空スロットならnull）
+       * @param {number} y - 表示位置のY座標
+       */
+      createSlotRow(slot, summary, y) {
+        const centerX = this.cameras.main.width / 2;
+        const isValid = summary && summary.status === SAVE_STATUS.OK;
+        const isDead = isValid && summary.dead;
+
+        // 行の背景
+        const background = this.add.rectangle(centerX, y, 1200, 60, 0x222222, 0.9)
+          .setStrokeStyle(2, isValid ? 0x888888 : 0x444444, 1);
+
+        // スロット名
+        const nameText = this.add.text(centerX - 580, y - 22, this.getSlotName(slot), {
+          fontSize: '20px',
+          fontFamily: 'Arial',
+          color: '#ffcc66'
+        });
+
+        // セーブ内容
+        const infoText = this.add.text(centerX - 580, y + 2, this.describeSlot(summary), {
+          fontSize: '16px',
+          fontFamily: 'Arial',
+          color: isValid ? '#ffffff' : '#999999'
+        });
+
+        this.listContainer.add([background, nameText, infoText]);
+
+        // ハードコアキャラクターのバッジ（死亡済みなら墓標）
+        if (isValid && summary.hardcore) {
+          const badge = this.add.text(nameText.x + nameText.width + 12, y - 21, isDead ? '† 死亡' : 'ハードコア', {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#ffffff',
+            backgroundColor: isDead ? '#555555' : '#aa2222',
+            padding: { left: 6, right: 6, top: 2, bottom: 2 }
+          });
+          this.listContainer.add(badge);
+        }
+
+        // 操作ボタン
+        if (this.mode === 'new') {
+          this.listContainer.add(this.createButton(centerX + 215, y, 120, 'ここで開始', () => {
+            this.startNewGame(slot, summary);
+          }).container);
+        } else if (isValid && !isDead) {
+          this.listContainer.add(this.createButton(centerX + 215, y, 120, 'ロード', () => {
+            this.loadSlot(slot);
+          }).container);
+        }
+
+        if (isValid) {
+          this.listContainer.add(this.createButton(centerX + 345, y, 120, 'エクスポート', () => {
+            this.exportSlot(slot);
+          }).container);
+        }
+
+        // オートセーブへのインポートは次のオートセーブで上書きされるため手動スロットのみ
+        if (!isAutosaveSlot(slot)) {
+          this.listContainer.add(this.createButton(centerX + 475, y, 120, 'インポート', () => {
+            this.importSlot(slot, summary);
+          }).container);
+        }
+
+        if (summary) {
+          this.listContainer.add(this.createButton(centerX + 560, y, 50, '削除', () => {
+            this.deleteSlot(slot);
+          }).container);
+        }
+      }
+
+      /**
+       * スロットの表示名を取得
+       * @param {string} slot - スロットID
+       * @returns {string} 表示名
+       */
+      getSlotName(slot) {
+        if (!isAutosaveSlot(slot)) {
+          return `スロット ${slot}`;
+        }
+
+        // auto-1, auto-2, ... は番号付き、以前の単一スロット（auto）は番号なし
+        const number = slot.split('-')[1];
+        return number ? `オートセーブ ${number}` : 'オートセーブ';
+      }
+
+      /**
+       * スロットの説明文を作成
+       * @param {Object|null} summary - スロットの概要
+       * @returns {string} 説明文
+       */
+      describeSlot(summary) {
+        if (!summary) {
+          return '空きスロット';
+        }
+
+        if (summary.status === SAVE_STATUS.TOO_NEW) {
+          return '新しいバージョンのゲームで保存されたデータです';
+        }
+
+        if (summary.status !== SAVE_STATUS.OK) {
+          return 'セーブデータが破損しています';
+        }
+
+        const classType = CharacterClassType[summary.playerClass];
+        const className = classType ? classType.name : (summary.playerClass || '不明');
+        const difficulty = DIFFICULTY_NAMES[summary.difficulty] || summary.difficulty || '-';
+        const savedAt = summary.savedAt ? new Date(summary.savedAt).toLocaleString('ja-JP') : '-';
+
+        if (summary.dead) {
+          return [
+            `${className} Lv.${summary.playerLevel || 1}`,
+            `難易度: ${difficulty}`,
+            `階層 ${summary.currentLevel} で死亡`,
+            `死亡日時: ${savedAt}`
+          ].join('  /  ');
+        }
+
+        return [
+          `${className} Lv.${summary.playerLevel || 1}`,
+          `難易度: ${difficulty}`,
+          `階層: ${summary.currentLevel}`,
+          `プレイ時間: ${this.formatPlayTime(summary.playTime)}`,
+          `保存: ${savedAt}`
+        ].join('  /  ');
+      }
+
+      /**
+       * セーブを読み込んでゲームを再開する
+       * @param {string} slot - スロットID
+       */
+      async loadSlot(slot) {
+        const result = await Game.getInstance().loadGameData(slot);
+
+        if (!result.success) {
+          window.alert(`セーブデータを読み込めませんでした。\n${result.message}`);
+          this.refreshSlots();
+          return;
+        }
+
+        this.scene.start(SCENES.GAME, { saveData: result.gameData, saveSlot: slot });
+      }
+
+      /**
+       * 選択したスロットで新しいゲームを始める
+       * 既存のセーブがある場合は上書きの確認を行う
+       * @param {string} slot - スロットID
+       * @param {Object|null} summary - スロットの概要
+       */
+      startNewGame(slot, summary) {
+        if (summary && !window.confirm(`スロット ${slot} のセーブデータを上書きして新しいゲームを始めますか？`)) {
+          return;
+        }
+
+        // 入力中のシードはそのまま使う
+        this.finishSeedInput(true);
+
+        this.scene.start(SCENES.GAME, {
+          saveSlot: slot,
+          isNewGame: true,
+          hardcore: this.hardcore,
+          fieldSize: this.fieldSize,
+          seed: this.seed
+        });
+      }
+
+      /**
+       * セーブをファイルにエクスポートする
+       * @param {string} slot - スロットID
+       */
+      async exportSlot(slot) {
+        const result = await Game.getInstance().exportSaveToFile(slot);
+
+        if (!result.success && !result.canceled) {
+          window.alert(`エクスポートに失敗しました。\n${result.message}`);
+        }
+      }
+
+      /**
+       * ファイルからセーブをインポートする
+       * 既存のセーブがある場合は上書きの確認を行う
+       * @param {string} slot - スロットID
+       * @param {Object|null} summary - スロットの概要
+       */
+      async importSlot(slot, summary) {
+        if (summary && !window.confirm(`スロット ${slot} のセーブデータを上書きしてインポートしますか？`)) {
+          return;
+        }
+
+        const result = await Game.getInstance().importSaveFromFile(slot);
+
+        if (result.canceled) return;
+
+        if (!result.success) {
+          window.alert(`インポートに失敗しました。\n${result.message}`);
+          return;
+        }
+
+        this.refreshSlots();
+      }
+
+      /**
+       * セーブを削除する（確認あり）
+       * @param {string} slot - スロットID
+       */
+      async deleteSlot(slot) {
+        if (!window.confirm(`${this.getSlotName(slot)} のセーブデータを削除しますか？\nこの操作は取り消せません。`)) {
+          return;
+        }
+
+        await Game.getInstance().deleteSaveData(slot);
+        this.refreshSlots();
+      }
+
+      /**
+       * ボタンを作成
+       * @param {number} x - X座標
+       * @param {number} y - Y座標
+       * @param {number} width - ボタンの幅
+       * @param {string} text - ボタンテキスト
+       * @param {Function} callback - クリック時のコールバック
+       * @returns {Object} ボタンコンテナとコンポーネント
+       */
+      createButton(x, y, width, text, callback) {
+        const container = this.add.container(x, y);
+
+        const button = this.add.rectangle(0, 0, width, 44, 0x333333, 0.8)
+          .setStrokeStyle(2, 0xffffff, 1)
+          .setInteractive({ useHandCursor: true });
+
+        const buttonText = this.add.text(0, 0, text, {
+          fontSize: '18px',
+          fontFamily: 'Arial',
+          color: '#ffffff'
+        }).setOrigin(0.5);
+
+        container.add([button, buttonText]);
+
+        // ボタンのホバーエフェクト
+        button.on('pointerover', () => {
+          button.setFillStyle(0x555555, 0.8);
+          buttonText.setColor('#ffff00');
+        });
+
+        button.on('pointerout', () => {
+          button.setFillStyle(0x333333, 0.8);
+          buttonText.setColor('#ffffff');
+        });
+
+        button.on('pointerdown', () => {
+          // クリック効果音
+          if (this.sound.get('click-sfx')) {
+            this.sound.play('click-sfx', { volume: 0.5 });
+          }
+          callback();
+        });
+
+        return { container, button, text: buttonText };
+      }
+
+      formatPlayTime(milliseconds = 0) {
+        const minutes = Math.floor(milliseconds / 60000);
+        const hours = Math.floor(minutes / 60);
+
+        return hours > 0 ? `${hours}時間${minutes % 60}分` : `${minutes}分`;
+      }
+    }
+
+    // 実装クラスを保存
+    SaveSlotScene.instance = SaveSlotSceneImpl;
+    return SaveSlotSceneImpl;
+  }
+
+  /**
+   * シーンのインスタンス化
+   * initialize()が事前に呼ばれている必要がある
+   */
+  constructor() {
+    if (!SaveSlotScene.instance) {
+      throw new Error('SaveSlotScene must be initialized before instantiation. Call SaveSlotScene.initialize() first.');
+    }
+    return new SaveSlotScene.instance();
+  }
+}
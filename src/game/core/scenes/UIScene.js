@@ -60,6 +60,9 @@ async function getSkillTreeComponent() {
 }
 
 import { SCENES } from '../constants';
+import { getBiomeTerrainType } from '../../map/generator/Biomes';
+import { getHazard } from '../../map/generator/Hazards';
+import { getMapModifier } from '../../map/generator/MapModifiers';
 
 export default class UIScene {
   // 静的なシーンインスタンスとモジュール参照を保持
@@ -130,9 +133,13 @@ export default class UIScene {
         this.createStatusTexts();
         this.createSkillBar();
         this.createMinimap();
+        this.createFloorInfo();
         this.createMenuGroup();
         this.createMessageText();
         
+        // 最初のフロアの変性を表示
+        this.showMapModifiers();
+        
         // イベントリスナーの設定
         this.setupEventListeners();
         
@@ -278,6 +285,62 @@ export default class UIScene {
         );
       }
       
+      createFloorInfo() {
+        // 階層とランのシード（ミニマップの下、同じシードで同じランを再現できる）
+        this.floorInfoText = this.add.text(this.scale.width - 10, 166, '', {
+          fontSize: '14px',
+          fill: '#ffffff',
+          stroke: '#000000',
+          strokeThickness: 2,
+          align: 'right'
+        }).setOrigin(1, 0);
+        
+        this.updateFloorInfo(this.mainScene.gameData.currentLevel);
+      }
+      
+      updateFloorInfo(level) {
+        if (!this.floorInfoText) return;
+        
+        // フロアの変性があれば名前をシードの下に並べる
+        const seed = this.mainScene.gameData.runSeed;
+        const modifierNames = this.getMapModifiers().map(modifier => modifier.name);
+        this.floorInfoText.setText([
+          `階層 ${level}`,
+          `シード: ${seed !== undefined ? seed : '-'}`,
+          ...modifierNames
+        ].join('\n'));
+      }
+      
+      /**
+       * 現在のフロアの変性の定義を取得
+       * @returns {Array<Object>} 変性の定義（MapModifiers.js の MAP_MODIFIERS の値）
+       */
+      getMapModifiers() {
+        const topDownMap = this.mainScene.topDownMap;
+        const modifiers = topDownMap && topDownMap.mapData ? topDownMap.mapData.modifiers : null;
+        return (modifiers || []).map(modifier => getMapModifier(modifier.kind)).filter(Boolean);
+      }
+      
+      /**
+       * フロアに入ったときに、フロアの変性と報酬の増加を表示
+       */
+      showMapModifiers() {
+        const modifiers = this.getMapModifiers();
+        if (modifiers.length === 0) return;
+        
+        const effects = this.mainScene.topDownMap.modifierEffects;
+        const percent = value => `+${Math.round((value - 1) * 100)}%`;
+        const lines = [
+          'このフロアの変性',
+          ...modifiers.map(modifier => `${modifier.name}: ${modifier.description}`)
+        ];
+        if (effects.goldFind > 1 || effects.itemFind > 1 || effects.experience > 1) {
+          lines.push(`ゴールド ${percent(effects.goldFind)} / アイテム発見 ${percent(effects.itemFind)} / 経験値 ${percent(effects.experience)}`);
+        }
+        
+        this.showMessage(lines.join('\n'), 6000);
+      }
+      
       createMenuGroup() {
         // メニューグループ
         this.menuGroup = this.add.group();
@@ -658,7 +721,8 @@ export default class UIScene {
         this.minimap.clear();
         
         // マップデータの取得
-        const mapData = this.mainScene.topDownMap.mapData;
+        const topDownMap = this.mainScene.topDownMap;
+        const mapData = topDownMap.mapData;
         const mapWidth = mapData ? mapData.width : 50;
         const mapHeight = mapData ? mapData.height : 50;
         
@@ -666,21 +730,29 @@ export default class UIScene {
         const minimapSize = 150;
         const tileSize = minimapSize / Math.max(mapWidth, mapHeight);
         
-        // マップタイルの描画
+        // マップタイルの描画（探索済みのタイルだけ描き、今見えていないタイルは薄くする）
         if (mapData && mapData.heightMap) {
           for (let y = 0; y < mapHeight; y++) {
             for (let x = 0; x < mapWidth; x++) {
-              // 高さデータに基づくタイル色の決定
-              const heightValue = mapData.heightMap[y][x];
-              let color = this.getColorFromHeight(heightValue);
+              if (!topDownMap.isTileExplored(x, y)) continue;
+              
+              // 高さデータに基づくタイル色の決定（マップ配列は [x][y] の順）
+              const heightValue = mapData.heightMap[x][y];
+              let color = this.getColorFromHeight(heightValue, mapData.biome);
               
               // 障害物チェック
-              if (mapData.objectPlacement && mapData.objectPlacement[y][x] === 3) {
+              if (mapData.objectPlacement && mapData.objectPlacement[x][y] >= 3) {
                 color = 0x222222; // 障害物/壁
               }
               
+              // 危険地帯（溶岩だまり・毒沼・泥）
+              const hazard = mapData.hazardKinds ? getHazard(mapData.hazardKinds[`${x},${y}`]) : null;
+              if (hazard) {
+                color = hazard.color;
+              }
+              
               // タイルの描画
-              this.minimap.fillStyle(color, 1);
+              this.minimap.fillStyle(color, topDownMap.isTileVisible(x, y) ? 1 : 0.6);
               this.minimap.fillRect(
                 this.scale.width - minimapSize - 10 + x * tileSize,
                 10 + y * tileSize,
@@ -711,6 +783,10 @@ export default class UIScene {
           this.mainScene.enemies.forEach(enemy => {
             if (!enemy.isDead) {
               const enemyTile = this.mainScene.topDownMap.worldToTileXY(enemy.x, enemy.y);
+              
+              // 視界の外の敵は表示しない
+              if (!topDownMap.isTileVisible(enemyTile.x, enemyTile.y)) return;
+              
               const enemyX = enemyTile.x / mapWidth;
               const enemyY = enemyTile.y / mapHeight;
               
@@ -729,6 +805,10 @@ export default class UIScene {
         if (this.mainScene.npcs) {
           this.mainScene.npcs.forEach(npc => {
             const npcTile = this.mainScene.topDownMap.worldToTileXY(npc.x, npc.y);
+            
+            // 未探索の場所のNPCは表示しない
+            if (!topDownMap.isTileExplored(npcTile.x, npcTile.y)) return;
+            
             const npcX = npcTile.x / mapWidth;
             const npcY = npcTile.y / mapHeight;
             
@@ -743,18 +823,23 @@ export default class UIScene {
         }
       }
       
-      // 高さ値から色を取得
-      getColorFromHeight(height) {
-        if (height < 0.3) {
-          return 0x0000ff; // 水
-        } else if (height < 0.5) {
-          return 0x00aa00; // 草
-        } else if (height < 0.7) {
-          return 0x8b4513; // 土
-        } else if (height < 0.85) {
-          return 0x888888; // 石
-        } else {
-          return 0xffffff; // 雪
+      // 高さ値から色を取得（フィールドはバイオームによって地形が変わる）
+      getColorFromHeight(height, biome = null) {
+        switch (getBiomeTerrainType(height, biome)) {
+          case 'water':
+            return 0x0000ff; // 水
+          case 'lava':
+            return 0xff4500; // 溶岩
+          case 'grass':
+            return 0x00aa00; // 草
+          case 'dirt':
+            return 0x8b4513; // 土
+          case 'sand':
+            return 0xe0c080; // 砂
+          case 'stone':
+            return 0x888888; // 石
+          default:
+            return 0xffffff; // 雪
         }
       }
       
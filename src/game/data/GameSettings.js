@@ -42,6 +42,14 @@ export class GameSettings {
           skill3: 'R',
           potion: 'F',
           menu: 'ESC'
+        },
+        autosave: {
+          enabled: true,
+          onMapTransition: true, // マップ移動時
+          beforeBossMap: true, // アリーナ（ボス）マップに入る前
+          onQuit: true, // ゲーム終了時
+          intervalMinutes: 5, // 一定間隔（0で無効）
+          slotCount: 3 // ローテーションするオートセーブスロットの数
         }
       };
   
@@ -91,6 +99,17 @@ export class GameSettings {
               }
             });
           }
+          
+          // オートセーブ設定の読み込み
+          this.autosave = { ...this.defaultSettings.autosave };
+          
+          if (parsedSettings.autosave) {
+            Object.keys(this.autosave).forEach(key => {
+              if (parsedSettings.autosave[key] !== undefined) {
+                this.autosave[key] = parsedSettings.autosave[key];
+              }
+            });
+          }
         } else {
           // 保存されている設定がない場合はデフォルト値を使用
           this.resetToDefaults();
@@ -113,7 +132,8 @@ export class GameSettings {
           effectQuality: this.effectQuality,
           difficulty: this.difficulty,
           language: this.language,
-          controls: this.controls
+          controls: this.controls,
+          autosave: this.autosave
         };
         
         localStorage.setItem('diabloLikeRpgSettings', JSON.stringify(settingsToSave));
@@ -134,6 +154,7 @@ export class GameSettings {
       this.difficulty = this.defaultSettings.difficulty;
       this.language = this.defaultSettings.language;
       this.controls = { ...this.defaultSettings.controls };
+      this.autosave = { ...this.defaultSettings.autosave };
     }
   
     /**
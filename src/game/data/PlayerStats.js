@@ -1,5 +1,24 @@
 // src/game/data/PlayerStats.js
 
+// プレイ記録（終了したキャラクターの履歴）の保存キー
+const HISTORY_STORAGE_KEY = 'diabloLikeRpgHistory';
+
+// モードごとに保持するプレイ記録の最大数
+const MAX_HISTORY_ENTRIES = 50;
+
+// 死亡したハードコアキャラクターのランIDの保存キー
+// プレイ記録は古いものから捨てるため、インポートで生き返らせないよう別に保持する
+const DEAD_RUNS_STORAGE_KEY = 'diabloLikeRpgDeadRuns';
+
+// フロアの結果（マップ生成の調整モデルの学習データ）の保存キー
+const FLOOR_OUTCOMES_STORAGE_KEY = 'diabloLikeRpgFloorOutcomes';
+
+// 保持するフロアの結果の最大数
+const MAX_FLOOR_OUTCOMES = 500;
+
+// フロアの結果をエクスポートするときの形式のバージョン
+export const FLOOR_OUTCOMES_EXPORT_VERSION = 1;
+
 /**
  * プレイヤーの統計情報を管理するシングルトンクラス
  */
@@ -26,6 +45,11 @@ export class PlayerStats {
       // プレイヤー統計情報の初期化
       this.reset();
       
+      // プレイ記録はキャラクターをまたいで保持するため reset() ではなく個別に読み込む
+      this.loadHistory();
+      this.loadDeadRuns();
+      this.loadFloorOutcomes();
+      
       // シングルトンインスタンスを設定
       PlayerStats.instance = this;
     }
@@ -86,6 +110,190 @@ export class PlayerStats {
       };
     }
   
+    /**
+     * プレイ記録をローカルストレージから読み込む
+     * 通常モードとハードコアモードの記録は別々に保持する
+     */
+    loadHistory() {
+      this.history = { normal: [], hardcore: [] };
+      
+      try {
+        const savedHistory = localStorage.getItem(HISTORY_STORAGE_KEY);
+        if (!savedHistory) return;
+        
+        const parsedHistory = JSON.parse(savedHistory);
+        ['normal', 'hardcore'].forEach(mode => {
+          if (Array.isArray(parsedHistory[mode])) {
+            this.history[mode] = parsedHistory[mode];
+          }
+        });
+      } catch (error) {
+        console.error('プレイ記録の読み込み中にエラーが発生しました:', error);
+      }
+    }
+  
+    /**
+     * プレイ記録をローカルストレージに保存
+     */
+    saveHistory() {
+      try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(this.history));
+      } catch (error) {
+        console.error('プレイ記録の保存中にエラーが発生しました:', error);
+      }
+    }
+  
+    /**
+     * 終了したキャラクターの記録を追加する
+     * @param {Object} summary - 記録する内容（名前・レベル・死亡理由など）
+     * @param {boolean} hardcore - ハードコアキャラクターの記録かどうか
+     * @returns {Object} 追加した記録
+     */
+    recordRun(summary, hardcore = false) {
+      const mode = hardcore ? 'hardcore' : 'normal';
+      const entry = {
+        name: this.name,
+        level: this.level,
+        kills: this.kills,
+        playTime: this.playTime,
+        goldCollected: this.goldCollected,
+        ...summary,
+        hardcore,
+        endedAt: Date.now()
+      };
+      
+      // 新しい順に並べ、古い記録から捨てる
+      this.history[mode] = [entry, ...this.history[mode]].slice(0, MAX_HISTORY_ENTRIES);
+      this.saveHistory();
+      
+      // ハードコアキャラクターのランは死亡したものとして残す
+      if (hardcore && summary.runId && !this.deadRunIds.includes(summary.runId)) {
+        this.deadRunIds.push(summary.runId);
+        this.saveDeadRuns();
+      }
+      
+      return entry;
+    }
+  
+    /**
+     * 死亡したハードコアキャラクターのランIDをローカルストレージから読み込む
+     */
+    loadDeadRuns() {
+      this.deadRunIds = [];
+      
+      try {
+        const savedDeadRuns = localStorage.getItem(DEAD_RUNS_STORAGE_KEY);
+        if (!savedDeadRuns) return;
+        
+        const parsedDeadRuns = JSON.parse(savedDeadRuns);
+        if (Array.isArray(parsedDeadRuns)) {
+          this.deadRunIds = parsedDeadRuns.filter(runId => typeof runId === 'string');
+        }
+      } catch (error) {
+        console.error('死亡したランの読み込み中にエラーが発生しました:', error);
+      }
+    }
+  
+    /**
+     * 死亡したハードコアキャラクターのランIDをローカルストレージに保存
+     */
+    saveDeadRuns() {
+      try {
+        localStorage.setItem(DEAD_RUNS_STORAGE_KEY, JSON.stringify(this.deadRunIds));
+      } catch (error) {
+        console.error('死亡したランの保存中にエラーが発生しました:', error);
+      }
+    }
+  
+    /**
+     * ハードコアキャラクターのランが死亡で終わっているかどうか
+     * @param {string|null|undefined} runId - ランID
+     * @returns {boolean} 死亡で終わったランならtrue
+     */
+    isHardcoreRunDead(runId) {
+      return !!runId && this.deadRunIds.includes(runId);
+    }
+  
+    /**
+     * プレイ記録を取得
+     * @param {boolean} hardcore - ハードコアキャラクターの記録を取得するかどうか
+     * @returns {Object[]} 新しい順の記録
+     */
+    getHistory(hardcore = false) {
+      return this.history[hardcore ? 'hardcore' : 'normal'];
+    }
+  
+    /**
+     * フロアの結果をローカルストレージから読み込む
+     */
+    loadFloorOutcomes() {
+      this.floorOutcomes = [];
+      
+      try {
+        const savedOutcomes = localStorage.getItem(FLOOR_OUTCOMES_STORAGE_KEY);
+        if (!savedOutcomes) return;
+        
+        const parsedOutcomes = JSON.parse(savedOutcomes);
+        if (Array.isArray(parsedOutcomes)) {
+          this.floorOutcomes = parsedOutcomes;
+        }
+      } catch (error) {
+        console.error('フロアの結果の読み込み中にエラーが発生しました:', error);
+      }
+    }
+  
+    /**
+     * フロアの結果をローカルストレージに保存
+     */
+    saveFloorOutcomes() {
+      try {
+        localStorage.setItem(FLOOR_OUTCOMES_STORAGE_KEY, JSON.stringify(this.floorOutcomes));
+      } catch (error) {
+        console.error('フロアの結果の保存中にエラーが発生しました:', error);
+      }
+    }
+  
+    /**
+     * フロアの結果を記録する（マップ生成の調整モデルの学習に使う）
+     * @param {Object} outcome - 結果（difficulty, level, maxLevel, mapType, parameters, died, clearTimeMs, damageTaken など）
+     * @returns {Object} 追加した記録
+     */
+    recordFloorOutcome(outcome) {
+      const entry = {
+        ...outcome,
+        recordedAt: Date.now()
+      };
+      
+      // 古い順に並べ、古い記録から捨てる
+      this.floorOutcomes = [...this.floorOutcomes, entry].slice(-MAX_FLOOR_OUTCOMES);
+      this.saveFloorOutcomes();
+      
+      return entry;
+    }
+  
+    /**
+     * フロアの結果を取得
+     * @param {string|null} difficulty - 難易度で絞り込む場合に指定
+     * @returns {Object[]} 古い順の結果
+     */
+    getFloorOutcomes(difficulty = null) {
+      return difficulty
+        ? this.floorOutcomes.filter(outcome => outcome.difficulty === difficulty)
+        : this.floorOutcomes;
+    }
+  
+    /**
+     * フロアの結果を学習スクリプト（tools/maptuning）に渡すJSONにする
+     * @returns {string} JSON文字列
+     */
+    exportFloorOutcomes() {
+      return JSON.stringify({
+        version: FLOOR_OUTCOMES_EXPORT_VERSION,
+        exportedAt: Date.now(),
+        outcomes: this.floorOutcomes
+      }, null, 2);
+    }
+  
     /**
      * プレイヤーの情報をロード
      * @param {Object} data - 保存されたプレイヤーデータ
@@ -0,0 +1,433 @@
+// src/game/data/SaveFormat.js
+//
+// セーブデータのフォーマット定義とマイグレーション
+// Electronのメインプロセス（electron/main.js）からもrequireするため、
+// このファイルだけはCommonJS形式で記述している
+
+/**
+ * セーブデータ封筒（エンベロープ）の識別子
+ */
+const SAVE_FORMAT_ID = 'diablo-rpg-save';
+
+/**
+ * 現在のセーブデータのバージョン
+ * セーブデータの構造を変更したらインクリメントし、
+ * 対応するマイグレーションを registerMigration で登録すること
+ */
+const SAVE_FORMAT_VERSION = 6;
+
+/**
+ * セーブデータ読み込み結果のステータス
+ */
+const SAVE_STATUS = {
+  OK: 'ok',
+  EMPTY: 'empty',
+  TOO_NEW: 'too-new',
+  CORRUPTED: 'corrupted',
+  // ハードコアキャラクターが死亡済みのため読み込めない
+  DEAD: 'dead'
+};
+
+// 作り直すフロアの一辺の最大タイル数（最も広いフィールドより大きくする）
+const MAX_FLOOR_SIZE = 1000;
+
+// バージョンごとのマイグレーション（from -> from + 1）
+const migrations = new Map();
+
+/**
+ * マイグレーションを登録する
+ * @param {number} fromVersion - 変換元のバージョン
+ * @param {Function} migrate - (data) => 1つ新しいバージョンのdata を返す関数
+ */
+function registerMigration(fromVersion, migrate) {
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    throw new Error(`Invalid migration version: ${fromVersion}`);
+  }
+  migrations.set(fromVersion, migrate);
+}
+
+/**
+ * プレーンなオブジェクトかどうか
+ * @param {any} value - 判定する値
+ * @returns {boolean} オブジェクトならtrue
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 値がバージョン付きのセーブ封筒かどうか
+ * @param {any} value - 判定する値
+ * @returns {boolean} セーブ封筒ならtrue
+ */
+function isSaveEnvelope(value) {
+  return isPlainObject(value) && value.format === SAVE_FORMAT_ID;
+}
+
+/**
+ * ゲームデータを現在のバージョンのセーブ封筒で包む
+ * @param {Object} data - 保存するゲームデータ
+ * @returns {Object} セーブ封筒
+ */
+function createSaveEnvelope(data) {
+  return {
+    format: SAVE_FORMAT_ID,
+    version: SAVE_FORMAT_VERSION,
+    savedAt: Date.now(),
+    data
+  };
+}
+
+/**
+ * 現在のバージョンのゲームデータを検証する
+ * @param {Object} data - 検証するゲームデータ
+ * @returns {string|null} エラーメッセージ（問題がなければnull）
+ */
+function validateSaveData(data) {
+  if (!isPlainObject(data)) {
+    return 'save data is not an object';
+  }
+
+  if (data.playerData !== undefined && data.playerData !== null) {
+    if (!isPlainObject(data.playerData)) {
+      return 'playerData is not an object';
+    }
+    if (!Number.isFinite(data.playerData.level) || data.playerData.level < 1) {
+      return `invalid player level: ${data.playerData.level}`;
+    }
+  }
+
+  if (!isPlainObject(data.gameState)) {
+    return 'gameState is missing';
+  }
+
+  if (!Number.isFinite(data.gameState.currentLevel) || data.gameState.currentLevel < 1) {
+    return `invalid currentLevel: ${data.gameState.currentLevel}`;
+  }
+
+  if (data.world !== undefined && data.world !== null) {
+    const worldError = validateWorldData(data.world);
+    if (worldError) {
+      return worldError;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * フロアデータ（マップのレイアウトと状態）を検証する
+ * @param {Object} floor - 検証するフロアデータ
+ * @param {string} path - エラーメッセージに使うデータの位置
+ * @returns {string|null} エラーメッセージ（問題がなければnull）
+ */
+function validateFloorData(floor, path) {
+  if (!isPlainObject(floor)) {
+    return `${path} is not an object`;
+  }
+
+  const { layout } = floor;
+  if (layout !== undefined && layout !== null) {
+    if (!isPlainObject(layout)) {
+      return `${path}.layout is not an object`;
+    }
+    if (!Number.isInteger(layout.width) || !Number.isInteger(layout.height)) {
+      return `invalid layout size: ${layout.width}x${layout.height}`;
+    }
+    // マップ配列は [x][y] の順
+    for (const field of ['heightMap', 'objectPlacement']) {
+      const grid = layout[field];
+      if (!Array.isArray(grid) || grid.length !== layout.width ||
+          grid.some(column => !Array.isArray(column) || column.length !== layout.height)) {
+        return `${path}.layout.${field} does not match ${layout.width}x${layout.height}`;
+      }
+    }
+  }
+
+  // レイアウトを保存しないフロアは、生成したときの大きさと生成パラメータから作り直す
+  if (floor.width !== undefined || floor.height !== undefined) {
+    if (!Number.isInteger(floor.width) || !Number.isInteger(floor.height) ||
+        floor.width < 1 || floor.height < 1 || floor.width > MAX_FLOOR_SIZE || floor.height > MAX_FLOOR_SIZE) {
+      return `invalid ${path} size: ${floor.width}x${floor.height}`;
+    }
+  }
+  if (floor.parameters !== undefined && floor.parameters !== null && !isPlainObject(floor.parameters)) {
+    return `${path}.parameters is not an object`;
+  }
+
+  if (floor.state !== undefined && floor.state !== null) {
+    if (!isPlainObject(floor.state)) {
+      return `${path}.state is not an object`;
+    }
+    // 探索済みのタイル（Base64の文字列、霧が追加される前のセーブはnull）
+    const { explored } = floor.state;
+    if (explored !== undefined && explored !== null && typeof explored !== 'string') {
+      return `${path}.state.explored is not a string`;
+    }
+    // 開いた扉・鍵を開けた扉（"x,y" 形式）と拾った鍵の keyId
+    for (const field of ['openedDoors', 'unlockedDoors', 'collectedKeys']) {
+      const value = floor.state[field];
+      if (value !== undefined && (!Array.isArray(value) || value.some(entry => typeof entry !== 'string'))) {
+        return `${path}.state.${field} is not an array of strings`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * ワールドデータ（現在のフロアと訪れたことのあるフロア）を検証する
+ * @param {Object} world - 検証するワールドデータ
+ * @returns {string|null} エラーメッセージ（問題がなければnull）
+ */
+function validateWorldData(world) {
+  const floorError = validateFloorData(world, 'world');
+  if (floorError) {
+    return floorError;
+  }
+
+  if (world.floors !== undefined) {
+    if (!isPlainObject(world.floors)) {
+      return 'world.floors is not an object';
+    }
+    // キーはフロアレベル
+    for (const [level, floor] of Object.entries(world.floors)) {
+      if (!/^[1-9]\d*$/.test(level)) {
+        return `invalid floor level: ${level}`;
+      }
+      const error = validateFloorData(floor, `world.floors.${level}`);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  if (world.companions !== undefined && !Array.isArray(world.companions)) {
+    return 'world.companions is not an array';
+  }
+
+  return null;
+}
+
+/**
+ * 保存されていた値を読み込み、現在のバージョンまで段階的にマイグレーションする
+ * バージョン情報のない旧形式のセーブ（playerData か gameState を持つオブジェクト）はバージョン0として扱う
+ * @param {Object|string|null} raw - 保存されていた値（JSON文字列またはパース済みオブジェクト）
+ * @returns {Object} { status, version, savedAt, data, message }
+ */
+function migrateSave(raw) {
+  if (raw === null || raw === undefined || raw === '') {
+    return { status: SAVE_STATUS.EMPTY, data: null, message: 'No save data' };
+  }
+
+  let parsed = raw;
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      return { status: SAVE_STATUS.CORRUPTED, data: null, message: `Failed to parse save data: ${error.message}` };
+    }
+  }
+
+  if (!isPlainObject(parsed)) {
+    return { status: SAVE_STATUS.CORRUPTED, data: null, message: 'Save data is not an object' };
+  }
+
+  // 旧形式（バージョンなし）のセーブはバージョン0
+  let version = 0;
+  let savedAt = parsed.timestamp || null;
+  let data = parsed;
+
+  if (isSaveEnvelope(parsed)) {
+    version = parsed.version;
+    savedAt = parsed.savedAt || null;
+    data = parsed.data;
+
+    if (!Number.isInteger(version) || version < 0) {
+      return { status: SAVE_STATUS.CORRUPTED, data: null, message: `Invalid save version: ${version}` };
+    }
+  } else if (!('playerData' in parsed) && !('gameState' in parsed)) {
+    // 封筒のないオブジェクトは、旧形式のセーブにあるキーを持つものだけを旧形式として扱う
+    // （関係のないJSONを既定値で補って読み込まない）
+    return { status: SAVE_STATUS.CORRUPTED, data: null, message: 'Save data is neither a save envelope nor a legacy save' };
+  }
+
+  if (version > SAVE_FORMAT_VERSION) {
+    return {
+      status: SAVE_STATUS.TOO_NEW,
+      version,
+      data: null,
+      message: `Save version ${version} is newer than supported version ${SAVE_FORMAT_VERSION}`
+    };
+  }
+
+  // 1バージョンずつ順番に変換
+  try {
+    for (let v = version; v < SAVE_FORMAT_VERSION; v++) {
+      const migrate = migrations.get(v);
+      if (!migrate) {
+        throw new Error(`No migration registered from version ${v}`);
+      }
+      data = migrate(data);
+    }
+  } catch (error) {
+    return { status: SAVE_STATUS.CORRUPTED, version, data: null, message: `Migration failed: ${error.message}` };
+  }
+
+  const validationError = validateSaveData(data);
+  if (validationError) {
+    return { status: SAVE_STATUS.CORRUPTED, version, data: null, message: `Invalid save data: ${validationError}` };
+  }
+
+  return {
+    status: SAVE_STATUS.OK,
+    version,
+    savedAt,
+    data,
+    message: version < SAVE_FORMAT_VERSION
+      ? `Save migrated from version ${version} to ${SAVE_FORMAT_VERSION}`
+      : 'Save loaded'
+  };
+}
+
+/**
+ * セーブスロット一覧に表示する概要を取得する
+ * どのストレージバックエンドでも同じ内容になるよう、保存された値そのものから組み立てる
+ * @param {Object|string|null} raw - 保存されていた値
+ * @returns {Object} { status, version, savedAt, playerName, playerClass, playerLevel, difficulty, currentLevel, mapType, playTime, hardcore, dead, message }
+ */
+function summarizeSave(raw) {
+  const result = migrateSave(raw);
+  const data = result.data || {};
+  const playerData = data.playerData || {};
+  const gameState = data.gameState || {};
+
+  return {
+    status: result.status,
+    version: result.version,
+    savedAt: result.savedAt || null,
+    playerName: playerData.name,
+    playerClass: gameState.playerClass,
+    playerLevel: playerData.level,
+    difficulty: gameState.difficulty,
+    currentLevel: gameState.currentLevel,
+    mapType: gameState.mapType,
+    playTime: playerData.playTime || 0,
+    hardcore: !!gameState.hardcore,
+    dead: !!gameState.dead,
+    message: result.message
+  };
+}
+
+// v0 -> v1: バージョンなしの旧形式を { playerData, gameState } に正規化
+registerMigration(0, (legacy) => {
+  if (!isPlainObject(legacy)) {
+    throw new Error('legacy save is not an object');
+  }
+
+  // 旧形式ではElectron経由の保存時にsaveSlotやtimestampが混在していた
+  const { saveSlot, timestamp, ...rest } = legacy;
+  const gameState = isPlainObject(rest.gameState) ? rest.gameState : {};
+
+  return {
+    ...rest,
+    playerData: isPlainObject(rest.playerData) ? rest.playerData : null,
+    gameState: {
+      currentLevel: 1,
+      difficulty: 'normal',
+      mapType: 'field',
+      ...gameState
+    }
+  };
+});
+
+// v1 -> v2: マップのシード・レイアウト・状態を保存するworldを追加
+// v1のセーブにはワールド情報がないため、読み込み時は新しいマップを生成する
+registerMigration(1, (data) => ({
+  ...data,
+  world: null
+}));
+
+// v2 -> v3: 階段でつながったフロアのうち、訪れたことのある他のフロアを保存するworld.floorsを追加
+// v2のセーブでは今いるフロア以外の状態は残っていないため、空にする
+registerMigration(2, (data) => ({
+  ...data,
+  world: isPlainObject(data.world) ? { ...data.world, floors: {} } : data.world
+}));
+
+/**
+ * ワールドの今いるフロアと訪れたことのある他のフロア（world.floors）のそれぞれを変換する
+ * フロアの状態を変えるマイグレーションで使う
+ * @param {Object} data - ゲームデータ
+ * @param {Function} transform - (floor) => 変換したフロアデータ を返す関数
+ * @returns {Object} 変換したゲームデータ（ワールドがなければそのまま）
+ */
+function migrateFloors(data, transform) {
+  if (!isPlainObject(data.world)) return data;
+
+  const world = transform(data.world);
+  if (isPlainObject(world.floors)) {
+    world.floors = Object.fromEntries(
+      Object.entries(world.floors).map(([level, floor]) => [level, transform(floor)])
+    );
+  }
+  return { ...data, world };
+}
+
+// v3 -> v4: フロアの状態に探索済みのタイル（state.explored）を追加
+// v3までのセーブには探索の記録がないため、null（すべて探索済み）にする
+function addExploredState(floor) {
+  if (!isPlainObject(floor) || !isPlainObject(floor.state)) return floor;
+  return { ...floor, state: { ...floor.state, explored: null } };
+}
+
+registerMigration(3, (data) => migrateFloors(data, addExploredState));
+
+// v4 -> v5: フロアの状態に扉と鍵（state.openedDoors, state.unlockedDoors, state.collectedKeys）を追加
+// v4までのレイアウトには扉がないため、すべて空にする
+function addDoorState(floor) {
+  if (!isPlainObject(floor) || !isPlainObject(floor.state)) return floor;
+  return { ...floor, state: { ...floor.state, openedDoors: [], unlockedDoors: [], collectedKeys: [] } };
+}
+
+registerMigration(4, (data) => migrateFloors(data, addDoorState));
+
+// v5 -> v6: 地面のアイテム（state.groundItems）の種類を、クラス名を小文字にした名前から ItemType の値に変更
+// ビルド時の圧縮でクラス名が変わっていた場合は、保存されたデータの内容から種類を判別する
+const GROUND_ITEM_TYPES = { equipment: 'equipment', potion: 'potion', keyitem: 'keyItem' };
+
+function getGroundItemType(item) {
+  if (GROUND_ITEM_TYPES[item.type]) return GROUND_ITEM_TYPES[item.type];
+
+  const data = isPlainObject(item.data) ? item.data : {};
+  if (data.equipType !== undefined) return 'equipment';
+  if (data.potionType !== undefined) return 'potion';
+  if (data.keyId !== undefined) return 'keyItem';
+  return null;
+}
+
+function convertGroundItemTypes(floor) {
+  if (!isPlainObject(floor) || !isPlainObject(floor.state) || !Array.isArray(floor.state.groundItems)) return floor;
+
+  // 種類が分からないアイテムは復元できないため取り除く
+  const groundItems = floor.state.groundItems
+    .filter(isPlainObject)
+    .map(item => ({ ...item, type: getGroundItemType(item) }))
+    .filter(item => item.type !== null);
+  return { ...floor, state: { ...floor.state, groundItems } };
+}
+
+registerMigration(5, (data) => migrateFloors(data, convertGroundItemTypes));
+
+module.exports = {
+  SAVE_FORMAT_ID,
+  SAVE_FORMAT_VERSION,
+  SAVE_STATUS,
+  registerMigration,
+  isSaveEnvelope,
+  createSaveEnvelope,
+  validateSaveData,
+  migrateSave,
+  summarizeSave
+};
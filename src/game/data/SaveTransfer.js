@@ -0,0 +1,246 @@
+// src/game/data/SaveTransfer.js
+//
+// セーブデータのエクスポート／インポート
+// エクスポート文字列の形式: DRPGSAVE1.<SHA-256チェックサム>.<gzip圧縮したセーブJSONのBase64>
+// チェックサムは圧縮前のセーブJSONに対して計算し、インポート時に検証する
+import { migrateSave, SAVE_STATUS } from './SaveFormat';
+
+// エクスポート文字列の先頭に付ける識別子
+export const SAVE_EXPORT_PREFIX = 'DRPGSAVE1';
+
+// エクスポートファイルの拡張子
+export const SAVE_EXPORT_EXTENSION = 'drpgsave';
+
+// インポートを受け付ける最大サイズ（文字数）
+const MAX_EXPORT_LENGTH = 10 * 1024 * 1024;
+
+// 展開後のセーブJSONの最大サイズ（バイト）。圧縮率の極端に高いデータでメモリを使い切らないようにする
+const MAX_DECOMPRESSED_LENGTH = 64 * 1024 * 1024;
+
+// ファイル選択ダイアログを閉じてウィンドウにフォーカスが戻ってから、選択されたファイルを待つ時間（ミリ秒）
+const FILE_DIALOG_SETTLE_MS = 1000;
+
+/**
+ * バイト列をストリーム変換（圧縮・展開）する
+ * @param {Uint8Array} bytes - 入力
+ * @param {TransformStream} transform - CompressionStream / DecompressionStream
+ * @param {number} maxLength - 出力の最大サイズ（バイト、超えたら変換を中止してエラーにする）
+ * @returns {Promise<Uint8Array>} 出力
+ */
+async function transformBytes(bytes, transform, maxLength = Infinity) {
+  const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+  const chunks = [];
+  let length = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    length += value.length;
+    if (length > maxLength) {
+      await reader.cancel();
+      throw new Error(`output exceeds ${maxLength} bytes`);
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+/**
+ * バイト列をBase64文字列に変換
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {string} Base64文字列
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Base64文字列をバイト列に変換
+ * @param {string} base64 - Base64文字列
+ * @returns {Uint8Array} バイト列
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * 文字列のSHA-256チェックサムを計算
+ * @param {string} text - 対象の文字列
+ * @returns {Promise<string>} 16進数のチェックサム
+ */
+async function computeChecksum(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * シリアライズ済みのセーブをエクスポート文字列に変換する
+ * @param {string} serialized - ストレージに保存されているセーブ（JSON文字列）
+ * @returns {Promise<string>} エクスポート文字列
+ */
+export async function encodeSaveExport(serialized) {
+  const checksum = await computeChecksum(serialized);
+  const compressed = await transformBytes(
+    new TextEncoder().encode(serialized),
+    new CompressionStream('gzip')
+  );
+
+  return `${SAVE_EXPORT_PREFIX}.${checksum}.${bytesToBase64(compressed)}`;
+}
+
+/**
+ * エクスポート文字列を検証してセーブデータに戻す
+ * 展開・チェックサム検証の後、loadGameData と同じ migrateSave の検証を行う
+ * @param {string} text - エクスポート文字列
+ * @returns {Promise<Object>} migrateSave() の結果（{ status, version, savedAt, data, message }）
+ */
+export async function decodeSaveExport(text) {
+  const corrupted = message => ({ status: SAVE_STATUS.CORRUPTED, data: null, message });
+
+  if (typeof text !== 'string' || text.length === 0) {
+    return corrupted('Export data is empty');
+  }
+
+  if (text.length > MAX_EXPORT_LENGTH) {
+    return corrupted('Export data is too large');
+  }
+
+  const parts = text.trim().split('.');
+  if (parts.length !== 3 || parts[0] !== SAVE_EXPORT_PREFIX) {
+    return corrupted('Not a save export');
+  }
+
+  const [, checksum, payload] = parts;
+
+  let serialized;
+  try {
+    const bytes = await transformBytes(base64ToBytes(payload), new DecompressionStream('gzip'), MAX_DECOMPRESSED_LENGTH);
+    serialized = new TextDecoder().decode(bytes);
+  } catch (error) {
+    return corrupted(`Failed to decompress export: ${error.message}`);
+  }
+
+  if (await computeChecksum(serialized) !== checksum) {
+    return corrupted('Export checksum mismatch');
+  }
+
+  return migrateSave(serialized);
+}
+
+/**
+ * エクスポートファイルの名前を作成
+ * @param {string} slot - スロットID
+ * @returns {string} ファイル名
+ */
+export function getExportFileName(slot) {
+  const date = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  return `diablo-rpg-${slot}-${date}.${SAVE_EXPORT_EXTENSION}`;
+}
+
+/**
+ * エクスポート文字列をファイルとして保存する
+ * Electronでは保存ダイアログ、ブラウザではダウンロードを使う
+ * @param {string} fileName - ファイル名
+ * @param {string} content - エクスポート文字列
+ * @returns {Promise<boolean>} 保存した場合はtrue（キャンセル時はfalse）
+ */
+export async function writeExportFile(fileName, content) {
+  if (window.electronAPI && window.electronAPI.isElectron) {
+    const result = await window.electronAPI.exportSaveFile(fileName, content);
+    if (!result.success && !result.canceled) {
+      throw new Error(result.message);
+    }
+    return result.success;
+  }
+
+  const url = URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+  return true;
+}
+
+/**
+ * エクスポートファイルを選択して読み込む
+ * Electronではファイル選択ダイアログ、ブラウザではファイル入力を使う
+ * ファイル入力の cancel イベントがないブラウザ（古いChromium・Safari）では、
+ * ダイアログを閉じてウィンドウにフォーカスが戻ってもファイルが選ばれなければキャンセルとみなす
+ * @returns {Promise<string|null>} ファイルの内容（キャンセル時はnull）
+ */
+export async function readExportFile() {
+  if (window.electronAPI && window.electronAPI.isElectron) {
+    const result = await window.electronAPI.importSaveFile();
+    if (!result.success) {
+      if (result.canceled) return null;
+      throw new Error(result.message);
+    }
+    return result.content;
+  }
+
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = `.${SAVE_EXPORT_EXTENSION},.txt`;
+
+    // change / cancel / フォーカスのどれで終わっても一度だけ結果を返す
+    let settled = false;
+    let focusTimer = null;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      window.removeEventListener('focus', onFocus);
+      clearTimeout(focusTimer);
+      callback(value);
+    };
+
+    // ファイルを選んだ場合も change より先にフォーカスが戻ることがあるため、少し待ってから判定する
+    const onFocus = () => {
+      clearTimeout(focusTimer);
+      focusTimer = setTimeout(() => {
+        if (!input.files || input.files.length === 0) settle(resolve, null);
+      }, FILE_DIALOG_SETTLE_MS);
+    };
+
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (!file) {
+        settle(resolve, null);
+        return;
+      }
+      if (file.size > MAX_EXPORT_LENGTH) {
+        settle(reject, new Error('Export file is too large'));
+        return;
+      }
+      // 読み込みが終わる前にフォーカスの判定でキャンセル扱いにならないよう、ここで結果を確定させる
+      settle(resolve, file.text());
+    });
+    input.addEventListener('cancel', () => settle(resolve, null));
+
+    window.addEventListener('focus', onFocus);
+    input.click();
+  });
+}
@@ -0,0 +1,59 @@
+// src/game/data/storage/ElectronFileBackend.js
+import SaveStorage from './SaveStorage';
+
+/**
+ * Electron のメインプロセス経由でユーザーデータフォルダのファイルに保存するストレージ
+ * preload.js が公開する window.electronAPI を使用する
+ */
+export default class ElectronFileBackend extends SaveStorage {
+  static backendName = 'electronFile';
+
+  static isAvailable() {
+    return typeof window !== 'undefined' &&
+      !!window.electronAPI &&
+      !!window.electronAPI.isElectron;
+  }
+
+  /**
+   * IPCの結果を検証し、失敗していれば例外にする
+   * @param {Object} result - メインプロセスからの応答
+   * @returns {Object} 成功した応答
+   */
+  static unwrap(result) {
+    if (!result || !result.success) {
+      throw new Error(result && result.message ? result.message : 'Electron save storage request failed');
+    }
+    return result;
+  }
+
+  async read(slot) {
+    const result = ElectronFileBackend.unwrap(
+      await window.electronAPI.loadGame(SaveStorage.normalizeSlot(slot))
+    );
+
+    // 本体が壊れていてバックアップから復旧した場合
+    if (result.recoveredFrom) {
+      console.warn(`Save slot ${slot} was restored from backup ${result.recoveredFrom}`);
+    }
+
+    return result.data === undefined ? null : result.data;
+  }
+
+  async write(slot, serialized) {
+    ElectronFileBackend.unwrap(
+      await window.electronAPI.saveGame(SaveStorage.normalizeSlot(slot), serialized)
+    );
+  }
+
+  async remove(slot) {
+    const result = ElectronFileBackend.unwrap(
+      await window.electronAPI.deleteSave(SaveStorage.normalizeSlot(slot))
+    );
+    return !!result.deleted;
+  }
+
+  async list() {
+    const result = ElectronFileBackend.unwrap(await window.electronAPI.getSaveSlots());
+    return result.slots || [];
+  }
+}
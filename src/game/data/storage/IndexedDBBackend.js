@@ -0,0 +1,140 @@
+// src/game/data/storage/IndexedDBBackend.js
+import SaveStorage from './SaveStorage';
+import LocalStorageBackend, { LOCAL_STORAGE_PREFIX } from './LocalStorageBackend';
+
+const DB_NAME = 'diablo-rpg';
+const DB_VERSION = 1;
+const STORE_NAME = 'saves';
+
+/**
+ * IDBRequest を Promise に変換する
+ * @param {IDBRequest} request - IndexedDBのリクエスト
+ * @returns {Promise<any>} リクエストの結果
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB を使うセーブストレージ
+ * マップのレイアウトを含む大きなセーブでも localStorage の容量制限を受けない
+ */
+export default class IndexedDBBackend extends SaveStorage {
+  static backendName = 'indexedDB';
+
+  static isAvailable() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+
+  constructor() {
+    super();
+
+    // データベース接続（初回アクセス時に開く）
+    this.dbPromise = null;
+  }
+
+  /**
+   * データベースを開く
+   * 初回のみ localStorage に残っている旧セーブを取り込む
+   * @returns {Promise<IDBDatabase>} データベース
+   */
+  openDatabase() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      let created = false;
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME);
+          created = true;
+        }
+      };
+
+      request.onsuccess = async () => {
+        const db = request.result;
+        if (created) {
+          try {
+            await this.importLocalStorageSaves(db);
+          } catch (error) {
+            console.warn('localStorageのセーブデータの取り込みに失敗しました:', error);
+          }
+        }
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        // 次回のアクセスで再試行できるようにする
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * localStorage に保存されている旧セーブを IndexedDB にコピーする
+   * 元のデータは残す
+   * @param {IDBDatabase} db - データベース
+   */
+  async importLocalStorageSaves(db) {
+    if (!LocalStorageBackend.isAvailable()) return;
+
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(LOCAL_STORAGE_PREFIX)) {
+        store.put(localStorage.getItem(key), key.slice(LOCAL_STORAGE_PREFIX.length));
+      }
+    }
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * オブジェクトストアに対して操作を行う
+   * @param {string} mode - 'readonly' または 'readwrite'
+   * @param {Function} operation - (store) => IDBRequest
+   * @returns {Promise<any>} リクエストの結果
+   */
+  async withStore(mode, operation) {
+    const db = await this.openDatabase();
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return promisifyRequest(operation(store));
+  }
+
+  async read(slot) {
+    const value = await this.withStore('readonly', store => store.get(SaveStorage.normalizeSlot(slot)));
+    return value === undefined ? null : value;
+  }
+
+  async write(slot, serialized) {
+    await this.withStore('readwrite', store => store.put(serialized, SaveStorage.normalizeSlot(slot)));
+  }
+
+  async remove(slot) {
+    const id = SaveStorage.normalizeSlot(slot);
+    const count = await this.withStore('readonly', store => store.count(id));
+    if (count === 0) {
+      return false;
+    }
+    await this.withStore('readwrite', store => store.delete(id));
+    return true;
+  }
+
+  async list() {
+    const keys = await this.withStore('readonly', store => store.getAllKeys());
+    return keys.map(String);
+  }
+}
@@ -0,0 +1,50 @@
+// src/game/data/storage/LocalStorageBackend.js
+import SaveStorage from './SaveStorage';
+
+// セーブデータのキーの接頭辞（従来の Game.saveGameData と同じ）
+export const LOCAL_STORAGE_PREFIX = 'diablo-rpg-save-';
+
+/**
+ * localStorage を使うセーブストレージ
+ * 容量は数MB程度に制限されるため、他のバックエンドが使えない場合のフォールバック
+ */
+export default class LocalStorageBackend extends SaveStorage {
+  static backendName = 'localStorage';
+
+  static isAvailable() {
+    try {
+      return typeof window !== 'undefined' && !!window.localStorage;
+    } catch (error) {
+      // プライベートモード等でアクセス自体が例外になる場合がある
+      return false;
+    }
+  }
+
+  async read(slot) {
+    return localStorage.getItem(LOCAL_STORAGE_PREFIX + SaveStorage.normalizeSlot(slot));
+  }
+
+  async write(slot, serialized) {
+    localStorage.setItem(LOCAL_STORAGE_PREFIX + SaveStorage.normalizeSlot(slot), serialized);
+  }
+
+  async remove(slot) {
+    const key = LOCAL_STORAGE_PREFIX + SaveStorage.normalizeSlot(slot);
+    if (localStorage.getItem(key) === null) {
+      return false;
+    }
+    localStorage.removeItem(key);
+    return true;
+  }
+
+  async list() {
+    const slots = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(LOCAL_STORAGE_PREFIX)) {
+        slots.push(key.slice(LOCAL_STORAGE_PREFIX.length));
+      }
+    }
+    return slots;
+  }
+}
@@ -0,0 +1,71 @@
+// src/game/data/storage/SaveStorage.js
+
+/**
+ * セーブデータの保存先（ストレージバックエンド）の基底クラス
+ * バックエンドはシリアライズ済みの文字列をスロットIDごとに保存するだけで、
+ * セーブ封筒やマイグレーションは Game 側（SaveFormat）で扱う
+ */
+export default class SaveStorage {
+  /**
+   * バックエンドの名前（ログ表示用）
+   */
+  static backendName = 'base';
+
+  /**
+   * 現在の実行環境でこのバックエンドが利用可能か
+   * @returns {boolean} 利用可能ならtrue
+   */
+  static isAvailable() {
+    return false;
+  }
+
+  /**
+   * スロットIDを正規化して検証する
+   * ファイル名やキーに使うため英数字・ハイフン・アンダースコアのみ許可する
+   * @param {string|number} slot - スロットID
+   * @returns {string} 正規化されたスロットID
+   */
+  static normalizeSlot(slot) {
+    const id = String(slot);
+    if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+      throw new Error(`Invalid save slot: ${slot}`);
+    }
+    return id;
+  }
+
+  /**
+   * スロットの内容を読み込む
+   * @param {string} slot - スロットID
+   * @returns {Promise<string|null>} 保存されている文字列（存在しなければnull）
+   */
+  async read(slot) {
+    throw new Error(`${this.constructor.name}.read is not implemented`);
+  }
+
+  /**
+   * スロットに書き込む
+   * @param {string} slot - スロットID
+   * @param {string} serialized - 保存する文字列
+   * @returns {Promise<void>}
+   */
+  async write(slot, serialized) {
+    throw new Error(`${this.constructor.name}.write is not implemented`);
+  }
+
+  /**
+   * スロットを削除する
+   * @param {string} slot - スロットID
+   * @returns {Promise<boolean>} 削除した場合はtrue、存在しなかった場合はfalse
+   */
+  async remove(slot) {
+    throw new Error(`${this.constructor.name}.remove is not implemented`);
+  }
+
+  /**
+   * 保存されているスロットIDの一覧を取得する
+   * @returns {Promise<string[]>} スロットIDの配列
+   */
+  async list() {
+    throw new Error(`${this.constructor.name}.list is not implemented`);
+  }
+}
@@ -0,0 +1,38 @@
+// src/game/data/storage/index.js
+import SaveStorage from './SaveStorage';
+import LocalStorageBackend from './LocalStorageBackend';
+import IndexedDBBackend from './IndexedDBBackend';
+import ElectronFileBackend from './ElectronFileBackend';
+
+/**
+ * 優先順に並べたストレージバックエンド
+ * Electron ではファイル、ブラウザでは IndexedDB、使えなければ localStorage
+ */
+const BACKENDS = [ElectronFileBackend, IndexedDBBackend, LocalStorageBackend];
+
+/**
+ * 実行環境で利用可能なセーブストレージを作成する
+ * @param {string} [preferred] - 優先して使うバックエンド名（利用可能な場合のみ）
+ * @returns {SaveStorage|null} ストレージ（利用可能なものがなければnull）
+ */
+export function createSaveStorage(preferred) {
+  const candidates = preferred
+    ? [...BACKENDS.filter(backend => backend.backendName === preferred), ...BACKENDS]
+    : BACKENDS;
+
+  const Backend = candidates.find(backend => backend.isAvailable());
+  if (!Backend) {
+    console.warn('利用可能なセーブストレージがありません');
+    return null;
+  }
+
+  console.log(`セーブストレージ: ${Backend.backendName}`);
+  return new Backend();
+}
+
+export {
+  SaveStorage,
+  LocalStorageBackend,
+  IndexedDBBackend,
+  ElectronFileBackend
+};
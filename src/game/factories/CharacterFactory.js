@@ -87,19 +87,23 @@ export default class CharacterFactory {
   }
 
   // 敵作成
+  // config.random にシード付きの乱数関数を渡すと、種類・名前・ドロップが再現可能になる
   createEnemy(config = {}) {
     // 敵の位置
     const x = config.x !== undefined ? config.x : (this.scene.cameras.main.width / 2);
     const y = config.y !== undefined ? config.y : (this.scene.cameras.main.height / 2);
     
+    // 敵の乱数
+    const random = config.random || Math.random;
+    
     // 敵のタイプとレベル
-    const enemyType = config.enemyType || this.getRandomEnemyType(config.difficulty);
+    const enemyType = config.enemyType || this.getRandomEnemyType(config.difficulty, random);
     const level = config.level || 1;
     
     // 敵の設定
     const enemyConfig = {
       // 基本情報
-      name: config.name || this.generateEnemyName(enemyType),
+      name: config.name || this.generateEnemyName(enemyType, random),
       level: level,
       enemyType: config.isBoss ? 'boss' : (config.isElite ? 'elite' : 'normal'),
       
@@ -121,8 +125,12 @@ export default class CharacterFactory {
       aggressiveness: config.aggressiveness || 0.7,
       intelligence: config.intelligence || 0.5,
       
-      // 難易度
-      difficulty: config.difficulty || 'normal'
+      // 難易度とフロアの変性（getMapModifierEffects() の結果）
+      difficulty: config.difficulty || 'normal',
+      modifiers: config.modifiers || null,
+      
+      // ドロップ判定に使う乱数
+      random: random
     };
     
     // AssetManagerを介してキャラクターアニメーションを生成
@@ -231,6 +239,8 @@ export default class CharacterFactory {
       type: config.type || 'villager',
       shopType: config.shopType || 'general',
       shopItems: config.shopItems || [],
+      serviceType: config.serviceType || null,
+      building: config.building || null,
       dialogues: config.dialogues || this.getDefaultDialogues(config.type, config.isShop),
       
       // トップダウン用の追加設定
@@ -544,7 +554,7 @@ export default class CharacterFactory {
       const actualRate = Math.min(potionDropRate, remainingRate);
       dropItems.push({
         itemType: 'potion',
-        potionType: this.getRandomPotionType(),
+        potionType: this.getRandomPotionType(config.random),
         dropRate: actualRate
       });
       remainingRate -= actualRate;
@@ -565,12 +575,12 @@ export default class CharacterFactory {
   }
   
   // ランダムなポーションタイプの取得
-  getRandomPotionType() {
+  getRandomPotionType(random = Math.random) {
     const types = ['health', 'mana', 'rejuvenation', 'special'];
     const weights = [0.5, 0.3, 0.15, 0.05];
     
     // 重み付きランダム選択
-    const rand = Math.random();
+    const rand = random();
     let cumulativeWeight = 0;
     
     for (let i = 0; i < types.length; i++) {
@@ -592,13 +602,14 @@ export default class CharacterFactory {
                           config.enemyType === 'elite' ? 2 : 1;
     
     // ランダム要素
-    const randomMultiplier = 0.8 + (Math.random() * 0.4); // 0.8-1.2の範囲
+    const random = config.random || Math.random;
+    const randomMultiplier = 0.8 + (random() * 0.4); // 0.8-1.2の範囲
     
     return Math.floor(baseAmount * typeMultiplier * randomMultiplier);
   }
   
   // ランダムな敵タイプの取得
-  getRandomEnemyType(difficulty = 'normal') {
+  getRandomEnemyType(difficulty = 'normal', random = Math.random) {
     const types = {
       normal: ['goblin', 'skeleton', 'zombie', 'rat', 'spider'],
       nightmare: ['demon', 'ghost', 'vampire', 'werewolf', 'golem'],
@@ -606,13 +617,13 @@ export default class CharacterFactory {
     };
     
     const availableTypes = types[difficulty] || types.normal;
-    return availableTypes[Math.floor(Math.random() * availableTypes.length)];
+    return availableTypes[Math.floor(random() * availableTypes.length)];
   }
   
   // 敵の名前生成
-  generateEnemyName(enemyType) {
+  generateEnemyName(enemyType, random = Math.random) {
     const prefixes = ['凶暴な', '巨大な', '狂気の', '恐ろしい', '腐敗した'];
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
+    const prefix = prefixes[Math.floor(random() * prefixes.length)];
     
     const names = {
       goblin: 'ゴブリン',
@@ -629,7 +640,24 @@ export default class CharacterFactory {
       devil: 'デビル',
       lich: 'リッチ',
       demon_lord: 'デーモンロード',
-      death_knight: 'デスナイト'
+      death_knight: 'デスナイト',
+      // フィールドのバイオームの敵
+      wolf: 'ウルフ',
+      bandit: 'バンディット',
+      troll: 'トロール',
+      ogre: 'オーガ',
+      treant: 'トレント',
+      scorpion: 'スコーピオン',
+      mummy: 'マミー',
+      sand_worm: 'サンドワーム',
+      yeti: 'イエティ',
+      ice_golem: 'アイスゴーレム',
+      frost_wraith: 'フロストレイス',
+      slime: 'スライム',
+      lizardman: 'リザードマン',
+      fire_imp: 'ファイアインプ',
+      hellhound: 'ヘルハウンド',
+      salamander: 'サラマンダー'
     };
     
     return `${prefix}${names[enemyType] || '敵'}`;
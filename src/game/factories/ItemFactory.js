@@ -1,7 +1,8 @@
 import Equipment from '../objects/Equipment';
 import Potion from '../objects/Potion';
 import Effect from '../objects/Effect';
-import { EquipType } from '../../constants/itemTypes';
+import KeyItem from '../objects/KeyItem';
+import { EquipType, ItemType } from '../../constants/itemTypes';
 
 export default class ItemFactory {
   constructor(scene) {
@@ -10,17 +11,20 @@ export default class ItemFactory {
   
   // 一般的なアイテム作成メソッド
   createItem(config = {}) {
-    const type = config.type || 'equipment';
+    // 種類は ItemType の値（地面のアイテムのセーブデータにも同じ値が保存される）
+    const type = config.type || ItemType.equipment;
     
     switch (type) {
-      case 'equipment':
+      case ItemType.equipment:
         return this.createEquipment(config);
-      case 'potion':
+      case ItemType.potion:
         return this.createPotion(config);
-      case 'gold':
+      case ItemType.gold:
         return this.createGold(config);
       case 'chest':
         return this.createChest(config);
+      case ItemType.keyItem:
+        return this.createKeyItem(config);
       default:
         console.error(`Unknown item type: ${type}`);
         return null;
@@ -28,11 +32,13 @@ export default class ItemFactory {
   }
   
   // 装備アイテムの作成
+  // config.random にシード付きの乱数関数を渡すと、レア度・種類・オプションが再現可能になる
   createEquipment(config = {}) {
     // 基本設定
+    const random = config.random || Math.random;
     const level = config.level || 1;
-    const rarity = config.rarity || this.getRandomRarity(level);
-    const type = config.equipType || this.getRandomEquipType();
+    const rarity = config.rarity || this.getRandomRarity(level, random);
+    const type = config.equipType || this.getRandomEquipType(random);
     
     // 座標設定（デフォルトは中央）
     const x = config.x !== undefined ? config.x : (this.scene.cameras.main.width / 2);
@@ -63,7 +69,7 @@ export default class ItemFactory {
       equipment.optionPerformance = config.optionPerformance;
     } else {
       // ランダムなオプションの生成
-      equipment.generateRandomOptions(3);
+      equipment.generateRandomOptions(3, random);
     }
     
     // 特殊効果の設定
@@ -239,6 +245,11 @@ export default class ItemFactory {
         return false;
       }
       
+      // 保存用データ
+      serialize() {
+        return { amount: this.amount };
+      }
+      
       destroy() {
         // リソースのクリーンアップ
         if (this.scene) {
@@ -256,21 +267,41 @@ export default class ItemFactory {
     return new Gold(this.scene, x, y, texture, amount);
   }
   
+  // 鍵（キーアイテム）の作成
+  createKeyItem(config = {}) {
+    const x = config.x !== undefined ? config.x : (this.scene.cameras.main.width / 2);
+    const y = config.y !== undefined ? config.y : (this.scene.cameras.main.height / 2);
+    
+    return new KeyItem(this.scene, x, y, config.texture || 'item_key', {
+      name: config.name,
+      description: config.description,
+      keyId: config.keyId
+    });
+  }
+  
   // 宝箱の作成
+  // config.random にシード付きの乱数関数を渡すと、中身が再現可能になる
+  // config.goldFind / config.itemFind でゴールドの量とアイテムの見つかりやすさを上げられる（フロアの変性）
   createChest(config = {}) {
     // 基本設定
     const level = config.level || 1;
     const difficulty = config.difficulty || 'normal';
+    const random = config.random || Math.random;
+    const goldFind = config.goldFind || 1;
+    const itemFind = config.itemFind || 1;
     const x = config.x !== undefined ? config.x : (this.scene.cameras.main.width / 2);
     const y = config.y !== undefined ? config.y : (this.scene.cameras.main.height / 2);
     
     // 宝箱クラス
     class Chest extends Phaser.GameObjects.Sprite {
-      constructor(scene, x, y, texture, level, difficulty) {
+      constructor(scene, x, y, texture, level, difficulty, random, goldFind, itemFind) {
         super(scene, x, y, texture);
         
         this.level = level;
         this.difficulty = difficulty;
+        this.random = random;
+        this.goldFind = goldFind;
+        this.itemFind = itemFind;
         this.canInteract = true;
         this.opened = false;
         
@@ -304,17 +335,17 @@ export default class ItemFactory {
         const contents = [];
         
         // ゴールド（確定）
-        const goldAmount = Math.floor(20 * this.level * (1 + Math.random() * 0.5));
+        const goldAmount = Math.floor(20 * this.level * (1 + this.random() * 0.5) * this.goldFind);
         contents.push({
           type: 'gold',
           amount: goldAmount
         });
         
         // アイテム（確率）
-        const itemChance = 0.7 + (this.level * 0.02);
-        if (Math.random() < itemChance) {
+        const itemChance = (0.7 + (this.level * 0.02)) * this.itemFind;
+        if (this.random() < itemChance) {
           // 装備品またはポーション
-          if (Math.random() < 0.7) {
+          if (this.random() < 0.7) {
             // 装備品
             contents.push({
               type: 'equipment',
@@ -334,7 +365,8 @@ export default class ItemFactory {
       }
       
       getRarityBasedOnDifficulty() {
-        const rand = Math.random() * 100;
+        // アイテムが見つかりやすいほどレア度が上がる
+        const rand = this.random() * 100 / this.itemFind;
         
         // 難易度別レア度確率
         switch (this.difficulty) {
@@ -366,7 +398,7 @@ export default class ItemFactory {
         const weights = [0.4, 0.3, 0.2, 0.1];
         
         // 重み付きランダム選択
-        const rand = Math.random();
+        const rand = this.random();
         let cumulativeWeight = 0;
         
         for (let i = 0; i < types.length; i++) {
@@ -395,6 +427,17 @@ export default class ItemFactory {
         
         // アイテムのドロップ
         this.dropContents();
+        
+        // 開封イベント（ワールド状態の記録用）
+        this.emit('opened', this);
+      }
+      
+      // セーブデータから復元する際、中身を出さずに開封済みにする
+      markOpened() {
+        this.opened = true;
+        this.canInteract = false;
+        this.contents = [];
+        this.setTexture('chest_open');
       }
       
       dropContents() {
@@ -405,14 +448,15 @@ export default class ItemFactory {
         // 内容物をドロップ
         this.contents.forEach((item, index) => {
           // ドロップ位置（少しずらす）
-          const dropX = this.x + (Math.random() * 40 - 20);
-          const dropY = this.y + (Math.random() * 40 - 20);
+          const dropX = this.x + (this.random() * 40 - 20);
+          const dropY = this.y + (this.random() * 40 - 20);
           
           // 少し遅延を付けてドロップ
           this.scene.time.delayedCall(index * 200, () => {
-            // アイテム生成
+            // アイテム生成（装備のオプションも宝箱の乱数で決める）
             const droppedItem = itemFactory.createItem({
               ...item,
+              random: this.random,
               x: dropX,
               y: dropY
             });
@@ -427,6 +471,7 @@ export default class ItemFactory {
               // TopDownMapにアイテムを追加
               if (this.scene.topDownMap) {
                 this.scene.topDownMap.addEntity(droppedItem);
+                this.scene.topDownMap.registerGroundItem(droppedItem);
               }
               
               // ドロップエフェクト
@@ -444,7 +489,7 @@ export default class ItemFactory {
     }
     
     // 宝箱作成
-    return new Chest(this.scene, x, y, 'chest_closed', level, difficulty);
+    return new Chest(this.scene, x, y, 'chest_closed', level, difficulty, random, goldFind, itemFind);
   }
   
   // データからアイテムを作成（ショップ等で使用）
@@ -473,14 +518,14 @@ export default class ItemFactory {
   }
   
   // ランダムなレア度を取得
-  getRandomRarity(level = 1) {
+  getRandomRarity(level = 1, random = Math.random) {
     // レベルによって確率調整
     const legendaryChance = 0.01 + (level * 0.001); // レベルが上がるほど僅かに上昇
     const epicChance = 0.05 + (level * 0.002);
     const rareChance = 0.2 + (level * 0.003);
     const uncommonChance = 0.4 + (level * 0.005);
     
-    const rand = Math.random();
+    const rand = random();
     
     if (rand < legendaryChance) return 'legendary';
     if (rand < legendaryChance + epicChance) return 'epic';
@@ -491,7 +536,7 @@ export default class ItemFactory {
   }
   
   // ランダムな装備タイプを取得
-  getRandomEquipType() {
+  getRandomEquipType(random = Math.random) {
     const types = [
       EquipType.helm,
       EquipType.armour,
@@ -506,7 +551,7 @@ export default class ItemFactory {
       EquipType.amulet
     ];
     
-    return types[Math.floor(Math.random() * types.length)];
+    return types[Math.floor(random() * types.length)];
   }
   
   // 装備テクスチャ名の取得
@@ -1,3 +1,5 @@
+import { generateRunSeed } from '../../utils/seededRandom';
+
 // MapFactoryクラス
 class MapFactory {
     /**
@@ -9,7 +11,7 @@ class MapFactory {
     static getMapParameters(mapType, customOptions = {}) {
       // デフォルトパラメータ
       const defaultParams = {
-        seed: Math.random(),
+        seed: generateRunSeed(),
         tileSize: 32,
         difficultyLevel: 'normal'
       };
@@ -50,6 +52,22 @@ class MapFactory {
           };
           break;
           
+        case 'cave':
+          typeParams = {
+            width: 80,
+            height: 80,
+            noiseScale: 0.1,
+            roomMinSize: 0,
+            roomMaxSize: 0,
+            roomCount: 0,
+            enemyDensity: 0.05,
+            chestDensity: 0.02,
+            obstacleDensity: 0.02,
+            wallDensity: 0.02, // 岩盤は生成時に作られる
+            npcDensity: 0.003
+          };
+          break;
+          
         case 'arena':
           typeParams = {
             width: 60,
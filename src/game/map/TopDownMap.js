@@ -22,6 +22,65 @@ async function getTilemapsClass() {
 
 import { isDebugMode } from '../../debug';
 import AssetManager from '../core/AssetManager';
+import { forkRandom } from '../../utils/seededRandom';
+import { getBiome, getBiomeTerrainType } from './generator/Biomes';
+import { getHazard, getTrap } from './generator/Hazards';
+import { getMapModifierEffects } from './generator/MapModifiers';
+import GridPathfinder from './pathfinding/GridPathfinder';
+import SpatialHash from './spatial/SpatialHash';
+import Door from '../objects/Door';
+import Trap from '../objects/Trap';
+import Obstacle, { BREAKABLE_OBSTACLE_KINDS } from '../objects/Obstacle';
+import { ItemType } from '../../constants/itemTypes';
+
+// 同じターゲットを追いかけるキャラクターがこの数以上ならフローフィールドを使う
+const FLOW_FIELD_MIN_CHASERS = 8;
+
+// 追跡中とみなす、最後に経路を求めてからの時間（ミリ秒）
+const CHASE_REQUEST_WINDOW = 3000;
+
+// 空間インデックスのセルの大きさ（タイル数）
+const SPATIAL_CELL_TILES = 4;
+
+// タイルの上にいるとみなすエンティティの種類（getEntityAt で優先する順）
+const TILE_OCCUPANT_CATEGORIES = ['player', 'enemy', 'npc', 'item'];
+
+// 視界の半径（タイル数）
+const PLAYER_VISION_RADIUS = 8;
+const COMPANION_VISION_RADIUS = 6;
+
+// 霧の描画（未探索のタイルは真っ暗、探索済みで今は見えていないタイルは暗くする）
+const FOG_DEPTH = 20;
+const FOG_COLOR = 0x000000;
+const UNEXPLORED_ALPHA = 1;
+const REMEMBERED_ALPHA = 0.55;
+
+// タイルの霧の状態
+const FOG_UNEXPLORED = 0;
+const FOG_REMEMBERED = 1;
+const FOG_VISIBLE = 2;
+
+// タイルレイヤーと霧を作る単位（チャンク）の大きさ（タイル数）
+const CHUNK_SIZE = 32;
+
+// カメラの表示範囲の外に読み込んでおくチャンクの数と、破棄するまでの余裕（行き来で作り直さないよう広めにとる）
+const CHUNK_LOAD_MARGIN = 1;
+const CHUNK_UNLOAD_MARGIN = 2;
+
+// 1フレームに作成する表示範囲の外のチャンクの数（表示範囲の中のチャンクはすぐに作成する）
+const CHUNK_BUILDS_PER_FRAME = 2;
+
+// 敵・NPC・アイテム・障害物を動かし続ける、カメラの表示範囲の外側の幅（タイル数）
+const ACTIVE_MARGIN_TILES = 12;
+
+// 危険地帯と罠が効くエンティティの種類
+const HAZARD_TARGET_CATEGORIES = ['player', 'companion', 'enemy'];
+
+// 休止させるエンティティの種類（プレイヤーとコンパニオンは常に動かす）
+const SLEEPING_CATEGORIES = ['enemy', 'npc', 'item', 'obstacle'];
+
+// カメラが同じチャンクにある間に、エンティティの休止・再開を判定し直す間隔（ミリ秒）
+const ACTIVITY_CHECK_INTERVAL = 500;
 
 /**
  * TopDownMap - マップ管理クラス (AssetManager依存版)
@@ -40,15 +99,74 @@ export default class TopDownMap {
     this.width = this.mapData ? this.mapData.width : 50;
     this.height = this.mapData ? this.mapData.height : 50;
     
-    // タイルマップとレイヤー
+    // タイルマップとタイルセット
     this.map = null;
-    this.groundLayer = null;
-    this.objectLayer = null;
-    this.wallLayer = null;
-    
-    // パスファインディング用グリッド
+    this.tilesets = null;
+
+    // 読み込み済みのチャンク（キーは chunkX * chunkRows + chunkY）
+    // カメラの周りのチャンクだけにレイヤーと霧を作り、離れたチャンクは破棄する
+    this.chunks = new Map();
+    this.chunkRows = 0;
+
+    // 前回チャンクを読み込んだときのカメラの範囲（変わったときだけ読み込み直す）
+    this.chunkViewKey = null;
+
+    // 作成を待っている表示範囲の外のチャンク
+    this.pendingChunks = [];
+
+    // パスファインディング用グリッドと経路探索
     this.pathfindingGrid = null;
+    this.pathfinder = null;
+    
+    // 追跡中のキャラクター（ターゲットごと、フローフィールドを使うかどうかの判断に使う）
+    this.chaseRequests = new Map();
+    
+    // マップ上の動的エンティティ（ドロップアイテムなど）
+    this.entities = [];
+    
+    // キャラクター・アイテム・壊せる障害物の空間インデックス（位置での検索に使う）
+    this.spatialIndex = new SpatialHash({ cellSize: this.tileSize * SPATIAL_CELL_TILES });
+    
+    // 扉と壊せる障害物と罠（キーはタイルのインデックス x * height + y）
+    this.doors = new Map();
+    this.obstacles = new Map();
+    this.traps = new Map();
+    
+    // チャンクごとの敵・宝箱・壊せる障害物の配置（キーはチャンクのキー、placeObjects() で作る）
+    // チャンクを読み込んだときに生成し、破棄したときに一緒に破棄する（大きなマップでもメモリが増え続けない）
+    this.chunkPlacements = null;
     
+    // 生成中の敵（キーは enemyPlacement のインデックス）と宝箱（キーはタイルのインデックス）
+    this.spawnedEnemies = new Map();
+    this.spawnedChests = new Map();
+    
+    // 危険地帯で次にダメージを受ける時刻（キャラクターごと）
+    this.hazardDamageTimes = new WeakMap();
+    
+    // フロアの変性の効果（敵と宝箱に適用する）
+    this.modifierEffects = getMapModifierEffects(null);
+    
+    // 閉じている扉のタイル（通行不可で視線もさえぎる）
+    this.closedDoors = new Set();
+    
+    // マップ生成後に変化した状態（セーブデータに保存される）
+    this.worldState = this.createEmptyWorldState();
+    
+    // 霧（フォグ・オブ・ウォー）：探索済みのタイルと今見えているタイル（インデックスは x * height + y）
+    this.fogOfWar = options.fogOfWar !== false;
+    this.explored = null;
+    this.visible = null;
+
+    // 前回視界を計算したときの視点の位置（変わったときだけ計算し直す）と、見えていたタイル
+    this.visionKey = null;
+    this.visionSources = [];
+    this.visibleTiles = [];
+
+    // カメラの近くで動いているエンティティ（null なら次の判定で登録されているすべてのエンティティを調べる）
+    this.activeEntities = null;
+    this.activityViewKey = null;
+    this.lastActivityCheck = 0;
+
     // デバッグモードフラグの取得
     this.isDebugMode = isDebugMode || process.env.NODE_ENV !== 'production';
     
@@ -77,25 +195,51 @@ export default class TopDownMap {
   /**
    * マップデータの設定
    * @param {Object} mapData - マップデータ
+   * @param {Object|null} worldState - セーブデータから復元するワールド状態（新規マップならnull）
    * @returns {TopDownMap} このインスタンス
    */
-  setMapData(mapData) {
+  setMapData(mapData, worldState = null) {
     this.mapData = mapData;
     this.width = mapData.width;
     this.height = mapData.height;
-    
-    // 既存のマップとレイヤーを破棄
+    this.entities = [];
+    this.pathfindingGrid = null;
+    this.pathfinder = null;
+    this.chaseRequests = new Map();
+    this.closedDoors = new Set();
+    this.explored = new Uint8Array(this.width * this.height);
+    this.visible = new Uint8Array(this.width * this.height);
+    this.visionKey = null;
+    this.visionSources = [];
+    this.visibleTiles = [];
+    this.activeEntities = null;
+
+    // 前のマップの扉と壊せる障害物と罠を破棄
+    this.clearFixtures();
+    this.hazardDamageTimes = new WeakMap();
+    this.modifierEffects = getMapModifierEffects(mapData.modifiers);
+
+    // 既存のマップとチャンク（チャンクの敵と宝箱も）を破棄
+    this.destroyChunks();
+    this.chunkPlacements = null;
     if (this.map) {
       this.map.destroy();
       this.map = null;
-      this.groundLayer = null;
-      this.objectLayer = null;
-      this.wallLayer = null;
+      this.tilesets = null;
+    }
+    
+    // ワールド状態の設定（破壊済み障害物はタイル生成前に反映する）
+    this.applyWorldState(worldState);
+    
+    // 町は初めから全体が見えている
+    if (!worldState && mapData.type === 'town') {
+      this.explored.fill(1);
     }
     
     // 新しいマップを生成
     this.createMap();
     this.initPathfindingGrid();
+    this.renderFog();
     
     return this;
   }
@@ -125,28 +269,30 @@ export default class TopDownMap {
       });
       
       // AssetManagerを使用して統合タイルセットを取得
-      const tilesets = this.getTilesetsFromAssetManager();
-      
-      // タイルセットを使用してマップを作成
-      this.createMapWithTilesets(tilesets);
-      
-      // 衝突判定の設定
+      this.tilesets = this.getTilesetsFromAssetManager();
+
+      // タイルセットが有効かチェック
+      if (!this.tilesets.terrain) {
+        console.error('地形タイルセットの追加に失敗しました');
+        return this;
+      }
+      if (!this.tilesets.objects) {
+        console.warn('オブジェクトタイルセットがないため、地形タイルセットを代用します');
+      }
+      if (!this.tilesets.walls) {
+        console.warn('壁タイルセットがないため、オブジェクトレイヤーを共用します');
+      }
+
+      // タイルはチャンクに分けて、カメラの周りのチャンクだけを作成する（残りは update() で読み込む）
+      this.chunkRows = Math.ceil(this.height / CHUNK_SIZE);
+      this.chunkViewKey = null;
+      this.updateChunks(true);
+
+      // 衝突判定の設定（タイルの通行可否は pathfindingGrid で判定する）
       if (this.scene.physics && this.scene.physics.world) {
         this.scene.physics.world.setBounds(0, 0, this.width * this.tileSize, this.height * this.tileSize);
-        
-        // オブジェクトレイヤーに衝突判定を設定
-        if (this.objectLayer) {
-          this.scene.physics.world.enable(this.objectLayer);
-          this.objectLayer.setCollisionByExclusion([-1]); // -1は空タイル
-        }
-        
-        // 壁レイヤーに衝突判定を設定（オブジェクトレイヤーと別の場合）
-        if (this.wallLayer && this.wallLayer !== this.objectLayer) {
-          this.scene.physics.world.enable(this.wallLayer);
-          this.wallLayer.setCollisionByExclusion([-1]); // -1は空タイル
-        }
       }
-      
+
     } catch (e) {
       console.error('Error creating map:', e);
     }
@@ -395,47 +541,139 @@ export default class TopDownMap {
   }
   
   /**
-   * タイルセットでマップを作成
-   * @param {Object} tilesets - タイルセット情報
+   * チャンクの範囲
+   * @param {number} chunkX - チャンクのX座標
+   * @param {number} chunkY - チャンクのY座標
+   * @returns {Object} { key, x, y, left, top, width, height }（left, top, width, height はタイル単位）
    */
-  createMapWithTilesets(tilesets) {
-    console.log('🔄 AssetManagerのタイルセットでマップを作成...');
-    
-    // タイルセットが有効かチェック
-    if (!tilesets.terrain) {
-      console.error('地形タイルセットの追加に失敗しました');
-      return;
+  getChunkBounds(chunkX, chunkY) {
+    const left = chunkX * CHUNK_SIZE;
+    const top = chunkY * CHUNK_SIZE;
+    return {
+      key: chunkX * this.chunkRows + chunkY,
+      x: chunkX,
+      y: chunkY,
+      left,
+      top,
+      width: Math.min(CHUNK_SIZE, this.width - left),
+      height: Math.min(CHUNK_SIZE, this.height - top)
+    };
+  }
+
+  /**
+   * タイルを含む読み込み済みのチャンク
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   * @returns {Object|null} チャンク（読み込まれていなければnull）
+   */
+  getChunkAt(tileX, tileY) {
+    if (!this.isValidTile(tileX, tileY)) return null;
+    return this.chunks.get(Math.floor(tileX / CHUNK_SIZE) * this.chunkRows + Math.floor(tileY / CHUNK_SIZE)) || null;
+  }
+
+  /**
+   * カメラの表示範囲に合わせてチャンクを読み込み・破棄する
+   * 表示範囲の中のチャンクはすぐに作成し、周りのチャンクは1フレームに CHUNK_BUILDS_PER_FRAME 個ずつ作成する
+   * @param {boolean} force - カメラが動いていなくても読み込み直すか
+   */
+  updateChunks(force = false) {
+    if (!this.map || !this.tilesets || !this.tilesets.terrain) return;
+
+    const camera = this.scene.cameras && this.scene.cameras.main;
+    const chunkPixels = CHUNK_SIZE * this.tileSize;
+    const columns = Math.ceil(this.width / CHUNK_SIZE);
+    const clampX = value => Math.max(0, Math.min(columns - 1, value));
+    const clampY = value => Math.max(0, Math.min(this.chunkRows - 1, value));
+
+    // 表示範囲（カメラがなければ開始位置の周り）のチャンク
+    let view;
+    if (camera && camera.worldView && camera.worldView.width > 0) {
+      const { left, top, right, bottom } = camera.worldView;
+      view = {
+        left: Math.floor(left / chunkPixels),
+        top: Math.floor(top / chunkPixels),
+        right: Math.floor(right / chunkPixels),
+        bottom: Math.floor(bottom / chunkPixels)
+      };
+    } else {
+      const start = this.getStartPosition();
+      const chunkX = Math.floor(start.x / CHUNK_SIZE);
+      const chunkY = Math.floor(start.y / CHUNK_SIZE);
+      view = { left: chunkX, top: chunkY, right: chunkX, bottom: chunkY };
     }
-    
-    // レイヤーの作成
-    try {
-      this.groundLayer = this.map.createBlankLayer('ground', tilesets.terrain);
-      
-      // オブジェクトレイヤー（オブジェクトタイルセットがあれば）
-      if (tilesets.objects) {
-        this.objectLayer = this.map.createBlankLayer('objects', tilesets.objects);
-      } else {
-        // フォールバック: オブジェクトレイヤーも地形タイルセットを使用
-        console.warn('オブジェクトタイルセットがないため、地形タイルセットを代用します');
-        this.objectLayer = this.map.createBlankLayer('objects', tilesets.terrain);
+
+    const viewKey = `${view.left},${view.top},${view.right},${view.bottom}`;
+    if (force || viewKey !== this.chunkViewKey) {
+      this.chunkViewKey = viewKey;
+
+      // 離れたチャンクを破棄する
+      for (const chunk of [...this.chunks.values()]) {
+        if (chunk.x < view.left - CHUNK_UNLOAD_MARGIN || chunk.x > view.right + CHUNK_UNLOAD_MARGIN ||
+            chunk.y < view.top - CHUNK_UNLOAD_MARGIN || chunk.y > view.bottom + CHUNK_UNLOAD_MARGIN) {
+          this.destroyChunk(chunk);
+        }
       }
-      
-      // 壁レイヤーの作成（壁タイルセットがあれば）
-      if (tilesets.walls) {
-        this.wallLayer = this.map.createBlankLayer('walls', tilesets.walls);
-      } else {
-        // フォールバック：壁タイルセットがない場合はオブジェクトレイヤーを使用
-        console.warn('壁タイルセットがないため、オブジェクトレイヤーを共用します');
-        this.wallLayer = this.objectLayer;
+
+      // 表示範囲の中のチャンクはすぐに作成し、周りのチャンクは作成を待つ
+      this.pendingChunks = [];
+      for (let chunkX = clampX(view.left - CHUNK_LOAD_MARGIN); chunkX <= clampX(view.right + CHUNK_LOAD_MARGIN); chunkX++) {
+        for (let chunkY = clampY(view.top - CHUNK_LOAD_MARGIN); chunkY <= clampY(view.bottom + CHUNK_LOAD_MARGIN); chunkY++) {
+          if (this.chunks.has(chunkX * this.chunkRows + chunkY)) continue;
+
+          const inView = chunkX >= view.left && chunkX <= view.right && chunkY >= view.top && chunkY <= view.bottom;
+          if (inView) {
+            this.buildChunk(chunkX, chunkY);
+          } else {
+            this.pendingChunks.push({ x: chunkX, y: chunkY });
+          }
+        }
+      }
+    }
+
+    for (let built = 0; built < CHUNK_BUILDS_PER_FRAME && this.pendingChunks.length > 0; built++) {
+      const next = this.pendingChunks.shift();
+      if (!this.chunks.has(next.x * this.chunkRows + next.y)) {
+        this.buildChunk(next.x, next.y);
       }
+    }
+  }
+
+  /**
+   * チャンクを作成する（地面・オブジェクト・壁のレイヤーにタイルを置き、霧を描く）
+   * @param {number} chunkX - チャンクのX座標
+   * @param {number} chunkY - チャンクのY座標
+   * @returns {Object|null} チャンク（作成できなければnull）
+   */
+  buildChunk(chunkX, chunkY) {
+    const chunk = this.getChunkBounds(chunkX, chunkY);
+    const tilesets = this.tilesets;
+    const worldX = chunk.left * this.tileSize;
+    const worldY = chunk.top * this.tileSize;
+    const name = `${chunkX}_${chunkY}`;
+
+    // レイヤーの作成（オブジェクトタイルセットがなければ地形タイルセットを、壁タイルセットがなければオブジェクトレイヤーを使う）
+    let ground, objects, walls;
+    try {
+      ground = this.map.createBlankLayer(`ground_${name}`, tilesets.terrain, worldX, worldY, chunk.width, chunk.height);
+      objects = this.map.createBlankLayer(`objects_${name}`, tilesets.objects || tilesets.terrain, worldX, worldY, chunk.width, chunk.height);
+      walls = tilesets.walls
+        ? this.map.createBlankLayer(`walls_${name}`, tilesets.walls, worldX, worldY, chunk.width, chunk.height)
+        : objects;
     } catch (error) {
       console.error('レイヤー作成エラー:', error);
-      return;
+      return null;
     }
     
+    // 洞窟は専用の床・壁・障害物タイルを使う
+    const isCave = this.mapData.type === 'cave';
+    
+    // フィールドはバイオームによって地形・壁のタイルが変わる
+    const biome = this.mapData.biome || null;
+    const biomeWall = getBiome(biome).wall;
+    
     // マップデータをもとにタイルを配置
-    for (let x = 0; x < this.width; x++) {
-      for (let y = 0; y < this.height; y++) {
+    for (let x = chunk.left; x < chunk.left + chunk.width; x++) {
+      for (let y = chunk.top; y < chunk.top + chunk.height; y++) {
         try {
           // 高さデータに基づくタイルタイプの決定
           const heightValue = this.mapData.heightMap[x][y];
@@ -446,28 +684,15 @@ export default class TopDownMap {
           }
           
           // 高さ値から直接地形タイプを決定（AssetManagerに問題がある場合のフォールバック）
-          let terrainType;
-          let terrainIndex;
-          
-          if (heightValue < 0.3) {
-            terrainType = 'water';
-          } else if (heightValue < 0.5) {
-            terrainType = 'grass';
-          } else if (heightValue < 0.7) {
-            terrainType = 'dirt';
-          } else if (heightValue < 0.85) {
-            terrainType = 'stone';
-          } else {
-            terrainType = 'snow';
-          }
+          const terrainType = getBiomeTerrainType(heightValue, biome);
           
           // インデックスの取得
-          terrainIndex = tilesets.indices.terrain[terrainType] !== undefined ? 
-                         tilesets.indices.terrain[terrainType] : 0;
+          let terrainIndex = tilesets.indices.terrain[terrainType] !== undefined ? 
+                             tilesets.indices.terrain[terrainType] : 0;
           
           // まずAssetManagerを試す
           try {
-            const terrainInfo = AssetManager.getTerrainFromHeight(heightValue);
+            const terrainInfo = AssetManager.getTerrainFromHeight(heightValue, biome);
             if (terrainInfo && terrainInfo.index !== undefined) {
               terrainIndex = terrainInfo.index;
             }
@@ -475,11 +700,32 @@ export default class TopDownMap {
             console.warn(`AssetManager terrain error: ${assetError.message}, using fallback for ${x},${y}`);
           }
           
-          // 地面レイヤーにタイルを配置
-          if (this.groundLayer) {
-            this.groundLayer.putTileAt(terrainIndex, x, y);
+          // 洞窟は高さに関係なく水以外を洞窟の床にする
+          if (isCave && heightValue >= 0.3 && tilesets.indices.terrain.cave !== undefined) {
+            terrainIndex = tilesets.indices.terrain.cave;
+          }
+          
+          // 町の建物の床や石畳は生成時に決めた種類を使う
+          const floorKind = this.mapData.floorKinds ? this.mapData.floorKinds[`${x},${y}`] : null;
+          if (floorKind && tilesets.indices.terrain[floorKind] !== undefined) {
+            terrainIndex = tilesets.indices.terrain[floorKind];
+          }
+          
+          // 危険地帯（溶岩だまり・毒沼・泥）は地面レイヤーに描く（通行可能）
+          const hazard = this.getHazardAt(x, y);
+          if (hazard && tilesets.indices.terrain[hazard.tile] !== undefined) {
+            terrainIndex = tilesets.indices.terrain[hazard.tile];
+          }
+          
+          // 階段は地面レイヤーに描く（通行可能）
+          const stairsDirection = this.getStairsAt(x, y);
+          if (stairsDirection && tilesets.indices.terrain[`stairs_${stairsDirection}`] !== undefined) {
+            terrainIndex = tilesets.indices.terrain[`stairs_${stairsDirection}`];
           }
           
+          // 地面レイヤーにタイルを配置
+          ground.putTileAt(terrainIndex, x - chunk.left, y - chunk.top);
+          
           // オブジェクト配置情報
           const objectType = this.mapData.objectPlacement[x][y];
           
@@ -498,6 +744,11 @@ export default class TopDownMap {
               // 水は通常地形レイヤーで表現され、既に処理済みなので何もしない
               continue;
             } else if (objectType === 2) { // 宝箱
+              // 開封済みの宝箱は通れるため、タイルを置かない（開いた宝箱のスプライトだけを表示する）
+              if (this.worldState.openedChests.includes(`${x},${y}`)) {
+                continue;
+              }
+              
               // 宝箱はオブジェクトレイヤーに配置
               try {
                 objectInfo = AssetManager.getObjectInfo(objectType);
@@ -507,9 +758,8 @@ export default class TopDownMap {
                   objectIndex = tilesets.indices.objects.chest !== undefined ? tilesets.indices.objects.chest : 1;
                 }
                 
-                if (objectIndex !== null && this.objectLayer) {
-                  this.objectLayer.putTileAt(objectIndex, x, y);
-                  const tile = this.objectLayer.getTileAt(x, y);
+                if (objectIndex !== null) {
+                  const tile = objects.putTileAt(objectIndex, x - chunk.left, y - chunk.top);
                   if (tile) {
                     tile.setCollision(true);
                   }
@@ -527,9 +777,20 @@ export default class TopDownMap {
                   objectIndex = tilesets.indices.objects.tree !== undefined ? tilesets.indices.objects.tree : 2;
                 }
                 
-                if (objectIndex !== null && this.objectLayer) {
-                  this.objectLayer.putTileAt(objectIndex, x, y);
-                  const tile = this.objectLayer.getTileAt(x, y);
+                // 洞窟やバイオームのあるフィールドの障害物は生成時に決めた種類（石筍・水晶・木など）を使う
+                const obstacleKind = this.mapData.obstacleKinds ? this.mapData.obstacleKinds[`${x},${y}`] : null;
+                
+                // 壊せる障害物はタイルではなくスプライトとして置く（spawnBreakableObstacle() を参照）
+                if (BREAKABLE_OBSTACLE_KINDS[obstacleKind]) {
+                  continue;
+                }
+                
+                if (obstacleKind && tilesets.indices.objects[obstacleKind] !== undefined) {
+                  objectIndex = tilesets.indices.objects[obstacleKind];
+                }
+                
+                if (objectIndex !== null) {
+                  const tile = objects.putTileAt(objectIndex, x - chunk.left, y - chunk.top);
                   if (tile) {
                     tile.setCollision(true);
                   }
@@ -555,9 +816,21 @@ export default class TopDownMap {
                   }
                 }
                 
-                if (objectIndex !== null && this.wallLayer) {
-                  this.wallLayer.putTileAt(objectIndex, x, y);
-                  const tile = this.wallLayer.getTileAt(x, y);
+                if (isCave && tilesets.indices.walls && tilesets.indices.walls.cave !== undefined) {
+                  objectIndex = tilesets.indices.walls.cave;
+                } else if (this.mapData.type === 'field' && biomeWall &&
+                           tilesets.indices.walls && tilesets.indices.walls[biomeWall] !== undefined) {
+                  objectIndex = tilesets.indices.walls[biomeWall];
+                }
+                
+                // Tiled で作ったマップや町の建物の壁は決められた種類（レンガ・木など）を使う
+                const wallKind = this.mapData.wallKinds ? this.mapData.wallKinds[`${x},${y}`] : null;
+                if (wallKind && tilesets.indices.walls && tilesets.indices.walls[wallKind] !== undefined) {
+                  objectIndex = tilesets.indices.walls[wallKind];
+                }
+                
+                if (objectIndex !== null) {
+                  const tile = walls.putTileAt(objectIndex, x - chunk.left, y - chunk.top);
                   if (tile) {
                     tile.setCollision(true);
                   }
@@ -574,11 +847,72 @@ export default class TopDownMap {
     }
     
     // レイヤーの深度を設定
-    if (this.groundLayer) this.groundLayer.setDepth(0);
-    if (this.objectLayer) this.objectLayer.setDepth(5);
-    if (this.wallLayer && this.wallLayer !== this.objectLayer) this.wallLayer.setDepth(9);
-    
-    console.log('✅ マップ作成完了');
+    ground.setDepth(0);
+    objects.setDepth(5);
+    if (walls !== objects) walls.setDepth(9);
+
+    chunk.ground = ground;
+    chunk.objects = objects;
+    chunk.walls = walls;
+    chunk.fog = null;
+    this.chunks.set(chunk.key, chunk);
+
+    this.renderChunkFog(chunk);
+    this.spawnChunkEntities(chunk);
+    return chunk;
+  }
+
+  /**
+   * チャンクのレイヤーと霧と、チャンクにいる敵・宝箱・壊せる障害物を破棄する
+   * @param {Object} chunk - チャンク
+   */
+  destroyChunk(chunk) {
+    this.despawnChunkEntities(chunk);
+    for (const layer of new Set([chunk.ground, chunk.objects, chunk.walls])) {
+      if (layer) layer.destroy();
+    }
+    if (chunk.fog) chunk.fog.destroy();
+    this.chunks.delete(chunk.key);
+  }
+
+  /**
+   * すべてのチャンクを破棄する
+   */
+  destroyChunks() {
+    for (const chunk of [...this.chunks.values()]) {
+      this.destroyChunk(chunk);
+    }
+    this.pendingChunks = [];
+    this.chunkViewKey = null;
+  }
+
+  /**
+   * タイルに衝突するタイル（壁・宝箱・障害物）が置かれているかどうか（読み込み済みのチャンクだけを調べる）
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   * @returns {boolean} 置かれていればtrue
+   */
+  hasCollidingTileAt(tileX, tileY) {
+    const chunk = this.getChunkAt(tileX, tileY);
+    if (!chunk) return false;
+
+    for (const layer of chunk.walls === chunk.objects ? [chunk.objects] : [chunk.objects, chunk.walls]) {
+      const tile = layer.getTileAt(tileX - chunk.left, tileY - chunk.top);
+      if (tile && tile.collides) return true;
+    }
+    return false;
+  }
+
+  /**
+   * オブジェクトレイヤーのタイルを取り除く（チャンクが読み込まれていなければ、作成時に置かれないため何もしない）
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   */
+  removeObjectTileAt(tileX, tileY) {
+    const chunk = this.getChunkAt(tileX, tileY);
+    if (chunk) {
+      chunk.objects.removeTileAt(tileX - chunk.left, tileY - chunk.top);
+    }
   }
   
   /**
@@ -587,39 +921,49 @@ export default class TopDownMap {
   initPathfindingGrid() {
     if (!this.mapData || !this.mapData.objectPlacement) return;
     
-    // パスファインディンググリッドの初期化
+    // 経路探索（通行可否の判定は GridPathfinder.fromMapData() を参照）
+    this.pathfinder = GridPathfinder.fromMapData(this.mapData);
+    this.chaseRequests = new Map();
+    
+    // 生成後に変わった通行可否（開封済みの宝箱と扉）を反映
+    this.applyDynamicWalkability();
+    
+    // pathfindingGrid: 0は通行可能、1は通行不可
     this.pathfindingGrid = [];
     
     for (let x = 0; x < this.width; x++) {
       this.pathfindingGrid[x] = [];
       
       for (let y = 0; y < this.height; y++) {
-        // 高さが0.3未満（水や溶岩）は通行不可
-        const isWaterOrLava = this.mapData.heightMap && this.mapData.heightMap[x][y] < 0.3;
-        
-        // objectPlacement: 各値の意味
-        // 0: 床（移動可能）
-        // 1: 水（移動不可能）
-        // 2: 宝箱（移動不可能）
-        // 3: 障害物（移動不可能）
-        // 4: 壁（移動不可能）
-        
-        // pathfindingGrid: 0は通行可能、1は通行不可
-        if (isWaterOrLava || 
-            this.mapData.objectPlacement[x][y] === 1 || // 水
-            this.mapData.objectPlacement[x][y] === 2 || // 宝箱
-            this.mapData.objectPlacement[x][y] === 3 || // 障害物
-            this.mapData.objectPlacement[x][y] === 4) { // 壁
-          this.pathfindingGrid[x][y] = 1; // 通行不可
-        } else {
-          this.pathfindingGrid[x][y] = 0; // 通行可能
-        }
+        this.pathfindingGrid[x][y] = this.pathfinder.isWalkable(x, y) ? 0 : 1;
+      }
+    }
+  }
+  
+  /**
+   * マップデータだけでは決まらない通行可否を経路探索に反映する
+   * 開封済みの宝箱は通れ、閉じている扉は通れない
+   */
+  applyDynamicWalkability() {
+    for (const key of this.worldState.openedChests) {
+      const [x, y] = key.split(',').map(Number);
+      if (this.isValidTile(x, y)) {
+        this.pathfinder.setWalkable(x, y, this.mapData.heightMap[x][y] >= 0.3);
       }
     }
+    
+    this.closedDoors = new Set();
+    for (const door of this.mapData.doors || []) {
+      if (!this.isValidTile(door.x, door.y) || this.worldState.openedDoors.includes(`${door.x},${door.y}`)) continue;
+      
+      this.closedDoors.add(door.x * this.height + door.y);
+      this.pathfinder.setWalkable(door.x, door.y, false);
+    }
   }
   
   /**
    * パスファインディンググリッドの更新
+   * 経路探索のキャッシュした経路とフローフィールドも捨てられる
    * @param {number} x - X座標
    * @param {number} y - Y座標
    * @param {boolean} walkable - 通行可能かどうか
@@ -627,11 +971,12 @@ export default class TopDownMap {
   updatePathfindingGrid(x, y, walkable) {
     if (x >= 0 && x < this.width && y >= 0 && y < this.height && this.pathfindingGrid) {
       this.pathfindingGrid[x][y] = walkable ? 0 : 1;
+      this.pathfinder.setWalkable(x, y, walkable);
     }
   }
   
   /**
-   * 経路探索（A*アルゴリズム）
+   * 経路探索（ジャンプポイントサーチ、結果は経路キャッシュで共有）
    * @param {number} startX - 開始X座標
    * @param {number} startY - 開始Y座標
    * @param {number} endX - 終了X座標
@@ -640,161 +985,49 @@ export default class TopDownMap {
    */
   findPath(startX, startY, endX, endY) {
     // パスファインディンググリッドがなければ初期化
-    if (!this.pathfindingGrid) {
+    if (!this.pathfinder) {
       this.initPathfindingGrid();
     }
+    if (!this.pathfinder) return null;
     
-    // 開始または終了位置が範囲外
-    if (startX < 0 || startX >= this.width || startY < 0 || startY >= this.height ||
-        endX < 0 || endX >= this.width || endY < 0 || endY >= this.height) {
-      return null;
-    }
-    
-    // 終了位置が通行不可能
-    if (this.pathfindingGrid[endX][endY] !== 0) {
-      return null;
+    return this.pathfinder.findPath(startX, startY, endX, endY);
+  }
+  
+  /**
+   * 追跡用の経路探索
+   * 同じターゲットを最近追いかけたキャラクターが多い場合は、ターゲットへのフローフィールドを共有する
+   * （ターゲットのタイルが変わるたびに1回の幅優先探索で全員の経路が決まる）
+   * @param {Object} chaser - 追いかけるキャラクター
+   * @param {Object} target - ターゲット（ワールド座標の x, y を持つ）
+   * @returns {Array|null} タイルの経路またはnull
+   */
+  findChasePath(chaser, target) {
+    if (!this.pathfinder) {
+      this.initPathfindingGrid();
     }
+    if (!this.pathfinder) return null;
     
-    // ヒューリスティック関数（マンハッタン距離）
-    const heuristic = (x1, y1, x2, y2) => {
-      return Math.abs(x1 - x2) + Math.abs(y1 - y2);
-    };
-    
-    // オープンリストとクローズドリスト
-    const openList = [];
-    const closedList = {};
-    const cameFrom = {};
-    
-    // コスト
-    const gScore = {};
-    const fScore = {};
-    
-    // 開始位置の初期化
-    const startKey = `${startX},${startY}`;
-    gScore[startKey] = 0;
-    fScore[startKey] = heuristic(startX, startY, endX, endY);
-    
-    // 開始位置をオープンリストに追加
-    openList.push({
-      x: startX,
-      y: startY,
-      f: fScore[startKey]
-    });
+    const start = this.worldToTileXY(chaser.x, chaser.y);
+    const end = this.worldToTileXY(target.x, target.y);
     
-    // メインループ
-    while (openList.length > 0) {
-      // fスコアが最小のノードを取得
-      openList.sort((a, b) => a.f - b.f);
-      const current = openList.shift();
-      const currentKey = `${current.x},${current.y}`;
-      
-      // 目的地に到達
-      if (current.x === endX && current.y === endY) {
-        // パスを再構築
-        return this.reconstructPath(cameFrom, current);
-      }
-      
-      // クローズドリストに追加
-      closedList[currentKey] = true;
-      
-      // 隣接ノードを探索
-      const neighbors = this.getNeighbors(current.x, current.y);
-      
-      for (const neighbor of neighbors) {
-        const neighborKey = `${neighbor.x},${neighbor.y}`;
-        
-        // 既に探索済み
-        if (closedList[neighborKey]) {
-          continue;
-        }
-        
-        // 現在のノードからの仮のgスコア
-        const tentativeGScore = gScore[currentKey] + 1;
-        
-        // オープンリストになければ追加
-        const neighborInOpen = openList.find(
-          node => node.x === neighbor.x && node.y === neighbor.y
-        );
-        
-        if (!neighborInOpen) {
-          openList.push({
-            x: neighbor.x,
-            y: neighbor.y,
-            f: tentativeGScore + heuristic(neighbor.x, neighbor.y, endX, endY)
-          });
-        } 
-        // 既にオープンリストにあるがより良い経路が見つかった
-        else if (tentativeGScore < (gScore[neighborKey] || Infinity)) {
-          neighborInOpen.f = tentativeGScore + heuristic(neighbor.x, neighbor.y, endX, endY);
-        } else {
-          // このノードを探索しない
-          continue;
-        }
-        
-        // このノードへの最良の経路を記録
-        cameFrom[neighborKey] = { x: current.x, y: current.y };
-        gScore[neighborKey] = tentativeGScore;
-        fScore[neighborKey] = tentativeGScore + heuristic(neighbor.x, neighbor.y, endX, endY);
-      }
+    // ターゲットごとに、最近経路を求めたキャラクターと時刻を記録する
+    const now = this.scene && this.scene.time ? this.scene.time.now : Date.now();
+    let chasers = this.chaseRequests.get(target);
+    if (!chasers) {
+      chasers = new Map();
+      this.chaseRequests.set(target, chasers);
     }
+    chasers.set(chaser, now);
     
-    // パスが見つからなかった
-    return null;
-  }
-
-  /**
-   * 隣接ノードの取得
-   * @param {number} x - X座標
-   * @param {number} y - Y座標
-   * @returns {Array} 隣接ノード
-   */
-  getNeighbors(x, y) {
-    const neighbors = [];
-    
-    // 上下左右の4方向
-    const directions = [
-      { dx: 0, dy: -1 }, // 上
-      { dx: 1, dy: 0 },  // 右
-      { dx: 0, dy: 1 },  // 下
-      { dx: -1, dy: 0 }  // 左
-    ];
-    
-    for (const dir of directions) {
-      const nx = x + dir.dx;
-      const ny = y + dir.dy;
-      
-      // マップ範囲内かつ通行可能
-      if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height && 
-          this.pathfindingGrid && this.pathfindingGrid[nx][ny] === 0) {
-        neighbors.push({ x: nx, y: ny });
-      }
+    for (const [other, time] of chasers) {
+      if (now - time > CHASE_REQUEST_WINDOW) chasers.delete(other);
     }
     
-    return neighbors;
-  }
-
-  /**
-   * パスの再構築
-   * @param {Object} cameFrom - 経路記録
-   * @param {Object} current - 現在のノード
-   * @returns {Array} 経路
-   */
-  reconstructPath(cameFrom, current) {
-    const path = [];
-    let currentNode = current;
-    
-    // 開始位置まで遡る
-    while (currentNode) {
-      path.unshift({
-        x: currentNode.x,
-        y: currentNode.y
-      });
-      
-      const key = `${currentNode.x},${currentNode.y}`;
-      currentNode = cameFrom[key];
+    if (chasers.size >= FLOW_FIELD_MIN_CHASERS) {
+      return this.pathfinder.findPathByFlowField(start.x, start.y, end.x, end.y);
     }
     
-    return path;
+    return this.pathfinder.findPath(start.x, start.y, end.x, end.y);
   }
 
   /**
@@ -842,93 +1075,53 @@ export default class TopDownMap {
    * @returns {boolean} 存在するかどうか
    */
   hasEntityAt(tileX, tileY) {
-    // プレイヤー
-    if (this.scene.player) {
-      const playerTile = this.worldToTileXY(this.scene.player.x, this.scene.player.y);
-      if (playerTile.x === tileX && playerTile.y === tileY) {
-        return true;
-      }
-    }
-    
-    // 敵
-    if (this.scene.enemies) {
-      for (const enemy of this.scene.enemies) {
-        const enemyTile = this.worldToTileXY(enemy.x, enemy.y);
-        if (enemyTile.x === tileX && enemyTile.y === tileY) {
-          return true;
-        }
-      }
-    }
-    
-    // NPC
-    if (this.scene.npcs) {
-      for (const npc of this.scene.npcs) {
-        const npcTile = this.worldToTileXY(npc.x, npc.y);
-        if (npcTile.x === tileX && npcTile.y === tileY) {
-          return true;
-        }
-      }
-    }
-    
-    // アイテム
-    if (this.scene.items) {
-      for (const item of this.scene.items) {
-        const itemTile = this.worldToTileXY(item.x, item.y);
-        if (itemTile.x === tileX && itemTile.y === tileY) {
-          return true;
-        }
-      }
-    }
-    
-    return false;
+    return this.getEntitiesAtTile(tileX, tileY, TILE_OCCUPANT_CATEGORIES).length > 0;
   }
 
   /**
    * 指定位置のエンティティを取得
+   * プレイヤー・敵・NPC・アイテム・扉・壊せる障害物の順に優先する
    * @param {number} tileX - タイルX座標
    * @param {number} tileY - タイルY座標
    * @returns {Object|null} エンティティまたはnull
    */
   getEntityAt(tileX, tileY) {
-    // プレイヤー
-    if (this.scene.player) {
-      const playerTile = this.worldToTileXY(this.scene.player.x, this.scene.player.y);
-      if (playerTile.x === tileX && playerTile.y === tileY) {
-        return this.scene.player;
-      }
-    }
-    
-    // 敵
-    if (this.scene.enemies) {
-      for (const enemy of this.scene.enemies) {
-        const enemyTile = this.worldToTileXY(enemy.x, enemy.y);
-        if (enemyTile.x === tileX && enemyTile.y === tileY) {
-          return enemy;
-        }
-      }
-    }
+    const entities = this.getEntitiesAtTile(tileX, tileY, [...TILE_OCCUPANT_CATEGORIES, 'obstacle']);
+    const findByCategory = category => entities.find(entity => this.spatialIndex.getCategory(entity) === category);
     
-    // NPC
-    if (this.scene.npcs) {
-      for (const npc of this.scene.npcs) {
-        const npcTile = this.worldToTileXY(npc.x, npc.y);
-        if (npcTile.x === tileX && npcTile.y === tileY) {
-          return npc;
-        }
+    for (const category of TILE_OCCUPANT_CATEGORIES) {
+      const entity = findByCategory(category);
+      if (entity) {
+        return entity;
       }
     }
     
-    // アイテム
-    if (this.scene.items) {
-      for (const item of this.scene.items) {
-        const itemTile = this.worldToTileXY(item.x, item.y);
-        if (itemTile.x === tileX && itemTile.y === tileY) {
-          return item;
-        }
+    // 扉と壊せる障害物
+    if (this.isValidTile(tileX, tileY)) {
+      const door = this.doors.get(tileX * this.height + tileY);
+      if (door) {
+        return door;
       }
     }
     
-    return null;
+    return findByCategory('obstacle') || null;
+  }
+
+  /**
+   * タイルの上にいるエンティティを空間インデックスから検索
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   * @param {Array<string>} categories - エンティティの種類（省略時はすべて）
+   * @returns {Array<Object>} エンティティ
+   */
+  getEntitiesAtTile(tileX, tileY, categories = null) {
+    return this.spatialIndex.queryRect(
+      tileX * this.tileSize,
+      tileY * this.tileSize,
+      this.tileSize,
+      this.tileSize,
+      categories ? { categories } : {}
+    );
   }
 
   /**
@@ -951,7 +1144,7 @@ export default class TopDownMap {
       const objectType = this.mapData.objectPlacement[tileX][tileY];
       
       // AssetManagerを使って高さから地形情報を取得
-      const terrainInfo = AssetManager.getTerrainFromHeight(heightValue);
+      const terrainInfo = AssetManager.getTerrainFromHeight(heightValue, this.mapData.biome || null);
       
       // オブジェクト情報を取得
       let objectInfo = null;
@@ -979,6 +1172,7 @@ export default class TopDownMap {
         objectType: objectType,
         objectName: objectInfo ? objectInfo.type : null,
         wallInfo: wallInfo, // 壁情報を追加
+        hazard: this.mapData.hazardKinds ? this.mapData.hazardKinds[`${tileX},${tileY}`] || null : null,
         walkable: walkable,
         terrainKey: terrainInfo ? terrainInfo.key : null,
         objectKey: objectInfo ? objectInfo.key : null
@@ -1019,20 +1213,9 @@ export default class TopDownMap {
     // 座標をタイル座標に変換
     const tilePos = this.worldToTileXY(x, y);
     
-    // 障害物レイヤーでタイルが存在するか確認
-    if (this.objectLayer) {
-      const objectTile = this.objectLayer.getTileAt(tilePos.x, tilePos.y);
-      if (objectTile !== null && objectTile.collides) {
-        return true;
-      }
-    }
-    
-    // 壁レイヤーでタイルが存在するか確認（壁レイヤーが存在し、オブジェクトレイヤーとは別の場合）
-    if (this.wallLayer && this.wallLayer !== this.objectLayer) {
-      const wallTile = this.wallLayer.getTileAt(tilePos.x, tilePos.y);
-      if (wallTile !== null && wallTile.collides) {
-        return true;
-      }
+    // 障害物・壁レイヤーでタイルが存在するか確認
+    if (this.hasCollidingTileAt(tilePos.x, tilePos.y)) {
+      return true;
     }
     
     // 高さマップで水や溶岩の通行不可も確認
@@ -1043,6 +1226,11 @@ export default class TopDownMap {
       }
     }
     
+    // 通行可否（閉じた扉・開封済みの宝箱を含む）で確認
+    if (this.pathfindingGrid && this.isValidTile(tilePos.x, tilePos.y)) {
+      return this.pathfindingGrid[tilePos.x][tilePos.y] !== 0;
+    }
+    
     // オブジェクトプレイスメントでも確認（宝箱や壁など）
     if (this.mapData && this.mapData.objectPlacement) {
       const objectType = this.mapData.objectPlacement[tilePos.x][tilePos.y];
@@ -1057,9 +1245,10 @@ export default class TopDownMap {
 
   /**
    * 使用可能なタイルのランダムな位置を取得
+   * @param {function} random - 乱数関数（省略時は Math.random）
    * @returns {Object} 座標
    */
-  getRandomWalkablePosition() {
+  getRandomWalkablePosition(random = Math.random) {
     if (!this.mapData || !this.mapData.objectPlacement) return { x: 0, y: 0 };
     
     // 試行回数制限（無限ループ防止）
@@ -1067,8 +1256,8 @@ export default class TopDownMap {
     let attempts = 0;
     
     while (attempts < maxAttempts) {
-      const tileX = Math.floor(Math.random() * this.width);
-      const tileY = Math.floor(Math.random() * this.height);
+      const tileX = Math.floor(random() * this.width);
+      const tileY = Math.floor(random() * this.height);
       
       if (this.isWalkableAt(tileX, tileY)) {
         return { x: tileX, y: tileY };
@@ -1111,20 +1300,9 @@ export default class TopDownMap {
       return false;
     }
     
-    // レイヤーに障害物があるかチェック
-    if (this.objectLayer) {
-      const objectTile = this.objectLayer.getTileAt(tileX, tileY);
-      if (objectTile && objectTile.collides) {
-        return false;
-      }
-    }
-    
-    // 壁レイヤーに障害物があるかチェック（壁レイヤーが存在し、オブジェクトレイヤーとは別の場合）
-    if (this.wallLayer && this.wallLayer !== this.objectLayer) {
-      const wallTile = this.wallLayer.getTileAt(tileX, tileY);
-      if (wallTile && wallTile.collides) {
-        return false;
-      }
+    // 障害物・壁レイヤーに障害物があるかチェック
+    if (this.hasCollidingTileAt(tileX, tileY)) {
+      return false;
     }
     
     // 通行可能かチェック（pathfindingGridがない場合はobjectPlacementを使用）
@@ -1138,6 +1316,299 @@ export default class TopDownMap {
     return false;
   }
 
+  /**
+   * 動的エンティティの追加
+   * @param {Object} entity - 追加するエンティティ
+   */
+  addEntity(entity) {
+    if (entity && !this.entities.includes(entity)) {
+      this.entities.push(entity);
+    }
+  }
+  
+  /**
+   * 地面に置いたアイテム（宝箱を含む）を空間インデックスに登録する
+   * インベントリや装備のアイテムは登録しないため、地面に置いたときに呼び出す
+   * @param {Object} item - アイテム
+   */
+  registerGroundItem(item) {
+    this.spatialIndex.update(item, 'item');
+    
+    // 破棄されたら登録を解除する
+    item.once('destroy', () => this.spatialIndex.remove(item));
+  }
+  
+  /**
+   * 動的エンティティの削除
+   * @param {Object} entity - 削除するエンティティ
+   */
+  removeEntity(entity) {
+    const index = this.entities.indexOf(entity);
+    if (index !== -1) {
+      this.entities.splice(index, 1);
+    }
+  }
+  
+  /**
+   * 空のワールド状態を作成
+   * @returns {Object} ワールド状態
+   */
+  createEmptyWorldState() {
+    return {
+      killedEnemies: [],   // enemyPlacementのインデックス
+      openedChests: [],    // "x,y" 形式のタイル座標
+      brokenObstacles: [], // "x,y" 形式のタイル座標
+      openedDoors: [],     // "x,y" 形式のタイル座標
+      unlockedDoors: [],   // "x,y" 形式のタイル座標
+      collectedKeys: [],   // 拾った鍵の keyId
+      explored: null       // 探索済みのタイル（encodeExplored() の形式）
+    };
+  }
+  
+  /**
+   * ワールド状態の適用
+   * setMapData内でタイル生成前に呼ばれる
+   * @param {Object|null} worldState - 適用するワールド状態
+   */
+  applyWorldState(worldState) {
+    this.worldState = this.createEmptyWorldState();
+    if (!worldState) return;
+    
+    this.worldState.killedEnemies = [...(worldState.killedEnemies || [])];
+    this.worldState.openedChests = [...(worldState.openedChests || [])];
+    this.worldState.openedDoors = [...(worldState.openedDoors || [])];
+    this.worldState.unlockedDoors = [...(worldState.unlockedDoors || [])];
+    this.worldState.collectedKeys = [...(worldState.collectedKeys || [])];
+    
+    // 破壊済み障害物は床として扱う
+    for (const key of worldState.brokenObstacles || []) {
+      const [x, y] = key.split(',').map(Number);
+      this.markObstacleBroken(x, y);
+    }
+    
+    // 霧が追加される前のセーブ（explored が null）は、すべて探索済みとして扱う
+    if (worldState.explored === null) {
+      this.explored.fill(1);
+    } else if (typeof worldState.explored === 'string') {
+      this.decodeExplored(worldState.explored);
+    }
+  }
+  
+  /**
+   * 現在のワールド状態を取得（セーブ用）
+   * @returns {Object} ワールド状態
+   */
+  getWorldState() {
+    return {
+      killedEnemies: [...this.worldState.killedEnemies],
+      openedChests: [...this.worldState.openedChests],
+      brokenObstacles: [...this.worldState.brokenObstacles],
+      openedDoors: [...this.worldState.openedDoors],
+      unlockedDoors: [...this.worldState.unlockedDoors],
+      collectedKeys: [...this.worldState.collectedKeys],
+      explored: this.encodeExplored(),
+      groundItems: this.getGroundItems()
+    };
+  }
+  
+  /**
+   * 敵の撃破を記録
+   * @param {number} placementIndex - enemyPlacementのインデックス
+   */
+  recordEnemyKilled(placementIndex) {
+    if (!this.worldState.killedEnemies.includes(placementIndex)) {
+      this.worldState.killedEnemies.push(placementIndex);
+    }
+  }
+  
+  /**
+   * 宝箱の開封を記録
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   */
+  recordChestOpened(tileX, tileY) {
+    const key = `${tileX},${tileY}`;
+    if (!this.worldState.openedChests.includes(key)) {
+      this.worldState.openedChests.push(key);
+    }
+  }
+  
+  /**
+   * 宝箱の開封をマップに反映して記録（開いた宝箱は通れる）
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   */
+  markChestOpened(tileX, tileY) {
+    if (!this.isValidTile(tileX, tileY)) return;
+    
+    this.recordChestOpened(tileX, tileY);
+    
+    this.removeObjectTileAt(tileX, tileY);
+    
+    this.updatePathfindingGrid(tileX, tileY, this.mapData.heightMap[tileX][tileY] >= 0.3);
+  }
+  
+  /**
+   * 扉の開閉をマップに反映して記録
+   * 閉じた扉は通れず視線もさえぎるため、経路探索と視界を更新する
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   * @param {boolean} open - 開いたかどうか
+   */
+  setDoorOpen(tileX, tileY, open) {
+    if (!this.isValidTile(tileX, tileY)) return;
+    
+    const key = `${tileX},${tileY}`;
+    const index = tileX * this.height + tileY;
+    
+    this.worldState.openedDoors = this.worldState.openedDoors.filter(entry => entry !== key);
+    if (open) {
+      this.worldState.openedDoors.push(key);
+      this.closedDoors.delete(index);
+    } else {
+      this.closedDoors.add(index);
+    }
+    
+    this.updatePathfindingGrid(tileX, tileY, open);
+    this.updateVisibility(true);
+  }
+  
+  /**
+   * 扉の鍵を開けたことを記録
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   */
+  recordDoorUnlocked(tileX, tileY) {
+    const key = `${tileX},${tileY}`;
+    if (!this.worldState.unlockedDoors.includes(key)) {
+      this.worldState.unlockedDoors.push(key);
+    }
+  }
+  
+  /**
+   * 鍵を拾ったことを記録（拾った鍵はマップに置き直さない）
+   * @param {string} keyId - 鍵の識別子
+   */
+  recordKeyCollected(keyId) {
+    if (!this.worldState.collectedKeys.includes(keyId)) {
+      this.worldState.collectedKeys.push(keyId);
+    }
+  }
+  
+  /**
+   * 扉を開け閉めする
+   * 開いている扉は、上に誰か（何か）がいなければ閉める
+   * @param {Door} door - 扉
+   * @param {Object} user - 開け閉めするキャラクター（鍵を探すインベントリを持つ）
+   * @returns {Object} { success, reason, key }（reason: 'locked' - 鍵がない、'blocked' - 扉の上に何かある）
+   */
+  toggleDoor(door, user) {
+    if (!door) return { success: false, reason: 'missing' };
+    
+    if (!door.isOpen) {
+      return door.open(user);
+    }
+    
+    if (this.hasEntityAt(door.tileX, door.tileY)) {
+      return { success: false, reason: 'blocked' };
+    }
+    
+    door.close();
+    return { success: true };
+  }
+  
+  /**
+   * 破壊可能な障害物をマップに登録し、破壊時に記録する
+   * @param {Obstacle} obstacle - 障害物
+   * @param {number} [tileX] - タイルX座標（省略時は障害物の位置から計算）
+   * @param {number} [tileY] - タイルY座標（省略時は障害物の位置から計算）
+   */
+  registerObstacle(obstacle, tileX, tileY) {
+    if (!obstacle) return;
+    
+    const tile = tileX !== undefined && tileY !== undefined
+      ? { x: tileX, y: tileY }
+      : this.worldToTileXY(obstacle.x, obstacle.y);
+    
+    // 既に破壊済みの位置なら即座に取り除く
+    if (this.worldState.brokenObstacles.includes(`${tile.x},${tile.y}`)) {
+      obstacle.destroy();
+      return;
+    }
+    
+    this.obstacles.set(tile.x * this.height + tile.y, obstacle);
+    obstacle.once('broken', () => this.markObstacleBroken(tile.x, tile.y));
+  }
+  
+  /**
+   * 障害物の破壊をマップに反映して記録
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   */
+  markObstacleBroken(tileX, tileY) {
+    if (!this.isValidTile(tileX, tileY)) return;
+    
+    const key = `${tileX},${tileY}`;
+    if (!this.worldState.brokenObstacles.includes(key)) {
+      this.worldState.brokenObstacles.push(key);
+    }
+    this.obstacles.delete(tileX * this.height + tileY);
+    
+    // 障害物タイルを床に戻す
+    if (this.mapData.objectPlacement[tileX][tileY] === 3) {
+      this.mapData.objectPlacement[tileX][tileY] = 0;
+    }
+    
+    this.removeObjectTileAt(tileX, tileY);
+    
+    this.updatePathfindingGrid(tileX, tileY, this.mapData.heightMap[tileX][tileY] >= 0.3);
+  }
+  
+  /**
+   * 地面に落ちている未回収アイテムの取得（セーブ用）
+   * @returns {Array} アイテムデータの配列
+   */
+  getGroundItems() {
+    if (!this.scene.items) return [];
+    
+    // マップに置かれた鍵は placeKeys() で置き直すため含めない
+    // 種類はクラス名ではなく itemType で保存する（ビルド時の圧縮でクラス名は変わる）
+    return this.scene.items
+      .filter(item => item && !item.collected && item.serialize && item.itemType && !item.placedByMap)
+      .map(item => ({
+        type: item.itemType,
+        x: item.x,
+        y: item.yOrig !== undefined ? item.yOrig : item.y,
+        data: item.serialize()
+      }));
+  }
+  
+  /**
+   * セーブデータから地面のアイテムを復元
+   * placeObjects()の後に呼び出す
+   * @param {Array} groundItems - getGroundItems()で取得したデータ
+   */
+  restoreGroundItems(groundItems = []) {
+    if (!this.scene.itemFactory) return;
+    if (!this.scene.items) this.scene.items = [];
+    
+    for (const itemInfo of groundItems) {
+      const item = this.scene.itemFactory.createItem({
+        ...itemInfo.data,
+        type: itemInfo.type,
+        x: itemInfo.x,
+        y: itemInfo.y
+      });
+      
+      if (item) {
+        this.scene.add.existing(item);
+        this.scene.items.push(item);
+        this.registerGroundItem(item);
+        this.addEntity(item);
+      }
+    }
+  }
+  
   /**
    * オブジェクト（敵、NPC、アイテムなど）の配置
    * @returns {TopDownMap} このインスタンス
@@ -1167,9 +1638,18 @@ export default class TopDownMap {
       this.scene.items = [];
     }
     
-    // 敵の配置
-    if (this.mapData.enemyPlacement && this.mapData.enemyPlacement.length > 0) {
-      this.placeEnemies();
+    this.clearFixtures();
+    this.spawnedEnemies = new Map();
+    this.spawnedChests = new Map();
+    
+    // 配置し直したエンティティは、次の更新ですべて休止・再開を判定する
+    this.activeEntities = null;
+    
+    // 敵・宝箱・壊せる障害物はチャンクごとに分け、読み込み済みのチャンクの分だけ生成する
+    // （残りはチャンクを読み込んだときに buildChunk() で生成する）
+    this.chunkPlacements = this.groupPlacementsByChunk();
+    for (const chunk of this.chunks.values()) {
+      this.spawnChunkEntities(chunk);
     }
     
     // NPCの配置
@@ -1177,57 +1657,247 @@ export default class TopDownMap {
       this.placeNPCs();
     }
     
-    // アイテム/宝箱の配置
-    this.placeChestsAndItems();
+    // 扉・鍵・罠の配置
+    this.placeDoors();
+    this.placeKeys();
+    this.placeTraps();
     
     return this;
   }
 
   /**
-   * 敵の配置
+   * 敵・宝箱・壊せる障害物の配置をチャンクごとに分ける
+   * 撃破済みの敵と、配置位置が歩行不可の敵は含めない
+   * @returns {Map<number, {enemies: number[], chests: Object[], obstacles: Object[]}>} チャンクのキーごとの配置
    */
-  placeEnemies() {
-    if (!this.scene.characterFactory || !this.mapData.enemyPlacement) return;
-    
-    // 敵配列の初期化
-    if (!this.scene.enemies) this.scene.enemies = [];
+  groupPlacementsByChunk() {
+    const placements = new Map();
+    const chunkRows = Math.ceil(this.height / CHUNK_SIZE);
+    const getPlacements = (x, y) => {
+      const key = Math.floor(x / CHUNK_SIZE) * chunkRows + Math.floor(y / CHUNK_SIZE);
+      if (!placements.has(key)) placements.set(key, { enemies: [], chests: [], obstacles: [] });
+      return placements.get(key);
+    };
     
-    // MapGeneratorが生成したenemyPlacementデータを使用
-    for (const enemyData of this.mapData.enemyPlacement) {
+    for (const [placementIndex, enemyData] of (this.mapData.enemyPlacement || []).entries()) {
+      // 撃破済みの敵は復元しない
+      if (this.worldState.killedEnemies.includes(placementIndex)) continue;
+      
       if (!this.isWalkableAt(enemyData.x, enemyData.y)) {
         console.warn(`Enemy placement position not walkable: ${enemyData.x}, ${enemyData.y}`);
         continue; // 配置位置が歩行不可の場合はスキップ
       }
       
-      // トップダウン座標の計算（マップエンジンが期待する順序でx,yを渡す）
-      const worldPos = this.tileToWorldXY(enemyData.x, enemyData.y);
+      getPlacements(enemyData.x, enemyData.y).enemies.push(placementIndex);
+    }
+    
+    const { objectPlacement, heightMap, obstacleKinds } = this.mapData;
+    for (let x = 0; x < this.width; x++) {
+      for (let y = 0; y < this.height; y++) {
+        if (heightMap[x][y] < 0.3) continue;
+        
+        // MapGeneratorの仕様: 2は宝箱、3は障害物を表す
+        if (objectPlacement[x][y] === 2) {
+          getPlacements(x, y).chests.push({ x, y });
+        } else if (objectPlacement[x][y] === 3 && obstacleKinds && BREAKABLE_OBSTACLE_KINDS[obstacleKinds[`${x},${y}`]]) {
+          getPlacements(x, y).obstacles.push({ x, y });
+        }
+      }
+    }
+    
+    return placements;
+  }
+
+  /**
+   * チャンクの敵・宝箱・壊せる障害物を生成する（生成済みのものと撃破済みの敵は除く）
+   * @param {Object} chunk - チャンク
+   */
+  spawnChunkEntities(chunk) {
+    const placements = this.chunkPlacements && this.chunkPlacements.get(chunk.key);
+    if (!placements) return;
+    
+    // 生成したエンティティは、次の更新ですべて休止・再開を判定する
+    this.activeEntities = null;
+    
+    for (const placementIndex of placements.enemies) {
+      if (this.spawnedEnemies.has(placementIndex) || this.worldState.killedEnemies.includes(placementIndex)) continue;
+      this.spawnEnemy(placementIndex);
+    }
+    
+    for (const { x, y } of placements.chests) {
+      if (this.spawnedChests.has(x * this.height + y)) continue;
+      this.spawnChest(x, y);
+    }
+    
+    // 破壊済みの障害物は床に戻っている
+    for (const { x, y } of placements.obstacles) {
+      if (this.obstacles.has(x * this.height + y) || this.mapData.objectPlacement[x][y] !== 3) continue;
+      this.spawnBreakableObstacle(x, y);
+    }
+  }
+
+  /**
+   * チャンクにいる敵・宝箱・壊せる障害物を破棄する
+   * 敵は配置位置ではなく今いる位置で判定する（配置位置のチャンクを読み込み直したときに生成し直す）
+   * @param {Object} chunk - チャンク
+   */
+  despawnChunkEntities(chunk) {
+    const inChunk = (tileX, tileY) =>
+      tileX >= chunk.left && tileX < chunk.left + chunk.width &&
+      tileY >= chunk.top && tileY < chunk.top + chunk.height;
+    const forget = (entity, list) => {
+      if (this.activeEntities) this.activeEntities.delete(entity);
+      if (!list) return;
+      const index = list.indexOf(entity);
+      if (index !== -1) list.splice(index, 1);
+    };
+    
+    for (const [placementIndex, enemy] of [...this.spawnedEnemies]) {
+      const tile = this.worldToTileXY(enemy.x, enemy.y);
+      if (!inChunk(tile.x, tile.y)) continue;
       
-      // 敵の生成 - AssetManager/CharacterLoaderと連携
-      const enemy = this.scene.characterFactory.createEnemy({
-        x: worldPos.x,
-        y: worldPos.y,
-        level: enemyData.level || this.scene.gameData?.currentLevel || 1,
-        enemyType: enemyData.type || 'skeleton',
-        isBoss: enemyData.type === 'boss',
-        isElite: enemyData.type === 'elite'
-      });
+      this.spawnedEnemies.delete(placementIndex);
+      forget(enemy, this.scene.enemies);
+      if (this.scene.boss === enemy) this.scene.boss = null;
+      enemy.destroy();
+    }
+    
+    for (const [index, chest] of [...this.spawnedChests]) {
+      if (!inChunk(chest.tileX, chest.tileY)) continue;
       
-      if (enemy) {
-        // 敵がボスかどうかを設定
-        if (enemyData.type === 'boss') {
-          enemy.setScale(1.5);
-          this.scene.boss = enemy;
-        }
-  
-        enemy.setDepth(10);
-        
-        // シーンに追加
-        this.scene.add.existing(enemy);
-        
-        // 敵リストに追加
-        this.scene.enemies.push(enemy);
+      this.spawnedChests.delete(index);
+      forget(chest, this.scene.items);
+      chest.destroy();
+    }
+    
+    for (const [index, obstacle] of [...this.obstacles]) {
+      if (!inChunk(Math.floor(index / this.height), index % this.height)) continue;
+      
+      this.obstacles.delete(index);
+      forget(obstacle, null);
+      obstacle.destroy();
+    }
+  }
+
+  /**
+   * 扉と壊せる障害物と罠のスプライトを破棄
+   */
+  clearFixtures() {
+    for (const door of this.doors.values()) door.destroy();
+    for (const obstacle of this.obstacles.values()) obstacle.destroy();
+    for (const trap of this.traps.values()) trap.destroy();
+    this.doors = new Map();
+    this.obstacles = new Map();
+    this.traps = new Map();
+  }
+
+  /**
+   * マップのシードから配置物ごとの乱数関数を作成
+   * @param {...(string|number)} labels - 配置物を識別するラベル（種類と位置・番号など）
+   * @returns {function} 乱数関数
+   */
+  createPlacementRandom(...labels) {
+    return forkRandom(this.mapData.seed || 0, 'placement', ...labels);
+  }
+
+  /**
+   * プレイヤーの開始位置を取得（同じマップなら必ず同じ位置）
+   * MapGenerator が決めた開始位置（到達可能性の基準）を優先する
+   * @returns {Object} タイル座標
+   */
+  getStartPosition() {
+    const spawn = this.mapData.spawn;
+    if (spawn && this.isWalkableAt(spawn.x, spawn.y)) {
+      return { x: spawn.x, y: spawn.y };
+    }
+    
+    return this.getRandomWalkablePosition(this.createPlacementRandom('player-start'));
+  }
+
+  /**
+   * 指定タイルにある階段の向きを取得
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   * @returns {string|null} 'up' / 'down'、階段がなければnull
+   */
+  getStairsAt(tileX, tileY) {
+    const stairs = this.mapData && this.mapData.stairs;
+    if (!stairs) return null;
+    
+    for (const direction of ['up', 'down']) {
+      const position = stairs[direction];
+      if (position && position.x === tileX && position.y === tileY) {
+        return direction;
       }
     }
+    
+    return null;
+  }
+
+  /**
+   * 階段の位置を取得
+   * @param {string} direction - 'up' / 'down'
+   * @returns {Object|null} タイル座標（階段がなければnull）
+   */
+  getStairsPosition(direction) {
+    const stairs = this.mapData && this.mapData.stairs;
+    return stairs && stairs[direction] ? { ...stairs[direction] } : null;
+  }
+
+  /**
+   * 敵を生成する
+   * @param {number} placementIndex - enemyPlacementのインデックス
+   * @returns {Enemy|null} 生成した敵
+   */
+  spawnEnemy(placementIndex) {
+    if (!this.scene.characterFactory) return null;
+    
+    // 敵配列の初期化
+    if (!this.scene.enemies) this.scene.enemies = [];
+    
+    const enemyData = this.mapData.enemyPlacement[placementIndex];
+    
+    // トップダウン座標の計算（マップエンジンが期待する順序でx,yを渡す）
+    const worldPos = this.tileToWorldXY(enemyData.x, enemyData.y);
+    
+    // 敵の生成 - AssetManager/CharacterLoaderと連携
+    // 種類・名前・ドロップは配置ごとのシードで決める（撃破済みの敵があっても、生成し直しても同じ敵になる）
+    const enemy = this.scene.characterFactory.createEnemy({
+      random: this.createPlacementRandom('enemy', placementIndex),
+      x: worldPos.x,
+      y: worldPos.y,
+      level: enemyData.level || this.scene.gameData?.currentLevel || 1,
+      enemyType: enemyData.type || 'skeleton',
+      isBoss: enemyData.type === 'boss',
+      isElite: enemyData.type === 'elite',
+      modifiers: this.modifierEffects
+    });
+    
+    if (!enemy) return null;
+    
+    // 敵がボスかどうかを設定
+    if (enemyData.type === 'boss') {
+      enemy.setScale(1.5);
+      this.scene.boss = enemy;
+    }
+    
+    enemy.setDepth(10);
+    
+    // 撃破を記録するため配置インデックスを保持
+    enemy.placementIndex = placementIndex;
+    enemy.once('death', () => {
+      this.recordEnemyKilled(placementIndex);
+      this.spawnedEnemies.delete(placementIndex);
+    });
+    
+    // シーンに追加
+    this.scene.add.existing(enemy);
+    
+    // 敵リストに追加
+    this.scene.enemies.push(enemy);
+    this.spawnedEnemies.set(placementIndex, enemy);
+    
+    return enemy;
   }
 
   /**
@@ -1257,6 +1927,8 @@ export default class TopDownMap {
         isShop: npcData.isShop || false,
         shopType: npcData.shopType,
         shopItems: npcData.items || [],
+        serviceType: npcData.serviceType,
+        building: npcData.building,
         dialogues: npcData.dialogues || []
       });
       
@@ -1274,51 +1946,641 @@ export default class TopDownMap {
   }
 
   /**
-   * 宝箱とアイテムの配置
+   * 宝箱を生成する
+   * @param {number} x - タイルX座標
+   * @param {number} y - タイルY座標
+   * @returns {Item|null} 生成した宝箱
    */
-  placeChestsAndItems() {
-    if (!this.scene.itemFactory) return;
+  spawnChest(x, y) {
+    if (!this.scene.itemFactory) return null;
     
     // アイテム配列の初期化
     if (!this.scene.items) this.scene.items = [];
     
-    // オブジェクト配置データから宝箱を探して配置
-    for (let x = 0; x < this.width; x++) {
-      for (let y = 0; y < this.height; y++) {
-        // MapGeneratorの仕様: 2は宝箱を表す
-        if (this.mapData.objectPlacement[x][y] === 2 && this.mapData.heightMap[x][y] >= 0.3) {
-          // トップダウン座標
-          const worldPos = this.tileToWorldXY(x, y);
-          
-          // AssetManagerから宝箱のテクスチャキーを取得
-          const texture = AssetManager.getTextureKey('item', 'chest');
-          
-          // 宝箱またはアイテムの生成
-          const item = this.scene.itemFactory.createItem({
-            scene: this.scene,
-            x: worldPos.x,
-            y: worldPos.y,
-            texture: texture,
-            type: 'chest',
-            level: this.scene.gameData?.currentLevel || 1
-          });
-          
-          if (item) {
-            // シーンに追加
-            this.scene.add.existing(item);
-            
-            // アイテムリストに追加
-            this.scene.items.push(item);
-          }
+    // トップダウン座標
+    const worldPos = this.tileToWorldXY(x, y);
+    
+    // AssetManagerから宝箱のテクスチャキーを取得
+    const texture = AssetManager.getTextureKey('item', 'chest');
+    
+    // 宝箱の生成
+    // 中身は宝箱の位置ごとのシードで決める（生成し直しても同じ中身になる）
+    const item = this.scene.itemFactory.createItem({
+      scene: this.scene,
+      random: this.createPlacementRandom('chest', x, y),
+      x: worldPos.x,
+      y: worldPos.y,
+      texture: texture,
+      type: 'chest',
+      level: this.scene.gameData?.currentLevel || 1,
+      goldFind: this.modifierEffects.goldFind,
+      itemFind: this.modifierEffects.itemFind
+    });
+    
+    if (!item) return null;
+    
+    // 開封を記録するためタイル座標を保持
+    item.tileX = x;
+    item.tileY = y;
+    
+    if (this.worldState.openedChests.includes(`${x},${y}`)) {
+      item.markOpened();
+    } else {
+      item.once('opened', () => this.markChestOpened(x, y));
+    }
+    
+    // シーンに追加
+    this.scene.add.existing(item);
+    
+    // アイテムリストに追加
+    this.scene.items.push(item);
+    this.registerGroundItem(item);
+    this.spawnedChests.set(x * this.height + y, item);
+    
+    return item;
+  }
+
+  /**
+   * 壊せる障害物（木箱など）を生成する
+   * 破壊されると markObstacleBroken() で床に戻り、通れるようになる
+   * @param {number} x - タイルX座標
+   * @param {number} y - タイルY座標
+   * @returns {Obstacle|null} 生成した障害物
+   */
+  spawnBreakableObstacle(x, y) {
+    if (!this.scene.physics) return null;
+    
+    const kind = this.mapData.obstacleKinds[`${x},${y}`];
+    const config = BREAKABLE_OBSTACLE_KINDS[kind];
+    const worldPos = this.tileToWorldXY(x, y);
+    const obstacle = new Obstacle(this.scene, worldPos.x, worldPos.y, AssetManager.getTextureKey('obstacle', kind), {
+      obstacleType: kind,
+      name: config.name,
+      breakable: true,
+      durability: config.durability,
+      breakParticle: config.breakParticle,
+      random: this.createPlacementRandom('obstacle', x, y)
+    });
+    obstacle.setDepth(5);
+    
+    this.registerObstacle(obstacle, x, y);
+    return obstacle;
+  }
+
+  /**
+   * 扉と門の配置
+   * 開閉すると setDoorOpen() で通行可否と視界を更新する
+   */
+  placeDoors() {
+    for (const doorData of this.mapData.doors || []) {
+      const { x, y } = doorData;
+      if (!this.isValidTile(x, y)) continue;
+      
+      const key = `${x},${y}`;
+      const worldPos = this.tileToWorldXY(x, y);
+      const door = new Door(this.scene, worldPos.x, worldPos.y, {
+        kind: doorData.kind,
+        name: doorData.name,
+        locked: doorData.locked,
+        keyId: doorData.keyId,
+        tileX: x,
+        tileY: y
+      });
+      door.restoreState({
+        open: this.worldState.openedDoors.includes(key),
+        unlocked: this.worldState.unlockedDoors.includes(key)
+      });
+      
+      door.on('opened', () => this.setDoorOpen(x, y, true));
+      door.on('closed', () => this.setDoorOpen(x, y, false));
+      door.once('unlocked', () => this.recordDoorUnlocked(x, y));
+      
+      this.doors.set(x * this.height + y, door);
+    }
+  }
+
+  /**
+   * 罠の配置
+   * 作動すると resolveTrap() で罠の上や矢の通り道にいるキャラクターにダメージを与える
+   */
+  placeTraps() {
+    for (const trapData of this.mapData.traps || []) {
+      const { x, y } = trapData;
+      if (!this.isValidTile(x, y) || !getTrap(trapData.kind)) continue;
+      
+      const worldPos = this.tileToWorldXY(x, y);
+      const trap = new Trap(this.scene, worldPos.x, worldPos.y, {
+        kind: trapData.kind,
+        launcher: trapData.launcher,
+        direction: trapData.direction,
+        tileX: x,
+        tileY: y
+      });
+      
+      trap.on('triggered', () => this.resolveTrap(trap));
+      
+      this.traps.set(x * this.height + y, trap);
+    }
+  }
+
+  /**
+   * 作動した罠のダメージを与える
+   * トゲの罠は罠の上のキャラクターすべてに、矢の罠は発射口から矢の向きに飛んで最初に当たったキャラクターに与える
+   * @param {Trap} trap - 作動した罠
+   */
+  resolveTrap(trap) {
+    const { damage, damageType } = trap.definition;
+    
+    if (trap.kind !== 'arrow' || !trap.launcher || !trap.direction) {
+      for (const character of this.getEntitiesAtTile(trap.tileX, trap.tileY, HAZARD_TARGET_CATEGORIES)) {
+        this.applyHazardDamage(character, damage, damageType);
+      }
+      return;
+    }
+    
+    // 矢は移動できるタイルを、感圧板を越えて射程の2倍まで飛ぶ
+    const { launcher, direction } = trap;
+    const maxDistance = trap.definition.range * 2;
+    let end = null;
+    let target = null;
+    
+    for (let distance = 1; distance <= maxDistance; distance++) {
+      const tileX = launcher.x + direction.dx * distance;
+      const tileY = launcher.y + direction.dy * distance;
+      if (!this.isWalkableAt(tileX, tileY)) break;
+      
+      end = { x: tileX, y: tileY };
+      target = this.getEntitiesAtTile(tileX, tileY, HAZARD_TARGET_CATEGORIES)
+        .find(character => !character.isDead) || null;
+      if (target) break;
+    }
+    if (!end) return;
+    
+    trap.fireArrow(this.tileToWorldXY(launcher.x, launcher.y), this.tileToWorldXY(end.x, end.y), () => {
+      if (target) this.applyHazardDamage(target, damage, damageType);
+    });
+  }
+
+  /**
+   * タイルの危険地帯の定義
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   * @returns {Object|null} 危険地帯の定義（なければnull）
+   */
+  getHazardAt(tileX, tileY) {
+    const hazardKinds = this.mapData && this.mapData.hazardKinds;
+    return hazardKinds ? getHazard(hazardKinds[`${tileX},${tileY}`]) : null;
+  }
+
+  /**
+   * 危険地帯と罠の影響を受けるキャラクター（プレイヤー・コンパニオンとカメラの近くで動いている敵）
+   * @returns {Array<Object>} キャラクター
+   */
+  getHazardTargets() {
+    const enemies = this.activeEntities
+      ? [...this.activeEntities].filter(entity => this.spatialIndex.getCategory(entity) === 'enemy')
+      : this.scene.enemies || [];
+    
+    return [this.scene.player, ...(this.scene.companions || []), ...enemies];
+  }
+
+  /**
+   * 危険地帯と罠の影響を与える
+   * 危険地帯の上のキャラクターは遅くなり（terrainSpeedMultiplier）、一定の間隔でダメージを受ける
+   * 罠の上のキャラクターは罠を作動させる
+   */
+  updateHazards() {
+    if (!this.mapData) return;
+    
+    const now = this.scene.time ? this.scene.time.now : Date.now();
+    
+    for (const character of this.getHazardTargets()) {
+      if (!character || character.isDead || character.isSleeping) continue;
+      
+      const tile = this.worldToTileXY(character.x, character.y);
+      if (!this.isValidTile(tile.x, tile.y)) continue;
+      
+      const hazard = this.getHazardAt(tile.x, tile.y);
+      character.terrainSpeedMultiplier = hazard ? hazard.speedMultiplier : 1;
+      
+      if (hazard && hazard.damage > 0 && now >= (this.hazardDamageTimes.get(character) || 0)) {
+        this.hazardDamageTimes.set(character, now + hazard.interval);
+        this.applyHazardDamage(character, hazard.damage, hazard.damageType);
+      }
+      
+      const trap = this.traps.get(tile.x * this.height + tile.y);
+      if (trap) {
+        trap.trigger(character, now);
+      }
+    }
+  }
+
+  /**
+   * 危険地帯や罠のダメージを与える（攻撃したキャラクターはいない）
+   * @param {Object} character - キャラクター
+   * @param {number} damage - ダメージ
+   * @param {string} damageType - ダメージの種類
+   */
+  applyHazardDamage(character, damage, damageType) {
+    if (!character || character.isDead || !character.takeDamage) return;
+    character.takeDamage(damage, damageType, false, null);
+  }
+
+  /**
+   * 鍵の配置（拾った鍵は置かない）
+   */
+  placeKeys() {
+    if (!this.scene.itemFactory) return;
+    if (!this.scene.items) this.scene.items = [];
+    
+    for (const keyData of this.mapData.keys || []) {
+      if (this.worldState.collectedKeys.includes(keyData.keyId)) continue;
+      
+      const worldPos = this.tileToWorldXY(keyData.x, keyData.y);
+      const item = this.scene.itemFactory.createItem({
+        type: ItemType.keyItem,
+        x: worldPos.x,
+        y: worldPos.y,
+        keyId: keyData.keyId,
+        name: keyData.name
+      });
+      
+      if (item) {
+        item.placedByMap = true;
+        item.once('collected', () => this.recordKeyCollected(keyData.keyId));
+        this.scene.items.push(item);
+        this.registerGroundItem(item);
+      }
+    }
+  }
+
+  /**
+   * 視界の中心（プレイヤーとコンパニオン）を取得
+   * @returns {Array<Object>} タイル座標と視界の半径（{ x, y, radius }）
+   */
+  getVisionSources() {
+    const sources = [];
+    
+    if (this.scene.player) {
+      sources.push({ ...this.worldToTileXY(this.scene.player.x, this.scene.player.y), radius: PLAYER_VISION_RADIUS });
+    }
+    for (const companion of this.scene.companions || []) {
+      if (companion && !companion.isDead) {
+        sources.push({ ...this.worldToTileXY(companion.x, companion.y), radius: COMPANION_VISION_RADIUS });
+      }
+    }
+    
+    return sources;
+  }
+
+  /**
+   * 視界を計算し、見えたタイルを探索済みにする
+   * 視点が同じタイルにいる間は計算し直さない
+   * @param {boolean} force - 視点が動いていなくても計算し直すか
+   */
+  updateVisibility(force = false) {
+    if (!this.fogOfWar || !this.mapData || !this.visible) return;
+    
+    const sources = this.getVisionSources();
+    const key = sources.map(source => `${source.x},${source.y}`).join('|');
+    if (!force && key === this.visionKey) return;
+    this.visionKey = key;
+    
+    // 前回見えていたタイルだけを見えていない状態に戻す（マップが広くても視界の分だけで済む）
+    for (const index of this.visibleTiles) {
+      this.visible[index] = 0;
+    }
+    this.visibleTiles = [];
+    
+    for (const source of sources) {
+      this.revealAround(source.x, source.y, source.radius);
+    }
+    
+    // 前回と今回の視界に重なるチャンクの霧だけを描き直す
+    this.renderFogAround([...this.visionSources, ...sources]);
+    this.visionSources = sources;
+  }
+
+  /**
+   * 視点から半径内の、視線が通るタイルを見えている状態にする
+   * @param {number} centerX - 視点のタイルX座標
+   * @param {number} centerY - 視点のタイルY座標
+   * @param {number} radius - 視界の半径（タイル数）
+   */
+  revealAround(centerX, centerY, radius) {
+    for (let x = Math.max(0, centerX - radius); x <= Math.min(this.width - 1, centerX + radius); x++) {
+      for (let y = Math.max(0, centerY - radius); y <= Math.min(this.height - 1, centerY + radius); y++) {
+        const dx = x - centerX;
+        const dy = y - centerY;
+        if (dx * dx + dy * dy > radius * radius) continue;
+        if (!this.hasLineOfSight(centerX, centerY, x, y)) continue;
+        
+        const index = x * this.height + y;
+        if (!this.visible[index]) this.visibleTiles.push(index);
+        this.visible[index] = 1;
+        this.explored[index] = 1;
+      }
+    }
+    
+    // 壁に沿った視線は手前の壁でさえぎられるため、見えている床に接する壁は見えるようにする
+    for (let x = Math.max(0, centerX - radius); x <= Math.min(this.width - 1, centerX + radius); x++) {
+      for (let y = Math.max(0, centerY - radius); y <= Math.min(this.height - 1, centerY + radius); y++) {
+        const index = x * this.height + y;
+        if (this.visible[index] || !this.blocksVision(x, y)) continue;
+        
+        const nextToVisibleFloor = [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dx, dy]) => {
+          const nx = x + dx;
+          const ny = y + dy;
+          return this.isValidTile(nx, ny) && this.visible[nx * this.height + ny] === 1 && !this.blocksVision(nx, ny);
+        });
+        if (nextToVisibleFloor) {
+          this.visibleTiles.push(index);
+          this.visible[index] = 1;
+          this.explored[index] = 1;
         }
       }
     }
   }
 
+  /**
+   * 2つのタイルの間の視線が通るかどうか（壁が視線をさえぎる）
+   * 終点の壁自体は見える
+   * @param {number} startX - 始点のタイルX座標
+   * @param {number} startY - 始点のタイルY座標
+   * @param {number} endX - 終点のタイルX座標
+   * @param {number} endY - 終点のタイルY座標
+   * @returns {boolean} 視線が通ればtrue
+   */
+  hasLineOfSight(startX, startY, endX, endY) {
+    // ブレゼンハムのアルゴリズムで直線上のタイルをたどる
+    const dx = Math.abs(endX - startX);
+    const dy = -Math.abs(endY - startY);
+    const stepX = startX < endX ? 1 : -1;
+    const stepY = startY < endY ? 1 : -1;
+    let error = dx + dy;
+    let x = startX;
+    let y = startY;
+    
+    while (x !== endX || y !== endY) {
+      const doubled = error * 2;
+      if (doubled >= dy) {
+        error += dy;
+        x += stepX;
+      }
+      if (doubled <= dx) {
+        error += dx;
+        y += stepY;
+      }
+      
+      if ((x !== endX || y !== endY) && this.blocksVision(x, y)) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * タイルが視線をさえぎるかどうか
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   * @returns {boolean} 壁か閉じた扉ならtrue
+   */
+  blocksVision(tileX, tileY) {
+    return this.mapData.objectPlacement[tileX][tileY] === 4 || this.closedDoors.has(tileX * this.height + tileY);
+  }
+
+  /**
+   * タイルが探索済みかどうか（霧がなければ常にtrue）
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   * @returns {boolean} 探索済みならtrue
+   */
+  isTileExplored(tileX, tileY) {
+    if (!this.fogOfWar || !this.explored) return true;
+    if (!this.isValidTile(tileX, tileY)) return false;
+    return this.explored[tileX * this.height + tileY] === 1;
+  }
+
+  /**
+   * タイルが今見えているかどうか（霧がなければ常にtrue）
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   * @returns {boolean} 見えていればtrue
+   */
+  isTileVisible(tileX, tileY) {
+    if (!this.fogOfWar || !this.visible) return true;
+    if (!this.isValidTile(tileX, tileY)) return false;
+    return this.visible[tileX * this.height + tileY] === 1;
+  }
+
+  /**
+   * タイルの霧の状態を取得
+   * @param {number} tileX - タイルX座標
+   * @param {number} tileY - タイルY座標
+   * @returns {number} FOG_UNEXPLORED / FOG_REMEMBERED / FOG_VISIBLE
+   */
+  getFogState(tileX, tileY) {
+    if (this.isTileVisible(tileX, tileY)) return FOG_VISIBLE;
+    return this.isTileExplored(tileX, tileY) ? FOG_REMEMBERED : FOG_UNEXPLORED;
+  }
+
+  /**
+   * マップ全体を探索済みにする
+   */
+  revealMap() {
+    if (!this.explored) return;
+    this.explored.fill(1);
+    this.renderFog();
+  }
+
+  /**
+   * 読み込み済みのすべてのチャンクの霧を描画する
+   */
+  renderFog() {
+    for (const chunk of this.chunks.values()) {
+      this.renderChunkFog(chunk);
+    }
+  }
+
+  /**
+   * 視点の周り（視界の半径の正方形）に重なる、読み込み済みのチャンクの霧を描画する
+   * @param {Array<Object>} sources - 視点（{ x, y, radius }）
+   */
+  renderFogAround(sources) {
+    const keys = new Set();
+    for (const source of sources) {
+      const left = Math.floor(Math.max(0, source.x - source.radius) / CHUNK_SIZE);
+      const right = Math.floor(Math.min(this.width - 1, source.x + source.radius) / CHUNK_SIZE);
+      const top = Math.floor(Math.max(0, source.y - source.radius) / CHUNK_SIZE);
+      const bottom = Math.floor(Math.min(this.height - 1, source.y + source.radius) / CHUNK_SIZE);
+      for (let chunkX = left; chunkX <= right; chunkX++) {
+        for (let chunkY = top; chunkY <= bottom; chunkY++) {
+          keys.add(chunkX * this.chunkRows + chunkY);
+        }
+      }
+    }
+    
+    for (const key of keys) {
+      const chunk = this.chunks.get(key);
+      if (chunk) this.renderChunkFog(chunk);
+    }
+  }
+
+  /**
+   * チャンクの霧を描画する（列ごとに同じ状態のタイルをまとめて1つの矩形にする）
+   * @param {Object} chunk - チャンク
+   */
+  renderChunkFog(chunk) {
+    if (!this.fogOfWar || !this.explored || !this.scene || !this.scene.add) return;
+    
+    if (!chunk.fog) {
+      chunk.fog = this.scene.add.graphics();
+      chunk.fog.setDepth(FOG_DEPTH);
+    }
+    chunk.fog.clear();
+    
+    const bottom = chunk.top + chunk.height;
+    for (let x = chunk.left; x < chunk.left + chunk.width; x++) {
+      let runStart = chunk.top;
+      let runState = this.getFogState(x, chunk.top);
+      
+      for (let y = chunk.top + 1; y <= bottom; y++) {
+        const state = y < bottom ? this.getFogState(x, y) : null;
+        if (state === runState) continue;
+        
+        if (runState !== FOG_VISIBLE) {
+          chunk.fog.fillStyle(FOG_COLOR, runState === FOG_UNEXPLORED ? UNEXPLORED_ALPHA : REMEMBERED_ALPHA);
+          chunk.fog.fillRect(x * this.tileSize, runStart * this.tileSize, this.tileSize, (y - runStart) * this.tileSize);
+        }
+        runStart = y;
+        runState = state;
+      }
+    }
+  }
+
+  /**
+   * 視界の外にいる敵を隠す（探索済みでも今見えていない場所の敵は表示しない）
+   */
+  updateEnemyVisibility() {
+    if (!this.fogOfWar) return;
+    
+    // 休止している敵は隠れているため、カメラの近くで動いている敵だけを調べる
+    const enemies = this.activeEntities
+      ? [...this.activeEntities].filter(entity => this.spatialIndex.getCategory(entity) === 'enemy')
+      : this.scene.enemies || [];
+    
+    for (const enemy of enemies) {
+      if (!enemy || enemy.isDead || !enemy.setVisible) continue;
+      const tile = this.worldToTileXY(enemy.x, enemy.y);
+      enemy.setVisible(this.isTileVisible(tile.x, tile.y));
+    }
+  }
+
+  /**
+   * カメラの近くの敵・NPC・アイテム・障害物を動かし、離れたものを休止させる（描画・更新・AI・物理演算を止める）
+   * カメラが別のチャンクに入ったときと、ACTIVITY_CHECK_INTERVAL ごとに判定し直す
+   * 配置直後はすべてのエンティティを調べ、以降は前回動いていたものと今回の範囲の中のものだけを調べる
+   * @param {boolean} force - 間隔を待たずに判定し直すか
+   */
+  updateEntityActivity(force = false) {
+    const camera = this.scene.cameras && this.scene.cameras.main;
+    if (!this.mapData || !camera || !camera.worldView) return;
+    
+    const now = this.scene.time ? this.scene.time.now : Date.now();
+    if (!force && this.activeEntities && this.activityViewKey === this.chunkViewKey &&
+        now - this.lastActivityCheck < ACTIVITY_CHECK_INTERVAL) {
+      return;
+    }
+    this.activityViewKey = this.chunkViewKey;
+    this.lastActivityCheck = now;
+    
+    const margin = ACTIVE_MARGIN_TILES * this.tileSize;
+    const view = camera.worldView;
+    const active = new Set(this.spatialIndex.queryRect(
+      view.x - margin,
+      view.y - margin,
+      view.width + margin * 2,
+      view.height + margin * 2,
+      { categories: SLEEPING_CATEGORIES }
+    ));
+    
+    const previous = this.activeEntities || [...this.spatialIndex.entries.keys()]
+      .filter(entity => SLEEPING_CATEGORIES.includes(this.spatialIndex.getCategory(entity)));
+    
+    for (const entity of previous) {
+      if (!active.has(entity) && this.spatialIndex.has(entity)) {
+        this.setEntityActive(entity, false);
+      }
+    }
+    for (const entity of active) {
+      this.setEntityActive(entity, true);
+    }
+    
+    this.activeEntities = active;
+  }
+
+  /**
+   * エンティティを動かすか休止させる
+   * @param {Object} entity - エンティティ（setSleeping がなければ表示だけを切り替える）
+   * @param {boolean} active - 動かすかどうか
+   */
+  setEntityActive(entity, active) {
+    if (entity.setSleeping) {
+      entity.setSleeping(!active);
+    } else if (entity.setVisible) {
+      entity.setVisible(active);
+    }
+  }
+
+  /**
+   * 探索済みのタイルをセーブ用の文字列にする（1タイル1ビットをBase64にしたもの）
+   * @returns {string|null} 探索済みのタイル
+   */
+  encodeExplored() {
+    if (!this.explored) return null;
+    
+    const bytes = new Uint8Array(Math.ceil(this.explored.length / 8));
+    this.explored.forEach((value, index) => {
+      if (value) bytes[index >> 3] |= 1 << (index & 7);
+    });
+    
+    let binary = '';
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * セーブされた探索済みのタイルを復元する
+   * @param {string} encoded - encodeExplored() の文字列
+   */
+  decodeExplored(encoded) {
+    try {
+      const binary = atob(encoded);
+      for (let index = 0; index < this.explored.length; index++) {
+        const byte = binary.charCodeAt(index >> 3) || 0;
+        this.explored[index] = (byte >> (index & 7)) & 1;
+      }
+    } catch (error) {
+      console.warn('Explored tiles could not be restored:', error);
+    }
+  }
+
   /**
    * マップを更新
    */
   update() {
-    // 将来的な拡張のための予約
+    // カメラの周りのチャンクの読み込みと、離れたエンティティの休止
+    this.updateChunks();
+    this.updateEntityActivity();
+    
+    // 視界と霧の更新
+    this.updateVisibility();
+    this.updateEnemyVisibility();
+    
+    // 危険地帯と罠
+    this.updateHazards();
   }
 }
\ No newline at end of file
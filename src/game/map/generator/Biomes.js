@@ -0,0 +1,200 @@
+/**
+ * フィールドマップのバイオーム定義
+ * バイオームごとに地形の高さとタイルの対応、地形の起伏、障害物、出現する敵、
+ * 画面の色合いとBGMが変わります。
+ */
+
+// バイオームが決まっていないマップ（古いセーブのフィールドなど）に使うバイオーム
+export const DEFAULT_BIOME = 'grassland';
+
+/**
+ * バイオームの一覧
+ *
+ * - terrain: 高さの上限とタイルの種類（高さが below 未満なら type、上から順に判定）
+ * - heightBias: 高さマップに加える値（負なら水が増え、正なら水が減る）
+ * - mountainLevel: この高さを超えると通行できない高地（壁）になる
+ * - forests / lakes: 森・湖の数の範囲 [最小, 最大]
+ * - obstacleDensity: 自然の障害物の密度の倍率
+ * - obstacles: 障害物の見た目（オブジェクトタイルの名前、nullならタイルセットに任せる）
+ * - wall: 壁の見た目（壁タイルの名前、nullならタイルセットに任せる）
+ * - enemyTypes: 出現する敵の種類
+ * - hazards: 置かれる危険地帯の種類（Hazards.js の HAZARD_KINDS のキー、空なら置かない）
+ * - tint: 画面全体の色合い（0xffffff なら色を変えない）
+ * - bgm: BGMのサブタイプ（AssetManager の soundMap.bgm のキー）
+ */
+export const BIOMES = {
+  grassland: {
+    name: '草原',
+    terrain: [
+      { below: 0.3, type: 'water' },
+      { below: 0.5, type: 'grass' },
+      { below: 0.7, type: 'dirt' },
+      { below: 0.85, type: 'stone' },
+      { below: Infinity, type: 'snow' }
+    ],
+    heightBias: 0,
+    mountainLevel: 0.75,
+    forests: [3, 7],
+    lakes: [1, 3],
+    obstacleDensity: 1,
+    obstacles: null,
+    wall: null,
+    enemyTypes: ['wolf', 'bandit', 'goblin', 'troll', 'ogre'],
+    hazards: ['mud'],
+    tint: 0xffffff,
+    bgm: 'main'
+  },
+  forest: {
+    name: '森',
+    terrain: [
+      { below: 0.3, type: 'water' },
+      { below: 0.65, type: 'grass' },
+      { below: 0.8, type: 'dirt' },
+      { below: Infinity, type: 'stone' }
+    ],
+    heightBias: 0,
+    mountainLevel: 0.8,
+    forests: [8, 12],
+    lakes: [1, 2],
+    obstacleDensity: 1.5,
+    obstacles: ['tree', 'bush'],
+    wall: 'wood',
+    enemyTypes: ['wolf', 'spider', 'goblin', 'werewolf', 'treant'],
+    hazards: ['mud'],
+    tint: 0xc8e6c0,
+    bgm: 'forest'
+  },
+  desert: {
+    name: '砂漠',
+    terrain: [
+      { below: 0.3, type: 'water' },
+      { below: 0.7, type: 'sand' },
+      { below: 0.8, type: 'dirt' },
+      { below: Infinity, type: 'stone' }
+    ],
+    heightBias: 0.08,
+    mountainLevel: 0.85,
+    forests: [0, 0],
+    lakes: [0, 1],
+    obstacleDensity: 0.5,
+    obstacles: ['rock'],
+    wall: 'stone',
+    enemyTypes: ['scorpion', 'bandit', 'mummy', 'sand_worm'],
+    hazards: [],
+    tint: 0xfff0c8,
+    bgm: 'desert'
+  },
+  tundra: {
+    name: '凍土',
+    terrain: [
+      { below: 0.3, type: 'water' },
+      { below: 0.6, type: 'snow' },
+      { below: 0.75, type: 'stone' },
+      { below: Infinity, type: 'snow' }
+    ],
+    heightBias: 0.02,
+    mountainLevel: 0.75,
+    forests: [1, 3],
+    lakes: [1, 2],
+    obstacleDensity: 0.8,
+    obstacles: ['rock', 'tree'],
+    wall: 'ice',
+    enemyTypes: ['wolf', 'yeti', 'ice_golem', 'frost_wraith'],
+    hazards: [],
+    tint: 0xd0e0ff,
+    bgm: 'tundra'
+  },
+  swamp: {
+    name: '沼地',
+    terrain: [
+      { below: 0.3, type: 'water' },
+      { below: 0.5, type: 'dirt' },
+      { below: 0.7, type: 'grass' },
+      { below: Infinity, type: 'stone' }
+    ],
+    heightBias: -0.06,
+    mountainLevel: 0.8,
+    forests: [2, 4],
+    lakes: [3, 6],
+    obstacleDensity: 1.2,
+    obstacles: ['bush', 'tree'],
+    wall: 'wood',
+    enemyTypes: ['slime', 'zombie', 'spider', 'lizardman', 'troll'],
+    hazards: ['mud', 'poison'],
+    tint: 0xb8c8a0,
+    bgm: 'swamp'
+  },
+  volcanic: {
+    name: '火山',
+    terrain: [
+      { below: 0.3, type: 'lava' },
+      { below: 0.6, type: 'stone' },
+      { below: 0.75, type: 'dirt' },
+      { below: Infinity, type: 'stone' }
+    ],
+    heightBias: 0,
+    mountainLevel: 0.7,
+    forests: [0, 0],
+    lakes: [2, 4],
+    obstacleDensity: 1,
+    obstacles: ['rock', 'crystal'],
+    wall: 'stone',
+    enemyTypes: ['fire_imp', 'hellhound', 'salamander', 'golem', 'demon'],
+    hazards: ['lava'],
+    tint: 0xffc0a0,
+    bgm: 'volcanic'
+  }
+};
+
+// ランダムに選ぶときの出やすさ（草原は他より少し出やすい）
+const BIOME_WEIGHTS = {
+  grassland: 2,
+  forest: 2,
+  desert: 1,
+  tundra: 1,
+  swamp: 1,
+  volcanic: 1
+};
+
+/**
+ * バイオームの定義を取得します。
+ * 未知のバイオームや未指定の場合は草原を返します。
+ *
+ * @param {string|null|undefined} id - バイオームID
+ * @returns {Object} バイオームの定義
+ */
+export function getBiome(id) {
+  return BIOMES[id] || BIOMES[DEFAULT_BIOME];
+}
+
+/**
+ * 乱数からバイオームを選びます。
+ *
+ * @param {number} roll - 0以上1未満の乱数
+ * @returns {string} バイオームID
+ */
+export function rollBiome(roll) {
+  const entries = Object.entries(BIOME_WEIGHTS);
+  const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+  let remaining = roll * totalWeight;
+  for (const [id, weight] of entries) {
+    remaining -= weight;
+    if (remaining < 0) return id;
+  }
+
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * バイオームに応じて、高さから地形タイルの種類を決めます。
+ *
+ * @param {number} heightValue - 高さ値（0.0～1.0）
+ * @param {string|null} biomeId - バイオームID（省略時は草原）
+ * @returns {string} 地形タイルの種類（'water', 'grass', 'sand', 'lava' など）
+ */
+export function getBiomeTerrainType(heightValue, biomeId) {
+  const { terrain } = getBiome(biomeId);
+  const band = terrain.find(entry => heightValue < entry.below);
+  return band ? band.type : terrain[terrain.length - 1].type;
+}
@@ -0,0 +1,129 @@
+/**
+ * 危険地帯（ハザード）と罠の定義
+ * ハザードは上を歩けるが、乗っている間ダメージを受けたり遅くなったりする床（溶岩だまり・毒沼・泥）、
+ * 罠は踏むと作動する仕掛け（トゲの罠・感圧板と矢の罠）です。
+ * どちらもプレイヤーだけでなく敵やコンパニオンにも効き、経路探索では通りにくいタイル（コストの高いタイル）として扱います。
+ */
+
+/**
+ * ハザードの一覧（キーはマップデータの hazardKinds の値）
+ *
+ * - tile: 地面レイヤーに描くタイルの種類（AssetManager の tileIndexMap.terrain のキー）
+ * - damage / damageType: 乗っている間、interval ミリ秒ごとに受けるダメージと種類（0ならダメージなし）
+ * - speedMultiplier: 乗っている間の移動速度の倍率
+ * - pathCost: 経路探索で1歩に加えるコスト（通常の床は1歩1）
+ * - color: ミニマップとマップ生成ツールの色
+ */
+export const HAZARD_KINDS = {
+  lava: {
+    name: '溶岩だまり',
+    tile: 'lava_pool',
+    damage: 12,
+    damageType: 'fire',
+    interval: 500,
+    speedMultiplier: 0.8,
+    pathCost: 12,
+    color: 0xff6a00
+  },
+  poison: {
+    name: '毒沼',
+    tile: 'poison',
+    damage: 4,
+    damageType: 'poison',
+    interval: 700,
+    speedMultiplier: 0.8,
+    pathCost: 6,
+    color: 0x7fbf3f
+  },
+  mud: {
+    name: '泥',
+    tile: 'mud',
+    damage: 0,
+    damageType: 'physical',
+    interval: 0,
+    speedMultiplier: 0.5,
+    pathCost: 2,
+    color: 0x6b5030
+  }
+};
+
+/**
+ * 罠の一覧（キーはマップデータの traps の kind）
+ *
+ * - damage / damageType: 作動したときのダメージと種類
+ * - cooldown: 作動してから再び作動できるまでの時間（ミリ秒）
+ * - pathCost: 経路探索で罠のタイル（矢の罠は感圧板）に加えるコスト
+ * - range: 矢の罠の発射口から感圧板までの最大距離（タイル数）
+ * - color: マップ生成ツールの色
+ */
+export const TRAP_KINDS = {
+  spikes: {
+    name: 'トゲの罠',
+    damage: 15,
+    damageType: 'physical',
+    cooldown: 1500,
+    pathCost: 8,
+    color: 0xb0b0b0
+  },
+  arrow: {
+    name: '矢の罠',
+    damage: 20,
+    damageType: 'physical',
+    cooldown: 2500,
+    pathCost: 8,
+    range: 6,
+    color: 0xd8c080
+  }
+};
+
+/**
+ * ハザードの定義を取得します。
+ *
+ * @param {string|null|undefined} kind - ハザードの種類
+ * @returns {Object|null} ハザードの定義（未知の種類ならnull）
+ */
+export function getHazard(kind) {
+  return HAZARD_KINDS[kind] || null;
+}
+
+/**
+ * 罠の定義を取得します。
+ *
+ * @param {string|null|undefined} kind - 罠の種類
+ * @returns {Object|null} 罠の定義（未知の種類ならnull）
+ */
+export function getTrap(kind) {
+  return TRAP_KINDS[kind] || null;
+}
+
+/**
+ * マップデータのハザードと罠から、経路探索のコストを持つタイルを列挙します。
+ * 同じタイルにハザードと罠がある場合は大きいほうのコストを使います。
+ *
+ * @param {Object} mapData - マップデータ（hazardKinds と traps を使う）
+ * @returns {Array<{x: number, y: number, cost: number}>} タイルと追加のコスト
+ */
+export function getHazardPathCosts(mapData) {
+  const costs = new Map();
+  const addCost = (x, y, cost) => {
+    const key = `${x},${y}`;
+    costs.set(key, Math.max(costs.get(key) || 0, cost));
+  };
+
+  for (const [key, kind] of Object.entries(mapData.hazardKinds || {})) {
+    const hazard = getHazard(kind);
+    if (!hazard) continue;
+    const [x, y] = key.split(',').map(Number);
+    addCost(x, y, hazard.pathCost);
+  }
+
+  for (const trap of mapData.traps || []) {
+    const definition = getTrap(trap.kind);
+    if (definition) addCost(trap.x, trap.y, definition.pathCost);
+  }
+
+  return [...costs].map(([key, cost]) => {
+    const [x, y] = key.split(',').map(Number);
+    return { x, y, cost };
+  });
+}
@@ -1,12 +1,20 @@
 import { createNoise2D, createNoise3D } from 'simplex-noise';
+import { createSeededRandom, generateRunSeed, normalizeSeed } from '../../../utils/seededRandom';
+import { DEFAULT_MODEL_PATH, buildFeatures, decodeParameters, loadTuningModel, pickTunedParameters } from './MapTuning';
 
-// TensorFlowを動的にインポート
+// TensorFlowを動的にインポート（読み込みが終わるまで待てるようPromiseも保持する）
 let tf = null;
-if (typeof window !== 'undefined') {
-  import('@tensorflow/tfjs').then(module => {
-    tf = module;
-  });
-}
+const tfReady = typeof window !== 'undefined'
+  ? import('@tensorflow/tfjs')
+    .then(module => {
+      tf = module;
+      return tf;
+    })
+    .catch(error => {
+      console.warn('TensorFlow could not be loaded:', error);
+      return null;
+    })
+  : Promise.resolve(null);
 
 /**
  * マップ自動生成クラス
@@ -21,7 +29,7 @@ class MapGenerator {
     this.options = {
       width: 100, // マップの幅
       height: 100, // マップの高さ
-      seed: Math.random(), // 乱数シード
+      seed: generateRunSeed(), // 乱数シード
       tileSize: 32, // タイルサイズ
       noiseScale: 0.1, // ノイズスケール
       roomMinSize: 5, // 部屋の最小サイズ
@@ -33,15 +41,19 @@ class MapGenerator {
       wallDensity: 0.015, // 壁の密度
       npcDensity: 0.01, // NPCの密度
       difficultyLevel: 'normal', // 難易度: normal, nightmare, hell
+      repairConnectivity: true, // 開始位置から到達できない領域を通路でつなぐ
+      prefabs: [], // ダンジョンに埋め込むヴォルトのプレハブ（VaultPrefabs.parsePrefabs() の結果）
+      maxVaults: 2, // 1つのダンジョンに埋め込むヴォルトの最大数
+      vaultChance: 0.6, // ヴォルトを1つ埋め込むたびの確率
+      biome: null, // フィールドのバイオーム（nullならマップのシードから選ぶ）
       ...options
     };
     
-    // 乱数ジェネレーター
-    this.rng = this.createRNG(this.options.seed);
+    // シードは文字列などでも指定できるが、内部では32ビット整数に揃える
+    this.options.seed = normalizeSeed(this.options.seed);
     
-    // ノイズジェネレーター
-    this.noise2D = createNoise2D(this.rng);
-    this.noise3D = createNoise3D(this.rng);
+    // 乱数ジェネレーターとノイズジェネレーター（generateMap のたびにシードから作り直す）
+    this.reseed(this.options.seed);
     
     // 地形データ
     this.heightMap = [];
@@ -61,8 +73,38 @@ class MapGenerator {
     // 部屋データ（ダンジョン生成用）
     this.rooms = [];
     
+    // 障害物の種類（"x,y" をキーに、見た目が決まっている障害物のみ）
+    this.obstacleKinds = {};
+    
+    // ヴォルトのタイル（インデックスは x * height + y、ヴォルトがなければnull）
+    this.vaultMask = null;
+    
+    // 床と壁の種類（"x,y" をキーに、町の建物の床・石畳・建物の壁など見た目が決まっているもののみ）
+    this.floorKinds = {};
+    this.wallKinds = {};
+    
+    // 町の区画（建物・入口・道路・広場、インデックスは x * height + y、町でなければnull）と広場・門
+    this.townMask = null;
+    this.townSquare = null;
+    this.townGates = [];
+    
+    // フィールドのバイオーム（フィールド以外ではnull）
+    this.biome = null;
+    
+    // フロアの変性（MapModifiers.js の種類と強さ）
+    this.modifiers = [];
+    
+    // 到達可能性の検証結果
+    this.connectivity = null;
+    
     // 難易度に基づく設定を調整
     this.adjustDifficultySettings();
+    
+    // モデルによる調整前のオプション（setTuning() で調整を重ねる元）
+    this.baseOptions = { ...this.options };
+    
+    // モデルが予測した生成パラメータ（調整しない場合は空）
+    this.tuning = {};
   }
 
   /**
@@ -71,15 +113,18 @@ class MapGenerator {
    * @returns {function} 乱数生成関数
    */
   createRNG(seed) {
-    const m = 0x80000000; // 2^31
-    const a = 1103515245;
-    const c = 12345;
-    let state = seed ? seed : Math.floor(Math.random() * m);
-    
-    return function() {
-      state = (a * state + c) % m;
-      return state / m;
-    };
+    return createSeededRandom(seed);
+  }
+
+  /**
+   * 乱数ジェネレーターとノイズジェネレーターをシードで初期化
+   * 同じシードで初期化すれば、以前の生成内容に関係なく同じマップが生成される
+   * @param {number} seed - 乱数シード
+   */
+  reseed(seed) {
+    this.rng = this.createRNG(seed);
+    this.noise2D = createNoise2D(this.rng);
+    this.noise3D = createNoise3D(this.rng);
   }
 
   /**
@@ -118,16 +163,32 @@ class MapGenerator {
 
   /**
    * マップを生成
-   * @param {string} mapType - マップタイプ（'dungeon', 'field', 'arena', 'town'）
+   * 同じシード・オプション・マップタイプからは必ず同じマップが生成される
+   * @param {string} mapType - マップタイプ（'dungeon', 'field', 'arena', 'town', 'cave'）
+   * @param {number|string} seed - このマップのシード（省略時はオプションのシード）
+   * @param {Object} stairs - 階段の有無 { up: 上り階段, down: 下り階段 }（最上階・最下階では片方を省く）
    * @returns {object} 生成されたマップデータ
    */
-  generateMap(mapType = 'dungeon') {
+  generateMap(mapType = 'dungeon', seed = this.options.seed, stairs = { up: true, down: true }) {
+    const mapSeed = normalizeSeed(seed);
+    
     // 生成前に初期化
+    this.reseed(mapSeed);
     this.heightMap = this.create2DArray(this.options.width, this.options.height, 0);
     this.objectPlacement = this.create2DArray(this.options.width, this.options.height, 0);
     this.enemyPlacement = [];
     this.npcPlacement = [];
     this.rooms = [];
+    this.obstacleKinds = {};
+    this.floorKinds = {};
+    this.wallKinds = {};
+    this.vaultMask = null;
+    this.townMask = null;
+    this.townSquare = null;
+    this.townGates = [];
+    this.connectivity = null;
+    this.biome = mapType === 'field' ? this.chooseBiome(mapSeed) : null;
+    this.modifiers = this.rollMapModifiers(mapType, mapSeed);
     
     // マップタイプに応じた生成処理
     switch(mapType) {
@@ -143,6 +204,9 @@ class MapGenerator {
       case 'town':
         this.generateTownMap();
         break;
+      case 'cave':
+        this.generateCaveMap();
+        break;
       default:
         this.generateDungeonMap();
     }
@@ -158,8 +222,11 @@ class MapGenerator {
       this.placeNPCs();
     }
     
+    // 開始位置を決め、到達できない領域や配置物を修復する
+    this.connectivity = this.ensureConnectivity();
+    
     // 生成されたマップを返す
-    return {
+    const mapData = {
       width: this.options.width,
       height: this.options.height,
       tileSize: this.options.tileSize,
@@ -168,9 +235,34 @@ class MapGenerator {
       enemyPlacement: this.enemyPlacement,
       npcPlacement: this.npcPlacement,
       rooms: this.rooms,
+      obstacleKinds: this.obstacleKinds,
+      floorKinds: this.floorKinds,
+      wallKinds: this.wallKinds,
+      townSquare: this.townSquare,
+      spawn: this.connectivity.spawn,
+      connectivity: this.connectivity,
       type: mapType,
-      difficulty: this.options.difficultyLevel
+      biome: this.biome,
+      modifiers: this.modifiers,
+      difficulty: this.options.difficultyLevel,
+      parameters: pickTunedParameters(this.options),
+      seed: mapSeed
     };
+    
+    // 階段を配置（上り階段は開始位置、下り階段は開始位置から最も遠い位置）
+    mapData.stairs = this.placeStairs(mapData, stairs);
+    
+    // 扉と鍵を配置（ダンジョンの部屋と町の建物の入口、階段や開始位置の上には置かない）
+    const { doors, keys } = this.placeDoors(mapData);
+    mapData.doors = doors;
+    mapData.keys = keys;
+    
+    // 危険地帯と罠を配置（移動できる床に重ねて置くため、到達可能性は変わらない）
+    const { hazardKinds, traps } = this.placeHazards(mapData);
+    mapData.hazardKinds = hazardKinds;
+    mapData.traps = traps;
+    
+    return mapData;
   }
 
   /**
@@ -308,57 +400,65 @@ class MapGenerator {
   }
 
   /**
-   * TensorFlowでマップ生成を拡張（初歩的な実装）
+   * 生成パラメータの調整を設定
+   * 以降の generateMap() では、コンストラクタのオプションにこのパラメータを重ねて生成する
+   * @param {Object} parameters - 部屋の数や密度（空なら調整しない）
    */
-  async initializeTensorFlowModel() {
-    if (!tf) {
+  setTuning(parameters = {}) {
+    this.tuning = { ...parameters };
+    this.options = { ...this.baseOptions, ...this.tuning };
+  }
+
+  /**
+   * 生成するマップの大きさを設定
+   * 以降の generateMap() はこの大きさで生成する（フィールドだけを広くする場合など）
+   * @param {number} width - マップの幅（タイル数）
+   * @param {number} height - マップの高さ（タイル数）
+   */
+  setMapSize(width, height) {
+    this.baseOptions = { ...this.baseOptions, width, height };
+    this.options = { ...this.baseOptions, ...this.tuning };
+  }
+
+  /**
+   * 生成パラメータを調整するTensorFlowモデルを読み込む
+   * モデルがない環境では何もせず、既定の生成パラメータを使い続ける
+   * @param {string} path - 学習済みモデル（model.json）のURL
+   * @returns {Promise<boolean>} モデルを読み込めた場合はtrue
+   */
+  async initializeTensorFlowModel(path = DEFAULT_MODEL_PATH) {
+    const tfModule = await tfReady;
+    if (!tfModule) {
       console.warn('TensorFlow is not available in this environment');
-      return {};
+      return false;
     }
     
-    if (!this.tfModel) {
-      console.warn('TensorFlow model initialization skipped');
+    this.tfModel = await loadTuningModel(tfModule, path);
+    return this.tfModel !== null;
+  }
+
+  /**
+   * TensorFlowモデルで生成パラメータを予測
+   * モデルが読み込まれていない、または予測に失敗した場合は空のオブジェクトを返す
+   * （コンストラクタのオプションと難易度による調整がそのまま使われる）
+   * @param {Object} context - { level: フロアレベル, maxLevel: 最下層のレベル, performance: MapTuning.summarizePerformance() の結果 }
+   * @returns {Promise<Object>} 予測した生成パラメータ（roomCount, enemyDensity, chestDensity, obstacleDensity）
+   */
+  async predictGenerationParameters(context = {}) {
+    if (!tf || !this.tfModel) {
       return {};
     }
     
     try {
-      // 入力特徴量を準備
-      const difficultyIndex = 
-        this.options.difficultyLevel === 'normal' ? 0.0 : 
-        this.options.difficultyLevel === 'nightmare' ? 0.5 : 1.0;
-      
-      const inputTensor = tf.tensor2d([
-        [
-          this.options.width / 100,  // 幅を正規化
-          this.options.height / 100,  // 高さを正規化
-          difficultyIndex,  // 難易度指数
-          this.options.noiseScale * 10,  // ノイズスケール
-          this.options.seed % 1000 / 1000  // シード値（正規化）
-        ]
-      ]);
-      
-      // 予測実行
-      const outputTensor = this.tfModel.predict(inputTensor);
-      const outputArray = await outputTensor.array();
-      const adjustedParams = outputArray[0];
+      const features = buildFeatures({ difficulty: this.options.difficultyLevel, ...context });
       
-      // テンソルを破棄（メモリリーク防止）
-      inputTensor.dispose();
-      outputTensor.dispose();
+      // テンソルはtidy内で作成して破棄する（メモリリーク防止）
+      const outputArray = tf.tidy(() => this.tfModel.predict(tf.tensor2d([features])).arraySync());
       
-      // 調整されたパラメータを返す
-      return {
-        roomMinSize: Math.max(3, Math.floor(adjustedParams[0] * 10) + 3),
-        roomMaxSize: Math.max(5, Math.floor(adjustedParams[1] * 15) + 5),
-        roomCount: Math.max(5, Math.floor(adjustedParams[2] * 20) + 5),
-        enemyDensity: Math.max(0.01, adjustedParams[3] * 0.1),
-        chestDensity: Math.max(0.005, adjustedParams[4] * 0.05),
-        obstacleDensity: Math.max(0.01, adjustedParams[5] * 0.15),
-        npcDensity: Math.max(0.005, adjustedParams[6] * 0.03)
-      };
+      return decodeParameters(outputArray[0]);
     } catch (error) {
       console.error('TensorFlow parameter adjustment failed:', error);
-      // デフォルトのパラメータを返す
+      // デフォルトのパラメータを使う
       return {};
     }
   }
@@ -0,0 +1,132 @@
+/**
+ * フロアの変性（マップモディファイア）の定義
+ * 変性はフロア全体にかかる特性で、魔物が速くなる・魔物の攻撃が火のダメージになる・ライフが自然回復しない・
+ * エリートの群れが増えるといった危険と、ゴールドやアイテムが見つかりやすくなる報酬があります。
+ * 危険な変性ほど報酬（ゴールド・アイテム・経験値）が増えます。
+ */
+
+/**
+ * 変性の一覧（キーはマップデータの modifiers の kind）
+ *
+ * - risk: 危険度（0なら報酬だけの変性）。危険度の合計に応じて報酬が増える
+ * - effects: 効果。数値は強さ（scale）を掛けて getMapModifierEffects() の結果に加え、それ以外はそのまま設定する
+ *   - enemyMoveSpeed / enemyAttackSpeed / enemyDamage: 魔物の移動速度・攻撃速度・攻撃力の増加率
+ *   - enemyDamageType: 魔物の攻撃のダメージの種類
+ *   - noLifeRegeneration: プレイヤーのライフが自然回復しない
+ *   - elitePacks: 追加で配置するエリートの群れの数
+ *   - goldFind / itemFind: 手に入るゴールドの増加率・レアなアイテムの見つかりやすさ
+ */
+export const MAP_MODIFIERS = {
+  fast_monsters: {
+    name: '俊足の魔物',
+    description: '魔物の移動速度と攻撃速度が上がる',
+    risk: 2,
+    effects: { enemyMoveSpeed: 0.3, enemyAttackSpeed: 0.2 }
+  },
+  fire_monsters: {
+    name: '炎をまとう魔物',
+    description: '魔物の攻撃が火のダメージになり、威力が上がる',
+    risk: 2,
+    effects: { enemyDamageType: 'fire', enemyDamage: 0.15 }
+  },
+  no_regeneration: {
+    name: '生命の枯渇',
+    description: 'ライフが自然回復しない',
+    risk: 3,
+    effects: { noLifeRegeneration: true }
+  },
+  elite_packs: {
+    name: '精鋭の群れ',
+    description: 'エリートの群れが増える',
+    risk: 3,
+    effects: { elitePacks: 2 }
+  },
+  gold_find: {
+    name: '黄金の鉱脈',
+    description: '手に入るゴールドが増える',
+    risk: 0,
+    effects: { goldFind: 0.5 }
+  },
+  item_find: {
+    name: '財宝の気配',
+    description: 'レアなアイテムが見つかりやすくなる',
+    risk: 0,
+    effects: { itemFind: 0.4 }
+  }
+};
+
+/**
+ * 難易度ごとの変性の付き方
+ *
+ * - min / max: 危険な変性の数
+ * - scale: 変性の強さ（効果の数値に掛ける）
+ * - rewardChance: 報酬だけの変性がそれぞれ付く確率
+ */
+export const MODIFIER_SETTINGS = {
+  normal: { min: 0, max: 1, scale: 1, rewardChance: 0.15 },
+  nightmare: { min: 1, max: 2, scale: 1.25, rewardChance: 0.2 },
+  hell: { min: 2, max: 3, scale: 1.5, rewardChance: 0.25 }
+};
+
+// 変性が付くマップタイプ（町とボスのアリーナには付かない）
+export const MODIFIER_MAP_TYPES = ['dungeon', 'cave', 'field'];
+
+// 危険度1あたりのゴールド・アイテム・経験値の増加率
+const REWARD_PER_RISK = 0.1;
+
+/**
+ * 変性の定義を取得します。
+ *
+ * @param {string|null|undefined} kind - 変性の種類
+ * @returns {Object|null} 変性の定義（未知の種類ならnull）
+ */
+export function getMapModifier(kind) {
+  return MAP_MODIFIERS[kind] || null;
+}
+
+/**
+ * マップデータの変性をまとめた効果を計算します。
+ * 変性がない（古いセーブデータのマップも含む）場合は、何も変えない効果を返します。
+ *
+ * @param {Array<{kind: string, scale: number}>|null|undefined} modifiers - マップデータの modifiers
+ * @returns {Object} 効果（倍率は1が変化なし。risk は危険度の合計）
+ */
+export function getMapModifierEffects(modifiers) {
+  const effects = {
+    enemyMoveSpeed: 1,
+    enemyAttackSpeed: 1,
+    enemyDamage: 1,
+    enemyDamageType: null,
+    noLifeRegeneration: false,
+    elitePacks: 0,
+    goldFind: 1,
+    itemFind: 1,
+    experience: 1,
+    risk: 0
+  };
+
+  for (const modifier of modifiers || []) {
+    const definition = getMapModifier(modifier.kind);
+    if (!definition) continue;
+
+    const scale = modifier.scale || 1;
+    for (const [key, value] of Object.entries(definition.effects)) {
+      if (typeof value !== 'number') {
+        effects[key] = value;
+      } else if (key === 'elitePacks') {
+        effects[key] += Math.round(value * scale);
+      } else {
+        effects[key] += value * scale;
+      }
+    }
+    effects.risk += definition.risk * scale;
+  }
+
+  // 危険なフロアほど報酬が増える
+  const reward = effects.risk * REWARD_PER_RISK;
+  effects.goldFind += reward;
+  effects.itemFind += reward;
+  effects.experience += reward;
+
+  return effects;
+}
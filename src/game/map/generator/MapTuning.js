@@ -0,0 +1,269 @@
+/**
+ * マップ生成パラメータを調整するTensorFlowモデルの定義です。
+ * 難易度・フロアの進行度・最近のプレイ結果（死亡率、クリア時間、被ダメージ）から、
+ * 部屋の数や敵・宝箱・障害物の密度を予測します。
+ *
+ * モデルは tools/maptuning の学習スクリプトでローカルに記録したフロアの結果から学習し、
+ * public/data/models/map-tuning/ に保存したものをゲームの起動時に読み込みます。
+ * TensorFlowのモジュール（tf）は呼び出し側から渡します（ブラウザでは動的インポート、学習スクリプトではNodeから読み込む）。
+ */
+
+// 学習済みモデルのデフォルトの場所
+export const DEFAULT_MODEL_PATH = '/data/models/map-tuning/model.json';
+
+// 特徴量や出力の形が変わったらインクリメントする（古いモデルは読み込まずに既定の設定で生成する）
+export const MODEL_VERSION = 1;
+
+// 難易度を数値にした値
+const DIFFICULTY_INDEX = {
+  normal: 0,
+  nightmare: 0.5,
+  hell: 1
+};
+
+// モデルの入力（順番がそのまま入力ベクトルの並びになる）
+export const FEATURE_NAMES = ['difficulty', 'progress', 'deathRate', 'clearTime', 'damageTaken'];
+
+/**
+ * モデルが予測する生成パラメータと範囲
+ * モデルの出力（0～1）をこの範囲に線形に対応させる
+ */
+export const TUNED_PARAMETERS = {
+  roomCount: { min: 5, max: 20, integer: true },
+  enemyDensity: { min: 0.01, max: 0.15 },
+  chestDensity: { min: 0.005, max: 0.05 },
+  obstacleDensity: { min: 0.005, max: 0.03 }
+};
+
+const PARAMETER_NAMES = Object.keys(TUNED_PARAMETERS);
+
+// プレイ結果の集計に使う最近のフロアの数
+export const PERFORMANCE_WINDOW = 10;
+
+// 1フロアのクリア時間の目安（ミリ秒）
+export const TARGET_CLEAR_TIME = 5 * 60 * 1000;
+
+// 1フロアで受けるダメージの目安（最大ライフに対する割合）
+export const TARGET_DAMAGE_TAKEN = 1;
+
+// クリア時間と被ダメージは目安の何倍までを区別するか
+const MAX_CLEAR_TIME_RATIO = 2;
+const MAX_DAMAGE_TAKEN_RATIO = 3;
+
+/**
+ * 値を範囲内に収める
+ * @param {number} value - 値
+ * @param {number} min - 最小値
+ * @param {number} max - 最大値
+ * @returns {number} 範囲内の値
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * 最近のフロアの結果を集計して、モデルの入力に使うプレイ結果にします。
+ * 記録がない場合はクリア時間・被ダメージとも目安どおりだったものとして扱います。
+ *
+ * @param {Array<Object>} outcomes - フロアの結果（古い順、PlayerStats.getFloorOutcomes() の形式）
+ * @returns {{deathRate: number, clearTime: number, damageTaken: number}} - それぞれ0～1
+ */
+export function summarizePerformance(outcomes = []) {
+  const recent = outcomes.slice(-PERFORMANCE_WINDOW);
+  if (recent.length === 0) {
+    return {
+      deathRate: 0,
+      clearTime: 1 / MAX_CLEAR_TIME_RATIO,
+      damageTaken: TARGET_DAMAGE_TAKEN / MAX_DAMAGE_TAKEN_RATIO
+    };
+  }
+
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  return {
+    deathRate: average(recent.map(outcome => (outcome.died ? 1 : 0))),
+    clearTime: average(recent.map(outcome =>
+      clamp(outcome.clearTimeMs / TARGET_CLEAR_TIME, 0, MAX_CLEAR_TIME_RATIO) / MAX_CLEAR_TIME_RATIO)),
+    damageTaken: average(recent.map(outcome =>
+      clamp(outcome.damageTaken, 0, MAX_DAMAGE_TAKEN_RATIO) / MAX_DAMAGE_TAKEN_RATIO))
+  };
+}
+
+/**
+ * モデルの入力ベクトルを作成します。
+ *
+ * @param {Object} context - { difficulty, level, maxLevel, performance }（performance は summarizePerformance() の結果）
+ * @returns {number[]} - FEATURE_NAMES の順の入力
+ */
+export function buildFeatures({ difficulty, level, maxLevel, performance }) {
+  const { deathRate, clearTime, damageTaken } = performance || summarizePerformance();
+
+  return [
+    DIFFICULTY_INDEX[difficulty] !== undefined ? DIFFICULTY_INDEX[difficulty] : 0,
+    maxLevel > 0 ? clamp(level / maxLevel, 0, 1) : 0,
+    deathRate,
+    clearTime,
+    damageTaken
+  ];
+}
+
+/**
+ * 生成パラメータをモデルの出力の形（0～1）に変換します。
+ *
+ * @param {Object} parameters - 生成パラメータ
+ * @returns {number[]} - TUNED_PARAMETERS の順の値
+ */
+export function encodeParameters(parameters) {
+  return PARAMETER_NAMES.map(name => {
+    const { min, max } = TUNED_PARAMETERS[name];
+    return clamp((parameters[name] - min) / (max - min), 0, 1);
+  });
+}
+
+/**
+ * モデルの出力を生成パラメータに変換します。
+ *
+ * @param {number[]} outputs - TUNED_PARAMETERS の順の値（0～1）
+ * @returns {Object} - MapGenerator のオプションに重ねる生成パラメータ
+ */
+export function decodeParameters(outputs) {
+  const parameters = {};
+
+  PARAMETER_NAMES.forEach((name, index) => {
+    const { min, max, integer } = TUNED_PARAMETERS[name];
+    const value = min + clamp(outputs[index], 0, 1) * (max - min);
+    parameters[name] = integer ? Math.round(value) : value;
+  });
+
+  return parameters;
+}
+
+/**
+ * 生成パラメータのうち、モデルが調整するものだけを取り出します。
+ *
+ * @param {Object} options - MapGenerator のオプション
+ * @returns {Object} - TUNED_PARAMETERS にあるパラメータ
+ */
+export function pickTunedParameters(options) {
+  const parameters = {};
+  PARAMETER_NAMES.forEach(name => {
+    parameters[name] = options[name];
+  });
+  return parameters;
+}
+
+/**
+ * フロアの結果から、そのフロアに使うべきだった生成パラメータを求めます（学習の正解データ）。
+ * 死亡した・ダメージが多すぎた・時間がかかりすぎたフロアは敵を減らして宝箱を増やし、
+ * 余裕のあったフロアは敵を増やして歯ごたえを出します。
+ *
+ * @param {Object} outcome - フロアの結果
+ * @returns {Object} - 調整後の生成パラメータ
+ */
+export function computeTargetParameters(outcome) {
+  // 難しすぎたら正、易しすぎたら負（-1～1）
+  const hardness = clamp(
+    (outcome.died ? 0.5 : 0) +
+    (clamp(outcome.damageTaken, 0, MAX_DAMAGE_TAKEN_RATIO) / TARGET_DAMAGE_TAKEN - 1) * 0.3 +
+    (clamp(outcome.clearTimeMs / TARGET_CLEAR_TIME, 0, MAX_CLEAR_TIME_RATIO) - 1) * 0.2,
+    -1,
+    1
+  );
+
+  const { parameters } = outcome;
+  return {
+    roomCount: parameters.roomCount * (1 - hardness * 0.2),
+    enemyDensity: parameters.enemyDensity * (1 - hardness * 0.3),
+    chestDensity: parameters.chestDensity * (1 + hardness * 0.2),
+    obstacleDensity: parameters.obstacleDensity * (1 - hardness * 0.2)
+  };
+}
+
+/**
+ * 記録されたフロアの結果から学習データを作成します。
+ * 入力には、そのフロアより前の同じ難易度の結果から集計したプレイ結果を使います（ゲーム中の予測と同じ条件）。
+ *
+ * @param {Array<Object>} outcomes - フロアの結果（古い順）
+ * @returns {{inputs: number[][], labels: number[][]}} - 学習データ
+ */
+export function buildTrainingSet(outcomes) {
+  const inputs = [];
+  const labels = [];
+  const previousByDifficulty = {};
+
+  for (const outcome of outcomes) {
+    if (!isValidOutcome(outcome)) continue;
+
+    const previous = previousByDifficulty[outcome.difficulty] || [];
+    inputs.push(buildFeatures({
+      difficulty: outcome.difficulty,
+      level: outcome.level,
+      maxLevel: outcome.maxLevel,
+      performance: summarizePerformance(previous)
+    }));
+    labels.push(encodeParameters(computeTargetParameters(outcome)));
+
+    previousByDifficulty[outcome.difficulty] = [...previous, outcome].slice(-PERFORMANCE_WINDOW);
+  }
+
+  return { inputs, labels };
+}
+
+/**
+ * 学習に使えるフロアの結果かどうか
+ * @param {Object} outcome - フロアの結果
+ * @returns {boolean} 必要な値がそろっていればtrue
+ */
+function isValidOutcome(outcome) {
+  return !!outcome &&
+    DIFFICULTY_INDEX[outcome.difficulty] !== undefined &&
+    Number.isFinite(outcome.level) &&
+    Number.isFinite(outcome.maxLevel) &&
+    Number.isFinite(outcome.clearTimeMs) &&
+    Number.isFinite(outcome.damageTaken) &&
+    !!outcome.parameters &&
+    PARAMETER_NAMES.every(name => Number.isFinite(outcome.parameters[name]));
+}
+
+/**
+ * 学習前のモデルを作成します。
+ *
+ * @param {Object} tf - TensorFlowのモジュール
+ * @returns {Object} - コンパイル済みの tf.Sequential
+ */
+export function createTuningModel(tf) {
+  const model = tf.sequential();
+  model.add(tf.layers.dense({ inputShape: [FEATURE_NAMES.length], units: 16, activation: 'relu' }));
+  model.add(tf.layers.dense({ units: 16, activation: 'relu' }));
+  // 出力は0～1（decodeParameters() で各パラメータの範囲に戻す）
+  model.add(tf.layers.dense({ units: PARAMETER_NAMES.length, activation: 'sigmoid' }));
+
+  model.compile({ optimizer: tf.train.adam(0.01), loss: 'meanSquaredError' });
+  return model;
+}
+
+/**
+ * 学習済みモデルを読み込みます。
+ * モデルがない、またはバージョンが合わない場合は null を返します（呼び出し側は既定の設定で生成する）。
+ *
+ * @param {Object} tf - TensorFlowのモジュール
+ * @param {string} path - model.json のURL
+ * @returns {Promise<Object|null>} - 読み込んだモデル
+ */
+export async function loadTuningModel(tf, path = DEFAULT_MODEL_PATH) {
+  try {
+    const model = await tf.loadLayersModel(path);
+    const metadata = model.getUserDefinedMetadata() || {};
+
+    if (metadata.version !== MODEL_VERSION) {
+      console.warn(`Map tuning model at ${path} has version ${metadata.version}, expected ${MODEL_VERSION}`);
+      model.dispose();
+      return null;
+    }
+
+    return model;
+  } catch (error) {
+    console.warn(`Map tuning model could not be loaded from ${path}, using default generation parameters`);
+    return null;
+  }
+}
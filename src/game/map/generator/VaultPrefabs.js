@@ -0,0 +1,151 @@
+import JsonLoader from '../../../utils/jsonLoader';
+
+/**
+ * ダンジョンに埋め込む手作りの部屋（ヴォルト）のプレハブ定義を読み込みます。
+ * プレハブは public/data/prefabs/vaults.json に書かれたJSONで、コードを変更せずに追加できます。
+ */
+
+// プレハブ定義のデフォルトの場所
+export const DEFAULT_PREFAB_PATH = '/data/prefabs/vaults.json';
+
+/**
+ * layout に使える文字とタイルの種類
+ */
+export const PREFAB_TILES = {
+  '#': 'wall',
+  '.': 'floor',
+  '+': 'entrance',
+  '~': 'water',
+  'o': 'obstacle',
+  'C': 'chest',
+  'E': 'enemy',
+  'L': 'elite',
+  'B': 'boss'
+};
+
+/**
+ * プレハブ定義を1つ検証して、生成に使う形に変換します。
+ *
+ * @param {Object} definition - JSONのプレハブ定義
+ * @returns {Object} - { id, name, weight, maxPerMap, enemyTypes, width, height, layout, entrances }
+ * @throws {Error} - 定義に誤りがある場合
+ */
+export function parsePrefab(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('prefab is not an object');
+  }
+
+  const { id, layout } = definition;
+  if (typeof id !== 'string' || id === '') {
+    throw new Error('prefab id is missing');
+  }
+
+  if (!Array.isArray(layout) || layout.length < 3 || layout.some(row => typeof row !== 'string')) {
+    throw new Error(`${id}: layout must be an array of at least 3 strings`);
+  }
+
+  const width = layout[0].length;
+  const height = layout.length;
+  if (width < 3 || layout.some(row => row.length !== width)) {
+    throw new Error(`${id}: every layout row must have the same length (at least 3)`);
+  }
+
+  // 入口は外周の角以外にだけ置ける（通路を外側からつなぐため）
+  const entrances = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const char = layout[y][x];
+      if (!PREFAB_TILES[char]) {
+        throw new Error(`${id}: unknown tile '${char}' at ${x},${y}`);
+      }
+      if (PREFAB_TILES[char] !== 'entrance') continue;
+
+      const onVerticalEdge = x === 0 || x === width - 1;
+      const onHorizontalEdge = y === 0 || y === height - 1;
+      if (onVerticalEdge === onHorizontalEdge) {
+        throw new Error(`${id}: entrance at ${x},${y} must be on an edge and not on a corner`);
+      }
+      entrances.push({
+        x,
+        y,
+        dx: x === 0 ? -1 : (x === width - 1 ? 1 : 0),
+        dy: y === 0 ? -1 : (y === height - 1 ? 1 : 0)
+      });
+    }
+  }
+
+  if (entrances.length === 0) {
+    throw new Error(`${id}: layout needs at least one entrance '+'`);
+  }
+
+  const weight = definition.weight === undefined ? 1 : definition.weight;
+  if (!Number.isFinite(weight) || weight <= 0) {
+    throw new Error(`${id}: weight must be a positive number`);
+  }
+
+  const maxPerMap = definition.maxPerMap === undefined ? 1 : definition.maxPerMap;
+  if (!Number.isInteger(maxPerMap) || maxPerMap < 1) {
+    throw new Error(`${id}: maxPerMap must be a positive integer`);
+  }
+
+  const enemyTypes = definition.enemyTypes || null;
+  if (enemyTypes !== null && (!Array.isArray(enemyTypes) || enemyTypes.length === 0)) {
+    throw new Error(`${id}: enemyTypes must be a non-empty array`);
+  }
+
+  return {
+    id,
+    name: definition.name || id,
+    weight,
+    maxPerMap,
+    enemyTypes,
+    width,
+    height,
+    layout: [...layout],
+    entrances
+  };
+}
+
+/**
+ * プレハブ定義ファイルの内容を検証して変換します。
+ * 誤りのあるプレハブは警告を出して除外し、残りは使えるようにします。
+ *
+ * @param {Object} data - プレハブ定義ファイルの内容（{ prefabs: [...] }）
+ * @returns {Array<Object>} - parsePrefab() で変換したプレハブ
+ */
+export function parsePrefabs(data) {
+  const definitions = data && Array.isArray(data.prefabs) ? data.prefabs : [];
+  const prefabs = [];
+  const ids = new Set();
+
+  for (const definition of definitions) {
+    try {
+      const prefab = parsePrefab(definition);
+      if (ids.has(prefab.id)) {
+        throw new Error(`${prefab.id}: duplicate prefab id`);
+      }
+      ids.add(prefab.id);
+      prefabs.push(prefab);
+    } catch (error) {
+      console.warn(`Invalid vault prefab skipped: ${error.message}`);
+    }
+  }
+
+  return prefabs;
+}
+
+/**
+ * プレハブ定義ファイルを読み込みます。
+ * 読み込めない場合はヴォルトなしで生成できるよう空の配列を返します。
+ *
+ * @param {string} path - プレハブ定義ファイルのパス
+ * @returns {Promise<Array<Object>>} - parsePrefab() で変換したプレハブ
+ */
+export async function loadPrefabs(path = DEFAULT_PREFAB_PATH) {
+  try {
+    return parsePrefabs(await JsonLoader.loadJson(path));
+  } catch (error) {
+    console.warn(`Vault prefabs could not be loaded from ${path}, dungeons will have no vaults`);
+    return [];
+  }
+}
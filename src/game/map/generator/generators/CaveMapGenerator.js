@@ -0,0 +1,224 @@
+import MapGenerator from '../MapGenerator';
+
+/**
+ * MapGeneratorの洞窟生成機能の拡張
+ */
+class CaveMapGenerator extends MapGenerator {
+  /**
+   * 洞窟マップを生成（セル・オートマトンによる自然な洞窟）
+   */
+  generateCaveMap() {
+    const { width, height, noiseScale } = this.options;
+
+    // ランダムに岩盤を敷き詰め、セル・オートマトンで自然な空洞にする
+    this.fillCaveRandomly(0.52);
+    for (let i = 0; i < 4; i++) {
+      this.smoothCave();
+    }
+
+    // 広間と曲がりくねった通路を掘り、もう一度だけ整形して岩肌をなじませる
+    this.createCaveChambers();
+    this.connectCaveChambers();
+    this.smoothCave();
+
+    // 高さマップ（床は低く平らに、岩盤は高く）
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        if (this.objectPlacement[x][y] === 4) {
+          const noise = this.noise2D(x * noiseScale, y * noiseScale) * 0.1;
+          this.heightMap[x][y] = 0.85 + noise;
+        } else {
+          const noise = this.noise2D(x * noiseScale * 2, y * noiseScale * 2) * 0.05;
+          this.heightMap[x][y] = 0.4 + noise;
+        }
+      }
+    }
+
+    // 地底湖と地下水脈
+    this.createUndergroundWater();
+  }
+
+  /**
+   * 洞窟の初期状態をランダムに作成（外周は必ず岩盤）
+   * @param {number} fillRatio - 岩盤にする割合
+   */
+  fillCaveRandomly(fillRatio) {
+    const { width, height } = this.options;
+
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        const isEdge = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+        this.objectPlacement[x][y] = isEdge || this.rng() < fillRatio ? 4 : 0;
+      }
+    }
+  }
+
+  /**
+   * 円形の広間を掘る
+   */
+  createCaveChambers() {
+    const { width, height } = this.options;
+    const chamberCount = 4 + Math.floor(this.rng() * 4); // 4～7個
+
+    for (let i = 0; i < chamberCount; i++) {
+      const radius = 3 + Math.floor(this.rng() * 4); // 半径3～6
+      const centerX = radius + 2 + Math.floor(this.rng() * Math.max(1, width - radius * 2 - 4));
+      const centerY = radius + 2 + Math.floor(this.rng() * Math.max(1, height - radius * 2 - 4));
+
+      this.carveCaveCircle(centerX, centerY, radius);
+
+      // 広間は部屋として記録（ダンジョンの部屋と同じ形式）
+      this.rooms.push({
+        x: centerX - radius,
+        y: centerY - radius,
+        width: radius * 2 + 1,
+        height: radius * 2 + 1,
+        centerX,
+        centerY,
+        isChamber: true
+      });
+    }
+  }
+
+  /**
+   * 広間同士を曲がりくねった通路でつなぐ
+   */
+  connectCaveChambers() {
+    for (let i = 0; i < this.rooms.length - 1; i++) {
+      const from = this.rooms[i];
+      const to = this.rooms[i + 1];
+      this.carveWindingPassage(from.centerX, from.centerY, to.centerX, to.centerY);
+    }
+  }
+
+  /**
+   * ランダムウォークで曲がりくねった通路を掘る
+   * 目的地へ向かう確率を高くしつつ、ときどき横道にそれる
+   * @param {number} startX - 開始X座標
+   * @param {number} startY - 開始Y座標
+   * @param {number} endX - 終了X座標
+   * @param {number} endY - 終了Y座標
+   */
+  carveWindingPassage(startX, startY, endX, endY) {
+    const { width, height } = this.options;
+    let x = startX;
+    let y = startY;
+
+    // 無限ループ防止
+    const maxSteps = (width + height) * 4;
+
+    for (let step = 0; step < maxSteps && (x !== endX || y !== endY); step++) {
+      this.carveCaveCircle(x, y, this.rng() < 0.3 ? 2 : 1);
+
+      if (this.rng() < 0.65) {
+        // 目的地に近づく
+        if (x !== endX && (y === endY || this.rng() < 0.5)) {
+          x += Math.sign(endX - x);
+        } else {
+          y += Math.sign(endY - y);
+        }
+      } else {
+        // 横道にそれる
+        const direction = Math.floor(this.rng() * 4);
+        x += [1, -1, 0, 0][direction];
+        y += [0, 0, 1, -1][direction];
+      }
+
+      // 外周には出ない
+      x = Math.max(1, Math.min(width - 2, x));
+      y = Math.max(1, Math.min(height - 2, y));
+    }
+
+    this.carveCaveCircle(endX, endY, 1);
+  }
+
+  /**
+   * 円形に床を掘る（外周は残す）
+   * @param {number} centerX - 中心X座標
+   * @param {number} centerY - 中心Y座標
+   * @param {number} radius - 半径
+   */
+  carveCaveCircle(centerX, centerY, radius) {
+    const { width, height } = this.options;
+
+    for (let x = centerX - radius; x <= centerX + radius; x++) {
+      for (let y = centerY - radius; y <= centerY + radius; y++) {
+        if (x > 0 && x < width - 1 && y > 0 && y < height - 1 &&
+            (x - centerX) ** 2 + (y - centerY) ** 2 <= radius * radius) {
+          this.objectPlacement[x][y] = 0;
+        }
+      }
+    }
+  }
+
+  /**
+   * セル・オートマトンを1世代進める
+   * 周囲8マスのうち岩盤が5つ以上なら岩盤、3つ以下なら床にする
+   */
+  smoothCave() {
+    const { width, height } = this.options;
+    const next = this.create2DArray(width, height, 4);
+
+    for (let x = 1; x < width - 1; x++) {
+      for (let y = 1; y < height - 1; y++) {
+        let walls = 0;
+        for (let dx = -1; dx <= 1; dx++) {
+          for (let dy = -1; dy <= 1; dy++) {
+            if ((dx !== 0 || dy !== 0) && this.objectPlacement[x + dx][y + dy] === 4) {
+              walls++;
+            }
+          }
+        }
+
+        if (walls >= 5) {
+          next[x][y] = 4;
+        } else if (walls <= 3) {
+          next[x][y] = 0;
+        } else {
+          next[x][y] = this.objectPlacement[x][y];
+        }
+      }
+    }
+
+    this.objectPlacement = next;
+  }
+
+  /**
+   * 地底湖と地下水脈を作成
+   * ノイズの高い床を水にする（移動不可、到達可能性は生成後に修復される）
+   */
+  createUndergroundWater() {
+    const { width, height, noiseScale } = this.options;
+
+    // 水の量は洞窟ごとに変える
+    const threshold = 0.6 + this.rng() * 0.15;
+    const offset = this.rng() * 1000;
+
+    for (let x = 1; x < width - 1; x++) {
+      for (let y = 1; y < height - 1; y++) {
+        if (this.objectPlacement[x][y] !== 0) continue;
+
+        const water = this.noise2D((x + offset) * noiseScale, (y + offset) * noiseScale);
+        if (water > threshold) {
+          // 水脈の中心ほど深い
+          this.objectPlacement[x][y] = 1;
+          this.heightMap[x][y] = 0.25 - (water - threshold) * 0.2;
+        }
+      }
+    }
+  }
+}
+
+// MapGeneratorクラスにミックスイン
+Object.assign(MapGenerator.prototype, {
+  generateCaveMap: CaveMapGenerator.prototype.generateCaveMap,
+  fillCaveRandomly: CaveMapGenerator.prototype.fillCaveRandomly,
+  createCaveChambers: CaveMapGenerator.prototype.createCaveChambers,
+  connectCaveChambers: CaveMapGenerator.prototype.connectCaveChambers,
+  carveWindingPassage: CaveMapGenerator.prototype.carveWindingPassage,
+  carveCaveCircle: CaveMapGenerator.prototype.carveCaveCircle,
+  smoothCave: CaveMapGenerator.prototype.smoothCave,
+  createUndergroundWater: CaveMapGenerator.prototype.createUndergroundWater
+});
+
+export default MapGenerator;
@@ -0,0 +1,556 @@
+import MapGenerator from '../MapGenerator';
+
+// 上下左右の4方向（移動は4近傍で判定する）
+const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// 周囲8方向
+const NEIGHBORS_8 = [
+  [-1, -1], [0, -1], [1, -1],
+  [-1, 0],           [1, 0],
+  [-1, 1],  [0, 1],  [1, 1]
+];
+
+// 配置物のない孤立領域は、この大きさ未満ならつながない（障害物の隙間など）
+const MIN_CONNECT_REGION_SIZE = 4;
+
+// 1本の通路で掘ってよい最大タイル数（これを超える領域は配置物を移動させる）
+const MAX_CORRIDOR_LENGTH = 24;
+
+// 移動させた敵を開始位置の近くに置かない距離（タイル）
+const SPAWN_SAFE_RADIUS = 5;
+
+/**
+ * MapGeneratorの到達可能性の検証・修復機能の拡張
+ * 生成後のマップで開始位置から移動可能なタイルを塗りつぶし、
+ * 到達できない領域を通路でつなぐか、そこにある敵・NPC・宝箱を到達可能な位置へ移動する
+ */
+class ConnectivityGenerator extends MapGenerator {
+  /**
+   * 到達可能性を検証し、repairConnectivity オプションが有効なら修復する
+   * @returns {Object} 検証結果（生成されたマップデータの connectivity）
+   */
+  ensureConnectivity() {
+    const { width, height, repairConnectivity } = this.options;
+    const regions = this.labelWalkableRegions();
+    const spawn = this.chooseSpawnPoint(regions);
+
+    const report = {
+      spawn,
+      repaired: !!repairConnectivity,
+      regions: regions.sizes.length,
+      corridors: 0,
+      carvedTiles: 0,
+      relocated: { enemies: 0, npcs: 0, chests: 0 },
+      unreachable: { enemies: 0, npcs: 0, chests: 0, tiles: 0 },
+      reachableRatio: 0
+    };
+
+    // 移動可能なタイルが1つもないマップは検証できない
+    if (!spawn) {
+      console.warn('No walkable tile found, connectivity check skipped');
+      return report;
+    }
+
+    const reachable = this.floodFillWalkable(spawn);
+
+    if (repairConnectivity) {
+      const targetTiles = this.collectRegionTiles(regions.labels, this.findRegionsToConnect(regions));
+
+      // 未到達の領域を1つずつ、最も少ない掘削で到達可能な範囲へ通路を掘ってつなぐ
+      // 到達可能な範囲は通路とその先の領域の分だけ広げる（大きなマップでも通路ごとにマップ全体を調べ直さない）
+      // つなげなかった領域も、他の領域がつながって近くなればつなげられるため、つながらなくなるまで繰り返す
+      let connected = true;
+      while (connected) {
+        connected = false;
+
+        for (const tiles of targetTiles.values()) {
+          // 領域は連結しているため、1タイルでも到達可能なら領域全体が到達可能
+          if (reachable[tiles[0]]) continue;
+
+          const corridor = this.findCorridor(reachable, tiles);
+          if (!corridor) continue;
+
+          this.carveCorridor(corridor);
+          report.corridors++;
+          report.carvedTiles += corridor.filter(tile => tile.carved).length;
+
+          this.extendReachable(reachable, corridor.map(tile => tile.x * height + tile.y));
+          connected = true;
+        }
+      }
+
+      // つなげなかった領域の配置物は到達可能な位置へ移動する
+      report.relocated = this.relocateUnreachableEntities(reachable, spawn);
+    }
+
+    // 修復後も残った到達不能な配置物とタイルを数える
+    report.unreachable = this.countUnreachable(reachable);
+
+    let walkableCount = 0;
+    let reachableCount = 0;
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        if (this.isGeneratedTileWalkable(x, y)) {
+          walkableCount++;
+          if (reachable[x * height + y]) reachableCount++;
+        }
+      }
+    }
+    report.reachableRatio = walkableCount > 0 ? reachableCount / walkableCount : 0;
+
+    return report;
+  }
+
+  /**
+   * 生成中のマップでタイルが移動可能かどうか（TopDownMap.isWalkableAt と同じ判定）
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {boolean} 移動可能ならtrue
+   */
+  isGeneratedTileWalkable(x, y) {
+    const { width, height } = this.options;
+    if (x < 0 || x >= width || y < 0 || y >= height) return false;
+    return this.objectPlacement[x][y] === 0 && this.heightMap[x][y] >= 0.3;
+  }
+
+  /**
+   * 移動可能なタイルを連結領域ごとに番号付けする
+   * @returns {{labels: Int32Array, sizes: number[]}} タイルごとの領域番号（移動不可は-1）と領域の大きさ
+   */
+  labelWalkableRegions() {
+    const { width, height } = this.options;
+    const labels = new Int32Array(width * height).fill(-1);
+    const sizes = [];
+    const stack = [];
+
+    for (let startX = 0; startX < width; startX++) {
+      for (let startY = 0; startY < height; startY++) {
+        if (labels[startX * height + startY] !== -1 || !this.isGeneratedTileWalkable(startX, startY)) continue;
+
+        const label = sizes.length;
+        let size = 0;
+        labels[startX * height + startY] = label;
+        stack.push(startX, startY);
+
+        while (stack.length > 0) {
+          const y = stack.pop();
+          const x = stack.pop();
+          size++;
+
+          for (const [dx, dy] of DIRECTIONS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (!this.isGeneratedTileWalkable(nx, ny) || labels[nx * height + ny] !== -1) continue;
+            labels[nx * height + ny] = label;
+            stack.push(nx, ny);
+          }
+        }
+
+        sizes.push(size);
+      }
+    }
+
+    return { labels, sizes };
+  }
+
+  /**
+   * プレイヤーの開始位置を選ぶ（最大の連結領域内のランダムな位置）
+   * ヴォルトの中は、領域がヴォルトしかない場合を除いて選ばない
+   * 町は広場の開始位置から始める（最大の連結領域にあれば）
+   * @param {{labels: Int32Array, sizes: number[]}} regions - labelWalkableRegions() の結果
+   * @returns {Object|null} タイル座標（移動可能なタイルがなければnull）
+   */
+  chooseSpawnPoint(regions) {
+    const { width, height } = this.options;
+    if (regions.sizes.length === 0) return null;
+
+    const largest = regions.sizes.indexOf(Math.max(...regions.sizes));
+    let isCandidate = (x, y) => regions.labels[x * height + y] === largest;
+    let candidateCount = regions.sizes[largest];
+
+    if (this.townSquare) {
+      const { spawn } = this.townSquare;
+      if (isCandidate(spawn.x, spawn.y)) return { x: spawn.x, y: spawn.y };
+    }
+
+    if (this.vaultMask) {
+      const outsideVaults = (x, y) => regions.labels[x * height + y] === largest && !this.isVaultTile(x, y);
+      let outsideCount = 0;
+      for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) {
+          if (outsideVaults(x, y)) outsideCount++;
+        }
+      }
+      if (outsideCount > 0) {
+        isCandidate = outsideVaults;
+        candidateCount = outsideCount;
+      }
+    }
+
+    let remaining = Math.floor(this.rng() * candidateCount);
+
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        if (isCandidate(x, y) && remaining-- === 0) {
+          return { x, y };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 開始位置から到達できるタイルを塗りつぶす
+   * @param {Object} spawn - 開始位置のタイル座標
+   * @returns {Uint8Array} タイルごとの到達可否（インデックスは x * height + y）
+   */
+  floodFillWalkable(spawn) {
+    const { width, height } = this.options;
+    const reachable = new Uint8Array(width * height);
+    this.extendReachable(reachable, [spawn.x * height + spawn.y]);
+    return reachable;
+  }
+
+  /**
+   * 到達可能な範囲を、指定したタイルから移動できるタイルまで広げる
+   * @param {Uint8Array} reachable - 到達可否（そのまま書き換える）
+   * @param {number[]} starts - 広げ始めるタイルのインデックス（移動できないタイルは無視する）
+   */
+  extendReachable(reachable, starts) {
+    const { height } = this.options;
+    const stack = [];
+
+    for (const index of starts) {
+      const x = Math.floor(index / height);
+      const y = index % height;
+      if (reachable[index] || !this.isGeneratedTileWalkable(x, y)) continue;
+      reachable[index] = 1;
+      stack.push(x, y);
+    }
+
+    while (stack.length > 0) {
+      const y = stack.pop();
+      const x = stack.pop();
+
+      for (const [dx, dy] of DIRECTIONS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (!this.isGeneratedTileWalkable(nx, ny) || reachable[nx * height + ny]) continue;
+        reachable[nx * height + ny] = 1;
+        stack.push(nx, ny);
+      }
+    }
+  }
+
+  /**
+   * 通路でつなぐべき領域を選ぶ
+   * 敵・NPC・宝箱がある領域と、一定以上の大きさの領域が対象
+   * @param {{labels: Int32Array, sizes: number[]}} regions - labelWalkableRegions() の結果
+   * @returns {Set<number>} 領域番号
+   */
+  findRegionsToConnect(regions) {
+    const { width, height } = this.options;
+    const targets = new Set();
+
+    regions.sizes.forEach((size, label) => {
+      if (size >= MIN_CONNECT_REGION_SIZE) targets.add(label);
+    });
+
+    const addLabelAt = (x, y) => {
+      if (this.isGeneratedTileWalkable(x, y)) targets.add(regions.labels[x * height + y]);
+    };
+
+    [...this.enemyPlacement, ...this.npcPlacement].forEach(entity => addLabelAt(entity.x, entity.y));
+
+    // 宝箱は隣接するタイルの領域を対象にする
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        if (this.objectPlacement[x][y] !== 2) continue;
+        DIRECTIONS.forEach(([dx, dy]) => addLabelAt(x + dx, y + dy));
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * 領域ごとのタイルを集める
+   * @param {Int32Array} labels - タイルごとの領域番号
+   * @param {Set<number>} targets - 集める領域番号
+   * @returns {Map<number, number[]>} 領域番号ごとのタイルのインデックス
+   */
+  collectRegionTiles(labels, targets) {
+    const tiles = new Map();
+    for (let index = 0; index < labels.length; index++) {
+      const label = labels[index];
+      if (label === -1 || !targets.has(label)) continue;
+      if (!tiles.has(label)) tiles.set(label, []);
+      tiles.get(label).push(index);
+    }
+    return tiles;
+  }
+
+  /**
+   * 未到達の領域から、最も少ない掘削で到達可能な範囲までの通路を探す
+   * 領域の側から探索するため、大きなマップでも領域の周りだけを調べれば済む
+   * 移動可能なタイルはコスト0、掘る必要のあるタイルはコスト1として0-1 BFSで探索する
+   * マップの外周と宝箱、ヴォルトのタイルは掘らない
+   * @param {Uint8Array} reachable - floodFillWalkable() の結果
+   * @param {number[]} regionTiles - 未到達の領域のタイルのインデックス
+   * @returns {Array<Object>|null} 到達可能な側から順に並べた通路のタイル（MAX_CORRIDOR_LENGTH 以内でつなげなければnull）
+   */
+  findCorridor(reachable, regionTiles) {
+    const { width, height } = this.options;
+
+    // 調べるのは領域の周りだけのため、コストと直前のタイルはタイルごとの配列ではなくMapで持つ
+    const cost = new Map();
+    const parent = new Map();
+
+    const canCarve = (x, y) => {
+      if (this.isGeneratedTileWalkable(x, y)) return true;
+      if (x <= 0 || x >= width - 1 || y <= 0 || y >= height - 1) return false;
+      return this.objectPlacement[x][y] !== 2 && !this.isVaultTile(x, y);
+    };
+
+    let bucket = [];
+    for (const index of regionTiles) {
+      cost.set(index, 0);
+      bucket.push(index);
+    }
+
+    for (let current = 0; bucket.length > 0 && current <= MAX_CORRIDOR_LENGTH; current++) {
+      const next = [];
+
+      // 同じコストのタイルは bucket に追加しながら処理する
+      for (let i = 0; i < bucket.length; i++) {
+        const index = bucket[i];
+        if (cost.get(index) !== current) continue;
+
+        if (reachable[index]) {
+          return this.traceCorridor(parent, index);
+        }
+
+        const x = Math.floor(index / height);
+        const y = index % height;
+
+        for (const [dx, dy] of DIRECTIONS) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height || !canCarve(nx, ny)) continue;
+
+          const neighbor = nx * height + ny;
+          const neighborCost = current + (this.isGeneratedTileWalkable(nx, ny) ? 0 : 1);
+          if (cost.has(neighbor) && cost.get(neighbor) <= neighborCost) continue;
+
+          cost.set(neighbor, neighborCost);
+          parent.set(neighbor, index);
+          (neighborCost === current ? bucket : next).push(neighbor);
+        }
+      }
+
+      bucket = next;
+    }
+
+    return null;
+  }
+
+  /**
+   * 探索結果から通路のタイル列を復元する
+   * @param {Map<number, number>} parent - タイルごとの直前のタイル（領域のタイルにはない）
+   * @param {number} start - 到達可能な側の端のタイル
+   * @returns {Array<Object>} 到達可能な側から順に並べたタイル（carved: 掘る必要があるか）
+   */
+  traceCorridor(parent, start) {
+    const { height } = this.options;
+    const corridor = [];
+
+    for (let index = start; index !== undefined; index = parent.get(index)) {
+      const x = Math.floor(index / height);
+      const y = index % height;
+      corridor.push({ x, y, carved: !this.isGeneratedTileWalkable(x, y) });
+    }
+
+    return corridor;
+  }
+
+  /**
+   * 通路を掘る
+   * 掘ったタイルは床にし、高さは直前の移動可能なタイルに合わせる（水は浅瀬になる）
+   * @param {Array<Object>} corridor - traceCorridor() の結果
+   */
+  carveCorridor(corridor) {
+    let floorHeight = 0.4;
+
+    for (const tile of corridor) {
+      if (tile.carved) {
+        this.objectPlacement[tile.x][tile.y] = 0;
+        this.heightMap[tile.x][tile.y] = floorHeight;
+        delete this.obstacleKinds[`${tile.x},${tile.y}`];
+      } else {
+        floorHeight = this.heightMap[tile.x][tile.y];
+      }
+    }
+  }
+
+  /**
+   * 宝箱に到達できるかどうか（上下左右のいずれかに到達可能なタイルがあるか）
+   * @param {Uint8Array} reachable - floodFillWalkable() の結果
+   * @param {number} x - 宝箱のX座標
+   * @param {number} y - 宝箱のY座標
+   * @returns {boolean} 到達できればtrue
+   */
+  isChestReachable(reachable, x, y) {
+    const { height } = this.options;
+    return DIRECTIONS.some(([dx, dy]) =>
+      this.isGeneratedTileWalkable(x + dx, y + dy) && reachable[(x + dx) * height + (y + dy)]
+    );
+  }
+
+  /**
+   * 到達できない敵・NPC・宝箱を、到達可能な空いている位置へ移動する
+   * @param {Uint8Array} reachable - floodFillWalkable() の結果
+   * @param {Object} spawn - 開始位置のタイル座標
+   * @returns {{enemies: number, npcs: number, chests: number}} 移動した数
+   */
+  relocateUnreachableEntities(reachable, spawn) {
+    const { width, height } = this.options;
+    const relocated = { enemies: 0, npcs: 0, chests: 0 };
+    const isReachable = (x, y) => this.isGeneratedTileWalkable(x, y) && !!reachable[x * height + y];
+
+    // 使用済みのタイル（開始位置と、到達可能な位置にいる敵・NPC）
+    const taken = new Uint8Array(width * height);
+    taken[spawn.x * height + spawn.y] = 1;
+    [...this.enemyPlacement, ...this.npcPlacement].forEach(entity => {
+      if (isReachable(entity.x, entity.y)) taken[entity.x * height + entity.y] = 1;
+    });
+
+    // 宝箱を置くと通路をふさぐおそれのあるタイル
+    const nearChest = new Uint8Array(width * height);
+
+    const enemyTiles = [];
+    const npcTiles = [];
+    const chestTiles = [];
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        if (!isReachable(x, y)) continue;
+        const index = x * height + y;
+        npcTiles.push(index);
+
+        if (Math.max(Math.abs(x - spawn.x), Math.abs(y - spawn.y)) > SPAWN_SAFE_RADIUS) {
+          enemyTiles.push(index);
+        }
+
+        // 宝箱は周囲8方向がすべて移動可能な位置にだけ置く（通路をふさがない）
+        if (NEIGHBORS_8.every(([dx, dy]) => isReachable(x + dx, y + dy))) {
+          chestTiles.push(index);
+        }
+      }
+    }
+
+    // 候補からランダムに空いているタイルを取り出す
+    const takeTile = (tiles, accept = () => true) => {
+      while (tiles.length > 0) {
+        const i = Math.floor(this.rng() * tiles.length);
+        const index = tiles[i];
+        tiles[i] = tiles[tiles.length - 1];
+        tiles.pop();
+
+        if (!taken[index] && accept(index)) {
+          taken[index] = 1;
+          return { x: Math.floor(index / height), y: index % height };
+        }
+      }
+      return null;
+    };
+
+    const moveEntity = (entity, tiles, key) => {
+      if (isReachable(entity.x, entity.y)) return;
+      const position = takeTile(tiles);
+      if (!position) return;
+      entity.x = position.x;
+      entity.y = position.y;
+      relocated[key]++;
+    };
+
+    this.enemyPlacement.forEach(enemy => moveEntity(enemy, enemyTiles, 'enemies'));
+    this.npcPlacement.forEach(npc => moveEntity(npc, npcTiles, 'npcs'));
+
+    // 到達できない宝箱を先に集めてから移動する（移動先の判定に影響させない）
+    const unreachableChests = [];
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        if (this.objectPlacement[x][y] === 2 && !this.isChestReachable(reachable, x, y)) {
+          unreachableChests.push({ x, y });
+        }
+      }
+    }
+
+    for (const chest of unreachableChests) {
+      const position = takeTile(chestTiles, index => !nearChest[index]);
+      if (!position) break;
+
+      this.objectPlacement[chest.x][chest.y] = 0;
+      this.objectPlacement[position.x][position.y] = 2;
+      NEIGHBORS_8.forEach(([dx, dy]) => {
+        const nx = position.x + dx;
+        const ny = position.y + dy;
+        taken[nx * height + ny] = 1;
+        nearChest[nx * height + ny] = 1;
+      });
+      relocated.chests++;
+    }
+
+    return relocated;
+  }
+
+  /**
+   * 到達できない配置物とタイルを数える
+   * @param {Uint8Array} reachable - floodFillWalkable() の結果
+   * @returns {{enemies: number, npcs: number, chests: number, tiles: number}} 到達できない数
+   */
+  countUnreachable(reachable) {
+    const { width, height } = this.options;
+    const isReachable = entity =>
+      this.isGeneratedTileWalkable(entity.x, entity.y) && !!reachable[entity.x * height + entity.y];
+
+    const unreachable = {
+      enemies: this.enemyPlacement.filter(enemy => !isReachable(enemy)).length,
+      npcs: this.npcPlacement.filter(npc => !isReachable(npc)).length,
+      chests: 0,
+      tiles: 0
+    };
+
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        if (this.objectPlacement[x][y] === 2 && !this.isChestReachable(reachable, x, y)) {
+          unreachable.chests++;
+        } else if (this.isGeneratedTileWalkable(x, y) && !reachable[x * height + y]) {
+          unreachable.tiles++;
+        }
+      }
+    }
+
+    return unreachable;
+  }
+}
+
+// MapGeneratorクラスにミックスイン
+Object.assign(MapGenerator.prototype, {
+  ensureConnectivity: ConnectivityGenerator.prototype.ensureConnectivity,
+  isGeneratedTileWalkable: ConnectivityGenerator.prototype.isGeneratedTileWalkable,
+  labelWalkableRegions: ConnectivityGenerator.prototype.labelWalkableRegions,
+  chooseSpawnPoint: ConnectivityGenerator.prototype.chooseSpawnPoint,
+  floodFillWalkable: ConnectivityGenerator.prototype.floodFillWalkable,
+  extendReachable: ConnectivityGenerator.prototype.extendReachable,
+  collectRegionTiles: ConnectivityGenerator.prototype.collectRegionTiles,
+  findRegionsToConnect: ConnectivityGenerator.prototype.findRegionsToConnect,
+  findCorridor: ConnectivityGenerator.prototype.findCorridor,
+  traceCorridor: ConnectivityGenerator.prototype.traceCorridor,
+  carveCorridor: ConnectivityGenerator.prototype.carveCorridor,
+  isChestReachable: ConnectivityGenerator.prototype.isChestReachable,
+  relocateUnreachableEntities: ConnectivityGenerator.prototype.relocateUnreachableEntities,
+  countUnreachable: ConnectivityGenerator.prototype.countUnreachable
+});
+
+export default MapGenerator;
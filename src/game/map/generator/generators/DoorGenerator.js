@@ -0,0 +1,271 @@
+import MapGenerator from '../MapGenerator';
+import { forkRandom } from '../../../../utils/seededRandom';
+
+// 上下左右の4方向（移動は4近傍で判定する）
+const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// 通常の部屋の入口に扉を置く確率
+const DOOR_CHANCE = 0.4;
+
+// ヴォルトに鍵をかける確率（ヴォルトがなければ通常の部屋に LOCKED_ROOM_CHANCE でかける）
+const LOCKED_VAULT_CHANCE = 0.7;
+const LOCKED_ROOM_CHANCE = 0.4;
+
+// 鍵をかける部屋の入口の最大数（入口の多い部屋は通り道になりやすいため避ける）
+const MAX_LOCKED_DOORWAYS = 2;
+
+/**
+ * MapGeneratorの扉と鍵の配置機能の拡張
+ * ダンジョンの部屋の入口（両側を壁にはさまれた1マスの床）に扉を置き、
+ * 部屋を1つ選んで入口すべてに鍵をかけ、鍵を開始位置から鍵なしで行ける場所に置く
+ * 階段と同じく生成済みのマップデータから計算し、乱数はマップのシードから分けて使うため、
+ * 扉や鍵の有無が変わっても他の配置物は変わらない
+ */
+class DoorGenerator extends MapGenerator {
+  /**
+   * 扉と鍵の位置を決める
+   * 町は建物の入口すべてに鍵のない扉を置く
+   * @param {Object} mapData - マップデータ（type, seed, rooms, spawn, stairs, enemyPlacement, npcPlacement を使う）
+   * @returns {{doors: Array<Object>, keys: Array<Object>}}
+   *   扉（{ x, y, kind: 'door' | 'gate', locked, keyId }）と鍵（{ x, y, keyId, name }）
+   */
+  placeDoors(mapData) {
+    const result = { doors: [], keys: [] };
+    const rooms = mapData.rooms || [];
+    if (mapData.type === 'town') {
+      result.doors = this.placeTownDoors(mapData);
+      return result;
+    }
+    if (mapData.type !== 'dungeon' || rooms.length === 0 || !mapData.spawn) return result;
+
+    const { height } = mapData;
+    const random = forkRandom(mapData.seed || 0, 'doors');
+    const reserved = this.getReservedLayoutTiles(mapData);
+
+    // 部屋ごとの入口と、入口以外から出入りできないかどうか
+    const entries = rooms.map(room => this.findRoomDoorways(mapData, room, reserved));
+
+    // 通常の扉（ヴォルトの入口には必ず門を置く）
+    const doors = new Map();
+    rooms.forEach((room, roomIndex) => {
+      for (const doorway of entries[roomIndex].doorways) {
+        const index = doorway.x * height + doorway.y;
+        if (doors.has(index)) continue;
+
+        if (room.vault || random() < DOOR_CHANCE) {
+          doors.set(index, { x: doorway.x, y: doorway.y, kind: room.vault ? 'gate' : 'door', locked: false, keyId: null });
+        }
+      }
+    });
+
+    // 鍵をかける部屋（開始位置を含まず、入口以外から入れない部屋）
+    const lockable = rooms
+      .map((room, roomIndex) => ({ room, roomIndex, ...entries[roomIndex] }))
+      .filter(entry => entry.sealed &&
+        entry.doorways.length > 0 && entry.doorways.length <= MAX_LOCKED_DOORWAYS &&
+        !this.isInsideRoom(entry.room, mapData.spawn.x, mapData.spawn.y));
+
+    const vaults = lockable.filter(entry => entry.room.vault);
+    const candidates = vaults.length > 0 ? vaults : lockable;
+    const chance = vaults.length > 0 ? LOCKED_VAULT_CHANCE : LOCKED_ROOM_CHANCE;
+
+    if (candidates.length > 0 && random() < chance) {
+      const locked = candidates[Math.floor(random() * candidates.length)];
+      const keyId = `key-${mapData.seed || 0}-${locked.roomIndex}`;
+      const lockedTiles = new Set(locked.doorways.map(doorway => doorway.x * height + doorway.y));
+      const keyTile = this.findKeyTile(mapData, locked.room, lockedTiles, doors, reserved, random);
+
+      if (keyTile) {
+        for (const doorway of locked.doorways) {
+          doors.set(doorway.x * height + doorway.y, {
+            x: doorway.x,
+            y: doorway.y,
+            kind: locked.room.vault ? 'gate' : 'door',
+            locked: true,
+            keyId
+          });
+        }
+
+        result.keys.push({
+          x: keyTile.x,
+          y: keyTile.y,
+          keyId,
+          name: locked.room.vault ? `${locked.room.name}の鍵` : '錆びた鍵'
+        });
+      }
+    }
+
+    result.doors = [...doors.values()];
+    return result;
+  }
+
+  /**
+   * 町の建物の入口に扉を置く
+   * @param {Object} mapData - マップデータ
+   * @returns {Array<Object>} 扉（{ x, y, kind: 'door', name: 建物の名前の扉, locked: false, keyId: null }）
+   */
+  placeTownDoors(mapData) {
+    const reserved = this.getReservedLayoutTiles(mapData);
+
+    return (mapData.rooms || [])
+      .filter(room => room.door && !reserved.has(room.door.x * mapData.height + room.door.y))
+      .map(room => ({
+        x: room.door.x,
+        y: room.door.y,
+        kind: 'door',
+        name: `${room.name}の扉`,
+        locked: false,
+        keyId: null
+      }));
+  }
+
+  /**
+   * 扉や鍵を置けないタイル（開始位置・階段・敵・NPC）
+   * @param {Object} mapData - マップデータ
+   * @returns {Set<number>} タイルのインデックス（x * height + y）
+   */
+  getReservedLayoutTiles(mapData) {
+    const { height } = mapData;
+    const tiles = [
+      mapData.spawn,
+      mapData.stairs && mapData.stairs.up,
+      mapData.stairs && mapData.stairs.down,
+      ...(mapData.enemyPlacement || []),
+      ...(mapData.npcPlacement || [])
+    ].filter(Boolean);
+
+    return new Set(tiles.map(tile => tile.x * height + tile.y));
+  }
+
+  /**
+   * タイルが部屋の中かどうか
+   * @param {Object} room - 部屋
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {boolean} 部屋の中ならtrue
+   */
+  isInsideRoom(room, x, y) {
+    return x >= room.x && x < room.x + room.width && y >= room.y && y < room.y + room.height;
+  }
+
+  /**
+   * 部屋の入口を探す
+   * 部屋の境界（通常の部屋は1マス外側、ヴォルトは外周の壁）のうち移動できるタイルを調べ、
+   * 両側が壁にはさまれた1マスの床だけを入口とする
+   * 境界がすべて壁・水・入口なら、部屋には入口からしか入れない（鍵をかけられる）
+   * @param {Object} mapData - マップデータ
+   * @param {Object} room - 部屋
+   * @param {Set<number>} reserved - 扉を置けないタイル
+   * @returns {{doorways: Array<{x: number, y: number}>, sealed: boolean}} 入口と、入口以外から入れないかどうか
+   */
+  findRoomDoorways(mapData, room, reserved) {
+    const { height, objectPlacement, heightMap } = mapData;
+    const doorways = [];
+    let sealed = true;
+    const isWall = (x, y) => x >= 0 && x < mapData.width && y >= 0 && y < height && objectPlacement[x][y] === 4;
+
+    for (const tile of this.getRoomBoundary(mapData, room)) {
+      const object = objectPlacement[tile.x][tile.y];
+      if (object === 4 || object === 1 || heightMap[tile.x][tile.y] < 0.3) continue;
+
+      // 扉は両側（境界に沿った向き）が壁の1マスの床にだけ置ける
+      const betweenWalls = tile.horizontal
+        ? isWall(tile.x - 1, tile.y) && isWall(tile.x + 1, tile.y)
+        : isWall(tile.x, tile.y - 1) && isWall(tile.x, tile.y + 1);
+
+      if (object === 0 && betweenWalls && !reserved.has(tile.x * height + tile.y)) {
+        doorways.push({ x: tile.x, y: tile.y });
+      } else {
+        // 壊せる障害物や宝箱、幅の広い開口部からも出入りできる
+        sealed = false;
+      }
+    }
+
+    return { doorways, sealed };
+  }
+
+  /**
+   * 部屋の境界のタイル
+   * @param {Object} mapData - マップデータ
+   * @param {Object} room - 部屋
+   * @returns {Array<{x: number, y: number, horizontal: boolean}>} タイル（horizontal: 境界が横に伸びているか）
+   */
+  getRoomBoundary(mapData, room) {
+    // ヴォルトは外周の壁ごと部屋になっているため外周を、通常の部屋は1マス外側を調べる
+    const inset = room.vault ? 0 : 1;
+    const left = room.x - inset;
+    const right = room.x + room.width - 1 + inset;
+    const top = room.y - inset;
+    const bottom = room.y + room.height - 1 + inset;
+    const tiles = [];
+
+    // 角は部屋の中と上下左右で接しないため含めない
+    for (let x = left + 1; x < right; x++) {
+      tiles.push({ x, y: top, horizontal: true }, { x, y: bottom, horizontal: true });
+    }
+    for (let y = top + 1; y < bottom; y++) {
+      tiles.push({ x: left, y, horizontal: false }, { x: right, y, horizontal: false });
+    }
+
+    return tiles.filter(tile => tile.x >= 0 && tile.x < mapData.width && tile.y >= 0 && tile.y < mapData.height);
+  }
+
+  /**
+   * 鍵を置くタイルを決める
+   * 鍵をかけた扉を通らずに開始位置から行ける床から選ぶ（開始位置のある部屋以外の部屋の中を優先する）
+   * @param {Object} mapData - マップデータ
+   * @param {Object} lockedRoom - 鍵をかける部屋
+   * @param {Set<number>} lockedTiles - 鍵をかける扉のタイル
+   * @param {Map<number, Object>} doors - 扉（鍵は扉の上に置かない）
+   * @param {Set<number>} reserved - 鍵を置けないタイル
+   * @param {function} random - 乱数関数
+   * @returns {?{x: number, y: number}} タイル座標（置ける場所がなければnull）
+   */
+  findKeyTile(mapData, lockedRoom, lockedTiles, doors, reserved, random) {
+    const { height, spawn } = mapData;
+    const spawnRoom = (mapData.rooms || []).find(room => this.isInsideRoom(room, spawn.x, spawn.y));
+    const visited = new Uint8Array(mapData.width * height);
+    const queue = [spawn.x * height + spawn.y];
+    visited[queue[0]] = 1;
+
+    const inRooms = [];
+    const others = [];
+
+    for (let head = 0; head < queue.length; head++) {
+      const index = queue[head];
+      const x = Math.floor(index / height);
+      const y = index % height;
+
+      if (!reserved.has(index) && !doors.has(index) && !this.isInsideRoom(lockedRoom, x, y)) {
+        const inOtherRoom = (mapData.rooms || []).some(room =>
+          room !== spawnRoom && room !== lockedRoom && !room.vault && this.isInsideRoom(room, x, y));
+        (inOtherRoom ? inRooms : others).push({ x, y });
+      }
+
+      for (const [dx, dy] of DIRECTIONS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        const next = nx * height + ny;
+        if (!this.isLayoutTileWalkable(mapData, nx, ny) || visited[next] || lockedTiles.has(next)) continue;
+        visited[next] = 1;
+        queue.push(next);
+      }
+    }
+
+    const tiles = inRooms.length > 0 ? inRooms : others;
+    return tiles.length > 0 ? tiles[Math.floor(random() * tiles.length)] : null;
+  }
+}
+
+// MapGeneratorクラスにミックスイン
+Object.assign(MapGenerator.prototype, {
+  placeDoors: DoorGenerator.prototype.placeDoors,
+  placeTownDoors: DoorGenerator.prototype.placeTownDoors,
+  getReservedLayoutTiles: DoorGenerator.prototype.getReservedLayoutTiles,
+  isInsideRoom: DoorGenerator.prototype.isInsideRoom,
+  findRoomDoorways: DoorGenerator.prototype.findRoomDoorways,
+  getRoomBoundary: DoorGenerator.prototype.getRoomBoundary,
+  findKeyTile: DoorGenerator.prototype.findKeyTile
+});
+
+export default MapGenerator;
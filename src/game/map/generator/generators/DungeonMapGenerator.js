@@ -20,6 +20,9 @@ class DungeonMapGenerator extends MapGenerator {
     // 部屋を生成
     this.generateRooms();
     
+    // 空いている場所に手作りの部屋（ヴォルト）を埋め込む
+    this.placeVaults();
+    
     // 部屋同士を通路で接続
     this.connectRooms();
     
@@ -28,6 +31,7 @@ class DungeonMapGenerator extends MapGenerator {
     
     // 最後に壁と床の周辺に微調整を行う
     this.finalizeWallsAndFloors();
+    this.finalizeVaults();
   }
 
   /**
@@ -99,52 +103,62 @@ class DungeonMapGenerator extends MapGenerator {
 
   /**
    * 部屋同士を通路で接続
+   * ヴォルトは通り抜けの部屋にならないよう、入口から最も近い部屋とだけつなぐ
    */
   connectRooms() {
-    if (this.rooms.length <= 1) return;
+    const rooms = this.rooms.filter(room => !room.vault);
     
-    // 全ての部屋を通路でつなぐ
-    for (let i = 0; i < this.rooms.length - 1; i++) {
-      const roomA = this.rooms[i];
-      const roomB = this.rooms[i + 1];
+    if (rooms.length > 1) {
+      // 全ての部屋を通路でつなぐ
+      for (let i = 0; i < rooms.length - 1; i++) {
+        const roomA = rooms[i];
+        const roomB = rooms[i + 1];
+        
+        // 部屋の中心点同士をつなぐ
+        this.connectPoints(roomA.centerX, roomA.centerY, roomB.centerX, roomB.centerY);
+      }
       
-      // 部屋の中心点を取得
-      const startX = roomA.centerX;
-      const startY = roomA.centerY;
-      const endX = roomB.centerX;
-      const endY = roomB.centerY;
+      // ランダムにいくつかのループ通路を追加（迷路性を高める）
+      const extraConnections = Math.floor(rooms.length * 0.3);
+      for (let i = 0; i < extraConnections; i++) {
+        const roomA = rooms[Math.floor(this.rng() * rooms.length)];
+        const roomB = rooms[Math.floor(this.rng() * rooms.length)];
+        
+        if (roomA !== roomB) {
+          this.connectPoints(roomA.centerX, roomA.centerY, roomB.centerX, roomB.centerY);
+        }
+      }
+    }
+    
+    this.connectVaults(rooms);
+  }
+
+  /**
+   * 2点をL字の通路でつなぐ
+   * ヴォルトを横切る向きは避け、どちらの向きも横切る場合はヴォルトを迂回する
+   * @param {number} startX - 開始X座標
+   * @param {number} startY - 開始Y座標
+   * @param {number} endX - 終了X座標
+   * @param {number} endY - 終了Y座標
+   */
+  connectPoints(startX, startY, endX, endY) {
+    // ランダムに水平→垂直 or 垂直→水平を選択
+    const horizontalFirst = this.rng() > 0.5;
+    
+    for (const horizontal of [horizontalFirst, !horizontalFirst]) {
+      if (this.corridorCrossesVault(startX, startY, endX, endY, horizontal)) continue;
       
-      // ランダムに水平→垂直 or 垂直→水平を選択
-      if (this.rng() > 0.5) {
+      if (horizontal) {
         this.createHorizontalCorridor(startX, endX, startY);
         this.createVerticalCorridor(startY, endY, endX);
       } else {
         this.createVerticalCorridor(startY, endY, startX);
         this.createHorizontalCorridor(startX, endX, endY);
       }
+      return;
     }
     
-    // ランダムにいくつかのループ通路を追加（迷路性を高める）
-    const extraConnections = Math.floor(this.rooms.length * 0.3);
-    for (let i = 0; i < extraConnections; i++) {
-      const roomA = this.rooms[Math.floor(this.rng() * this.rooms.length)];
-      const roomB = this.rooms[Math.floor(this.rng() * this.rooms.length)];
-      
-      if (roomA !== roomB) {
-        const startX = roomA.centerX;
-        const startY = roomA.centerY;
-        const endX = roomB.centerX;
-        const endY = roomB.centerY;
-        
-        if (this.rng() > 0.5) {
-          this.createHorizontalCorridor(startX, endX, startY);
-          this.createVerticalCorridor(startY, endY, endX);
-        } else {
-          this.createVerticalCorridor(startY, endY, startX);
-          this.createHorizontalCorridor(startX, endX, endY);
-        }
-      }
-    }
+    this.carveRoutedCorridor(startX, startY, endX, endY);
   }
 
   /**
@@ -243,8 +257,8 @@ class DungeonMapGenerator extends MapGenerator {
             }
           }
           
-          // 部屋の内部にランダムな壁を追加
-          if (surroundedByFloor && this.rng() < adjustedWallDensity * 0.5) {
+          // 部屋の内部にランダムな壁を追加（ヴォルトの中と入口の前には置かない）
+          if (surroundedByFloor && this.rng() < adjustedWallDensity * 0.5 && !this.isVaultReserved(x, y)) {
             this.objectPlacement[x][y] = 4; // 壁として柱を設置
           }
         }
@@ -286,6 +300,7 @@ Object.assign(MapGenerator.prototype, {
   generateRooms: DungeonMapGenerator.prototype.generateRooms,
   roomsOverlap: DungeonMapGenerator.prototype.roomsOverlap,
   connectRooms: DungeonMapGenerator.prototype.connectRooms,
+  connectPoints: DungeonMapGenerator.prototype.connectPoints,
   createHorizontalCorridor: DungeonMapGenerator.prototype.createHorizontalCorridor,
   createVerticalCorridor: DungeonMapGenerator.prototype.createVerticalCorridor,
   finalizeWallsAndFloors: DungeonMapGenerator.prototype.finalizeWallsAndFloors,
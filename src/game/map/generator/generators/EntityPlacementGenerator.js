@@ -1,4 +1,6 @@
 import MapGenerator from '../MapGenerator';
+import { getBiome } from '../Biomes';
+import { NPCType } from '../../../../constants/characterTypes';
 
 /**
  * MapGeneratorの敵とNPC配置機能の拡張
@@ -31,6 +33,10 @@ class EntityPlacementGenerator extends MapGenerator {
         // 町は敵がほとんどいない
         adjustedEnemyDensity *= 0.1;
         break;
+      case 'cave':
+        // 洞窟は狭い通路に敵が潜んでいる
+        adjustedEnemyDensity *= 1.1;
+        break;
     }
     
     // 候補位置を収集
@@ -38,8 +44,9 @@ class EntityPlacementGenerator extends MapGenerator {
     
     for (let x = 0; x < width; x++) {
       for (let y = 0; y < height; y++) {
-        // 移動可能なスペースのみに敵を配置（高さも考慮）
-        if (this.objectPlacement[x][y] === 0 && this.heightMap[x][y] >= 0.3) {
+        // 移動可能なスペースのみに敵を配置（高さも考慮、ヴォルトの敵はプレハブで決まっている、町の建物・道路・広場は避ける）
+        if (this.objectPlacement[x][y] === 0 && this.heightMap[x][y] >= 0.3 &&
+            !this.isVaultTile(x, y) && !this.isTownReserved(x, y)) {
           // 敵を配置できる場所を候補に追加
           candidatePositions.push({ x, y });
         }
@@ -57,8 +64,9 @@ class EntityPlacementGenerator extends MapGenerator {
       const randomIndex = Math.floor(this.rng() * candidatePositions.length);
       const position = candidatePositions[randomIndex];
       
-      // 配置済みの位置を候補から削除
-      candidatePositions.splice(randomIndex, 1);
+      // 配置済みの位置を候補から削除（大きなマップでも遅くならないよう末尾の候補と入れ替えて削除する）
+      candidatePositions[randomIndex] = candidatePositions[candidatePositions.length - 1];
+      candidatePositions.pop();
       
       // 敵のタイプを決定（マップタイプと難易度に基づく）
       const enemyType = this.determineEnemyType(mapType, difficultyLevel, position);
@@ -74,6 +82,9 @@ class EntityPlacementGenerator extends MapGenerator {
     
     // グループでの敵配置（複数の敵が近くに集まる）
     this.placeEnemyGroups(mapType, difficultyLevel, candidatePositions);
+    
+    // フロアの変性で増えるエリートの群れ
+    this.placeElitePacks(difficultyLevel, candidatePositions);
   }
 
   /**
@@ -156,7 +167,8 @@ class EntityPlacementGenerator extends MapGenerator {
         // マップ範囲内かつ移動可能なスペースにのみ配置
         if (enemyX >= 0 && enemyX < this.options.width && 
             enemyY >= 0 && enemyY < this.options.height &&
-            this.objectPlacement[enemyX][enemyY] === 0) {
+            this.objectPlacement[enemyX][enemyY] === 0 &&
+            !this.isVaultTile(enemyX, enemyY) && !this.isTownReserved(enemyX, enemyY)) {
           
           // 既に配置候補から除外
           const posIndex = candidatePositions.findIndex(p => p.x === enemyX && p.y === enemyY);
@@ -193,11 +205,15 @@ class EntityPlacementGenerator extends MapGenerator {
         enemyTypes = ['skeleton', 'zombie', 'ghost', 'spider', 'slime'];
         break;
       case 'field':
-        enemyTypes = ['wolf', 'bandit', 'goblin', 'troll', 'ogre'];
+        // フィールドの敵はバイオームによって変わる
+        enemyTypes = getBiome(this.biome).enemyTypes;
         break;
       case 'town':
         enemyTypes = ['thief', 'drunkard', 'rat', 'stray_dog'];
         break;
+      case 'cave':
+        enemyTypes = ['spider', 'slime'];
+        break;
       default:
         enemyTypes = ['goblin', 'orc', 'troll', 'skeleton'];
     }
@@ -288,29 +304,35 @@ class EntityPlacementGenerator extends MapGenerator {
   placeNPCs() {
     // 町の建物内にNPCを配置
     for (const room of this.rooms) {
-      // ショップNPCを配置
-      if (room.isShop) {
+      // 施設には主人（施設に合った NPCType）を配置
+      if (room.npcType) {
         this.placeShopNPC(room);
       } 
-      // 通常NPCを配置
+      // 民家には通常NPCを配置
       else if (this.rng() < 0.7) { // 70%の確率で部屋にNPCを配置
         this.placeRegularNPC(room);
       }
     }
     
+    // 広場の掲示板の前に依頼人を配置
+    if (this.townSquare) {
+      this.placeQuestGiver(this.townSquare);
+    }
+    
     // 町の広場や道路にもいくつかのNPCを配置
     const { width, height, npcDensity } = this.options;
     const townCenterX = Math.floor(width / 2);
     const townCenterY = Math.floor(height / 2);
     const townRadius = Math.min(width, height) * 0.4;
     
-    // 配置できる候補位置を収集
+    // 配置できる候補位置を収集（配置済みのNPCの位置は除く）
     const candidatePositions = [];
+    const occupied = new Set(this.npcPlacement.map(npc => `${npc.x},${npc.y}`));
     
     for (let x = 0; x < width; x++) {
       for (let y = 0; y < height; y++) {
         // 移動可能なスペースにのみNPCを配置
-        if (this.objectPlacement[x][y] === 0) {
+        if (this.objectPlacement[x][y] === 0 && !occupied.has(`${x},${y}`)) {
           // 町の中心からの距離を計算
           const distFromCenter = Math.sqrt((x - townCenterX) ** 2 + (y - townCenterY) ** 2);
           
@@ -348,19 +370,44 @@ class EntityPlacementGenerator extends MapGenerator {
   }
 
   /**
-   * ショップNPCを配置
-   * @param {object} room - 部屋情報
+   * 施設の主人を配置
+   * 主人の種類・店の種類・会話は施設の NPCType（鍛冶屋なら blacksmith）から決める
+   * @param {object} room - 部屋情報（npcType: 主人の NPCType のキー、owner: 主人の立つ位置）
    */
   placeShopNPC(room) {
-    // ショップNPCは部屋の中央付近に配置
+    const type = NPCType[room.npcType] ? room.npcType : 'merchant';
+    const definition = NPCType[type];
+    const isShop = definition.interactionType === 'shop';
+    
+    // 主人は建物の中央（入口の正面）に配置
+    this.npcPlacement.push({
+      x: room.owner.x,
+      y: room.owner.y,
+      type,
+      isShop,
+      shopType: definition.shopType,
+      serviceType: definition.serviceType,
+      building: room.kind,
+      items: isShop ? this.generateShopItems() : [],
+      dialogues: [...definition.dialogues]
+    });
+  }
+
+  /**
+   * 広場の掲示板の前に依頼人を配置
+   * @param {object} townSquare - 広場（questGiver: 依頼人の立つ位置）
+   */
+  placeQuestGiver(townSquare) {
+    const { x, y } = townSquare.questGiver;
+    if (this.objectPlacement[x][y] !== 0) return;
+    
     this.npcPlacement.push({
-      x: room.x,
-      y: room.y,
-      type: this.determineNPCType(true),
-      isShop: true,
-      shopType: this.determineShopType(),
-      items: this.generateShopItems(),
-      dialogues: this.generateNPCDialogues(true)
+      x,
+      y,
+      type: 'questgiver',
+      isShop: false,
+      building: 'quest_board',
+      dialogues: [...NPCType.questgiver.dialogues]
     });
   }
 
@@ -371,8 +418,8 @@ class EntityPlacementGenerator extends MapGenerator {
   placeRegularNPC(room) {
     // 通常NPCは部屋の中央付近に配置
     this.npcPlacement.push({
-      x: room.x,
-      y: room.y,
+      x: room.owner.x,
+      y: room.owner.y,
       type: this.determineNPCType(false),
       isShop: false,
       dialogues: this.generateNPCDialogues(false)
@@ -467,37 +514,6 @@ class EntityPlacementGenerator extends MapGenerator {
     
     return dialogues;
   }
-
-  /**
-   * 指定された座標が建物内かどうかをチェック
-   * @param {number} x - X座標
-   * @param {number} y - Y座標
-   * @returns {boolean} 建物内かどうか
-   */
-  isInsideBuilding(x, y) {
-    // 座標の周囲8方向に壁があるかをチェック
-    const directions = [
-      [-1, -1], [0, -1], [1, -1],
-      [-1, 0],           [1, 0],
-      [-1, 1],  [0, 1],  [1, 1]
-    ];
-    
-    let wallCount = 0;
-    
-    for (const [dx, dy] of directions) {
-      const nx = x + dx;
-      const ny = y + dy;
-      
-      if (nx >= 0 && nx < this.options.width && ny >= 0 && ny < this.options.height) {
-        if (this.objectPlacement[nx][ny] === 4) { // 壁
-          wallCount++;
-        }
-      }
-    }
-    
-    // 周囲に3つ以上の壁があれば建物内と判断
-    return wallCount >= 3;
-  }
 }
 
 // MapGeneratorクラスにミックスイン
@@ -510,12 +526,12 @@ Object.assign(MapGenerator.prototype, {
   determineBossLevel: EntityPlacementGenerator.prototype.determineBossLevel,
   placeNPCs: EntityPlacementGenerator.prototype.placeNPCs,
   placeShopNPC: EntityPlacementGenerator.prototype.placeShopNPC,
+  placeQuestGiver: EntityPlacementGenerator.prototype.placeQuestGiver,
   placeRegularNPC: EntityPlacementGenerator.prototype.placeRegularNPC,
   determineNPCType: EntityPlacementGenerator.prototype.determineNPCType,
   determineShopType: EntityPlacementGenerator.prototype.determineShopType,
   generateShopItems: EntityPlacementGenerator.prototype.generateShopItems,
-  generateNPCDialogues: EntityPlacementGenerator.prototype.generateNPCDialogues,
-  isInsideBuilding: EntityPlacementGenerator.prototype.isInsideBuilding
+  generateNPCDialogues: EntityPlacementGenerator.prototype.generateNPCDialogues
 });
 
 export default MapGenerator;
\ No newline at end of file
@@ -1,15 +1,34 @@
 import MapGenerator from '../MapGenerator';
+import { getBiome, rollBiome } from '../Biomes';
+import { forkRandom } from '../../../../utils/seededRandom';
 
 /**
  * MapGeneratorのフィールド生成機能の拡張
  */
 class FieldMapGenerator extends MapGenerator {
+  /**
+   * フィールドのバイオームを決める
+   * オプションで指定されていなければマップのシードから選ぶ
+   * （マップ生成用の乱数とは別の系列を使うため、バイオームの選択は他の配置に影響しない）
+   * @param {number} mapSeed - マップのシード
+   * @returns {string} バイオームID
+   */
+  chooseBiome(mapSeed) {
+    if (this.options.biome) {
+      return this.options.biome;
+    }
+    
+    return rollBiome(forkRandom(mapSeed, 'biome')());
+  }
+
   /**
    * フィールドマップを生成（草原や荒野など）
+   * 地形の起伏、森や湖の数、障害物はバイオーム（this.biome）によって変わる
    */
   generateFieldMap() {
     const { width, height, noiseScale, wallDensity } = this.options;
-    const adjustedWallDensity = wallDensity * 0.5; // フィールドは壁が少なめ
+    const biome = getBiome(this.biome);
+    const adjustedWallDensity = wallDensity * 0.5 * biome.obstacleDensity; // フィールドは壁が少なめ
     
     // ノイズを使用して自然な地形を生成
     for (let x = 0; x < width; x++) {
@@ -18,14 +37,14 @@ class FieldMapGenerator extends MapGenerator {
         const baseNoise = this.noise2D(x * noiseScale, y * noiseScale);
         const detailNoise = this.noise2D(x * noiseScale * 4, y * noiseScale * 4) * 0.2;
         
-        // 高さマップに設定（0.0～1.0の範囲）
-        this.heightMap[x][y] = (baseNoise + detailNoise) * 0.5 + 0.5;
+        // 高さマップに設定（0.0～1.0の範囲、バイオームによって全体を上下させる）
+        this.heightMap[x][y] = (baseNoise + detailNoise) * 0.5 + 0.5 + biome.heightBias;
         
         // 地形の高さに基づいてオブジェクト配置を設定
         if (this.heightMap[x][y] < 0.3) {
-          // 低地（水域など）- 移動不可能
+          // 低地（水域や溶岩など）- 移動不可能
           this.objectPlacement[x][y] = 1; // 水として設定
-        } else if (this.heightMap[x][y] > 0.75) {
+        } else if (this.heightMap[x][y] > biome.mountainLevel) {
           // 高地（山や丘など）
           this.objectPlacement[x][y] = 4; // 壁として設定
         } else {
@@ -47,9 +66,10 @@ class FieldMapGenerator extends MapGenerator {
    */
   createFieldFeatures() {
     const { width, height } = this.options;
+    const biome = getBiome(this.biome);
     
     // 森エリアをいくつか生成
-    const forestCount = Math.floor(3 + this.rng() * 5);
+    const forestCount = this.rollFeatureCount(biome.forests);
     for (let i = 0; i < forestCount; i++) {
       const forestX = Math.floor(this.rng() * width);
       const forestY = Math.floor(this.rng() * height);
@@ -58,8 +78,8 @@ class FieldMapGenerator extends MapGenerator {
       this.createForest(forestX, forestY, forestSize);
     }
     
-    // 湖をいくつか生成
-    const lakeCount = Math.floor(1 + this.rng() * 3);
+    // 湖をいくつか生成（火山では溶岩の池になる）
+    const lakeCount = this.rollFeatureCount(biome.lakes);
     for (let i = 0; i < lakeCount; i++) {
       const lakeX = Math.floor(this.rng() * width);
       const lakeY = Math.floor(this.rng() * height);
@@ -80,6 +100,29 @@ class FieldMapGenerator extends MapGenerator {
     }
   }
 
+  /**
+   * 地形の特徴（森・湖）の数を決める
+   * @param {Array<number>} range - 数の範囲 [最小, 最大]
+   * @returns {number} 数
+   */
+  rollFeatureCount([min, max]) {
+    if (max <= 0) return 0;
+    return min + Math.floor(this.rng() * (max - min + 1));
+  }
+
+  /**
+   * バイオームに応じた障害物の見た目を記録する
+   * バイオームに障害物の指定がなければ、見た目はタイルセットに任せる
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   */
+  assignBiomeObstacleKind(x, y) {
+    const { obstacles } = getBiome(this.biome);
+    if (!obstacles) return;
+    
+    this.obstacleKinds[`${x},${y}`] = obstacles[Math.floor(this.rng() * obstacles.length)];
+  }
+
   /**
    * 自然な障害物を配置
    * @param {number} wallDensity - 壁の密度
@@ -122,6 +165,7 @@ class FieldMapGenerator extends MapGenerator {
                 // 障害物として配置（低い植物など）
                 this.objectPlacement[x][y] = 3;
                 this.heightMap[x][y] = 0.5 + this.rng() * 0.1;
+                this.assignBiomeObstacleKind(x, y);
               }
             }
           }
@@ -272,8 +316,11 @@ class FieldMapGenerator extends MapGenerator {
 
 // MapGeneratorクラスにミックスイン
 Object.assign(MapGenerator.prototype, {
+  chooseBiome: FieldMapGenerator.prototype.chooseBiome,
   generateFieldMap: FieldMapGenerator.prototype.generateFieldMap,
   createFieldFeatures: FieldMapGenerator.prototype.createFieldFeatures,
+  rollFeatureCount: FieldMapGenerator.prototype.rollFeatureCount,
+  assignBiomeObstacleKind: FieldMapGenerator.prototype.assignBiomeObstacleKind,
   placeNaturalObstacles: FieldMapGenerator.prototype.placeNaturalObstacles,
   createForest: FieldMapGenerator.prototype.createForest,
   createLake: FieldMapGenerator.prototype.createLake,
@@ -0,0 +1,300 @@
+import MapGenerator from '../MapGenerator';
+import { getBiome } from '../Biomes';
+import { TRAP_KINDS } from '../Hazards';
+import { forkRandom } from '../../../../utils/seededRandom';
+
+// 上下左右の4方向（移動は4近傍で判定する）
+const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * マップタイプごとの危険地帯と罠の数（幅100×高さ100のマップでの数、マップの広さに合わせて増減する）
+ * - pools: 危険地帯の種類（フィールドはバイオームの hazards を使う）
+ * - poolCount / poolSize: 危険地帯の数と1つの大きさ（タイル数）の範囲 [最小, 最大]
+ * - spikes / arrows: トゲの罠と矢の罠の数の範囲 [最小, 最大]
+ */
+const HAZARD_SETTINGS = {
+  dungeon: { pools: ['poison'], poolCount: [0, 2], poolSize: [3, 6], spikes: [4, 7], arrows: [2, 4] },
+  cave: { pools: ['poison', 'mud', 'mud', 'lava'], poolCount: [4, 7], poolSize: [4, 10], spikes: [1, 3], arrows: [0, 0] },
+  field: { pools: null, poolCount: [4, 8], poolSize: [6, 16], spikes: [0, 0], arrows: [0, 0] },
+  arena: { pools: ['lava'], poolCount: [2, 4], poolSize: [3, 6], spikes: [0, 0], arrows: [0, 0] }
+};
+
+// 危険地帯と罠を置かない、開始位置と階段からの距離（タイル、マンハッタン距離）
+const SAFE_RADIUS = 4;
+
+// 罠どうしの最小の間隔（タイル、マンハッタン距離）
+const TRAP_SPACING = 4;
+
+// 矢の罠の発射口から感圧板までの最小の距離（タイル）
+const ARROW_MIN_RANGE = 2;
+
+// 置き場所を探す試行回数
+const PLACEMENT_ATTEMPTS = 40;
+
+/**
+ * MapGeneratorの危険地帯（溶岩だまり・毒沼・泥）と罠（トゲ・矢）の配置機能の拡張
+ * 危険地帯と罠はどちらも移動できる床の上に重ねて置くため、objectPlacement や到達可能性は変わらない
+ * 扉と同じく生成済みのマップデータから計算し、乱数はマップのシードから分けて使うため、
+ * 危険地帯や罠の有無が変わっても他の配置物は変わらない
+ */
+class HazardGenerator extends MapGenerator {
+  /**
+   * 危険地帯と罠の位置を決める
+   * - ダンジョン: 通路にトゲの罠と矢の罠、部屋にまれに毒沼
+   * - 洞窟: 毒沼・泥・溶岩だまりと少しのトゲの罠
+   * - フィールド: バイオームに応じた危険地帯（草原・森は泥、沼地は泥と毒沼、火山は溶岩だまり）を水辺に
+   * - アリーナ: 溶岩だまりをいくつか
+   * - 町: 置かない
+   * @param {Object} mapData - マップデータ（type, seed, biome, rooms, spawn, stairs, doors, keys などを使う）
+   * @returns {{hazardKinds: Object, traps: Array<Object>}}
+   *   危険地帯（"x,y" をキーに種類）と罠（{ x, y, kind, launcher, direction }、矢の罠の x, y は感圧板）
+   */
+  placeHazards(mapData) {
+    const result = { hazardKinds: {}, traps: [] };
+    const settings = HAZARD_SETTINGS[mapData.type];
+    if (!settings || !mapData.spawn) return result;
+
+    const random = forkRandom(mapData.seed || 0, 'hazards');
+    const blocked = this.getHazardBlockedTiles(mapData);
+    const scale = (mapData.width * mapData.height) / 10000;
+    const roll = ([min, max]) => Math.round((min + Math.floor(random() * (max - min + 1))) * scale);
+
+    // 危険地帯
+    const pools = mapData.type === 'field' ? getBiome(mapData.biome).hazards : settings.pools;
+    if (pools && pools.length > 0) {
+      const candidates = this.findHazardPoolCandidates(mapData, blocked);
+      const poolCount = roll(settings.poolCount);
+
+      for (let i = 0; i < poolCount && candidates.length > 0; i++) {
+        const kind = pools[Math.floor(random() * pools.length)];
+        const size = settings.poolSize[0] + Math.floor(random() * (settings.poolSize[1] - settings.poolSize[0] + 1));
+        const seed = candidates[Math.floor(random() * candidates.length)];
+        this.growHazardPool(mapData, result.hazardKinds, blocked, seed, kind, size, random);
+      }
+    }
+
+    // 罠（危険地帯の上には置かない）
+    const trapTiles = this.findTrapCandidates(mapData, blocked, result.hazardKinds);
+    const spikeCount = roll(settings.spikes);
+    const arrowCount = roll(settings.arrows);
+
+    for (let i = 0; i < arrowCount; i++) {
+      const trap = this.pickArrowTrap(mapData, trapTiles, result.traps, random);
+      if (trap) result.traps.push(trap);
+    }
+    for (let i = 0; i < spikeCount; i++) {
+      const tile = this.pickTrapTile(trapTiles, result.traps, random);
+      if (tile) result.traps.push({ x: tile.x, y: tile.y, kind: 'spikes' });
+    }
+
+    return result;
+  }
+
+  /**
+   * 危険地帯や罠を置けないタイル
+   * 開始位置と階段の周り・敵・NPC・扉・鍵のタイルと、ヴォルトの中
+   * @param {Object} mapData - マップデータ
+   * @returns {Set<number>} タイルのインデックス（x * height + y）
+   */
+  getHazardBlockedTiles(mapData) {
+    const { width, height } = mapData;
+    const blocked = this.getReservedLayoutTiles(mapData);
+
+    for (const tile of [...(mapData.doors || []), ...(mapData.keys || [])]) {
+      blocked.add(tile.x * height + tile.y);
+    }
+
+    const safeCenters = [mapData.spawn, mapData.stairs && mapData.stairs.up, mapData.stairs && mapData.stairs.down]
+      .filter(Boolean);
+    for (const center of safeCenters) {
+      for (let dx = -SAFE_RADIUS; dx <= SAFE_RADIUS; dx++) {
+        const range = SAFE_RADIUS - Math.abs(dx);
+        for (let dy = -range; dy <= range; dy++) {
+          const x = center.x + dx;
+          const y = center.y + dy;
+          if (x >= 0 && x < width && y >= 0 && y < height) blocked.add(x * height + y);
+        }
+      }
+    }
+
+    for (const room of (mapData.rooms || []).filter(room => room.vault)) {
+      for (let x = room.x; x < room.x + room.width; x++) {
+        for (let y = room.y; y < room.y + room.height; y++) {
+          blocked.add(x * height + y);
+        }
+      }
+    }
+
+    return blocked;
+  }
+
+  /**
+   * 危険地帯を置けるタイルかどうか
+   * @param {Object} mapData - マップデータ
+   * @param {Set<number>} blocked - 置けないタイル
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {boolean} 置ければtrue
+   */
+  canPlaceHazard(mapData, blocked, x, y) {
+    return this.isLayoutTileWalkable(mapData, x, y) && !blocked.has(x * mapData.height + y);
+  }
+
+  /**
+   * 危険地帯の中心にするタイルの候補
+   * フィールドは水辺（水や溶岩に接するタイル）を、ダンジョンは部屋の中を優先する
+   * @param {Object} mapData - マップデータ
+   * @param {Set<number>} blocked - 置けないタイル
+   * @returns {Array<{x: number, y: number}>} タイル座標
+   */
+  findHazardPoolCandidates(mapData, blocked) {
+    const { width, height, heightMap } = mapData;
+    const rooms = (mapData.rooms || []).filter(room => !room.vault);
+    const all = [];
+    const preferred = [];
+
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        if (!this.canPlaceHazard(mapData, blocked, x, y)) continue;
+        all.push({ x, y });
+
+        if (mapData.type === 'field') {
+          const isShore = DIRECTIONS.some(([dx, dy]) => {
+            const nx = x + dx;
+            const ny = y + dy;
+            return nx >= 0 && nx < width && ny >= 0 && ny < height && heightMap[nx][ny] < 0.3;
+          });
+          if (isShore) preferred.push({ x, y });
+        } else if (mapData.type === 'dungeon' && rooms.some(room => this.isInsideRoom(room, x, y))) {
+          preferred.push({ x, y });
+        }
+      }
+    }
+
+    return preferred.length > 0 ? preferred : all;
+  }
+
+  /**
+   * 中心から隣接するタイルへ広げて危険地帯を作る
+   * @param {Object} mapData - マップデータ
+   * @param {Object} hazardKinds - 危険地帯（"x,y" をキーに種類、このメソッドで追加する）
+   * @param {Set<number>} blocked - 置けないタイル
+   * @param {{x: number, y: number}} seed - 中心のタイル
+   * @param {string} kind - 危険地帯の種類
+   * @param {number} size - 大きさ（タイル数）
+   * @param {function} random - 乱数関数
+   */
+  growHazardPool(mapData, hazardKinds, blocked, seed, kind, size, random) {
+    const frontier = [seed];
+    let placed = 0;
+
+    while (frontier.length > 0 && placed < size) {
+      const [tile] = frontier.splice(Math.floor(random() * frontier.length), 1);
+      const key = `${tile.x},${tile.y}`;
+      if (hazardKinds[key] || !this.canPlaceHazard(mapData, blocked, tile.x, tile.y)) continue;
+
+      hazardKinds[key] = kind;
+      placed++;
+
+      for (const [dx, dy] of DIRECTIONS) {
+        frontier.push({ x: tile.x + dx, y: tile.y + dy });
+      }
+    }
+  }
+
+  /**
+   * 罠を置けるタイルの候補
+   * ダンジョンは通路（部屋の外）だけ、それ以外は移動できるタイルすべて
+   * @param {Object} mapData - マップデータ
+   * @param {Set<number>} blocked - 置けないタイル
+   * @param {Object} hazardKinds - 危険地帯
+   * @returns {Array<{x: number, y: number}>} タイル座標
+   */
+  findTrapCandidates(mapData, blocked, hazardKinds) {
+    const { width, height } = mapData;
+    const rooms = mapData.rooms || [];
+    const tiles = [];
+
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        if (!this.canPlaceHazard(mapData, blocked, x, y) || hazardKinds[`${x},${y}`]) continue;
+        if (mapData.type === 'dungeon' && rooms.some(room => this.isInsideRoom(room, x, y))) continue;
+        tiles.push({ x, y });
+      }
+    }
+
+    return tiles;
+  }
+
+  /**
+   * 他の罠から離れた罠のタイルを選ぶ
+   * @param {Array<{x: number, y: number}>} candidates - 候補のタイル
+   * @param {Array<Object>} traps - 置いた罠
+   * @param {function} random - 乱数関数
+   * @returns {?{x: number, y: number}} タイル座標（見つからなければnull）
+   */
+  pickTrapTile(candidates, traps, random) {
+    if (candidates.length === 0) return null;
+
+    for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+      const tile = candidates[Math.floor(random() * candidates.length)];
+      const isSpaced = traps.every(trap => Math.abs(trap.x - tile.x) + Math.abs(trap.y - tile.y) >= TRAP_SPACING);
+      if (isSpaced) return tile;
+    }
+
+    return null;
+  }
+
+  /**
+   * 矢の罠（感圧板と発射口）を選ぶ
+   * 感圧板からまっすぐ移動できるタイルをたどり、最初に突き当たった壁を発射口にする
+   * @param {Object} mapData - マップデータ
+   * @param {Array<{x: number, y: number}>} candidates - 感圧板の候補のタイル
+   * @param {Array<Object>} traps - 置いた罠
+   * @param {function} random - 乱数関数
+   * @returns {?Object} 罠（{ x, y, kind: 'arrow', launcher: {x, y}, direction: {dx, dy} }、見つからなければnull）
+   */
+  pickArrowTrap(mapData, candidates, traps, random) {
+    const { range } = TRAP_KINDS.arrow;
+
+    for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+      const tile = this.pickTrapTile(candidates, traps, random);
+      if (!tile) return null;
+
+      const start = Math.floor(random() * DIRECTIONS.length);
+      for (let i = 0; i < DIRECTIONS.length; i++) {
+        const [dx, dy] = DIRECTIONS[(start + i) % DIRECTIONS.length];
+
+        let distance = 1;
+        while (distance <= range && this.isLayoutTileWalkable(mapData, tile.x + dx * distance, tile.y + dy * distance)) {
+          distance++;
+        }
+
+        const launcher = { x: tile.x + dx * distance, y: tile.y + dy * distance };
+        const hitsWall = launcher.x >= 0 && launcher.x < mapData.width && launcher.y >= 0 && launcher.y < mapData.height &&
+          mapData.objectPlacement[launcher.x][launcher.y] === 4;
+
+        if (hitsWall && distance >= ARROW_MIN_RANGE && distance <= range) {
+          // 矢は発射口から感圧板の方向へ飛ぶ
+          return { x: tile.x, y: tile.y, kind: 'arrow', launcher, direction: { dx: -dx, dy: -dy } };
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+// MapGeneratorクラスにミックスイン
+Object.assign(MapGenerator.prototype, {
+  placeHazards: HazardGenerator.prototype.placeHazards,
+  getHazardBlockedTiles: HazardGenerator.prototype.getHazardBlockedTiles,
+  canPlaceHazard: HazardGenerator.prototype.canPlaceHazard,
+  findHazardPoolCandidates: HazardGenerator.prototype.findHazardPoolCandidates,
+  growHazardPool: HazardGenerator.prototype.growHazardPool,
+  findTrapCandidates: HazardGenerator.prototype.findTrapCandidates,
+  pickTrapTile: HazardGenerator.prototype.pickTrapTile,
+  pickArrowTrap: HazardGenerator.prototype.pickArrowTrap
+});
+
+export default MapGenerator;
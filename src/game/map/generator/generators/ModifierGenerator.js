@@ -0,0 +1,89 @@
+import MapGenerator from '../MapGenerator';
+import { MAP_MODIFIERS, MODIFIER_MAP_TYPES, MODIFIER_SETTINGS, getMapModifierEffects } from '../MapModifiers';
+import { forkRandom } from '../../../../utils/seededRandom';
+
+// エリートの群れの大きさ（体数）の範囲
+const ELITE_PACK_SIZE = [3, 5];
+
+/**
+ * MapGeneratorのフロアの変性（マップモディファイア）の機能の拡張
+ * 変性は難易度に応じた数と強さで、マップのシードから分けた乱数で決めるため、
+ * 変性の付き方が変わっても地形や他の配置物は変わらない（エリートの群れが増える変性を除く）
+ */
+class ModifierGenerator extends MapGenerator {
+  /**
+   * フロアの変性を決める
+   * 危険な変性を難易度の数だけ選び、報酬だけの変性はそれぞれ確率で付ける
+   * @param {string} mapType - マップタイプ
+   * @param {number} mapSeed - マップのシード
+   * @returns {Array<{kind: string, scale: number}>} 変性（種類と強さ、町とアリーナは空）
+   */
+  rollMapModifiers(mapType, mapSeed) {
+    if (!MODIFIER_MAP_TYPES.includes(mapType)) return [];
+
+    const settings = MODIFIER_SETTINGS[this.options.difficultyLevel] || MODIFIER_SETTINGS.normal;
+    const random = forkRandom(mapSeed, 'modifiers');
+    const kinds = Object.keys(MAP_MODIFIERS);
+    const risky = kinds.filter(kind => MAP_MODIFIERS[kind].risk > 0);
+    const rewards = kinds.filter(kind => MAP_MODIFIERS[kind].risk === 0);
+
+    const count = settings.min + Math.floor(random() * (settings.max - settings.min + 1));
+    const chosen = [];
+    for (let i = 0; i < count && risky.length > 0; i++) {
+      chosen.push(risky.splice(Math.floor(random() * risky.length), 1)[0]);
+    }
+    for (const kind of rewards) {
+      if (random() < settings.rewardChance) chosen.push(kind);
+    }
+
+    return chosen.map(kind => ({ kind, scale: settings.scale }));
+  }
+
+  /**
+   * 変性で増えるエリートの群れを配置する
+   * @param {string} difficultyLevel - 難易度
+   * @param {Array} candidatePositions - 配置候補位置（配置した位置は取り除く）
+   */
+  placeElitePacks(difficultyLevel, candidatePositions) {
+    const packCount = getMapModifierEffects(this.modifiers).elitePacks;
+    const [minSize, maxSize] = ELITE_PACK_SIZE;
+
+    // 通常の群れと区別できるようグループIDを続きから振る
+    let groupId = this.enemyPlacement.reduce((max, enemy) => Math.max(max, enemy.groupId === undefined ? -1 : enemy.groupId), -1) + 1;
+
+    for (let pack = 0; pack < packCount; pack++, groupId++) {
+      if (candidatePositions.length === 0) break;
+
+      const center = candidatePositions.splice(Math.floor(this.rng() * candidatePositions.length), 1)[0];
+      const packSize = minSize + Math.floor(this.rng() * (maxSize - minSize + 1));
+
+      for (let i = 0; i < packSize; i++) {
+        // 群れの中心から近い位置（中心を含む）
+        const radius = i === 0 ? 0 : 1 + Math.floor(this.rng() * 2);
+        const angle = this.rng() * Math.PI * 2;
+        const x = Math.floor(center.x + Math.cos(angle) * radius);
+        const y = Math.floor(center.y + Math.sin(angle) * radius);
+
+        const posIndex = candidatePositions.findIndex(p => p.x === x && p.y === y);
+        if (i > 0 && posIndex === -1) continue;
+        if (posIndex !== -1) candidatePositions.splice(posIndex, 1);
+
+        this.enemyPlacement.push({
+          x,
+          y,
+          type: 'elite',
+          level: this.determineEnemyLevel(difficultyLevel, 'elite'),
+          groupId
+        });
+      }
+    }
+  }
+}
+
+// MapGeneratorクラスにミックスイン
+Object.assign(MapGenerator.prototype, {
+  rollMapModifiers: ModifierGenerator.prototype.rollMapModifiers,
+  placeElitePacks: ModifierGenerator.prototype.placeElitePacks
+});
+
+export default MapGenerator;
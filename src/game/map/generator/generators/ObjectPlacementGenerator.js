@@ -36,14 +36,20 @@ class ObjectPlacementGenerator extends MapGenerator {
         adjustedChestDensity *= 0.1;
         adjustedObstacleDensity *= 0.2;
         break;
+      case 'cave':
+        // 洞窟は鍾乳石や水晶が多め、宝箱もやや多め
+        adjustedChestDensity *= 1.2;
+        adjustedObstacleDensity *= 1.5;
+        break;
     }
     
     // マップを走査してオブジェクトを配置（壁以外）
     for (let x = 0; x < width; x++) {
       for (let y = 0; y < height; y++) {
         // 移動可能なスペースのみにオブジェクトを配置
-        // 高さが0.3未満（水や溶岩）の場所や壁(4)にはオブジェクトを配置しない
-        if (this.objectPlacement[x][y] === 0 && this.heightMap[x][y] >= 0.3) {
+        // 高さが0.3未満（水や溶岩）の場所や壁(4)、ヴォルトの中と入口の前、町の建物・道路・広場にはオブジェクトを配置しない
+        if (this.objectPlacement[x][y] === 0 && this.heightMap[x][y] >= 0.3 &&
+            !this.isVaultReserved(x, y) && !this.isTownReserved(x, y)) {
           // 宝箱を配置
           if (this.rng() < adjustedChestDensity) {
             this.objectPlacement[x][y] = 2; // 宝箱
@@ -76,20 +82,28 @@ class ObjectPlacementGenerator extends MapGenerator {
     // マップタイプに応じて調整
     switch (mapType) {
       case 'dungeon':
-        // ダンジョンの障害物（落石、破壊された柱など）
+        // ダンジョンの障害物（木箱、攻撃で壊して通れる）
         this.heightMap[x][y] = Math.max(0.4, this.heightMap[x][y]); // 障害物は壁より低め
+        this.obstacleKinds[`${x},${y}`] = 'crate';
         break;
       case 'field':
-        // フィールドの障害物（岩、低木など）
+        // フィールドの障害物（岩、低木など、見た目はバイオームで変わる）
         this.heightMap[x][y] = Math.max(0.4, this.heightMap[x][y]);
+        this.assignBiomeObstacleKind(x, y);
         break;
       case 'arena':
         // アリーナの障害物（壊れた武器、盾など）
         this.heightMap[x][y] = Math.max(0.35, this.heightMap[x][y]); // 低めの障害物
         break;
       case 'town':
-        // 町の障害物（樽、荷車など）
+        // 町の障害物（木箱など）
         this.heightMap[x][y] = Math.max(0.4, this.heightMap[x][y]);
+        this.obstacleKinds[`${x},${y}`] = 'crate';
+        break;
+      case 'cave':
+        // 洞窟の障害物（石筍、水晶）
+        this.heightMap[x][y] = Math.max(0.45, this.heightMap[x][y]);
+        this.obstacleKinds[`${x},${y}`] = this.rng() < 0.3 ? 'crystal' : 'stalagmite';
         break;
     }
     
@@ -0,0 +1,128 @@
+import MapGenerator from '../MapGenerator';
+
+// 上下左右の4方向（移動は4近傍で判定する）
+const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * MapGeneratorの階段配置機能の拡張
+ * 上り階段は開始位置に、下り階段は開始位置から歩いて最も遠いタイルに置く
+ * 乱数を使わないため、階段の有無が変わっても他の配置物は変わらない
+ */
+class StairsGenerator extends MapGenerator {
+  /**
+   * 階段の位置を決める
+   * 生成済みのマップデータにも使えるよう、配置はマップデータから計算する
+   * （階段のない古いセーブのレイアウトに後から追加する場合など）
+   * @param {Object} mapData - マップデータ（width, height, heightMap, objectPlacement, enemyPlacement, npcPlacement, spawn）
+   * @param {Object} options - { up: 上り階段を置くか, down: 下り階段を置くか }
+   * @returns {{up: ?{x: number, y: number}, down: ?{x: number, y: number}}} 階段のタイル座標（置かない場合はnull）
+   */
+  placeStairs(mapData, { up = true, down = true } = {}) {
+    const stairs = { up: null, down: null };
+    if (!up && !down) return stairs;
+
+    const origin = this.findStairsOrigin(mapData);
+    if (!origin) {
+      console.warn('No walkable tile found, stairs were not placed');
+      return stairs;
+    }
+
+    if (up) {
+      stairs.up = { x: origin.x, y: origin.y };
+    }
+
+    if (down) {
+      stairs.down = this.findFarthestFreeTile(mapData, origin);
+    }
+
+    return stairs;
+  }
+
+  /**
+   * マップデータのタイルが移動可能かどうか（TopDownMap.isWalkableAt と同じ判定）
+   * @param {Object} mapData - マップデータ
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {boolean} 移動可能ならtrue
+   */
+  isLayoutTileWalkable(mapData, x, y) {
+    if (x < 0 || x >= mapData.width || y < 0 || y >= mapData.height) return false;
+    return mapData.objectPlacement[x][y] === 0 && mapData.heightMap[x][y] >= 0.3;
+  }
+
+  /**
+   * 階段配置の基準位置を取得
+   * 開始位置があればそこを、なければ最初に見つかった移動可能なタイルを使う
+   * @param {Object} mapData - マップデータ
+   * @returns {?{x: number, y: number}} タイル座標
+   */
+  findStairsOrigin(mapData) {
+    const { spawn } = mapData;
+    if (spawn && this.isLayoutTileWalkable(mapData, spawn.x, spawn.y)) {
+      return spawn;
+    }
+
+    for (let x = 0; x < mapData.width; x++) {
+      for (let y = 0; y < mapData.height; y++) {
+        if (this.isLayoutTileWalkable(mapData, x, y)) {
+          return { x, y };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 基準位置から歩いて最も遠い、敵やNPCのいないタイルを探す
+   * @param {Object} mapData - マップデータ
+   * @param {{x: number, y: number}} origin - 基準位置
+   * @returns {?{x: number, y: number}} タイル座標（見つからなければnull）
+   */
+  findFarthestFreeTile(mapData, origin) {
+    const { width, height } = mapData;
+    const occupied = new Set(
+      [...(mapData.enemyPlacement || []), ...(mapData.npcPlacement || [])]
+        .map(entity => entity.x * height + entity.y)
+    );
+
+    const distances = new Int32Array(width * height).fill(-1);
+    const queue = [origin.x * height + origin.y];
+    distances[queue[0]] = 0;
+
+    let farthest = null;
+    let farthestDistance = 0;
+
+    for (let head = 0; head < queue.length; head++) {
+      const index = queue[head];
+      const x = Math.floor(index / height);
+      const y = index % height;
+
+      if (distances[index] > farthestDistance && !occupied.has(index)) {
+        farthest = { x, y };
+        farthestDistance = distances[index];
+      }
+
+      for (const [dx, dy] of DIRECTIONS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        const next = nx * height + ny;
+        if (!this.isLayoutTileWalkable(mapData, nx, ny) || distances[next] !== -1) continue;
+        distances[next] = distances[index] + 1;
+        queue.push(next);
+      }
+    }
+
+    return farthest;
+  }
+}
+
+// MapGeneratorクラスにミックスイン
+Object.assign(MapGenerator.prototype, {
+  placeStairs: StairsGenerator.prototype.placeStairs,
+  isLayoutTileWalkable: StairsGenerator.prototype.isLayoutTileWalkable,
+  findStairsOrigin: StairsGenerator.prototype.findStairsOrigin,
+  findFarthestFreeTile: StairsGenerator.prototype.findFarthestFreeTile
+});
+
+export default MapGenerator;
@@ -1,15 +1,60 @@
 import MapGenerator from '../MapGenerator';
 
+// 上下左右の4方向
+const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// 町に必ず建てる施設（npcType: 施設の主人の NPCType のキー、wallKind: 建物の壁の見た目）
+const TOWN_SERVICES = [
+  { kind: 'smithy', name: '鍛冶屋', npcType: 'blacksmith', wallKind: 'stone', minSize: 7, maxSize: 9 },
+  { kind: 'alchemist', name: '錬金術師の店', npcType: 'alchemist', wallKind: 'brick', minSize: 6, maxSize: 8 },
+  { kind: 'inn', name: '宿屋', npcType: 'innkeeper', wallKind: 'wood', minSize: 8, maxSize: 10 },
+  { kind: 'general_store', name: '雑貨屋', npcType: 'merchant', wallKind: 'brick', minSize: 6, maxSize: 8 }
+];
+
+// 民家（施設のまわりの住宅街に建てる）
+const TOWN_HOUSE = { kind: 'house', name: '民家', npcType: null, wallKind: 'wood', minSize: 6, maxSize: 8 };
+
+// 地区ごとの、町の中心からの距離（町の半径に対する割合）
+const TOWN_DISTRICTS = {
+  market: { minDistance: 0.38, maxDistance: 0.65 },
+  residential: { minDistance: 0.6, maxDistance: 0.9 }
+};
+
+// 町の半径（マップの短辺に対する割合、外壁は TOWN_WALL_RATIO の位置）
+const TOWN_RADIUS_RATIO = 0.4;
+const TOWN_WALL_RATIO = 0.45;
+
+// 広場の半分の大きさ（マップの短辺に対する割合と最小値）
+const TOWN_SQUARE_RATIO = 0.08;
+const TOWN_SQUARE_MIN_HALF = 5;
+
+// 建物の家具（壁ぞいに置く）の確率
+const FURNITURE_CHANCE = 0.35;
+
+// 建物どうし・広場との間にあける幅（道路を通すため）
+const BUILDING_GAP = 2;
+
+// 1つの建物を置く位置を探す試行回数（半分を過ぎたら地区にこだわらない）
+const BUILDING_LOT_ATTEMPTS = 60;
+
+// townMask の値（0: 何もない町の土地）
+const TOWN_BUILDING = 1; // 建物の壁・床・扉
+const TOWN_DOORWAY = 2; // 入口の前
+const TOWN_ROAD = 3;
+const TOWN_SQUARE = 4;
+
 /**
  * MapGeneratorの町生成機能の拡張
+ * 中央の広場（ウェイポイントと依頼の掲示板）のまわりに施設（鍛冶屋・錬金術師の店・宿屋・雑貨屋）の並ぶ市場、
+ * その外側に民家の並ぶ住宅街を置き、すべての建物の入口と外壁の門を道路で広場とつなぐ
+ * 建物・入口・道路・広場のタイルは townMask に記録し、以降のランダムな配置では使わない
  */
 class TownMapGenerator extends MapGenerator {
   /**
    * 町マップを生成（NPC、ショップなど）
    */
   generateTownMap() {
-    const { width, height, noiseScale, wallDensity } = this.options;
-    const adjustedWallDensity = wallDensity * 1.5; // 町は建物が多いので壁密度高め
+    const { width, height, noiseScale } = this.options;
     
     // 基本的な地形を生成（平坦な地形、最初はすべて床）
     for (let x = 0; x < width; x++) {
@@ -26,219 +71,428 @@ class TownMapGenerator extends MapGenerator {
     // 町の中心点を決定
     const centerX = Math.floor(width / 2);
     const centerY = Math.floor(height / 2);
+    this.townMask = new Uint8Array(width * height);
     
-    // 町の建物を生成（壁の配置を含む）
-    this.generateTownBuildings(centerX, centerY, adjustedWallDensity);
+    // 中央の広場（ウェイポイントと掲示板）を生成
+    this.generateTownSquare(centerX, centerY);
     
-    // 町の道路を生成
-    this.generateTownRoads(centerX, centerY);
+    // 町の建物を生成（壁の配置を含む）
+    this.generateTownBuildings(centerX, centerY);
     
     // 町の周囲に壁を生成
     this.generateTownWalls(centerX, centerY);
     
-    // 町の装飾（噴水、ベンチなど）を追加
+    // 建物の入口と門から広場へ道路を生成
+    this.generateTownRoads(centerX, centerY);
+    
+    // 町の装飾（ベンチなど）を追加
     this.addTownDecorations(centerX, centerY);
   }
 
   /**
-   * 町の建物を生成
+   * 町の区画を記録する
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @param {number} role - townMask の値
+   */
+  setTownTile(x, y, role) {
+    this.townMask[x * this.options.height + y] = role;
+  }
+
+  /**
+   * 町の区画を取得する
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {number} townMask の値（町でなければ0）
+   */
+  getTownTile(x, y) {
+    return this.townMask ? this.townMask[x * this.options.height + y] : 0;
+  }
+
+  /**
+   * 建物・入口・道路・広場のタイルかどうか
+   * 宝箱・障害物・敵を置いてはいけないタイルの判定に使う
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {boolean} 町の区画として使っていればtrue
+   */
+  isTownReserved(x, y) {
+    return this.getTownTile(x, y) !== 0;
+  }
+
+  /**
+   * 指定された座標が建物内（壁・床・扉）かどうかをチェック
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {boolean} 建物内かどうか
+   */
+  isInsideBuilding(x, y) {
+    return this.getTownTile(x, y) === TOWN_BUILDING;
+  }
+
+  /**
+   * 石畳（道路・広場）のタイルにする
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @param {number} role - townMask の値
+   */
+  paveTownTile(x, y, role) {
+    this.objectPlacement[x][y] = 0;
+    this.heightMap[x][y] = 0.4;
+    this.floorKinds[`${x},${y}`] = 'stone';
+    delete this.obstacleKinds[`${x},${y}`];
+    this.setTownTile(x, y, role);
+  }
+
+  /**
+   * 中央の広場を生成する
+   * 中心に噴水、左右にウェイポイントと依頼の掲示板を置き、噴水の手前を町の開始位置にする
    * @param {number} centerX - 町の中心X座標
    * @param {number} centerY - 町の中心Y座標
-   * @param {number} wallDensity - 壁の密度
    */
-  generateTownBuildings(centerX, centerY, wallDensity) {
+  generateTownSquare(centerX, centerY) {
     const { width, height } = this.options;
+    const half = Math.max(TOWN_SQUARE_MIN_HALF, Math.floor(Math.min(width, height) * TOWN_SQUARE_RATIO));
+    const left = Math.max(0, centerX - half);
+    const top = Math.max(0, centerY - half);
+    const right = Math.min(width - 1, centerX + half);
+    const bottom = Math.min(height - 1, centerY + half);
     
-    // 建物の数
-    const buildingCount = Math.floor(5 + this.rng() * 10);
+    for (let x = left; x <= right; x++) {
+      for (let y = top; y <= bottom; y++) {
+        this.paveTownTile(x, y, TOWN_SQUARE);
+      }
+    }
+    
+    // 中央の噴水（3x3の障害物）
+    for (let x = centerX - 1; x <= centerX + 1; x++) {
+      for (let y = centerY - 1; y <= centerY + 1; y++) {
+        this.objectPlacement[x][y] = 3;
+        this.heightMap[x][y] = x === centerX && y === centerY ? 0.8 : 0.6;
+      }
+    }
+    
+    // ウェイポイントと掲示板（噴水から少し離して置く）
+    const offset = Math.max(3, Math.floor(half * 0.6));
+    const waypoint = { x: centerX - offset, y: centerY };
+    const questBoard = { x: centerX + offset, y: centerY };
+    
+    for (const [landmark, kind] of [[waypoint, 'waypoint'], [questBoard, 'quest_board']]) {
+      this.objectPlacement[landmark.x][landmark.y] = 3;
+      this.heightMap[landmark.x][landmark.y] = 0.6;
+      this.obstacleKinds[`${landmark.x},${landmark.y}`] = kind;
+    }
     
-    // 建物のサイズ範囲
-    const minBuildingSize = 5;
-    const maxBuildingSize = 10;
+    this.townSquare = {
+      x: left,
+      y: top,
+      width: right - left + 1,
+      height: bottom - top + 1,
+      center: { x: centerX, y: centerY },
+      waypoint,
+      questBoard,
+      questGiver: { x: questBoard.x, y: questBoard.y + 1 }, // 依頼人は掲示板の前に立つ
+      spawn: { x: centerX, y: centerY + offset }
+    };
+  }
+
+  /**
+   * 町の建物を生成
+   * 施設は広場のまわりの市場に、民家はその外側の住宅街に建て、部屋（this.rooms）として記録する
+   * @param {number} centerX - 町の中心X座標
+   * @param {number} centerY - 町の中心Y座標
+   */
+  generateTownBuildings(centerX, centerY) {
+    const { width, height } = this.options;
     
     // 町の大きさ（中心からの最大距離）
-    const townRadius = Math.min(width, height) * 0.4;
+    const townRadius = Math.min(width, height) * TOWN_RADIUS_RATIO;
     
-    // 建物を配置
-    for (let i = 0; i < buildingCount; i++) {
-      // ランダムな角度と距離
-      const angle = this.rng() * Math.PI * 2;
-      const distance = townRadius * (0.2 + this.rng() * 0.7); // 中心から20%～90%の位置
-      
-      // 建物の中心位置
-      const buildingCenterX = Math.floor(centerX + Math.cos(angle) * distance);
-      const buildingCenterY = Math.floor(centerY + Math.sin(angle) * distance);
-      
-      // 建物のサイズ
-      const buildingWidth = minBuildingSize + Math.floor(this.rng() * (maxBuildingSize - minBuildingSize));
-      const buildingHeight = minBuildingSize + Math.floor(this.rng() * (maxBuildingSize - minBuildingSize));
-      
-      // 建物の左上隅
-      const buildingX = buildingCenterX - Math.floor(buildingWidth / 2);
-      const buildingY = buildingCenterY - Math.floor(buildingHeight / 2);
-      
-      // 建物を配置
-      for (let x = buildingX; x < buildingX + buildingWidth; x++) {
-        for (let y = buildingY; y < buildingY + buildingHeight; y++) {
-          if (x >= 0 && x < width && y >= 0 && y < height) {
-            // 建物の壁（外周）
-            if (x === buildingX || x === buildingX + buildingWidth - 1 || 
-                y === buildingY || y === buildingY + buildingHeight - 1) {
-              this.objectPlacement[x][y] = 4; // 壁
-              this.heightMap[x][y] = 0.7;
-            } else {
-              // 建物の内部（床）
-              this.objectPlacement[x][y] = 0; // 移動可能
-              this.heightMap[x][y] = 0.5;
-              
-              // 建物内部にランダムに家具などを配置
-              if (this.rng() < wallDensity * 0.3) {
-                this.objectPlacement[x][y] = 3; // 障害物（家具）
-                this.heightMap[x][y] = 0.55;
-              }
-            }
-          }
+    // 施設は必ず建て、民家の数はランダム
+    const houseCount = 4 + Math.floor(this.rng() * 6);
+    const plans = [
+      ...TOWN_SERVICES.map(service => ({ ...service, district: 'market' })),
+      ...Array.from({ length: houseCount }, () => ({ ...TOWN_HOUSE, district: 'residential' }))
+    ];
+    
+    for (const plan of plans) {
+      const lot = this.findBuildingLot(plan, centerX, centerY, townRadius);
+      if (!lot) {
+        if (plan.npcType) {
+          console.warn(`No space for ${plan.kind} in town`);
         }
+        continue;
       }
       
-      // 建物にドア（入口）を追加
-      const doorSide = Math.floor(this.rng() * 4); // 0:上, 1:右, 2:下, 3:左
-      let doorX, doorY;
+      this.rooms.push(this.buildTownBuilding(plan, lot, centerX, centerY));
+    }
+  }
+
+  /**
+   * 建物を建てる区画を探す
+   * 最初は建物の地区の中から、見つからなければ市場と住宅街のどこかから探す
+   * @param {Object} plan - 建物の種類（TOWN_SERVICES または TOWN_HOUSE と地区）
+   * @param {number} centerX - 町の中心X座標
+   * @param {number} centerY - 町の中心Y座標
+   * @param {number} townRadius - 町の半径
+   * @returns {?{x: number, y: number, width: number, height: number}} 区画（左上と大きさ、見つからなければnull）
+   */
+  findBuildingLot(plan, centerX, centerY, townRadius) {
+    const anywhere = {
+      minDistance: TOWN_DISTRICTS.market.minDistance,
+      maxDistance: TOWN_DISTRICTS.residential.maxDistance
+    };
+    
+    for (let attempt = 0; attempt < BUILDING_LOT_ATTEMPTS; attempt++) {
+      const district = attempt < BUILDING_LOT_ATTEMPTS / 2 ? TOWN_DISTRICTS[plan.district] : anywhere;
+      const angle = this.rng() * Math.PI * 2;
+      const distance = townRadius * (district.minDistance + this.rng() * (district.maxDistance - district.minDistance));
       
-      switch (doorSide) {
-        case 0: // 上側
-          doorX = buildingX + Math.floor(buildingWidth / 2);
-          doorY = buildingY;
-          break;
-        case 1: // 右側
-          doorX = buildingX + buildingWidth - 1;
-          doorY = buildingY + Math.floor(buildingHeight / 2);
-          break;
-        case 2: // 下側
-          doorX = buildingX + Math.floor(buildingWidth / 2);
-          doorY = buildingY + buildingHeight - 1;
-          break;
-        case 3: // 左側
-          doorX = buildingX;
-          doorY = buildingY + Math.floor(buildingHeight / 2);
-          break;
-      }
+      const buildingWidth = plan.minSize + Math.floor(this.rng() * (plan.maxSize - plan.minSize + 1));
+      const buildingHeight = plan.minSize + Math.floor(this.rng() * (plan.maxSize - plan.minSize + 1));
+      const buildingX = Math.round(centerX + Math.cos(angle) * distance - buildingWidth / 2);
+      const buildingY = Math.round(centerY + Math.sin(angle) * distance - buildingHeight / 2);
       
-      // ドアを設置（移動可能）
-      if (doorX >= 0 && doorX < width && doorY >= 0 && doorY < height) {
-        this.objectPlacement[doorX][doorY] = 0;
-        this.heightMap[doorX][doorY] = 0.5;
-        
-        // ドアの位置を記録（NPC配置用）
-        if (i < 3) { // 最初の数棟をショップにする
-          this.rooms.push({
-            x: buildingCenterX,
-            y: buildingCenterY,
-            width: buildingWidth,
-            height: buildingHeight,
-            doorX: doorX,
-            doorY: doorY,
-            isShop: true
-          });
-        } else {
-          this.rooms.push({
-            x: buildingCenterX,
-            y: buildingCenterY,
-            width: buildingWidth,
-            height: buildingHeight,
-            doorX: doorX,
-            doorY: doorY,
-            isShop: false
-          });
-        }
+      if (this.isBuildingLotFree(buildingX, buildingY, buildingWidth, buildingHeight, centerX, centerY, townRadius)) {
+        return { x: buildingX, y: buildingY, width: buildingWidth, height: buildingHeight };
       }
     }
+    
+    return null;
   }
 
   /**
-   * 町の道路を生成
+   * 区画に建物を建てられるかどうか
+   * 建物のまわり BUILDING_GAP マスまで町の区画として使っておらず、建物が町の中に収まれば建てられる
+   * @param {number} buildingX - 左端
+   * @param {number} buildingY - 上端
+   * @param {number} buildingWidth - 幅
+   * @param {number} buildingHeight - 高さ
    * @param {number} centerX - 町の中心X座標
    * @param {number} centerY - 町の中心Y座標
+   * @param {number} townRadius - 町の半径
+   * @returns {boolean} 建てられればtrue
    */
-  generateTownRoads(centerX, centerY) {
+  isBuildingLotFree(buildingX, buildingY, buildingWidth, buildingHeight, centerX, centerY, townRadius) {
     const { width, height } = this.options;
     
-    // 中央広場を作成
-    const plazaSize = Math.floor(Math.min(width, height) * 0.15);
+    for (let x = buildingX - BUILDING_GAP; x < buildingX + buildingWidth + BUILDING_GAP; x++) {
+      for (let y = buildingY - BUILDING_GAP; y < buildingY + buildingHeight + BUILDING_GAP; y++) {
+        if (x < 0 || x >= width || y < 0 || y >= height || this.isTownReserved(x, y)) {
+          return false;
+        }
+      }
+    }
     
-    for (let x = centerX - plazaSize; x <= centerX + plazaSize; x++) {
-      for (let y = centerY - plazaSize; y <= centerY + plazaSize; y++) {
-        if (x >= 0 && x < width && y >= 0 && y < height) {
-          const distFromCenter = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
-          
-          if (distFromCenter <= plazaSize) {
-            // 広場は移動可能
-            this.objectPlacement[x][y] = 0;
-            
-            // 広場の高さを設定
-            this.heightMap[x][y] = 0.4;
-          }
+    // 四隅が町の外壁より内側にあること
+    const right = buildingX + buildingWidth - 1;
+    const bottom = buildingY + buildingHeight - 1;
+    return [[buildingX, buildingY], [right, buildingY], [buildingX, bottom], [right, bottom]]
+      .every(([x, y]) => Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2) <= townRadius);
+  }
+
+  /**
+   * 建物を建てる
+   * 外周を壁、内側を床にし、広場に向いた辺の中央に入口を開け、内側の中央に主人の立つ位置を決める
+   * 家具は壁ぞいに置く（入口の前と主人のまわり、角の隣は通れるように空ける）
+   * @param {Object} plan - 建物の種類（TOWN_SERVICES または TOWN_HOUSE と地区）
+   * @param {Object} lot - 区画（左上と大きさ）
+   * @param {number} centerX - 町の中心X座標
+   * @param {number} centerY - 町の中心Y座標
+   * @returns {Object} 部屋 { x, y, width, height, kind, name, district, npcType, door, entrance, owner }
+   *   （door: 入口、entrance: 入口の前のタイル、owner: 主人や住人の立つ位置）
+   */
+  buildTownBuilding(plan, lot, centerX, centerY) {
+    const left = lot.x;
+    const top = lot.y;
+    const right = lot.x + lot.width - 1;
+    const bottom = lot.y + lot.height - 1;
+    
+    // 壁と床
+    for (let x = left; x <= right; x++) {
+      for (let y = top; y <= bottom; y++) {
+        const key = `${x},${y}`;
+        
+        if (x === left || x === right || y === top || y === bottom) {
+          this.objectPlacement[x][y] = 4; // 壁
+          this.heightMap[x][y] = 0.7;
+          this.wallKinds[key] = plan.wallKind;
+        } else {
+          this.objectPlacement[x][y] = 0; // 建物の床
+          this.heightMap[x][y] = 0.5;
+          this.floorKinds[key] = 'floor';
         }
+        
+        this.setTownTile(x, y, TOWN_BUILDING);
       }
     }
     
-    // 各建物から中央広場へ道路を伸ばす
-    for (const room of this.rooms) {
-      this.createRoad(room.doorX, room.doorY, centerX, centerY);
+    // 入口は広場に向いた辺の中央（step: 建物の外へ向かう向き）
+    const offsetX = centerX - (left + lot.width / 2);
+    const offsetY = centerY - (top + lot.height / 2);
+    let door, step;
+    
+    if (Math.abs(offsetX) > Math.abs(offsetY)) {
+      step = { x: Math.sign(offsetX), y: 0 };
+      door = { x: offsetX > 0 ? right : left, y: top + Math.floor(lot.height / 2) };
+    } else {
+      step = { x: 0, y: offsetY >= 0 ? 1 : -1 };
+      door = { x: left + Math.floor(lot.width / 2), y: offsetY >= 0 ? bottom : top };
     }
     
-    // 追加の道路を生成（建物同士を接続）
-    const extraRoadCount = Math.floor(this.rooms.length * 0.5);
-    for (let i = 0; i < extraRoadCount; i++) {
-      const roomA = this.rooms[Math.floor(this.rng() * this.rooms.length)];
-      const roomB = this.rooms[Math.floor(this.rng() * this.rooms.length)];
+    const entrance = { x: door.x + step.x, y: door.y + step.y };
+    const inside = { x: door.x - step.x, y: door.y - step.y };
+    
+    this.objectPlacement[door.x][door.y] = 0;
+    this.heightMap[door.x][door.y] = 0.5;
+    this.floorKinds[`${door.x},${door.y}`] = 'floor';
+    delete this.wallKinds[`${door.x},${door.y}`];
+    this.setTownTile(entrance.x, entrance.y, TOWN_DOORWAY);
+    
+    // 主人や住人は建物の中央に立つ
+    const owner = { x: left + Math.floor(lot.width / 2), y: top + Math.floor(lot.height / 2) };
+    
+    // 家具（内側の壁ぞいのタイルのうち、角の隣・入口の前・主人のまわりを除く）
+    const isNear = (x, y, tile) => Math.abs(x - tile.x) <= 1 && Math.abs(y - tile.y) <= 1;
+    
+    for (let x = left + 1; x < right; x++) {
+      for (let y = top + 1; y < bottom; y++) {
+        const alongX = x === left + 1 || x === right - 1;
+        const alongY = y === top + 1 || y === bottom - 1;
+        if (!alongX && !alongY) continue;
+        
+        // 角の隣を空けておけば、家具を置いても角が孤立しない
+        const isCorner = alongX && alongY;
+        const besideCorner = !isCorner && (
+          (alongX && (y === top + 2 || y === bottom - 2)) ||
+          (alongY && (x === left + 2 || x === right - 2))
+        );
+        if (besideCorner || isNear(x, y, inside) || isNear(x, y, owner)) continue;
+        
+        if (this.rng() < FURNITURE_CHANCE) {
+          this.objectPlacement[x][y] = 3; // 障害物（家具）
+          this.heightMap[x][y] = 0.55;
+          this.obstacleKinds[`${x},${y}`] = 'crate';
+        }
+      }
+    }
+    
+    return {
+      x: left,
+      y: top,
+      width: lot.width,
+      height: lot.height,
+      kind: plan.kind,
+      name: plan.name,
+      district: plan.district,
+      npcType: plan.npcType,
+      door,
+      entrance,
+      owner
+    };
+  }
+
+  /**
+   * 建物の入口と外壁の門から広場へ道路を生成
+   * 広場に近いものから順に、広場か先にできた道路までの最短の道を敷く
+   * @param {number} centerX - 町の中心X座標
+   * @param {number} centerY - 町の中心Y座標
+   */
+  generateTownRoads(centerX, centerY) {
+    const distanceToCenter = tile => Math.abs(tile.x - centerX) + Math.abs(tile.y - centerY);
+    
+    // 門からの大通りは3マス幅、建物からの道は1マス幅
+    const origins = [
+      ...this.rooms.map(room => ({ tile: room.entrance, name: room.name, halfWidth: 0 })),
+      ...this.townGates.map(gate => ({ tile: gate, name: '門', halfWidth: 1 }))
+    ].sort((a, b) => distanceToCenter(a.tile) - distanceToCenter(b.tile));
+    
+    for (const origin of origins) {
+      const path = this.findTownRoute(origin.tile);
+      if (!path) {
+        console.warn(`No road from ${origin.name} to the town square`);
+        continue;
+      }
       
-      if (roomA !== roomB) {
-        this.createRoad(roomA.doorX, roomA.doorY, roomB.doorX, roomB.doorY);
+      for (const tile of path) {
+        this.paveTownRoad(tile.x, tile.y, origin.halfWidth);
       }
     }
   }
 
   /**
-   * 町の道路を作成
-   * @param {number} startX - 開始X座標
-   * @param {number} startY - 開始Y座標
-   * @param {number} endX - 終了X座標
-   * @param {number} endY - 終了Y座標
+   * タイルから広場か道路までの最短の道を探す（建物と壁は通らない）
+   * @param {{x: number, y: number}} start - 開始タイル
+   * @returns {?Array<{x: number, y: number}>} 開始タイルから広場か道路の手前までのタイル（道がなければnull）
    */
-  createRoad(startX, startY, endX, endY) {
-    const points = this.getLinePoints(startX, startY, endX, endY);
-    const roadWidth = 1 + Math.floor(this.rng() * 2); // 道路の幅
+  findTownRoute(start) {
+    const { width, height } = this.options;
+    const isNetwork = index => this.townMask[index] === TOWN_ROAD || this.townMask[index] === TOWN_SQUARE;
+    const startIndex = start.x * height + start.y;
+    if (isNetwork(startIndex)) return [];
     
-    for (const point of points) {
-      const { x, y } = point;
+    const parent = new Int32Array(width * height).fill(-1);
+    parent[startIndex] = startIndex;
+    const queue = [startIndex];
+    
+    for (let head = 0; head < queue.length; head++) {
+      const index = queue[head];
+      const x = Math.floor(index / height);
+      const y = index % height;
       
-      // 道路の周辺を処理
-      for (let dx = -roadWidth; dx <= roadWidth; dx++) {
-        for (let dy = -roadWidth; dy <= roadWidth; dy++) {
-          const nx = x + dx;
-          const ny = y + dy;
-          
-          if (nx >= 0 && nx < this.options.width && ny >= 0 && ny < this.options.height) {
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            if (distance <= roadWidth) {
-              // 道路は移動可能（既存の壁は上書きしない）
-              if (this.objectPlacement[nx][ny] !== 4) {
-                this.objectPlacement[nx][ny] = 0;
-                
-                // 道路の高さを設定
-                this.heightMap[nx][ny] = 0.4 - (distance / roadWidth) * 0.05;
-              }
-            }
+      for (const [dx, dy] of DIRECTIONS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        
+        const next = nx * height + ny;
+        if (parent[next] !== -1) continue;
+        
+        if (isNetwork(next)) {
+          const path = [];
+          for (let tile = index; tile !== startIndex; tile = parent[tile]) {
+            path.push({ x: Math.floor(tile / height), y: tile % height });
           }
+          path.push({ x: start.x, y: start.y });
+          return path.reverse();
         }
+        
+        if (this.townMask[next] === TOWN_BUILDING || this.objectPlacement[nx][ny] === 4) continue;
+        parent[next] = index;
+        queue.push(next);
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * 町の道路を作成
+   * @param {number} x - 道路の中心のX座標
+   * @param {number} y - 道路の中心のY座標
+   * @param {number} halfWidth - 中心から左右に広げる幅
+   */
+  paveTownRoad(x, y, halfWidth = 0) {
+    const { width, height } = this.options;
+    
+    for (let dx = -halfWidth; dx <= halfWidth; dx++) {
+      for (let dy = -halfWidth; dy <= halfWidth; dy++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        
+        // 建物・広場・壁は上書きしない（入口の前は入口の区画のまま）
+        const role = this.getTownTile(nx, ny);
+        if (role === TOWN_BUILDING || role === TOWN_SQUARE || this.objectPlacement[nx][ny] === 4) continue;
+        
+        this.paveTownTile(nx, ny, role === TOWN_DOORWAY ? TOWN_DOORWAY : TOWN_ROAD);
       }
     }
   }
 
   /**
    * 町の周囲に壁を生成
+   * 東西南北の門の位置は this.townGates に記録する
    * @param {number} centerX - 町の中心X座標
    * @param {number} centerY - 町の中心Y座標
    */
@@ -246,7 +500,7 @@ class TownMapGenerator extends MapGenerator {
     const { width, height } = this.options;
     
     // 町の半径（最大距離）
-    const townRadius = Math.min(width, height) * 0.45;
+    const townRadius = Math.min(width, height) * TOWN_WALL_RATIO;
     
     // 壁と門の設置
     for (let angle = 0; angle < Math.PI * 2; angle += 0.01) {
@@ -272,38 +526,29 @@ class TownMapGenerator extends MapGenerator {
         }
       }
     }
+    
+    // 門（東西南北の方向の外壁上のタイル）
+    this.townGates = [[1, 0], [0, 1], [-1, 0], [0, -1]]
+      .map(([dx, dy]) => ({
+        x: Math.floor(centerX + dx * townRadius),
+        y: Math.floor(centerY + dy * townRadius)
+      }))
+      .filter(gate => gate.x >= 0 && gate.x < width && gate.y >= 0 && gate.y < height &&
+        this.objectPlacement[gate.x][gate.y] === 0);
   }
 
   /**
    * 町の装飾を追加
+   * 建物・道路・広場を避けて、空き地にベンチや街灯などを置く
    * @param {number} centerX - 町の中心X座標
    * @param {number} centerY - 町の中心Y座標
    */
   addTownDecorations(centerX, centerY) {
     const { width, height } = this.options;
     
-    // 中央に噴水を設置
-    const fountainSize = 3;
-    
-    for (let x = centerX - fountainSize; x <= centerX + fountainSize; x++) {
-      for (let y = centerY - fountainSize; y <= centerY + fountainSize; y++) {
-        if (x >= 0 && x < width && y >= 0 && y < height) {
-          const distFromCenter = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
-          
-          if (distFromCenter <= fountainSize) {
-            // 噴水は障害物として配置
-            this.objectPlacement[x][y] = 3; // 障害物
-            
-            // 噴水の高さを設定
-            this.heightMap[x][y] = 0.5 + (1 - distFromCenter / fountainSize) * 0.3;
-          }
-        }
-      }
-    }
-    
     // ベンチや街灯などの小さな装飾を追加
     const decorationCount = Math.floor(10 + this.rng() * 15);
-    const townRadius = Math.min(width, height) * 0.4;
+    const townRadius = Math.min(width, height) * TOWN_RADIUS_RATIO;
     
     for (let i = 0; i < decorationCount; i++) {
       const angle = this.rng() * Math.PI * 2;
@@ -313,8 +558,8 @@ class TownMapGenerator extends MapGenerator {
       const decorY = Math.floor(centerY + Math.sin(angle) * distance);
       
       if (decorX >= 0 && decorX < width && decorY >= 0 && decorY < height) {
-        // 既に何かが配置されていないかチェック（床のみに配置）
-        if (this.objectPlacement[decorX][decorY] === 0) {
+        // 空き地の床のみに配置
+        if (this.objectPlacement[decorX][decorY] === 0 && !this.isTownReserved(decorX, decorY)) {
           // 装飾物を配置（移動不可）
           this.objectPlacement[decorX][decorY] = 3; // 障害物
           
@@ -367,12 +612,22 @@ class TownMapGenerator extends MapGenerator {
 // MapGeneratorクラスにミックスイン
 Object.assign(MapGenerator.prototype, {
   generateTownMap: TownMapGenerator.prototype.generateTownMap,
+  setTownTile: TownMapGenerator.prototype.setTownTile,
+  getTownTile: TownMapGenerator.prototype.getTownTile,
+  isTownReserved: TownMapGenerator.prototype.isTownReserved,
+  isInsideBuilding: TownMapGenerator.prototype.isInsideBuilding,
+  paveTownTile: TownMapGenerator.prototype.paveTownTile,
+  generateTownSquare: TownMapGenerator.prototype.generateTownSquare,
   generateTownBuildings: TownMapGenerator.prototype.generateTownBuildings,
+  findBuildingLot: TownMapGenerator.prototype.findBuildingLot,
+  isBuildingLotFree: TownMapGenerator.prototype.isBuildingLotFree,
+  buildTownBuilding: TownMapGenerator.prototype.buildTownBuilding,
   generateTownRoads: TownMapGenerator.prototype.generateTownRoads,
-  createRoad: TownMapGenerator.prototype.createRoad,
+  findTownRoute: TownMapGenerator.prototype.findTownRoute,
+  paveTownRoad: TownMapGenerator.prototype.paveTownRoad,
   generateTownWalls: TownMapGenerator.prototype.generateTownWalls,
   addTownDecorations: TownMapGenerator.prototype.addTownDecorations,
   getLinePoints: TownMapGenerator.prototype.getLinePoints
 });
 
-export default MapGenerator;
\ No newline at end of file
+export default MapGenerator;
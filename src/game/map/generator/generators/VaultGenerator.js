@@ -0,0 +1,318 @@
+import MapGenerator from '../MapGenerator';
+
+// 上下左右の4方向
+const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// 1つのヴォルトを置く位置を探す試行回数
+const VAULT_PLACEMENT_ATTEMPTS = 20;
+
+// vaultMask の値（0: ヴォルトの外、1: ヴォルトのタイル、2: 入口の前のタイル）
+const VAULT_TILE = 1;
+const VAULT_APPROACH = 2;
+
+/**
+ * MapGeneratorのヴォルト（手作りの部屋）配置機能の拡張
+ * options.prefabs のプレハブ（VaultPrefabs.parsePrefab() の結果）を、
+ * 空いている場所があればダンジョンの部屋として埋め込み、入口から通路でつなぐ
+ * ヴォルトのタイルは以降のランダムな配置や通路の掘削で変更されない
+ */
+class VaultGenerator extends MapGenerator {
+  /**
+   * ヴォルトを配置する（generateRooms() の後、connectRooms() の前に呼ぶ）
+   */
+  placeVaults() {
+    const { prefabs, maxVaults, vaultChance } = this.options;
+    if (!prefabs || prefabs.length === 0) return;
+
+    const counts = {};
+
+    for (let i = 0; i < maxVaults; i++) {
+      if (this.rng() >= vaultChance) continue;
+
+      const prefab = this.chooseVaultPrefab(counts);
+      if (!prefab) break;
+
+      const position = this.findVaultPosition(prefab);
+      if (!position) continue;
+
+      this.stampVault(prefab, position.x, position.y);
+      counts[prefab.id] = (counts[prefab.id] || 0) + 1;
+    }
+  }
+
+  /**
+   * 重みに従ってプレハブを選ぶ（maxPerMap に達したものは除く）
+   * @param {Object} counts - プレハブIDごとの配置済みの数
+   * @returns {Object|null} プレハブ（選べるものがなければnull）
+   */
+  chooseVaultPrefab(counts) {
+    const candidates = this.options.prefabs.filter(prefab => (counts[prefab.id] || 0) < prefab.maxPerMap);
+    const totalWeight = candidates.reduce((sum, prefab) => sum + prefab.weight, 0);
+    if (totalWeight <= 0) return null;
+
+    let roll = this.rng() * totalWeight;
+    for (const prefab of candidates) {
+      roll -= prefab.weight;
+      if (roll < 0) return prefab;
+    }
+
+    return candidates[candidates.length - 1];
+  }
+
+  /**
+   * 他の部屋と重ならないヴォルトの位置を探す
+   * 入口の外側に通路を掘れるよう、マップの外周から2マス以上離す
+   * @param {Object} prefab - プレハブ
+   * @returns {Object|null} 左上のタイル座標（収まる場所がなければnull）
+   */
+  findVaultPosition(prefab) {
+    const { width, height } = this.options;
+    const rangeX = width - prefab.width - 4;
+    const rangeY = height - prefab.height - 4;
+    if (rangeX < 0 || rangeY < 0) return null;
+
+    for (let attempt = 0; attempt < VAULT_PLACEMENT_ATTEMPTS; attempt++) {
+      const candidate = {
+        x: 2 + Math.floor(this.rng() * (rangeX + 1)),
+        y: 2 + Math.floor(this.rng() * (rangeY + 1)),
+        width: prefab.width,
+        height: prefab.height
+      };
+
+      if (!this.rooms.some(room => this.roomsOverlap(candidate, room, 1))) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * プレハブのタイルをマップに書き込み、部屋として登録する
+   * @param {Object} prefab - プレハブ
+   * @param {number} left - 左上のX座標
+   * @param {number} top - 左上のY座標
+   */
+  stampVault(prefab, left, top) {
+    const { width, height, difficultyLevel } = this.options;
+    if (!this.vaultMask) {
+      this.vaultMask = new Uint8Array(width * height);
+    }
+
+    for (let py = 0; py < prefab.height; py++) {
+      for (let px = 0; px < prefab.width; px++) {
+        const x = left + px;
+        const y = top + py;
+        const tile = prefab.layout[py][px];
+        this.vaultMask[x * height + y] = VAULT_TILE;
+
+        switch (tile) {
+          case '#':
+            this.objectPlacement[x][y] = 4;
+            break;
+          case '~':
+            this.objectPlacement[x][y] = 1;
+            break;
+          case 'o':
+            this.objectPlacement[x][y] = 3;
+            break;
+          case 'C':
+            this.objectPlacement[x][y] = 2;
+            break;
+          default:
+            this.objectPlacement[x][y] = 0;
+        }
+
+        // 敵の出現位置
+        let enemyType = null;
+        if (tile === 'E') {
+          enemyType = prefab.enemyTypes
+            ? prefab.enemyTypes[Math.floor(this.rng() * prefab.enemyTypes.length)]
+            : this.determineEnemyType('dungeon', difficultyLevel, { x, y });
+        } else if (tile === 'L') {
+          enemyType = 'elite';
+        } else if (tile === 'B') {
+          enemyType = 'boss';
+        }
+
+        if (enemyType) {
+          this.enemyPlacement.push({
+            x,
+            y,
+            type: enemyType,
+            level: this.determineEnemyLevel(difficultyLevel, enemyType)
+          });
+        }
+      }
+    }
+
+    // 入口の前は宝箱や障害物でふさがないよう予約する
+    for (const entrance of prefab.entrances) {
+      const x = left + entrance.x + entrance.dx;
+      const y = top + entrance.y + entrance.dy;
+      this.vaultMask[x * height + y] = VAULT_APPROACH;
+    }
+
+    this.rooms.push({
+      x: left,
+      y: top,
+      width: prefab.width,
+      height: prefab.height,
+      centerX: Math.floor(left + prefab.width / 2),
+      centerY: Math.floor(top + prefab.height / 2),
+      vault: prefab.id,
+      name: prefab.name,
+      entrances: prefab.entrances.map(entrance => ({ ...entrance, x: left + entrance.x, y: top + entrance.y }))
+    });
+  }
+
+  /**
+   * ヴォルトのタイルかどうか
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {boolean} ヴォルトのタイルならtrue
+   */
+  isVaultTile(x, y) {
+    return !!this.vaultMask && this.vaultMask[x * this.options.height + y] === VAULT_TILE;
+  }
+
+  /**
+   * ヴォルトのタイルか、ヴォルトの入口の前のタイルかどうか
+   * 宝箱・障害物・柱を置いてはいけないタイルの判定に使う
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {boolean} 予約済みのタイルならtrue
+   */
+  isVaultReserved(x, y) {
+    return !!this.vaultMask && this.vaultMask[x * this.options.height + y] !== 0;
+  }
+
+  /**
+   * ヴォルトの入口を、最も近い通常の部屋と通路でつなぐ
+   * @param {Array<Object>} rooms - 通常の部屋
+   */
+  connectVaults(rooms) {
+    if (rooms.length === 0) return;
+
+    for (const vault of this.rooms.filter(room => room.vault)) {
+      for (const entrance of vault.entrances) {
+        // 入口の1マス外側から通路を伸ばす
+        const startX = entrance.x + entrance.dx;
+        const startY = entrance.y + entrance.dy;
+
+        const target = rooms.reduce((nearest, room) => {
+          const distance = Math.abs(room.centerX - startX) + Math.abs(room.centerY - startY);
+          return !nearest || distance < nearest.distance ? { room, distance } : nearest;
+        }, null).room;
+
+        this.connectPoints(startX, startY, target.centerX, target.centerY);
+      }
+    }
+  }
+
+  /**
+   * L字の通路がヴォルトを横切るかどうか
+   * @param {number} startX - 開始X座標
+   * @param {number} startY - 開始Y座標
+   * @param {number} endX - 終了X座標
+   * @param {number} endY - 終了Y座標
+   * @param {boolean} horizontalFirst - 水平方向から先に掘るか
+   * @returns {boolean} ヴォルトのタイルを通るならtrue
+   */
+  corridorCrossesVault(startX, startY, endX, endY, horizontalFirst) {
+    if (!this.vaultMask) return false;
+
+    // 水平→垂直なら開始位置の行と終了位置の列、垂直→水平なら開始位置の列と終了位置の行を通る
+    const rowY = horizontalFirst ? startY : endY;
+    const columnX = horizontalFirst ? endX : startX;
+
+    for (let x = Math.min(startX, endX); x <= Math.max(startX, endX); x++) {
+      if (this.isVaultTile(x, rowY)) return true;
+    }
+    for (let y = Math.min(startY, endY); y <= Math.max(startY, endY); y++) {
+      if (this.isVaultTile(columnX, y)) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * ヴォルトを避けて最短の通路を掘る（L字の通路がどちらもヴォルトを横切る場合）
+   * @param {number} startX - 開始X座標
+   * @param {number} startY - 開始Y座標
+   * @param {number} endX - 終了X座標
+   * @param {number} endY - 終了Y座標
+   */
+  carveRoutedCorridor(startX, startY, endX, endY) {
+    const { width, height } = this.options;
+    const parent = new Int32Array(width * height).fill(-1);
+    const start = startX * height + startY;
+    const end = endX * height + endY;
+    const queue = [start];
+    parent[start] = start;
+
+    for (let head = 0; head < queue.length && parent[end] === -1; head++) {
+      const x = Math.floor(queue[head] / height);
+      const y = queue[head] % height;
+
+      for (const [dx, dy] of DIRECTIONS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx <= 0 || nx >= width - 1 || ny <= 0 || ny >= height - 1) continue;
+
+        const next = nx * height + ny;
+        if (parent[next] !== -1 || this.isVaultTile(nx, ny)) continue;
+        parent[next] = queue[head];
+        queue.push(next);
+      }
+    }
+
+    if (parent[end] === -1) {
+      console.warn(`No corridor around vaults from ${startX},${startY} to ${endX},${endY}`);
+      return;
+    }
+
+    for (let index = end; index !== start; index = parent[index]) {
+      this.objectPlacement[Math.floor(index / height)][index % height] = 0;
+    }
+    this.objectPlacement[startX][startY] = 0;
+  }
+
+  /**
+   * ヴォルトのタイルの高さを整える（generateHeightMapFromRooms() の後に呼ぶ）
+   * 水は移動できない深さに、宝箱と障害物は床と同じ高さにする
+   */
+  finalizeVaults() {
+    if (!this.vaultMask) return;
+
+    const { width, height } = this.options;
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        if (!this.isVaultTile(x, y)) continue;
+
+        const object = this.objectPlacement[x][y];
+        if (object === 1) {
+          this.heightMap[x][y] = 0.2;
+        } else if (object === 2 || object === 3) {
+          this.heightMap[x][y] = 0.45;
+        }
+      }
+    }
+  }
+}
+
+// MapGeneratorクラスにミックスイン
+Object.assign(MapGenerator.prototype, {
+  placeVaults: VaultGenerator.prototype.placeVaults,
+  chooseVaultPrefab: VaultGenerator.prototype.chooseVaultPrefab,
+  findVaultPosition: VaultGenerator.prototype.findVaultPosition,
+  stampVault: VaultGenerator.prototype.stampVault,
+  isVaultTile: VaultGenerator.prototype.isVaultTile,
+  isVaultReserved: VaultGenerator.prototype.isVaultReserved,
+  connectVaults: VaultGenerator.prototype.connectVaults,
+  corridorCrossesVault: VaultGenerator.prototype.corridorCrossesVault,
+  carveRoutedCorridor: VaultGenerator.prototype.carveRoutedCorridor,
+  finalizeVaults: VaultGenerator.prototype.finalizeVaults
+});
+
+export default MapGenerator;
@@ -1,10 +1,17 @@
 // MapGeneratorの機能統合
 import './generators/ArenaMapGenerator';
+import './generators/CaveMapGenerator';
+import './generators/ConnectivityGenerator';
+import './generators/DoorGenerator';
 import './generators/DungeonMapGenerator';
 import './generators/EntityPlacementGenerator';
 import './generators/FieldMapGenerator';
+import './generators/HazardGenerator';
+import './generators/ModifierGenerator';
 import './generators/ObjectPlacementGenerator';
+import './generators/StairsGenerator';
 import './generators/TownMapGenerator';
+import './generators/VaultGenerator';
 
 // ベースのMapGeneratorをエクスポート
 import MapGenerator from './MapGenerator';
@@ -0,0 +1,89 @@
+/**
+ * 経路探索のオープンリストに使う二分ヒープ（優先度が最小の要素から取り出す）
+ * 要素はタイルのインデックス（整数）で、優先度の更新はせずに同じ要素を重複して追加する
+ * （取り出したときに探索済みなら読み飛ばす、いわゆる遅延削除）
+ */
+export default class BinaryHeap {
+  constructor() {
+    this.items = [];
+    this.priorities = [];
+  }
+
+  /**
+   * 要素数
+   * @returns {number} ヒープに入っている要素の数
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * 空にする（配列は再利用する）
+   */
+  clear() {
+    this.items.length = 0;
+    this.priorities.length = 0;
+  }
+
+  /**
+   * 要素を追加する
+   * @param {number} item - 要素
+   * @param {number} priority - 優先度（小さいほど先に取り出される）
+   */
+  push(item, priority) {
+    const { items, priorities } = this;
+    let index = items.length;
+    items.push(item);
+    priorities.push(priority);
+
+    // 親より優先度が小さい間は上に移動
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (priorities[parent] <= priority) break;
+
+      items[index] = items[parent];
+      priorities[index] = priorities[parent];
+      index = parent;
+    }
+
+    items[index] = item;
+    priorities[index] = priority;
+  }
+
+  /**
+   * 優先度が最小の要素を取り出す
+   * @returns {number} 要素（空なら -1）
+   */
+  pop() {
+    const { items, priorities } = this;
+    if (items.length === 0) return -1;
+
+    const top = items[0];
+    const lastItem = items.pop();
+    const lastPriority = priorities.pop();
+
+    if (items.length > 0) {
+      // 末尾の要素を根に置き、子より優先度が大きい間は下に移動
+      const length = items.length;
+      let index = 0;
+
+      while (true) {
+        const left = index * 2 + 1;
+        if (left >= length) break;
+
+        const right = left + 1;
+        const child = right < length && priorities[right] < priorities[left] ? right : left;
+        if (priorities[child] >= lastPriority) break;
+
+        items[index] = items[child];
+        priorities[index] = priorities[child];
+        index = child;
+      }
+
+      items[index] = lastItem;
+      priorities[index] = lastPriority;
+    }
+
+    return top;
+  }
+}
@@ -0,0 +1,180 @@
+import BinaryHeap from './BinaryHeap';
+
+// 上下左右の4方向（経路の向きがそろうよう、探索と同じ順に調べる）
+const DIRECTIONS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+// 目標にたどり着けないタイルの距離
+const UNREACHABLE = -1;
+
+/**
+ * フローフィールド
+ * 1つの目標から通行可能なタイル全体へ幅優先探索で距離を求めておき、
+ * 各タイルからは距離が減る方向へ進むだけで最短経路をたどれるようにする
+ * 多数の敵が同じ目標を追いかけるとき、敵ごとにA*を行う代わりに1回の探索で済ませるために使う
+ * 危険地帯などコストのあるタイルがある場合は、幅優先探索の代わりにダイクストラ法でコストの合計を求める
+ */
+export default class FlowField {
+  /**
+   * @param {GridPathfinder} pathfinder - 通行可能かどうかを持つ経路探索
+   * @param {number} targetX - 目標のX座標
+   * @param {number} targetY - 目標のY座標
+   */
+  constructor(pathfinder, targetX, targetY) {
+    this.width = pathfinder.width;
+    this.height = pathfinder.height;
+    this.targetX = targetX;
+    this.targetY = targetY;
+
+    // 作成したときのグリッドのバージョン（通行可能なタイルが変わったら作り直す）
+    this.version = pathfinder.version;
+
+    // タイルに入るときの追加のコスト（コストのあるタイルがなければnull）
+    this.costs = pathfinder.costlyTiles > 0 ? pathfinder.costs.slice() : null;
+
+    this.distances = new Int32Array(this.width * this.height).fill(UNREACHABLE);
+    if (this.costs) {
+      this.buildWeighted(pathfinder);
+    } else {
+      this.build(pathfinder);
+    }
+  }
+
+  /**
+   * 目標から幅優先探索で距離を求める
+   * @param {GridPathfinder} pathfinder - 経路探索
+   */
+  build(pathfinder) {
+    const { width, height, distances } = this;
+    const target = this.targetX * height + this.targetY;
+    const queue = new Int32Array(width * height);
+    let tail = 0;
+
+    distances[target] = 0;
+    queue[tail++] = target;
+
+    for (let head = 0; head < tail; head++) {
+      const index = queue[head];
+      const x = Math.floor(index / height);
+      const y = index % height;
+      const nextDistance = distances[index] + 1;
+
+      for (const [dx, dy] of DIRECTIONS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (!pathfinder.isWalkable(nx, ny)) continue;
+
+        const next = nx * height + ny;
+        if (distances[next] !== UNREACHABLE) continue;
+
+        distances[next] = nextDistance;
+        queue[tail++] = next;
+      }
+    }
+  }
+
+  /**
+   * 目標からダイクストラ法でコストの合計を求める
+   * タイルに入るコストは1にそのタイルの追加のコストを加えたもの（目標から逆にたどるため、隣のタイルから今のタイルに入るコストを足す）
+   * @param {GridPathfinder} pathfinder - 経路探索
+   */
+  buildWeighted(pathfinder) {
+    const { height, distances, costs } = this;
+    const target = this.targetX * height + this.targetY;
+    const openList = new BinaryHeap();
+
+    distances[target] = 0;
+    openList.push(target, 0);
+
+    while (openList.size > 0) {
+      const index = openList.pop();
+      const x = Math.floor(index / height);
+      const y = index % height;
+      const nextDistance = distances[index] + 1 + costs[index];
+
+      for (const [dx, dy] of DIRECTIONS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (!pathfinder.isWalkable(nx, ny)) continue;
+
+        const next = nx * height + ny;
+        if (distances[next] !== UNREACHABLE && distances[next] <= nextDistance) continue;
+
+        distances[next] = nextDistance;
+        openList.push(next, nextDistance);
+      }
+    }
+  }
+
+  /**
+   * 隣のタイルへ進むコスト
+   * @param {number} x - 進む先のX座標
+   * @param {number} y - 進む先のY座標
+   * @returns {number} コスト（1にタイルの追加のコストを加えたもの）
+   */
+  getStepCost(x, y) {
+    return this.costs ? 1 + this.costs[x * this.height + y] : 1;
+  }
+
+  /**
+   * 目標までの歩数（コストのあるタイルがある場合はコストの合計）
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {number} 歩数（たどり着けなければ -1）
+   */
+  getDistance(x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return UNREACHABLE;
+    return this.distances[x * this.height + y];
+  }
+
+  /**
+   * 目標に1歩近づく隣のタイル（隣のタイルの距離に進むコストを足すと今のタイルの距離になるタイル）
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {Object|null} 次のタイル（目標上、またはたどり着けなければnull）
+   */
+  getNextStep(x, y) {
+    const distance = this.getDistance(x, y);
+    if (distance <= 0) return null;
+
+    for (const [dx, dy] of DIRECTIONS) {
+      const nextDistance = this.getDistance(x + dx, y + dy);
+      if (nextDistance !== UNREACHABLE && nextDistance + this.getStepCost(x + dx, y + dy) === distance) {
+        return { x: x + dx, y: y + dy };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 開始位置から目標までの経路
+   * 開始位置が通行不可（障害物に重なった敵など）の場合は、隣の通行可能なタイルから始める
+   * @param {number} startX - 開始X座標
+   * @param {number} startY - 開始Y座標
+   * @returns {Array<Object>|null} 開始位置と目標を含むタイルの経路（たどり着けなければnull）
+   */
+  getPath(startX, startY) {
+    let x = startX;
+    let y = startY;
+
+    if (this.getDistance(x, y) === UNREACHABLE) {
+      const entry = DIRECTIONS
+        .map(([dx, dy]) => ({ x: startX + dx, y: startY + dy }))
+        .filter(tile => this.getDistance(tile.x, tile.y) !== UNREACHABLE)
+        .sort((a, b) => this.getDistance(a.x, a.y) - this.getDistance(b.x, b.y))[0];
+      if (!entry) return null;
+
+      x = entry.x;
+      y = entry.y;
+    }
+
+    const path = x === startX && y === startY ? [] : [{ x: startX, y: startY }];
+    path.push({ x, y });
+
+    for (let step = this.getNextStep(x, y); step; step = this.getNextStep(step.x, step.y)) {
+      path.push(step);
+    }
+
+    return path;
+  }
+}
@@ -0,0 +1,565 @@
+import BinaryHeap from './BinaryHeap';
+import FlowField from './FlowField';
+import { getHazardPathCosts } from '../generator/Hazards';
+
+/**
+ * タイルマップの経路探索
+ * 通行できないタイルを平坦な配列（インデックスは x * height + y）で持ち、
+ * 二分ヒープを使ったA*と、4方向のジャンプポイントサーチ（JPS）で経路を求める
+ *
+ * - 同じ開始位置と目標の経路はキャッシュし、複数の敵やアクションで共有する
+ * - 同じ目標を大勢で追いかける場合はフローフィールド（getFlowField()）を使う
+ * - 通行可能なタイルやコストが変わるとバージョンが上がり、キャッシュとフローフィールドは作り直される
+ * - 危険地帯や罠のタイルには追加のコストを設定できる（setTileCost()）
+ *   JPSはコストのあるタイルを障害物として跳び、その隣のタイルで止まって1マスずつ出入りする
+ *   （コストのない床の中だけを跳ぶので、コストのあるタイルがあっても最短の経路が求まる）
+ */
+
+// 上下左右の4方向
+const DIRECTIONS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+// 経路探索のアルゴリズム
+export const PATHFINDING_ALGORITHMS = {
+  ASTAR: 'astar',
+  JPS: 'jps'
+};
+
+// 経路キャッシュに保持する経路の数（超えたら古いものから捨てる）
+const PATH_CACHE_SIZE = 512;
+
+// 保持するフローフィールドの数（目標ごとに1つ）
+const FLOW_FIELD_CACHE_SIZE = 4;
+
+// タイルに設定できる追加のコストの最大値
+const MAX_TILE_COST = 255;
+
+// f値が同じなら目標に近いノードを先に調べる（h値の小さな倍率を加える、1歩のコストより十分小さくする）
+const TIE_BREAK = 0.001;
+
+export default class GridPathfinder {
+  /**
+   * @param {number} width - マップの幅（タイル数）
+   * @param {number} height - マップの高さ（タイル数）
+   * @param {Object} options - { algorithm: 'jps' | 'astar' }
+   */
+  constructor(width, height, options = {}) {
+    this.width = width;
+    this.height = height;
+    this.algorithm = options.algorithm || PATHFINDING_ALGORITHMS.JPS;
+
+    // 1なら通行不可
+    this.blocked = new Uint8Array(width * height);
+
+    // タイルに入るときに1歩のコスト（1）に加えるコストと、コストのあるタイルの数
+    this.costs = new Uint8Array(width * height);
+    this.costlyTiles = 0;
+
+    // タイル自身と上下左右のうちコストのあるタイルの数（0でなければJPSのジャンプが止まる）
+    this.costlyNeighbors = new Uint8Array(width * height);
+
+    // 通行可能なタイルやコストが変わるたびに増える
+    this.version = 0;
+
+    // 探索の作業領域（探索ごとに番号を変え、配列を初期化せずに使い回す）
+    const size = width * height;
+    this.gScore = new Float64Array(size);
+    this.parent = new Int32Array(size);
+    this.openedIn = new Uint32Array(size);
+    this.closedIn = new Uint32Array(size);
+    this.searchId = 0;
+    this.openList = new BinaryHeap();
+
+    // 経路キャッシュ（キーは開始と目標のインデックス、Mapの挿入順で古いものから捨てる）
+    this.pathCache = new Map();
+    this.flowFields = new Map();
+
+    // 計測用の統計（ベンチマークやデバッグ表示で使う）
+    this.stats = this.createEmptyStats();
+  }
+
+  /**
+   * マップデータから経路探索を作成する
+   * 高さが0.3未満（水や溶岩）と、床以外のオブジェクトのタイルは通行不可
+   * （objectPlacement: 0 床、1 水、2 宝箱、3 障害物、4 壁）
+   * 危険地帯と罠のタイルは通れるが、Hazards.js の pathCost をコストとして設定する
+   * @param {Object} mapData - マップデータ
+   * @param {Object} options - コンストラクタのオプション
+   * @returns {GridPathfinder} 経路探索
+   */
+  static fromMapData(mapData, options = {}) {
+    const { width, height, heightMap, objectPlacement } = mapData;
+    const pathfinder = new GridPathfinder(width, height, options);
+
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        const isWaterOrLava = !!heightMap && heightMap[x][y] < 0.3;
+        pathfinder.blocked[x * height + y] = isWaterOrLava || objectPlacement[x][y] !== 0 ? 1 : 0;
+      }
+    }
+
+    for (const { x, y, cost } of getHazardPathCosts(mapData)) {
+      pathfinder.setTileCost(x, y, cost);
+    }
+
+    return pathfinder;
+  }
+
+  /**
+   * 空の統計
+   * @returns {Object} 統計
+   */
+  createEmptyStats() {
+    return {
+      searches: 0,
+      expandedNodes: 0,
+      cacheHits: 0,
+      flowFieldBuilds: 0
+    };
+  }
+
+  /**
+   * 統計をリセットする
+   */
+  resetStats() {
+    this.stats = this.createEmptyStats();
+  }
+
+  /**
+   * 通行可能かどうか
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {boolean} マップ範囲内で通行可能ならtrue
+   */
+  isWalkable(x, y) {
+    return x >= 0 && x < this.width && y >= 0 && y < this.height && this.blocked[x * this.height + y] === 0;
+  }
+
+  /**
+   * タイルの通行可否を変更する
+   * 実際に変わった場合だけバージョンを上げ、キャッシュした経路とフローフィールドを捨てる
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @param {boolean} walkable - 通行可能かどうか
+   */
+  setWalkable(x, y, walkable) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
+
+    const index = x * this.height + y;
+    const value = walkable ? 0 : 1;
+    if (this.blocked[index] === value) return;
+
+    this.blocked[index] = value;
+    this.invalidate();
+  }
+
+  /**
+   * タイルに入るときの追加のコストを変更する（0なら通常の床と同じ）
+   * 実際に変わった場合だけバージョンを上げ、キャッシュした経路とフローフィールドを捨てる
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @param {number} cost - 追加のコスト（0〜255）
+   */
+  setTileCost(x, y, cost) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
+
+    const index = x * this.height + y;
+    const value = Math.max(0, Math.min(MAX_TILE_COST, Math.round(cost) || 0));
+    if (this.costs[index] === value) return;
+
+    if (this.costs[index] === 0 || value === 0) {
+      const change = value === 0 ? -1 : 1;
+      this.costlyTiles += change;
+      this.costlyNeighbors[index] += change;
+      for (const [dx, dy] of DIRECTIONS) {
+        if (x + dx >= 0 && x + dx < this.width && y + dy >= 0 && y + dy < this.height) {
+          this.costlyNeighbors[(x + dx) * this.height + y + dy] += change;
+        }
+      }
+    }
+
+    this.costs[index] = value;
+    this.invalidate();
+  }
+
+  /**
+   * 通行可能で追加のコストがないかどうか（JPSはこのタイルの上だけを跳ぶ）
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {boolean} マップ範囲内で通行可能かつコストがなければtrue
+   */
+  isOpen(x, y) {
+    return this.isWalkable(x, y) && this.costs[x * this.height + y] === 0;
+  }
+
+  /**
+   * タイルに入るときの追加のコスト
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {number} 追加のコスト（範囲外なら0）
+   */
+  getTileCost(x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return 0;
+    return this.costs[x * this.height + y];
+  }
+
+  /**
+   * 経路のコスト（1歩ごとに1と、入ったタイルの追加のコストを足したもの）
+   * @param {Array<Object>|null} path - 開始位置を含むタイルの経路
+   * @returns {number} コスト（経路がなければ -1）
+   */
+  getPathCost(path) {
+    if (!path) return -1;
+    return path.slice(1).reduce((cost, tile) => cost + 1 + this.getTileCost(tile.x, tile.y), 0);
+  }
+
+  /**
+   * キャッシュした経路とフローフィールドを捨てる
+   */
+  invalidate() {
+    this.version++;
+    this.pathCache.clear();
+    this.flowFields.clear();
+  }
+
+  /**
+   * 経路探索
+   * 結果はキャッシュされ、同じ開始位置と目標の探索では探索し直さずに返す
+   * @param {number} startX - 開始X座標
+   * @param {number} startY - 開始Y座標
+   * @param {number} endX - 終了X座標
+   * @param {number} endY - 終了Y座標
+   * @param {Object} options - { algorithm: 'jps' | 'astar', useCache: boolean }
+   * @returns {Array<Object>|null} 開始位置と目標を含むタイルの経路（見つからなければnull）
+   */
+  findPath(startX, startY, endX, endY, options = {}) {
+    const { algorithm = this.algorithm, useCache = true } = options;
+
+    // 開始または終了位置が範囲外
+    if (startX < 0 || startX >= this.width || startY < 0 || startY >= this.height ||
+        endX < 0 || endX >= this.width || endY < 0 || endY >= this.height) {
+      return null;
+    }
+
+    // 終了位置が通行不可能
+    if (!this.isWalkable(endX, endY)) {
+      return null;
+    }
+
+    const start = startX * this.height + startY;
+    const end = endX * this.height + endY;
+    const cacheKey = start * this.width * this.height + end;
+
+    if (useCache && this.pathCache.has(cacheKey)) {
+      this.stats.cacheHits++;
+      const cached = this.pathCache.get(cacheKey);
+      return cached ? cached.slice() : null;
+    }
+
+    const path = algorithm === PATHFINDING_ALGORITHMS.ASTAR
+      ? this.searchAStar(start, end)
+      : this.searchJumpPoints(start, end);
+
+    if (useCache) {
+      // 見つからなかった結果も覚えておく（たどり着けない目標を何度も探索しない）
+      if (this.pathCache.size >= PATH_CACHE_SIZE) {
+        this.pathCache.delete(this.pathCache.keys().next().value);
+      }
+      this.pathCache.set(cacheKey, path);
+    }
+
+    return path ? path.slice() : null;
+  }
+
+  /**
+   * 新しい探索を始める（作業領域の番号を進める）
+   * @returns {number} 探索の番号
+   */
+  beginSearch() {
+    this.searchId++;
+
+    // 番号が一周したら作業領域を初期化する
+    if (this.searchId >= 0xffffffff) {
+      this.openedIn.fill(0);
+      this.closedIn.fill(0);
+      this.searchId = 1;
+    }
+
+    this.openList.clear();
+    this.stats.searches++;
+    return this.searchId;
+  }
+
+  /**
+   * ヒューリスティック（マンハッタン距離）
+   * @param {number} index - タイルのインデックス
+   * @param {number} end - 目標のインデックス
+   * @returns {number} 目標までの推定コスト
+   */
+  heuristic(index, end) {
+    const { height } = this;
+    return Math.abs(Math.floor(index / height) - Math.floor(end / height)) + Math.abs(index % height - end % height);
+  }
+
+  /**
+   * オープンリストにノードを追加する（既により短い経路で追加済みなら何もしない）
+   * @param {number} index - タイルのインデックス
+   * @param {number} parent - 親のインデックス
+   * @param {number} g - 開始位置からのコスト
+   * @param {number} end - 目標のインデックス
+   * @param {number} searchId - 探索の番号
+   */
+  openNode(index, parent, g, end, searchId) {
+    if (this.closedIn[index] === searchId) return;
+    if (this.openedIn[index] === searchId && this.gScore[index] <= g) return;
+
+    this.openedIn[index] = searchId;
+    this.gScore[index] = g;
+    this.parent[index] = parent;
+
+    const h = this.heuristic(index, end);
+    this.openList.push(index, g + h + h * TIE_BREAK);
+  }
+
+  /**
+   * A*で探索する（1マスずつ隣接タイルを調べる、タイルに入るコストは1にタイルの追加のコストを加えたもの）
+   * @param {number} start - 開始位置のインデックス
+   * @param {number} end - 目標のインデックス
+   * @returns {Array<Object>|null} 経路
+   */
+  searchAStar(start, end) {
+    const searchId = this.beginSearch();
+    const { height } = this;
+
+    this.openNode(start, -1, 0, end, searchId);
+
+    while (this.openList.size > 0) {
+      const current = this.openList.pop();
+      if (this.closedIn[current] === searchId) continue;
+      this.closedIn[current] = searchId;
+      this.stats.expandedNodes++;
+
+      if (current === end) {
+        return this.buildPath(end);
+      }
+
+      const x = Math.floor(current / height);
+      const y = current % height;
+      const g = this.gScore[current] + 1;
+
+      for (const [dx, dy] of DIRECTIONS) {
+        if (this.isWalkable(x + dx, y + dy)) {
+          const next = (x + dx) * height + y + dy;
+          this.openNode(next, current, g + this.costs[next], end, searchId);
+        }
+      }
+    }
+
+    // パスが見つからなかった
+    return null;
+  }
+
+  /**
+   * 4方向のジャンプポイントサーチで探索する
+   * 同じ長さの経路のうち「縦に進めるなら先に縦に進む」ものだけを調べる
+   * - 横移動中は、障害物の角を過ぎて縦に曲がる必要があるタイル（強制隣接）でだけ止まる
+   * - 縦移動中は1マスごとに左右へジャンプを試し、ジャンプポイントが見つかったタイルで止まる
+   * 止まったタイル（ジャンプポイント）の間は直線なので、経路はジャンプポイントを直線でつないで作る
+   *
+   * コストのあるタイルは、ジャンプでは障害物として扱う（コストのない床の中だけを跳ぶ）
+   * - コストのあるタイルとその上下左右のタイルでは、目標と同じようにジャンプが止まり、4方向すべてを調べる
+   * - コストのあるタイルには跳ばずに1マスだけ進み、1歩のコストにタイルの追加のコストを加える
+   * @param {number} start - 開始位置のインデックス
+   * @param {number} end - 目標のインデックス
+   * @returns {Array<Object>|null} 経路
+   */
+  searchJumpPoints(start, end) {
+    const searchId = this.beginSearch();
+    const { height } = this;
+    const endX = Math.floor(end / height);
+    const endY = end % height;
+
+    this.openNode(start, -1, 0, end, searchId);
+
+    while (this.openList.size > 0) {
+      const current = this.openList.pop();
+      if (this.closedIn[current] === searchId) continue;
+      this.closedIn[current] = searchId;
+      this.stats.expandedNodes++;
+
+      if (current === end) {
+        return this.buildPath(end);
+      }
+
+      const x = Math.floor(current / height);
+      const y = current % height;
+      const parent = this.costlyNeighbors[current] > 0 ? -1 : this.parent[current];
+
+      for (const [dx, dy] of this.getJumpDirections(x, y, parent)) {
+        // コストのあるタイルには1マスだけ進む
+        const next = (x + dx) * height + y + dy;
+        if (this.isWalkable(x + dx, y + dy) && this.costs[next] > 0) {
+          this.openNode(next, current, this.gScore[current] + 1 + this.costs[next], end, searchId);
+          continue;
+        }
+
+        const jumpPoint = dx !== 0
+          ? this.jumpHorizontal(x, y, dx, endX, endY)
+          : this.jumpVertical(x, y, dy, endX, endY);
+        if (jumpPoint === -1) continue;
+
+        const distance = Math.abs(Math.floor(jumpPoint / height) - x) + Math.abs(jumpPoint % height - y);
+        this.openNode(jumpPoint, current, this.gScore[current] + distance, end, searchId);
+      }
+    }
+
+    // パスが見つからなかった
+    return null;
+  }
+
+  /**
+   * ジャンプポイントから探索を続ける方向
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @param {number} parent - 親のインデックス（開始位置やコストのあるタイルの近くなら -1、4方向すべてを調べる）
+   * @returns {Array<Array<number>>} 方向 [dx, dy] の一覧
+   */
+  getJumpDirections(x, y, parent) {
+    if (parent === -1) return DIRECTIONS;
+
+    const { height } = this;
+    const dx = Math.sign(x - Math.floor(parent / height));
+    const dy = Math.sign(y - parent % height);
+
+    // 縦移動で着いた場合は、そのまま縦に進むか左右に曲がる
+    if (dx === 0) {
+      return [[0, dy], [1, 0], [-1, 0]];
+    }
+
+    // 横移動で着いた場合は、そのまま横に進むか、強制隣接の方向に曲がる
+    const directions = [[dx, 0]];
+    for (const side of [-1, 1]) {
+      if (this.isOpen(x, y + side) && !this.isOpen(x - dx, y + side)) {
+        directions.push([0, side]);
+      }
+    }
+    return directions;
+  }
+
+  /**
+   * 横方向にジャンプする（コストのあるタイルの隣で止まる）
+   * @param {number} x - 開始X座標
+   * @param {number} y - Y座標
+   * @param {number} dx - 進む向き（1 または -1）
+   * @param {number} endX - 目標のX座標
+   * @param {number} endY - 目標のY座標
+   * @returns {number} ジャンプポイントのインデックス（なければ -1）
+   */
+  jumpHorizontal(x, y, dx, endX, endY) {
+    while (true) {
+      x += dx;
+      if (!this.isOpen(x, y)) return -1;
+      if ((x === endX && y === endY) || this.costlyNeighbors[x * this.height + y] > 0) return x * this.height + y;
+
+      // 前のタイルの上下がふさがっていて、このタイルの上下が空いていれば曲がる必要がある
+      if ((this.isOpen(x, y - 1) && !this.isOpen(x - dx, y - 1)) ||
+          (this.isOpen(x, y + 1) && !this.isOpen(x - dx, y + 1))) {
+        return x * this.height + y;
+      }
+    }
+  }
+
+  /**
+   * 縦方向にジャンプする（1マスごとに左右へのジャンプを試し、コストのあるタイルの隣で止まる）
+   * @param {number} x - X座標
+   * @param {number} y - 開始Y座標
+   * @param {number} dy - 進む向き（1 または -1）
+   * @param {number} endX - 目標のX座標
+   * @param {number} endY - 目標のY座標
+   * @returns {number} ジャンプポイントのインデックス（なければ -1）
+   */
+  jumpVertical(x, y, dy, endX, endY) {
+    while (true) {
+      y += dy;
+      if (!this.isOpen(x, y)) return -1;
+      if ((x === endX && y === endY) || this.costlyNeighbors[x * this.height + y] > 0) return x * this.height + y;
+
+      if (this.jumpHorizontal(x, y, 1, endX, endY) !== -1 ||
+          this.jumpHorizontal(x, y, -1, endX, endY) !== -1) {
+        return x * this.height + y;
+      }
+    }
+  }
+
+  /**
+   * 親をたどって経路を作る（親との間が離れていれば直線で埋める）
+   * @param {number} end - 目標のインデックス
+   * @returns {Array<Object>} 開始位置から目標までのタイルの経路
+   */
+  buildPath(end) {
+    const { height } = this;
+    const path = [];
+
+    for (let index = end; index !== -1; index = this.parent[index]) {
+      const x = Math.floor(index / height);
+      const y = index % height;
+      path.push({ x, y });
+
+      const parent = this.parent[index];
+      if (parent === -1) break;
+
+      // 親までの間のタイル
+      const px = Math.floor(parent / height);
+      const py = parent % height;
+      const dx = Math.sign(px - x);
+      const dy = Math.sign(py - y);
+      for (let cx = x + dx, cy = y + dy; cx !== px || cy !== py; cx += dx, cy += dy) {
+        path.push({ x: cx, y: cy });
+      }
+    }
+
+    return path.reverse();
+  }
+
+  /**
+   * 目標へのフローフィールドを取得する（なければ作成する）
+   * @param {number} targetX - 目標のX座標
+   * @param {number} targetY - 目標のY座標
+   * @returns {FlowField|null} フローフィールド（目標が通行不可ならnull）
+   */
+  getFlowField(targetX, targetY) {
+    if (!this.isWalkable(targetX, targetY)) return null;
+
+    const key = targetX * this.height + targetY;
+    let flowField = this.flowFields.get(key);
+
+    if (!flowField || flowField.version !== this.version) {
+      if (this.flowFields.size >= FLOW_FIELD_CACHE_SIZE) {
+        this.flowFields.delete(this.flowFields.keys().next().value);
+      }
+
+      flowField = new FlowField(this, targetX, targetY);
+      this.flowFields.set(key, flowField);
+      this.stats.flowFieldBuilds++;
+    }
+
+    return flowField;
+  }
+
+  /**
+   * フローフィールドを使った経路探索
+   * 同じ目標への経路を大勢が求める場合に使う（目標ごとに1回の探索で全員の経路が決まる）
+   * @param {number} startX - 開始X座標
+   * @param {number} startY - 開始Y座標
+   * @param {number} endX - 終了X座標
+   * @param {number} endY - 終了Y座標
+   * @returns {Array<Object>|null} 開始位置と目標を含むタイルの経路（見つからなければnull）
+   */
+  findPathByFlowField(startX, startY, endX, endY) {
+    if (startX < 0 || startX >= this.width || startY < 0 || startY >= this.height) {
+      return null;
+    }
+
+    const flowField = this.getFlowField(endX, endY);
+    return flowField ? flowField.getPath(startX, startY) : null;
+  }
+}
@@ -0,0 +1,189 @@
+import MapGenerator from '../generator';
+import GridPathfinder, { PATHFINDING_ALGORITHMS } from './GridPathfinder';
+import { forkRandom } from '../../../utils/seededRandom';
+
+/**
+ * 経路探索のベンチマーク
+ * 100x100のマップで大勢の敵が同じターゲットを追いかける状況を作り、
+ * 経路探索の方法ごとに全員の経路を求める時間と、最短の経路になっているかを調べる
+ * Phaserを使わないので、デバッグ用のシーン（PathfindingBenchmarkScene）と
+ * コマンド（tools/pathfinding）の両方から使う
+ */
+
+// 計測に使うマップ（毎回同じマップ・同じ配置で比べられるようシードを固定する）
+export const BENCHMARK_MAP_TYPES = ['dungeon', 'cave', 'field'];
+export const BENCHMARK_MAP_SIZE = 100;
+const BENCHMARK_SEED = 'pathfinding-benchmark';
+
+// 同じターゲットを追いかける敵の数
+export const CHASER_COUNT = 50;
+
+// 比べる経路探索の方法
+const BENCHMARK_METHODS = [
+  { id: 'legacy', name: 'A*（旧実装）' },
+  { id: 'astar', name: 'A*（二分ヒープ）' },
+  { id: 'jps', name: 'JPS' },
+  { id: 'cached', name: 'JPS＋経路キャッシュ' },
+  { id: 'flowField', name: 'フローフィールド' }
+];
+
+/**
+ * 変更前の TopDownMap.findPath と同じA*（比較の基準）
+ * オープンリストを毎回ソートし、文字列のキーで探索済みのノードを管理する
+ * @param {GridPathfinder} pathfinder - 通行可否の判定に使う
+ * @param {number} startX - 開始X座標
+ * @param {number} startY - 開始Y座標
+ * @param {number} endX - 終了X座標
+ * @param {number} endY - 終了Y座標
+ * @returns {Object} { path: 経路またはnull, expandedNodes: 展開したノード数 }
+ */
+function legacyFindPath(pathfinder, startX, startY, endX, endY) {
+  const heuristic = (x1, y1, x2, y2) => Math.abs(x1 - x2) + Math.abs(y1 - y2);
+  const directions = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+  const openList = [{ x: startX, y: startY, f: heuristic(startX, startY, endX, endY) }];
+  const closedList = {};
+  const cameFrom = {};
+  const gScore = { [`${startX},${startY}`]: 0 };
+  let expandedNodes = 0;
+
+  while (openList.length > 0) {
+    openList.sort((a, b) => a.f - b.f);
+    const current = openList.shift();
+    const currentKey = `${current.x},${current.y}`;
+    expandedNodes++;
+
+    if (current.x === endX && current.y === endY) {
+      const path = [];
+      for (let node = current; node; node = cameFrom[`${node.x},${node.y}`]) {
+        path.unshift({ x: node.x, y: node.y });
+      }
+      return { path, expandedNodes };
+    }
+
+    closedList[currentKey] = true;
+
+    for (const [dx, dy] of directions) {
+      const neighbor = { x: current.x + dx, y: current.y + dy };
+      if (!pathfinder.isWalkable(neighbor.x, neighbor.y)) continue;
+
+      const neighborKey = `${neighbor.x},${neighbor.y}`;
+      if (closedList[neighborKey]) continue;
+
+      const tentativeGScore = gScore[currentKey] + 1;
+      const f = tentativeGScore + heuristic(neighbor.x, neighbor.y, endX, endY);
+      const neighborInOpen = openList.find(node => node.x === neighbor.x && node.y === neighbor.y);
+
+      if (!neighborInOpen) {
+        openList.push({ ...neighbor, f });
+      } else if (tentativeGScore < (gScore[neighborKey] || Infinity)) {
+        neighborInOpen.f = f;
+      } else {
+        continue;
+      }
+
+      cameFrom[neighborKey] = { x: current.x, y: current.y };
+      gScore[neighborKey] = tentativeGScore;
+    }
+  }
+
+  return { path: null, expandedNodes };
+}
+
+/**
+ * ターゲットと、ターゲットまで経路がある敵の位置を決める
+ * @param {GridPathfinder} pathfinder - 経路探索
+ * @param {string} mapType - マップタイプ
+ * @returns {Object} { target, chasers }
+ */
+function placeChasers(pathfinder, mapType) {
+  const random = forkRandom(BENCHMARK_SEED, 'chasers', mapType);
+  const walkable = [];
+  for (let x = 0; x < pathfinder.width; x++) {
+    for (let y = 0; y < pathfinder.height; y++) {
+      if (pathfinder.isWalkable(x, y)) walkable.push({ x, y });
+    }
+  }
+
+  const pick = () => walkable[Math.floor(random() * walkable.length)];
+  const target = pick();
+  const reachable = pathfinder.getFlowField(target.x, target.y);
+
+  const chasers = [];
+  for (let attempt = 0; attempt < CHASER_COUNT * 20 && chasers.length < CHASER_COUNT; attempt++) {
+    const tile = pick();
+    if (reachable.getDistance(tile.x, tile.y) > 0) chasers.push(tile);
+  }
+
+  return { target, chasers };
+}
+
+/**
+ * 1つのマップで各方法を計測する
+ * 危険地帯と罠のコストを設定しない場合は、すべての方法の経路の長さを旧実装と比べる
+ * 設定する場合は、コストを考えない旧実装は計測せず、経路のコストをA*と比べる
+ * @param {string} mapType - マップタイプ
+ * @param {Object} options - { hazards: 危険地帯と罠のコストを設定するか }
+ * @returns {Object} 計測結果 { mapType, hazards, costlyTiles, baselineId, methods, mismatches }
+ */
+export function benchmarkMap(mapType, options = {}) {
+  const { hazards = false } = options;
+  const generator = new MapGenerator({
+    width: BENCHMARK_MAP_SIZE,
+    height: BENCHMARK_MAP_SIZE,
+    seed: BENCHMARK_SEED
+  });
+  const mapData = generator.generateMap(mapType);
+  const pathfinder = GridPathfinder.fromMapData(hazards ? mapData : { ...mapData, hazardKinds: {}, traps: [] });
+  const { target, chasers } = placeChasers(pathfinder, mapType);
+
+  const baselineId = hazards ? 'astar' : 'legacy';
+  const measure = path => (hazards ? pathfinder.getPathCost(path) : (path ? path.length : -1));
+
+  const results = {};
+  const methods = BENCHMARK_METHODS.filter(method => !hazards || method.id !== 'legacy').map(method => {
+    pathfinder.invalidate();
+    pathfinder.resetStats();
+    let expandedNodes = 0;
+
+    const findAll = () => chasers.map(chaser => {
+      switch (method.id) {
+        case 'legacy': {
+          const result = legacyFindPath(pathfinder, chaser.x, chaser.y, target.x, target.y);
+          expandedNodes += result.expandedNodes;
+          return result.path;
+        }
+        case 'astar':
+          return pathfinder.findPath(chaser.x, chaser.y, target.x, target.y,
+            { algorithm: PATHFINDING_ALGORITHMS.ASTAR, useCache: false });
+        case 'jps':
+          return pathfinder.findPath(chaser.x, chaser.y, target.x, target.y,
+            { algorithm: PATHFINDING_ALGORITHMS.JPS, useCache: false });
+        case 'cached':
+          return pathfinder.findPath(chaser.x, chaser.y, target.x, target.y);
+        default:
+          return pathfinder.findPathByFlowField(chaser.x, chaser.y, target.x, target.y);
+      }
+    });
+
+    // キャッシュは経路を求め直す2回目から効くため、どの方法も2回ずつ求める（敵の経路の更新間隔ごとの再探索にあたる）
+    const startTime = performance.now();
+    findAll();
+    const paths = findAll();
+    const time = performance.now() - startTime;
+
+    results[method.id] = paths.map(measure);
+
+    return {
+      ...method,
+      time,
+      expandedNodes: method.id === 'legacy' ? expandedNodes : pathfinder.stats.expandedNodes
+    };
+  });
+
+  // 基準の方法と経路の長さ（危険地帯ありならコスト）が違うものがないか確認する
+  const mismatches = methods.reduce((count, method) =>
+    count + results[method.id].filter((value, index) => value !== results[baselineId][index]).length, 0);
+
+  return { mapType, hazards, costlyTiles: pathfinder.costlyTiles, baselineId, methods, mismatches };
+}
@@ -0,0 +1,302 @@
+/**
+ * エンティティの空間インデックス（空間ハッシュ）
+ * ワールド座標を一定の大きさのセルに分け、セルごとにエンティティを持つ
+ * キャラクター・アイテム・障害物は生成時に登録し、移動するたびに位置を更新する（セルが変わったときだけ移し替える）
+ *
+ * - 検索は範囲に重なるセルだけを調べるため、エンティティが増えても近くの数だけで済む
+ * - エンティティの種類（spatialCategory: 'player', 'companion', 'enemy', 'npc', 'item', 'obstacle'）で絞り込める
+ * - 位置はエンティティの x, y（中心）で判定する
+ */
+
+// セルの座標をまとめて1つの数値のキーにする（負の座標も扱えるよう中央をずらす）
+const KEY_OFFSET = 32768;
+const KEY_STRIDE = 65536;
+
+// 種類が指定されていないエンティティの種類
+const DEFAULT_CATEGORY = 'default';
+
+/**
+ * シーンのマップの空間インデックスを取得する
+ * @param {Phaser.Scene} scene - シーン
+ * @returns {SpatialHash|null} 空間インデックス（マップがなければnull）
+ */
+export function getSpatialIndex(scene) {
+  return (scene && scene.topDownMap && scene.topDownMap.spatialIndex) || null;
+}
+
+export default class SpatialHash {
+  /**
+   * @param {Object} options - { cellSize: セルの大きさ（ピクセル） }
+   */
+  constructor(options = {}) {
+    this.cellSize = options.cellSize || 128;
+
+    // セルのキー → セル内のエンティティ
+    this.cells = new Map();
+
+    // エンティティ → { key: 登録しているセルのキー, category: 種類 }
+    this.entries = new Map();
+  }
+
+  /**
+   * 登録しているエンティティの数
+   * @returns {number} エンティティの数
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * すべての登録を解除する（フロアを移動したときなど）
+   */
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+  }
+
+  /**
+   * 座標を含むセルのキー
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {number} セルのキー
+   */
+  getCellKey(x, y) {
+    return this.getKeyOfCell(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+  }
+
+  /**
+   * セル座標のキー
+   * @param {number} cellX - セルのX座標
+   * @param {number} cellY - セルのY座標
+   * @returns {number} セルのキー
+   */
+  getKeyOfCell(cellX, cellY) {
+    return (cellX + KEY_OFFSET) * KEY_STRIDE + (cellY + KEY_OFFSET);
+  }
+
+  /**
+   * エンティティを登録するか、登録済みなら位置を更新する
+   * @param {Object} entity - x, y を持つエンティティ
+   * @param {string} category - 種類（省略時は entity.spatialCategory）
+   */
+  update(entity, category = entity.spatialCategory) {
+    if (!entity || !Number.isFinite(entity.x) || !Number.isFinite(entity.y)) return;
+
+    const key = this.getCellKey(entity.x, entity.y);
+    const entry = this.entries.get(entity);
+
+    if (entry) {
+      if (category) entry.category = category;
+      if (entry.key === key) return;
+      this.removeFromCell(entity, entry.key);
+      entry.key = key;
+    } else {
+      this.entries.set(entity, { key, category: category || DEFAULT_CATEGORY });
+    }
+
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = new Set();
+      this.cells.set(key, cell);
+    }
+    cell.add(entity);
+  }
+
+  /**
+   * エンティティの登録を解除する
+   * @param {Object} entity - エンティティ
+   * @returns {boolean} 登録されていたかどうか
+   */
+  remove(entity) {
+    const entry = this.entries.get(entity);
+    if (!entry) return false;
+
+    this.removeFromCell(entity, entry.key);
+    this.entries.delete(entity);
+    return true;
+  }
+
+  /**
+   * エンティティが登録されているかどうか
+   * @param {Object} entity - エンティティ
+   * @returns {boolean} 登録されていればtrue
+   */
+  has(entity) {
+    return this.entries.has(entity);
+  }
+
+  /**
+   * 登録しているエンティティの種類
+   * @param {Object} entity - エンティティ
+   * @returns {string|null} 種類（登録されていなければnull）
+   */
+  getCategory(entity) {
+    const entry = this.entries.get(entity);
+    return entry ? entry.category : null;
+  }
+
+  /**
+   * セルからエンティティを取り除く（空になったセルは捨てる）
+   * @param {Object} entity - エンティティ
+   * @param {number} key - セルのキー
+   */
+  removeFromCell(entity, key) {
+    const cell = this.cells.get(key);
+    if (!cell) return;
+
+    cell.delete(entity);
+    if (cell.size === 0) {
+      this.cells.delete(key);
+    }
+  }
+
+  /**
+   * 検索の条件に合うかどうか
+   * @param {Object} entity - エンティティ
+   * @param {Object} options - { categories: 種類の配列, filter: 条件の関数 }
+   * @returns {boolean} 条件に合えばtrue
+   */
+  matches(entity, options) {
+    if (options.categories && !options.categories.includes(this.getCategory(entity))) {
+      return false;
+    }
+    return !options.filter || options.filter(entity);
+  }
+
+  /**
+   * 矩形に重なるセルのエンティティを順に渡す
+   * @param {number} left - 左端
+   * @param {number} top - 上端
+   * @param {number} right - 右端
+   * @param {number} bottom - 下端
+   * @param {function} callback - エンティティを受け取る関数
+   */
+  forEachInBounds(left, top, right, bottom, callback) {
+    const minCellX = Math.floor(left / this.cellSize);
+    const minCellY = Math.floor(top / this.cellSize);
+    const maxCellX = Math.floor(right / this.cellSize);
+    const maxCellY = Math.floor(bottom / this.cellSize);
+
+    // 範囲がセルの数より広ければ、登録しているエンティティを直接調べる
+    if ((maxCellX - minCellX + 1) * (maxCellY - minCellY + 1) > this.cells.size) {
+      for (const entity of this.entries.keys()) callback(entity);
+      return;
+    }
+
+    for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+      for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+        const cell = this.cells.get(this.getKeyOfCell(cellX, cellY));
+        if (!cell) continue;
+        for (const entity of cell) callback(entity);
+      }
+    }
+  }
+
+  /**
+   * 矩形の中のエンティティを検索する（左上を含み、右下を含まない）
+   * @param {number} x - 左端
+   * @param {number} y - 上端
+   * @param {number} width - 幅
+   * @param {number} height - 高さ
+   * @param {Object} options - { categories: 種類の配列, filter: 条件の関数 }
+   * @returns {Array<Object>} エンティティ
+   */
+  queryRect(x, y, width, height, options = {}) {
+    const result = [];
+    const right = x + width;
+    const bottom = y + height;
+
+    this.forEachInBounds(x, y, right, bottom, entity => {
+      if (entity.x >= x && entity.x < right && entity.y >= y && entity.y < bottom && this.matches(entity, options)) {
+        result.push(entity);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 円の中のエンティティを検索する
+   * @param {number} x - 中心のX座標
+   * @param {number} y - 中心のY座標
+   * @param {number} radius - 半径
+   * @param {Object} options - { categories: 種類の配列, filter: 条件の関数, sort: 近い順に並べるか }
+   * @returns {Array<Object>} エンティティ
+   */
+  queryRadius(x, y, radius, options = {}) {
+    const result = [];
+    const radiusSquared = radius * radius;
+
+    this.forEachInBounds(x - radius, y - radius, x + radius, y + radius, entity => {
+      const dx = entity.x - x;
+      const dy = entity.y - y;
+      if (dx * dx + dy * dy <= radiusSquared && this.matches(entity, options)) {
+        result.push(entity);
+      }
+    });
+
+    return options.sort ? this.sortByDistance(result, x, y) : result;
+  }
+
+  /**
+   * 扇形の中のエンティティを検索する（中心と同じ位置のエンティティも含む）
+   * @param {number} x - 中心のX座標
+   * @param {number} y - 中心のY座標
+   * @param {number} direction - 扇形の向き（ラジアン）
+   * @param {number} angle - 扇形の開き（ラジアン、向きの左右に半分ずつ）
+   * @param {number} radius - 半径
+   * @param {Object} options - { categories: 種類の配列, filter: 条件の関数, sort: 近い順に並べるか }
+   * @returns {Array<Object>} エンティティ
+   */
+  queryCone(x, y, direction, angle, radius, options = {}) {
+    const halfAngle = angle / 2;
+
+    return this.queryRadius(x, y, radius, options).filter(entity => {
+      const dx = entity.x - x;
+      const dy = entity.y - y;
+      if (dx === 0 && dy === 0) return true;
+
+      // 向きとの角度の差を -π〜π に収める
+      const difference = Math.atan2(dy, dx) - direction;
+      const normalized = Math.atan2(Math.sin(difference), Math.cos(difference));
+      return Math.abs(normalized) <= halfAngle;
+    });
+  }
+
+  /**
+   * 最も近いエンティティを検索する
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @param {number} maxDistance - 検索する最大の距離
+   * @param {Object} options - { categories: 種類の配列, filter: 条件の関数 }
+   * @returns {Object|null} エンティティ（範囲内にいなければnull）
+   */
+  findNearest(x, y, maxDistance, options = {}) {
+    let nearest = null;
+    let nearestDistanceSquared = maxDistance * maxDistance;
+
+    this.forEachInBounds(x - maxDistance, y - maxDistance, x + maxDistance, y + maxDistance, entity => {
+      const dx = entity.x - x;
+      const dy = entity.y - y;
+      const distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared <= nearestDistanceSquared && this.matches(entity, options)) {
+        nearest = entity;
+        nearestDistanceSquared = distanceSquared;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * エンティティを距離の近い順に並べる
+   * @param {Array<Object>} entities - エンティティ
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @returns {Array<Object>} 並べたエンティティ（同じ配列）
+   */
+  sortByDistance(entities, x, y) {
+    const distanceSquared = entity => (entity.x - x) ** 2 + (entity.y - y) ** 2;
+    return entities.sort((a, b) => distanceSquared(a) - distanceSquared(b));
+  }
+}
@@ -0,0 +1,766 @@
+import JsonLoader from '../../../utils/jsonLoader';
+import { BIOMES, getBiome, getBiomeTerrainType } from '../generator/Biomes';
+import { HAZARD_KINDS, getHazard } from '../generator/Hazards';
+import { parseTmx, toTmx } from './TmxFormat';
+
+/**
+ * Tiled（マップエディタ）のマップとゲームのマップデータの変換
+ * Tiled で作った町やボスアリーナを TopDownMap.setMapData() に渡せるマップデータにし、
+ * 逆に生成したマップを Tiled で編集できるファイル（.tmj / .tmx）として書き出します。
+ *
+ * タイルの種類はタイルセットのタイルのクラス（type）で判別します（'tile_grass', 'obstacle_tree', 'wall_brick' など、
+ * AssetManager のテクスチャキーと同じ名前）。レイヤーの名前や順番は問いません。
+ * オブジェクトレイヤーのオブジェクトはクラスで判別します（'spawn', 'enemy', 'npc', 'stairs_up', 'stairs_down', 'door', 'gate', 'key',
+ * 'trap_spikes', 'trap_arrow'）。
+ */
+
+// 手作りのマップの一覧のデフォルトの場所
+export const DEFAULT_MAP_MANIFEST_PATH = '/data/maps/maps.json';
+
+// 書き出すファイルの Tiled のバージョン
+const TILED_VERSION = '1.10';
+const TILED_EDITOR_VERSION = '1.10.2';
+
+// フリップ・回転のフラグを除いたGIDのマスク
+const GID_MASK = 0x1fffffff;
+
+/**
+ * 書き出すタイルセットとタイルのクラス（並びはゲームのタイルセットのインデックスと同じ）
+ * 読み込み時は、クラスのないタイルもタイルセットの名前とタイルIDからこの表で判別する
+ */
+export const TILED_TILESETS = {
+  terrain: [
+    'tile_water', 'tile_grass', 'tile_dirt', 'tile_sand', 'tile_stone',
+    'tile_snow', 'tile_lava', 'tile_cave', 'tile_stairs_up', 'tile_stairs_down', 'tile_floor',
+    'tile_lava_pool', 'tile_poison', 'tile_mud'
+  ],
+  objects: [
+    'tile_wall', 'item_chest', 'obstacle_tree', 'obstacle_rock', 'obstacle_bush',
+    'obstacle_crate', 'obstacle_stalagmite', 'obstacle_crystal', 'obstacle_waypoint', 'obstacle_quest_board'
+  ],
+  walls: ['wall_stone', 'wall_brick', 'wall_wood', 'wall_ice', 'wall_metal', 'wall_cave']
+};
+
+// オブジェクトレイヤーのオブジェクトのクラス
+const SPAWN_OBJECT = 'spawn';
+const ENEMY_OBJECTS = ['enemy', 'elite', 'boss'];
+const NPC_OBJECT = 'npc';
+const STAIRS_OBJECTS = { stairs_up: 'up', stairs_down: 'down' };
+const DOOR_OBJECTS = ['door', 'gate'];
+const KEY_OBJECT = 'key';
+const TRAP_OBJECTS = { trap_spikes: 'spikes', trap_arrow: 'arrow' };
+
+// 危険地帯の地形タイルの種類から危険地帯の種類への対応（'lava_pool' → 'lava' など）
+const HAZARD_BY_TILE = Object.fromEntries(Object.entries(HAZARD_KINDS).map(([kind, hazard]) => [hazard.tile, kind]));
+
+// 地形を塗っていないタイルの高さ（水と同じく移動できない）
+const UNPAINTED_HEIGHT = 0;
+
+// 移動できる地形の最低の高さ（TopDownMap.isWalkableAt と同じ）
+const WALKABLE_HEIGHT = 0.3;
+
+/**
+ * 値の型に合わせた Tiled のカスタムプロパティを作る
+ * @param {string} name - プロパティ名
+ * @param {*} value - 値
+ * @returns {Object} - { name, type, value }
+ */
+function createProperty(name, value) {
+  if (typeof value === 'boolean') return { name, type: 'bool', value };
+  if (Number.isInteger(value)) return { name, type: 'int', value };
+  if (typeof value === 'number') return { name, type: 'float', value };
+  if (typeof value === 'object') return { name, type: 'string', value: JSON.stringify(value) };
+  return { name, type: 'string', value: String(value) };
+}
+
+/**
+ * カスタムプロパティの配列をオブジェクトにする
+ * @param {Array<Object>|undefined} properties - [{ name, type, value }]
+ * @returns {Object} - プロパティ名をキーにした値
+ */
+function readProperties(properties) {
+  const values = {};
+  for (const property of properties || []) {
+    values[property.name] = property.value;
+  }
+  return values;
+}
+
+/**
+ * JSON文字列のプロパティを読み込む（NPCの会話やショップの品ぞろえ）
+ * @param {*} value - プロパティの値
+ * @param {string} label - 警告に出す名前
+ * @returns {*} 値（読み込めなければundefined）
+ */
+function parseJsonProperty(value, label) {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn(`Tiled map: ${label} is not valid JSON and was ignored`);
+    return undefined;
+  }
+}
+
+/**
+ * タイルのクラスから、マップデータ上の種類を求める
+ * @param {string} tileClass - タイルのクラス（'tile_grass' など）
+ * @returns {Object|null} - { layer: 'terrain' | 'objects' | 'walls', kind }（知らないクラスならnull）
+ */
+function classifyTile(tileClass) {
+  if (!tileClass) return null;
+
+  if (TILED_TILESETS.terrain.includes(tileClass)) {
+    return { layer: 'terrain', kind: tileClass.replace('tile_', '') };
+  }
+  if (TILED_TILESETS.walls.includes(tileClass)) {
+    return { layer: 'walls', kind: tileClass.replace('wall_', '') };
+  }
+  if (tileClass === 'tile_wall') {
+    return { layer: 'walls', kind: null };
+  }
+  if (tileClass === 'item_chest') {
+    return { layer: 'objects', kind: 'chest' };
+  }
+  if (TILED_TILESETS.objects.includes(tileClass)) {
+    return { layer: 'objects', kind: tileClass.replace('obstacle_', '') };
+  }
+
+  return null;
+}
+
+/**
+ * タイルセットから、GIDとタイルの種類の対応表を作る
+ * @param {Array<Object>} tilesets - Tiled のタイルセット
+ * @returns {Map<number, Object>} - GIDから classifyTile() の結果への対応
+ */
+function buildTileTable(tilesets) {
+  const table = new Map();
+
+  for (const tileset of tilesets || []) {
+    // 外部タイルセットはファイル名（拡張子なし）をタイルセットの名前とみなす
+    const name = tileset.name || (tileset.source || '').split('/').pop().replace(/\.[^.]+$/, '');
+    const defaults = TILED_TILESETS[name] || [];
+
+    const classes = {};
+    defaults.forEach((tileClass, id) => {
+      classes[id] = tileClass;
+    });
+    for (const tile of tileset.tiles || []) {
+      const tileClass = tile.type || tile.class || readProperties(tile.properties).name;
+      if (tileClass) {
+        classes[tile.id] = tileClass;
+      }
+    }
+
+    for (const [id, tileClass] of Object.entries(classes)) {
+      const classified = classifyTile(tileClass);
+      if (classified) {
+        table.set(tileset.firstgid + Number(id), classified);
+      } else {
+        console.warn(`Tiled map: unknown tile class '${tileClass}' in tileset ${name}`);
+      }
+    }
+  }
+
+  return table;
+}
+
+/**
+ * 地形の種類を、バイオームでその地形になる高さに変換する
+ * 地形が高さの帯で決まるため、帯の中央の高さを使う（書き出すと同じ地形に戻る）
+ * @param {string} terrainType - 地形の種類（'grass' など）
+ * @param {string|null} biome - バイオームID
+ * @returns {number|null} 高さ（バイオームにない地形ならnull）
+ */
+export function getTerrainHeight(terrainType, biome) {
+  const { terrain } = getBiome(biome);
+  const index = terrain.findIndex(band => band.type === terrainType);
+  if (index === -1) return null;
+
+  const lower = index === 0 ? 0 : terrain[index - 1].below;
+  const upper = Math.min(terrain[index].below, 1);
+  return (lower + upper) / 2;
+}
+
+/**
+ * 移動できる地形の代表の高さ（洞窟の床や階段に使う）
+ * @param {string|null} biome - バイオームID
+ * @returns {number} 高さ
+ */
+function getFloorHeight(biome) {
+  const band = getBiome(biome).terrain.find(entry => entry.below > WALKABLE_HEIGHT);
+  return getTerrainHeight(band.type, biome);
+}
+
+/**
+ * オブジェクトの中心のタイル座標を求める
+ * タイルオブジェクトは左下、それ以外は左上が (x, y) になる
+ * @param {Object} object - Tiled のオブジェクト
+ * @param {number} tileWidth - タイルの幅
+ * @param {number} tileHeight - タイルの高さ
+ * @returns {{x: number, y: number}} タイル座標
+ */
+function getObjectTile(object, tileWidth, tileHeight) {
+  const width = object.width || 0;
+  const height = object.height || 0;
+  const centerY = object.gid ? object.y - height / 2 : object.y + height / 2;
+
+  return {
+    x: Math.floor((object.x + width / 2) / tileWidth),
+    y: Math.floor(centerY / tileHeight)
+  };
+}
+
+/**
+ * Tiled のマップ（JSON形式、または parseTmx() の結果）をマップデータに変換します。
+ *
+ * - タイルレイヤー: 地形は高さマップ、宝箱・障害物・壁はオブジェクト配置になる（後のレイヤーが優先）
+ * - オブジェクトレイヤー: spawn（開始位置）、enemy / elite / boss（敵）、npc、stairs_up / stairs_down（階段）、
+ *   door / gate（扉と門）、key（鍵）
+ * - マップのプロパティ: mapType、biome、difficulty、seed
+ *
+ * @param {Object} map - Tiled のマップ
+ * @param {Object} options - { mapType: マップのプロパティがない場合のマップタイプ }
+ * @returns {Object} - TopDownMap.setMapData() に渡せるマップデータ
+ * @throws {Error} - 変換できないマップの場合
+ */
+export function parseTiledMap(map, options = {}) {
+  if (!map || !Array.isArray(map.layers)) {
+    throw new Error('not a Tiled map');
+  }
+  if (map.orientation && map.orientation !== 'orthogonal') {
+    throw new Error(`${map.orientation} maps are not supported, use an orthogonal map`);
+  }
+  if (map.infinite) {
+    throw new Error('infinite maps are not supported, use a fixed-size map');
+  }
+
+  const { width, height, tilewidth: tileWidth, tileheight: tileHeight } = map;
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error('map width and height must be positive integers');
+  }
+
+  const properties = readProperties(map.properties);
+  const type = properties.mapType || options.mapType || 'dungeon';
+  const biome = type === 'field' && BIOMES[properties.biome] ? properties.biome : null;
+
+  const heightMap = Array.from({ length: width }, () => new Array(height).fill(null));
+  const objectPlacement = Array.from({ length: width }, () => new Array(height).fill(0));
+  const obstacleKinds = {};
+  const floorKinds = {};
+  const wallKinds = {};
+  const hazardKinds = {};
+  const stairs = { up: null, down: null };
+  const unsupportedTerrain = new Set();
+
+  const tileTable = buildTileTable(map.tilesets);
+  const floorHeight = getFloorHeight(biome);
+
+  // グループの中のレイヤーも上から順に並べる
+  const flattenLayers = layers => layers.flatMap(layer => (layer.type === 'group' ? flattenLayers(layer.layers || []) : [layer]));
+  const layers = flattenLayers(map.layers);
+
+  for (const layer of layers.filter(entry => entry.type === 'tilelayer')) {
+    if (layer.chunks) {
+      throw new Error(`layer ${layer.name} uses chunks, use a fixed-size map`);
+    }
+    if (!Array.isArray(layer.data)) {
+      throw new Error(`layer ${layer.name} has compressed or encoded data, save the map with CSV encoding`);
+    }
+
+    // レイヤーの位置（タイル単位）のずれを考慮する
+    const offsetX = layer.x || 0;
+    const offsetY = layer.y || 0;
+    const layerWidth = layer.width || width;
+
+    layer.data.forEach((rawGid, index) => {
+      const gid = rawGid & GID_MASK;
+      if (gid === 0) return;
+
+      const x = offsetX + (index % layerWidth);
+      const y = offsetY + Math.floor(index / layerWidth);
+      if (x < 0 || x >= width || y < 0 || y >= height) return;
+
+      const tile = tileTable.get(gid);
+      if (!tile) return;
+
+      const key = `${x},${y}`;
+      if (tile.layer === 'terrain') {
+        if (tile.kind === 'stairs_up' || tile.kind === 'stairs_down') {
+          stairs[STAIRS_OBJECTS[tile.kind]] = { x, y };
+          heightMap[x][y] = floorHeight;
+          return;
+        }
+
+        // 建物の床は高さでは表せないため種類として残す
+        if (tile.kind === 'floor') {
+          floorKinds[key] = tile.kind;
+          delete hazardKinds[key];
+          heightMap[x][y] = floorHeight;
+          return;
+        }
+
+        // 危険地帯は移動できる床に重ねる
+        if (HAZARD_BY_TILE[tile.kind]) {
+          hazardKinds[key] = HAZARD_BY_TILE[tile.kind];
+          delete floorKinds[key];
+          heightMap[x][y] = floorHeight;
+          return;
+        }
+
+        let terrainHeight = type === 'cave' && tile.kind === 'cave' ? floorHeight : getTerrainHeight(tile.kind, biome);
+        if (terrainHeight === null) {
+          // バイオームにない地形は、移動できるかどうかだけを合わせる
+          unsupportedTerrain.add(tile.kind);
+          terrainHeight = tile.kind === 'water' || tile.kind === 'lava' ? UNPAINTED_HEIGHT : floorHeight;
+        }
+        heightMap[x][y] = terrainHeight;
+        delete floorKinds[key];
+        delete hazardKinds[key];
+
+        // 水・溶岩には何も置けない
+        if (terrainHeight < WALKABLE_HEIGHT && objectPlacement[x][y] === 0) {
+          objectPlacement[x][y] = 1;
+        }
+      } else if (tile.layer === 'walls') {
+        objectPlacement[x][y] = 4;
+        delete obstacleKinds[key];
+        if (tile.kind) {
+          wallKinds[key] = tile.kind;
+        }
+      } else if (tile.kind === 'chest') {
+        objectPlacement[x][y] = 2;
+        delete obstacleKinds[key];
+        delete wallKinds[key];
+      } else {
+        objectPlacement[x][y] = 3;
+        obstacleKinds[key] = tile.kind;
+        delete wallKinds[key];
+      }
+    });
+  }
+
+  if (unsupportedTerrain.size > 0) {
+    console.warn(`Tiled map: terrain ${[...unsupportedTerrain].join(', ')} does not exist in biome ${biome || 'default'} and will be drawn differently`);
+  }
+
+  // 地形を塗っていないタイルは移動できない。壁などを置いたタイルは見えるよう床の高さにする
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      if (heightMap[x][y] !== null) continue;
+      heightMap[x][y] = objectPlacement[x][y] > 1 ? floorHeight : UNPAINTED_HEIGHT;
+    }
+  }
+
+  // 開始位置・敵・NPC・階段・扉・鍵
+  let spawn = null;
+  const enemyPlacement = [];
+  const npcPlacement = [];
+  const doors = [];
+  const keys = [];
+  const traps = [];
+
+  for (const layer of layers.filter(entry => entry.type === 'objectgroup')) {
+    for (const object of layer.objects || []) {
+      const objectClass = object.type || object.class || object.name;
+      const objectProperties = readProperties(object.properties);
+      const { x, y } = getObjectTile(object, tileWidth, tileHeight);
+
+      if (x < 0 || x >= width || y < 0 || y >= height) {
+        console.warn(`Tiled map: object ${object.id} (${objectClass}) is outside the map and was ignored`);
+        continue;
+      }
+
+      if (objectClass === SPAWN_OBJECT) {
+        spawn = { x, y };
+      } else if (ENEMY_OBJECTS.includes(objectClass)) {
+        const enemy = {
+          x,
+          y,
+          type: objectClass === 'enemy' ? (objectProperties.enemyType || 'skeleton') : objectClass
+        };
+        // レベルがなければフロアのレベルに合わせる
+        if (Number.isFinite(objectProperties.level)) {
+          enemy.level = objectProperties.level;
+        }
+        enemyPlacement.push(enemy);
+      } else if (objectClass === NPC_OBJECT) {
+        const npc = {
+          x,
+          y,
+          type: objectProperties.npcType || 'villager',
+          isShop: !!objectProperties.isShop
+        };
+        if (object.name) npc.name = object.name;
+        if (objectProperties.shopType) npc.shopType = objectProperties.shopType;
+        if (objectProperties.serviceType) npc.serviceType = objectProperties.serviceType;
+        if (objectProperties.building) npc.building = objectProperties.building;
+
+        const items = parseJsonProperty(objectProperties.items, `items of NPC ${object.id}`);
+        if (items) npc.items = items;
+        const dialogues = parseJsonProperty(objectProperties.dialogues, `dialogues of NPC ${object.id}`);
+        if (dialogues) npc.dialogues = dialogues;
+
+        npcPlacement.push(npc);
+      } else if (STAIRS_OBJECTS[objectClass]) {
+        stairs[STAIRS_OBJECTS[objectClass]] = { x, y };
+      } else if (DOOR_OBJECTS.includes(objectClass)) {
+        const keyId = objectProperties.keyId || null;
+        const door = { x, y, kind: objectClass, locked: !!keyId, keyId };
+        if (object.name) door.name = object.name;
+        doors.push(door);
+      } else if (objectClass === KEY_OBJECT) {
+        if (!objectProperties.keyId) {
+          console.warn(`Tiled map: key ${object.id} has no keyId and was ignored`);
+          continue;
+        }
+        keys.push({ x, y, keyId: objectProperties.keyId, name: object.name || '古びた鍵' });
+      } else if (TRAP_OBJECTS[objectClass]) {
+        const trap = { x, y, kind: TRAP_OBJECTS[objectClass] };
+
+        // 矢の罠は発射口のタイル（launcherX, launcherY）から感圧板へ矢が飛ぶ
+        if (trap.kind === 'arrow') {
+          const launcher = { x: objectProperties.launcherX, y: objectProperties.launcherY };
+          const dx = Math.sign(x - launcher.x);
+          const dy = Math.sign(y - launcher.y);
+          if (!Number.isInteger(launcher.x) || !Number.isInteger(launcher.y) || (dx !== 0 && dy !== 0) || dx === dy) {
+            console.warn(`Tiled map: arrow trap ${object.id} needs launcherX and launcherY in a straight line and was ignored`);
+            continue;
+          }
+          trap.launcher = launcher;
+          trap.direction = { dx, dy };
+        }
+        traps.push(trap);
+      } else {
+        console.warn(`Tiled map: unknown object class '${objectClass}' (object ${object.id}) was ignored`);
+      }
+    }
+  }
+
+  return {
+    width,
+    height,
+    tileSize: tileWidth,
+    heightMap,
+    objectPlacement,
+    enemyPlacement,
+    npcPlacement,
+    rooms: [],
+    obstacleKinds,
+    floorKinds,
+    wallKinds,
+    hazardKinds,
+    spawn,
+    type,
+    biome,
+    difficulty: properties.difficulty || null,
+    seed: Number.isInteger(properties.seed) ? properties.seed : undefined,
+    stairs: stairs.up || stairs.down ? stairs : null,
+    doors,
+    keys,
+    traps
+  };
+}
+
+/**
+ * マップデータの壁の既定の見た目（TopDownMap と同じ）
+ * @param {Object} mapData - マップデータ
+ * @returns {string} 壁の種類
+ */
+function getDefaultWallKind(mapData) {
+  if (mapData.type === 'cave') return 'cave';
+  if (mapData.type === 'field') return getBiome(mapData.biome).wall || 'stone';
+  return 'stone';
+}
+
+/**
+ * 埋め込みのタイルセットを作る
+ * タイルは画像のコレクションにし、画像は tiles/<クラス>.png を参照する
+ * @param {string} name - タイルセットの名前
+ * @param {number} firstgid - 最初のGID
+ * @param {number} tileSize - タイルの大きさ
+ * @returns {Object} タイルセット
+ */
+function createTileset(name, firstgid, tileSize) {
+  const classes = TILED_TILESETS[name];
+
+  return {
+    firstgid,
+    name,
+    tilewidth: tileSize,
+    tileheight: tileSize,
+    tilecount: classes.length,
+    columns: 0,
+    margin: 0,
+    spacing: 0,
+    grid: { orientation: 'orthogonal', width: 1, height: 1 },
+    tiles: classes.map((tileClass, id) => ({
+      id,
+      type: tileClass,
+      image: `tiles/${tileClass}.png`,
+      imagewidth: tileSize,
+      imageheight: tileSize
+    }))
+  };
+}
+
+/**
+ * マップデータを Tiled のマップ（JSON形式）に変換します。
+ * 地形（terrain）、宝箱と障害物（objects）、壁（walls）のタイルレイヤーと、
+ * 開始位置・階段・敵・NPCのオブジェクトレイヤー（entities）を作ります。
+ *
+ * @param {Object} mapData - マップデータ（MapGenerator.generateMap() の結果など）
+ * @returns {Object} - Tiled のJSON形式のマップ
+ */
+export function toTiledMap(mapData) {
+  const { width, height, heightMap, objectPlacement } = mapData;
+  const tileSize = mapData.tileSize || 32;
+  const biome = mapData.type === 'field' ? mapData.biome || null : null;
+  const obstacleKinds = mapData.obstacleKinds || {};
+  const floorKinds = mapData.floorKinds || {};
+  const wallKinds = mapData.wallKinds || {};
+  const hazardKinds = mapData.hazardKinds || {};
+  const defaultWall = getDefaultWallKind(mapData);
+
+  const tilesets = [];
+  const firstgids = {};
+  let nextGid = 1;
+  for (const name of Object.keys(TILED_TILESETS)) {
+    firstgids[name] = nextGid;
+    tilesets.push(createTileset(name, nextGid, tileSize));
+    nextGid += TILED_TILESETS[name].length;
+  }
+  const gidOf = (name, tileClass) => firstgids[name] + TILED_TILESETS[name].indexOf(tileClass);
+
+  const terrain = new Array(width * height).fill(0);
+  const objects = new Array(width * height).fill(0);
+  const walls = new Array(width * height).fill(0);
+
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      const index = y * width + x;
+      const key = `${x},${y}`;
+      const heightValue = heightMap[x][y];
+
+      // 町の建物の床や石畳、危険地帯は決められた種類で描く
+      const hazard = getHazard(hazardKinds[key]);
+      const floorKind = TILED_TILESETS.terrain.includes(`tile_${floorKinds[key]}`) ? floorKinds[key] : null;
+      const terrainType = (hazard && hazard.tile) || floorKind || (mapData.type === 'cave' && heightValue >= WALKABLE_HEIGHT
+        ? 'cave'
+        : getBiomeTerrainType(heightValue, biome));
+      terrain[index] = gidOf('terrain', `tile_${terrainType}`);
+
+      switch (objectPlacement[x][y]) {
+        case 2:
+          objects[index] = gidOf('objects', 'item_chest');
+          break;
+        case 3: {
+          const kind = obstacleKinds[key] || 'rock';
+          objects[index] = gidOf('objects', `obstacle_${kind}`);
+          break;
+        }
+        case 4:
+          walls[index] = gidOf('walls', `wall_${wallKinds[key] || defaultWall}`);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  let nextObjectId = 1;
+  const createObject = (objectClass, tile, name = '', properties = []) => ({
+    id: nextObjectId++,
+    name,
+    type: objectClass,
+    x: (tile.x + 0.5) * tileSize,
+    y: (tile.y + 0.5) * tileSize,
+    width: 0,
+    height: 0,
+    rotation: 0,
+    visible: true,
+    point: true,
+    properties: properties.length > 0 ? properties : undefined
+  });
+
+  const entities = [];
+  if (mapData.spawn) {
+    entities.push(createObject(SPAWN_OBJECT, mapData.spawn));
+  }
+  for (const [direction, objectClass] of [['up', 'stairs_up'], ['down', 'stairs_down']]) {
+    if (mapData.stairs && mapData.stairs[direction]) {
+      entities.push(createObject(objectClass, mapData.stairs[direction]));
+    }
+  }
+  for (const enemy of mapData.enemyPlacement || []) {
+    const isRank = enemy.type === 'elite' || enemy.type === 'boss';
+    const properties = [];
+    if (!isRank) properties.push(createProperty('enemyType', enemy.type));
+    if (enemy.level !== undefined) properties.push(createProperty('level', enemy.level));
+    entities.push(createObject(isRank ? enemy.type : 'enemy', enemy, '', properties));
+  }
+  for (const npc of mapData.npcPlacement || []) {
+    const properties = [createProperty('npcType', npc.type), createProperty('isShop', !!npc.isShop)];
+    if (npc.shopType) properties.push(createProperty('shopType', npc.shopType));
+    if (npc.serviceType) properties.push(createProperty('serviceType', npc.serviceType));
+    if (npc.building) properties.push(createProperty('building', npc.building));
+    if (npc.items) properties.push(createProperty('items', npc.items));
+    if (npc.dialogues) properties.push(createProperty('dialogues', npc.dialogues));
+    entities.push(createObject(NPC_OBJECT, npc, npc.name || '', properties));
+  }
+  for (const door of mapData.doors || []) {
+    const properties = door.keyId ? [createProperty('keyId', door.keyId)] : [];
+    entities.push(createObject(door.kind, door, door.name || '', properties));
+  }
+  for (const key of mapData.keys || []) {
+    entities.push(createObject(KEY_OBJECT, key, key.name || '', [createProperty('keyId', key.keyId)]));
+  }
+  for (const trap of mapData.traps || []) {
+    const properties = trap.launcher
+      ? [createProperty('launcherX', trap.launcher.x), createProperty('launcherY', trap.launcher.y)]
+      : [];
+    entities.push(createObject(`trap_${trap.kind}`, trap, '', properties));
+  }
+
+  const mapProperties = [createProperty('mapType', mapData.type)];
+  if (biome) mapProperties.push(createProperty('biome', biome));
+  if (mapData.difficulty) mapProperties.push(createProperty('difficulty', mapData.difficulty));
+  if (Number.isInteger(mapData.seed)) mapProperties.push(createProperty('seed', mapData.seed));
+
+  const createTileLayer = (id, name, data) => ({
+    id,
+    name,
+    type: 'tilelayer',
+    x: 0,
+    y: 0,
+    width,
+    height,
+    opacity: 1,
+    visible: true,
+    data
+  });
+
+  return {
+    type: 'map',
+    version: TILED_VERSION,
+    tiledversion: TILED_EDITOR_VERSION,
+    orientation: 'orthogonal',
+    renderorder: 'right-down',
+    infinite: false,
+    width,
+    height,
+    tilewidth: tileSize,
+    tileheight: tileSize,
+    nextlayerid: 5,
+    nextobjectid: nextObjectId,
+    properties: mapProperties,
+    tilesets,
+    layers: [
+      createTileLayer(1, 'terrain', terrain),
+      createTileLayer(2, 'objects', objects),
+      createTileLayer(3, 'walls', walls),
+      {
+        id: 4,
+        name: 'entities',
+        type: 'objectgroup',
+        draworder: 'topdown',
+        x: 0,
+        y: 0,
+        opacity: 1,
+        visible: true,
+        objects: entities
+      }
+    ]
+  };
+}
+
+/**
+ * Tiled のファイルの内容をマップデータに変換します（.tmx はXML、それ以外はJSONとして読む）。
+ *
+ * @param {string} text - ファイルの内容
+ * @param {string} fileName - ファイル名（拡張子で形式を判別する）
+ * @param {Object} options - parseTiledMap() のオプション
+ * @returns {Object} - マップデータ
+ * @throws {Error} - 変換できない場合
+ */
+export function parseTiledFile(text, fileName, options = {}) {
+  const map = /\.tmx$/i.test(fileName) ? parseTmx(text) : JSON.parse(text);
+  return parseTiledMap(map, options);
+}
+
+/**
+ * マップデータを Tiled のファイルの内容にします。
+ *
+ * @param {Object} mapData - マップデータ
+ * @param {string} format - 'tmj'（JSON）または 'tmx'（XML）
+ * @returns {string} - ファイルの内容
+ */
+export function serializeTiledMap(mapData, format = 'tmj') {
+  const map = toTiledMap(mapData);
+  if (format === 'tmx') return toTmx(map);
+
+  // タイルの配列は Tiled と同じく1行にまとめる（1タイル1行だとファイルが大きくなる）
+  return JSON.stringify(map, null, 2).replace(/\[\s+([\d,\s]+?)\s+\]/g, (match, values) => `[${values.split(/\s*,\s*/).join(',')}]`);
+}
+
+/**
+ * Tiled のファイルを読み込んでマップデータにします。
+ *
+ * @param {string} path - ファイルのURL（.tmj / .json / .tmx）
+ * @param {Object} options - parseTiledMap() のオプション
+ * @returns {Promise<Object>} - マップデータ
+ * @throws {Error} - 読み込めない、または変換できない場合
+ */
+export async function loadTiledMap(path, options = {}) {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`Failed to load Tiled map: ${response.statusText}`);
+  }
+  return parseTiledFile(await response.text(), path, options);
+}
+
+/**
+ * 手作りのマップの一覧（public/data/maps/maps.json）を読み込みます。
+ * 各マップのファイルは一覧と同じディレクトリからの相対パスで指定します。
+ * マップタイプはマップのプロパティ（mapType）、なければ一覧の mapType で決まります。
+ * 読み込めないマップは警告を出して除外し、一覧がなければ手作りのマップなしで続けます。
+ *
+ * @param {string} path - 一覧のパス
+ * @returns {Promise<Object>} - マップタイプごとの { id, weight, file, mapData } の配列
+ */
+export async function loadHandmadeMaps(path = DEFAULT_MAP_MANIFEST_PATH) {
+  let manifest;
+  try {
+    manifest = await JsonLoader.loadJson(path);
+  } catch (error) {
+    console.warn(`Handmade map list could not be loaded from ${path}, all maps will be generated`);
+    return {};
+  }
+
+  const directory = path.slice(0, path.lastIndexOf('/') + 1);
+  const maps = {};
+
+  for (const entry of (manifest && manifest.maps) || []) {
+    try {
+      if (!entry.id || !entry.file) {
+        throw new Error('id and file are required');
+      }
+
+      const mapData = await loadTiledMap(`${directory}${entry.file}`, { mapType: entry.mapType });
+      if (!maps[mapData.type]) maps[mapData.type] = [];
+      maps[mapData.type].push({
+        id: entry.id,
+        weight: entry.weight === undefined ? 1 : entry.weight,
+        file: entry.file,
+        mapData
+      });
+    } catch (error) {
+      console.warn(`Handmade map ${entry.id || entry.file} skipped: ${error.message}`);
+    }
+  }
+
+  return maps;
+}
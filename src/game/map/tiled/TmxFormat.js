@@ -0,0 +1,389 @@
+/**
+ * Tiled のXML形式（.tmx）の読み書き
+ * TMXを Tiled のJSON形式（.tmj）と同じ形のオブジェクトに変換し、その逆も行います。
+ * マップの変換（TiledMap.js）はJSON形式だけを扱えばよいようにするためのものです。
+ *
+ * 対応しているのは TiledMap.js が使う範囲（正方形の向きの有限マップ、タイルレイヤーとオブジェクトレイヤー、
+ * 埋め込みのタイルセット、カスタムプロパティ）です。圧縮されたタイルデータには対応していません。
+ */
+
+// フリップ・回転のフラグを除いたGIDのマスク
+const GID_MASK = 0x1fffffff;
+
+// XMLの文字参照
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+/**
+ * XMLの文字参照を元の文字に戻す
+ * @param {string} text - XMLのテキスト
+ * @returns {string} テキスト
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (match, entity) => {
+    if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.slice(1), 10));
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * テキストをXMLの属性値・テキストとして書ける形にする
+ * @param {*} value - 値
+ * @returns {string} エスケープした文字列
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * XMLを要素の木に変換する（TMXに必要な範囲だけを扱う簡易パーサー）
+ * @param {string} text - XML文字列
+ * @returns {Object} ルート要素（{ name, attributes, children, text }）
+ * @throws {Error} - XMLの形が正しくない場合
+ */
+export function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  let lastIndex = 0;
+  let match;
+  while ((match = tagPattern.exec(text)) !== null) {
+    const current = stack[stack.length - 1];
+    current.text += decodeEntities(text.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    const [, cdata, closingName, openingName, attributeText, selfClosing] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closingName) {
+      if (current.name !== closingName) {
+        throw new Error(`Unexpected </${closingName}>, expected </${current.name}>`);
+      }
+      stack.pop();
+    } else if (openingName) {
+      const element = { name: openingName, attributes: {}, children: [], text: '' };
+      let attribute;
+      attributePattern.lastIndex = 0;
+      while ((attribute = attributePattern.exec(attributeText)) !== null) {
+        element.attributes[attribute[1]] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Unclosed <${stack[stack.length - 1].name}>`);
+  }
+
+  return root;
+}
+
+/**
+ * 子要素を名前で取得
+ * @param {Object} element - 要素
+ * @param {string} name - 子要素の名前
+ * @returns {Object[]} 子要素
+ */
+function childrenNamed(element, name) {
+  return element.children.filter(child => child.name === name);
+}
+
+/**
+ * 数値の属性を取得
+ * @param {Object} element - 要素
+ * @param {string} name - 属性名
+ * @param {number} defaultValue - 属性がない場合の値
+ * @returns {number} 値
+ */
+function numberAttribute(element, name, defaultValue = 0) {
+  return element.attributes[name] !== undefined ? Number(element.attributes[name]) : defaultValue;
+}
+
+/**
+ * <properties> をJSON形式のプロパティの配列に変換する
+ * @param {Object} element - プロパティを持つ要素
+ * @returns {Array<Object>|undefined} - [{ name, type, value }]（プロパティがなければundefined）
+ */
+function readProperties(element) {
+  const [properties] = childrenNamed(element, 'properties');
+  if (!properties) return undefined;
+
+  return childrenNamed(properties, 'property').map(property => {
+    const type = property.attributes.type || 'string';
+    const raw = property.attributes.value !== undefined ? property.attributes.value : property.text;
+
+    let value = raw;
+    if (type === 'int' || type === 'float' || type === 'object') {
+      value = Number(raw);
+    } else if (type === 'bool') {
+      value = raw === 'true';
+    }
+
+    return { name: property.attributes.name, type, value };
+  });
+}
+
+/**
+ * <data> のタイルを読み込む
+ * @param {Object} data - <data> 要素
+ * @returns {number[]} GID（行優先）
+ * @throws {Error} - 対応していない形式の場合
+ */
+function readTileData(data) {
+  const { encoding, compression } = data.attributes;
+  if (compression) {
+    throw new Error(`Compressed tile layer data (${compression}) is not supported, save the map with CSV encoding`);
+  }
+
+  if (encoding === 'csv') {
+    return data.text.split(',').map(value => value.trim()).filter(value => value !== '').map(Number);
+  }
+
+  if (encoding === 'base64') {
+    const binary = atob(data.text.trim());
+    const gids = [];
+    for (let i = 0; i + 3 < binary.length; i += 4) {
+      // リトルエンディアンの符号なし32ビット整数
+      gids.push((binary.charCodeAt(i) |
+        (binary.charCodeAt(i + 1) << 8) |
+        (binary.charCodeAt(i + 2) << 16) |
+        (binary.charCodeAt(i + 3) << 24)) >>> 0);
+    }
+    return gids;
+  }
+
+  // エンコードなしは <tile gid="..."/> の並び
+  return childrenNamed(data, 'tile').map(tile => numberAttribute(tile, 'gid'));
+}
+
+/**
+ * <tileset> をJSON形式のタイルセットに変換する
+ * @param {Object} element - <tileset> 要素
+ * @returns {Object} タイルセット
+ */
+function readTileset(element) {
+  const tileset = {
+    firstgid: numberAttribute(element, 'firstgid', 1)
+  };
+
+  // 外部タイルセットは参照だけを残す（名前で判別する）
+  if (element.attributes.source) {
+    tileset.source = element.attributes.source;
+    return tileset;
+  }
+
+  tileset.name = element.attributes.name;
+  tileset.tilewidth = numberAttribute(element, 'tilewidth');
+  tileset.tileheight = numberAttribute(element, 'tileheight');
+  tileset.tilecount = numberAttribute(element, 'tilecount');
+  tileset.columns = numberAttribute(element, 'columns');
+  tileset.tiles = childrenNamed(element, 'tile').map(tile => {
+    const [image] = childrenNamed(tile, 'image');
+    return {
+      id: numberAttribute(tile, 'id'),
+      type: tile.attributes.type || tile.attributes.class,
+      image: image ? image.attributes.source : undefined,
+      properties: readProperties(tile)
+    };
+  });
+
+  return tileset;
+}
+
+/**
+ * <object> をJSON形式のオブジェクトに変換する
+ * @param {Object} element - <object> 要素
+ * @returns {Object} オブジェクト
+ */
+function readObject(element) {
+  const object = {
+    id: numberAttribute(element, 'id'),
+    name: element.attributes.name || '',
+    type: element.attributes.type || element.attributes.class || '',
+    x: numberAttribute(element, 'x'),
+    y: numberAttribute(element, 'y'),
+    width: numberAttribute(element, 'width'),
+    height: numberAttribute(element, 'height'),
+    properties: readProperties(element)
+  };
+
+  if (element.attributes.gid !== undefined) {
+    object.gid = numberAttribute(element, 'gid') & GID_MASK;
+  }
+  if (childrenNamed(element, 'point').length > 0) {
+    object.point = true;
+  }
+
+  return object;
+}
+
+/**
+ * レイヤー（グループの中も含む）をJSON形式のレイヤーに変換する
+ * @param {Object} element - レイヤーを子に持つ要素（<map> または <group>）
+ * @returns {Array<Object>} レイヤー
+ */
+function readLayers(element) {
+  const layers = [];
+
+  for (const child of element.children) {
+    const common = {
+      id: numberAttribute(child, 'id'),
+      name: child.attributes.name || '',
+      visible: child.attributes.visible !== '0',
+      properties: readProperties(child)
+    };
+
+    if (child.name === 'layer') {
+      const [data] = childrenNamed(child, 'data');
+      layers.push({
+        ...common,
+        type: 'tilelayer',
+        width: numberAttribute(child, 'width'),
+        height: numberAttribute(child, 'height'),
+        data: data ? readTileData(data) : []
+      });
+    } else if (child.name === 'objectgroup') {
+      layers.push({
+        ...common,
+        type: 'objectgroup',
+        objects: childrenNamed(child, 'object').map(readObject)
+      });
+    } else if (child.name === 'group') {
+      layers.push({
+        ...common,
+        type: 'group',
+        layers: readLayers(child)
+      });
+    }
+  }
+
+  return layers;
+}
+
+/**
+ * TMX文字列を Tiled のJSON形式と同じ形のオブジェクトに変換します。
+ *
+ * @param {string} text - TMX文字列
+ * @returns {Object} - Tiled のJSON形式のマップ
+ * @throws {Error} - TMXとして読み込めない場合
+ */
+export function parseTmx(text) {
+  const [map] = childrenNamed(parseXml(text), 'map');
+  if (!map) {
+    throw new Error('TMX file has no <map> element');
+  }
+
+  return {
+    type: 'map',
+    version: map.attributes.version,
+    orientation: map.attributes.orientation,
+    infinite: map.attributes.infinite === '1',
+    width: numberAttribute(map, 'width'),
+    height: numberAttribute(map, 'height'),
+    tilewidth: numberAttribute(map, 'tilewidth'),
+    tileheight: numberAttribute(map, 'tileheight'),
+    properties: readProperties(map),
+    tilesets: childrenNamed(map, 'tileset').map(readTileset),
+    layers: readLayers(map)
+  };
+}
+
+/**
+ * プロパティをTMXの <properties> にする
+ * @param {Array<Object>|undefined} properties - JSON形式のプロパティ
+ * @param {string} indent - インデント
+ * @returns {string[]} XMLの行
+ */
+function writeProperties(properties, indent) {
+  if (!properties || properties.length === 0) return [];
+
+  return [
+    `${indent}<properties>`,
+    ...properties.map(({ name, type, value }) => {
+      const typeAttribute = type && type !== 'string' ? ` type="${type}"` : '';
+      return `${indent} <property name="${escapeXml(name)}"${typeAttribute} value="${escapeXml(value)}"/>`;
+    }),
+    `${indent}</properties>`
+  ];
+}
+
+/**
+ * Tiled のJSON形式のマップをTMX文字列に変換します。
+ * toTiledMap() の出力（埋め込みのタイルセット、タイルレイヤーとオブジェクトレイヤー）を書き出すためのものです。
+ *
+ * @param {Object} map - Tiled のJSON形式のマップ
+ * @returns {string} - TMX文字列
+ */
+export function toTmx(map) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<map version="${map.version}" tiledversion="${map.tiledversion}" orientation="${map.orientation}" ` +
+      `renderorder="${map.renderorder}" width="${map.width}" height="${map.height}" ` +
+      `tilewidth="${map.tilewidth}" tileheight="${map.tileheight}" infinite="0" ` +
+      `nextlayerid="${map.nextlayerid}" nextobjectid="${map.nextobjectid}">`,
+    ...writeProperties(map.properties, ' ')
+  ];
+
+  for (const tileset of map.tilesets) {
+    lines.push(
+      ` <tileset firstgid="${tileset.firstgid}" name="${escapeXml(tileset.name)}" tilewidth="${tileset.tilewidth}" ` +
+        `tileheight="${tileset.tileheight}" tilecount="${tileset.tilecount}" columns="${tileset.columns}">`,
+      '  <grid orientation="orthogonal" width="1" height="1"/>'
+    );
+    for (const tile of tileset.tiles) {
+      lines.push(
+        `  <tile id="${tile.id}" type="${escapeXml(tile.type)}">`,
+        `   <image width="${tile.imagewidth}" height="${tile.imageheight}" source="${escapeXml(tile.image)}"/>`,
+        '  </tile>'
+      );
+    }
+    lines.push(' </tileset>');
+  }
+
+  for (const layer of map.layers) {
+    if (layer.type === 'tilelayer') {
+      const rows = [];
+      for (let y = 0; y < layer.height; y++) {
+        rows.push(layer.data.slice(y * layer.width, (y + 1) * layer.width).join(','));
+      }
+      lines.push(
+        ` <layer id="${layer.id}" name="${escapeXml(layer.name)}" width="${layer.width}" height="${layer.height}">`,
+        '  <data encoding="csv">',
+        rows.join(',\n'),
+        '</data>',
+        ' </layer>'
+      );
+    } else if (layer.type === 'objectgroup') {
+      lines.push(` <objectgroup id="${layer.id}" name="${escapeXml(layer.name)}">`);
+      for (const object of layer.objects) {
+        lines.push(
+          `  <object id="${object.id}" name="${escapeXml(object.name)}" type="${escapeXml(object.type)}" x="${object.x}" y="${object.y}">`,
+          ...writeProperties(object.properties, '   '),
+          ...(object.point ? ['   <point/>'] : []),
+          '  </object>'
+        );
+      }
+      lines.push(' </objectgroup>');
+    }
+  }
+
+  lines.push('</map>', '');
+  return lines.join('\n');
+}
@@ -0,0 +1,216 @@
+import { ItemType } from '../../constants/itemTypes';
+
+/**
+ * 扉クラス
+ * 部屋の入口に置かれる扉（door）と、ヴォルトの入口に置かれる門（gate）を表現する
+ * 閉じている間はタイルを通れず、鍵のかかった扉は対応する鍵（ItemType.keyItem）がないと開かない
+ * 通行可否の更新はイベント（opened / closed / unlocked）を受け取った TopDownMap が行う
+ */
+export default class Door {
+  /**
+   * コンストラクタ
+   * @param {Phaser.Scene} scene - シーンオブジェクト
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @param {object} config - 設定オブジェクト
+   */
+  constructor(scene, x, y, config = {}) {
+    this.scene = scene;
+    this._x = x;
+    this._y = y;
+
+    // 基本プロパティ
+    this.kind = config.kind || 'door'; // door, gate
+    this.name = config.name || (this.kind === 'gate' ? '門' : '扉');
+    this.tileX = config.tileX;
+    this.tileY = config.tileY;
+
+    // 鍵（keyId が一致する鍵で開く）
+    this.locked = !!config.locked;
+    this.keyId = config.keyId || null;
+
+    // 扉の状態
+    this.state = config.open ? 'open' : 'closed'; // closed, open
+
+    // スプライトをメンバーとして作成
+    this.sprite = scene.add.sprite(x, y, this.getTextureKey());
+    this.sprite.setOrigin(0.5, 0.5);
+    this.sprite.setDepth(6);
+
+    // 開閉時のサウンド
+    this.openSound = config.openSound || 'door_open';
+    this.unlockSound = config.unlockSound || 'door_unlock';
+  }
+
+  // 位置プロパティのゲッター
+  get x() {
+    return this._x;
+  }
+
+  get y() {
+    return this._y;
+  }
+
+  /**
+   * 開いているかどうか
+   * @returns {boolean} 開いていればtrue
+   */
+  get isOpen() {
+    return this.state === 'open';
+  }
+
+  // スプライト関連のメソッドの委譲
+  setVisible(visible) {
+    if (this.sprite) this.sprite.setVisible(visible);
+    return this;
+  }
+
+  // イベント発火の委譲
+  emit(event, ...args) {
+    if (this.sprite) {
+      this.sprite.emit(event, ...args);
+    }
+  }
+
+  on(event, callback, context) {
+    if (this.sprite) {
+      this.sprite.on(event, callback, context);
+    }
+    return this;
+  }
+
+  once(event, callback, context) {
+    if (this.sprite) {
+      this.sprite.once(event, callback, context);
+    }
+    return this;
+  }
+
+  /**
+   * 現在の状態のテクスチャキー
+   * @returns {string} テクスチャキー
+   */
+  getTextureKey() {
+    if (this.isOpen) return `${this.kind}_open`;
+    return this.locked ? `${this.kind}_locked` : `${this.kind}_closed`;
+  }
+
+  /**
+   * 見た目を状態に合わせる
+   */
+  updateTexture() {
+    const key = this.getTextureKey();
+    if (this.sprite && this.scene.textures && this.scene.textures.exists(key)) {
+      this.sprite.setTexture(key);
+    }
+  }
+
+  /**
+   * 開ける者の持っている、この扉の鍵を探す
+   * @param {Object} opener - 開けるキャラクター（inventory を持つ）
+   * @returns {Object|null} 鍵のアイテム
+   */
+  findKey(opener) {
+    if (!opener || !opener.inventory || !this.keyId) return null;
+
+    return opener.inventory.getAllItems()
+      .find(item => item && item.itemType === ItemType.keyItem && item.keyId === this.keyId) || null;
+  }
+
+  /**
+   * 鍵を開ける（持っている鍵は使うとなくなる）
+   * @param {Object} opener - 開けるキャラクター
+   * @returns {boolean} 鍵が開いたかどうか
+   */
+  unlock(opener) {
+    if (!this.locked) return true;
+
+    const key = this.findKey(opener);
+    if (!key) return false;
+
+    opener.inventory.removeItem(key);
+    this.locked = false;
+    this.updateTexture();
+
+    if (this.scene.sound && this.scene.sound.get(this.unlockSound)) {
+      this.scene.sound.play(this.unlockSound, { volume: 0.5 });
+    }
+
+    this.emit('unlocked', { door: this, opener, key });
+    return true;
+  }
+
+  /**
+   * 扉を開ける（鍵がかかっていれば、開ける者の鍵で開ける）
+   * @param {Object} opener - 開けるキャラクター
+   * @returns {Object} { success, reason, key }（reason: 'locked' - 鍵がない、key: 鍵を開けるのに使った鍵）
+   */
+  open(opener = null) {
+    if (this.isOpen) {
+      return { success: true };
+    }
+
+    const key = this.locked ? this.findKey(opener) : null;
+    if (this.locked && !this.unlock(opener)) {
+      return { success: false, reason: 'locked' };
+    }
+
+    this.state = 'open';
+    this.updateTexture();
+
+    if (this.scene.sound && this.scene.sound.get(this.openSound)) {
+      this.scene.sound.play(this.openSound, { volume: 0.5 });
+    }
+
+    this.emit('opened', { door: this, opener });
+    return key ? { success: true, key } : { success: true };
+  }
+
+  /**
+   * 扉を閉める
+   * 閉めるかどうか（扉の上に誰かいないか）の判断は呼び出し側で行う
+   * @returns {boolean} 閉めたかどうか
+   */
+  close() {
+    if (!this.isOpen) return false;
+
+    this.state = 'closed';
+    this.updateTexture();
+
+    this.emit('closed', { door: this });
+    return true;
+  }
+
+  /**
+   * セーブデータから復元する際、イベントを出さずに状態を戻す
+   * @param {Object} state - { open, unlocked }
+   */
+  restoreState({ open = false, unlocked = false } = {}) {
+    if (unlocked) this.locked = false;
+    this.state = open ? 'open' : 'closed';
+    this.updateTexture();
+  }
+
+  /**
+   * 扉のツールチップデータを取得
+   * @returns {object} - ツールチップデータ
+   */
+  getTooltipData() {
+    return {
+      name: this.name,
+      description: this.locked ? '鍵がかかっている' : (this.isOpen ? '開いている' : '閉まっている'),
+      type: this.kind,
+      locked: this.locked
+    };
+  }
+
+  /**
+   * リソースの解放
+   */
+  destroy() {
+    if (this.sprite) {
+      this.sprite.destroy();
+      this.sprite = null;
+    }
+  }
+}
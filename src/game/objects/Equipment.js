@@ -1,11 +1,12 @@
 import Item from './Item';
-import { EquipType, EquipPerformanceValueType } from '../../constants/itemTypes';
+import { EquipType, EquipPerformanceValueType, ItemType } from '../../constants/itemTypes';
 
 export default class Equipment extends Item {
   constructor(scene, x, y, texture, config = {}) {
     super(scene, x, y, texture);
     
     // 基本情報
+    this.itemType = ItemType.equipment;
     this.name = config.name || 'Unknown Equipment';
     this.description = config.description || 'An equipment item';
     this.type = config.type || EquipType.oneHandMeleeWeapon;
@@ -105,7 +106,8 @@ export default class Equipment extends Item {
     return rarityTints[this.rarity] || 0xffffff;
   }
   
-  generateRandomOptions(numOptions = 3) {
+  // random: 乱数関数（シード付きの乱数を渡すとオプションが再現可能になる）
+  generateRandomOptions(numOptions = 3, random = Math.random) {
     // ランダムなオプション性能を生成
     this.optionPerformance = [];
     
@@ -114,7 +116,7 @@ export default class Equipment extends Item {
     // 指定された数だけランダムにオプションを選択
     const selectedOptions = [];
     while (selectedOptions.length < numOptions && availableOptions.length > 0) {
-      const randomIndex = Math.floor(Math.random() * availableOptions.length);
+      const randomIndex = Math.floor(random() * availableOptions.length);
       const option = availableOptions.splice(randomIndex, 1)[0];
       selectedOptions.push(option);
     }
@@ -126,9 +128,9 @@ export default class Equipment extends Item {
       
       let value;
       if (option.isInteger) {
-        value = Math.floor(Math.random() * (max - min + 1) + min);
+        value = Math.floor(random() * (max - min + 1) + min);
       } else {
-        value = parseFloat((Math.random() * (max - min) + min).toFixed(1));
+        value = parseFloat((random() * (max - min) + min).toFixed(1));
       }
       
       this.optionPerformance.push({
@@ -346,6 +348,23 @@ export default class Equipment extends Item {
     return this.tooltipData;
   }
   
+  /**
+   * 保存用データを取得（ItemFactory.createEquipmentの設定として復元できる形式）
+   * @returns {Object} 装備データ
+   */
+  serialize() {
+    return {
+      name: this.name,
+      description: this.description,
+      equipType: this.type,
+      level: this.level,
+      rarity: this.rarity,
+      basicPerformance: this.basicPerformance,
+      optionPerformance: this.optionPerformance,
+      effect: this.effect
+    };
+  }
+  
   getDisplayData() {
     // UI表示用のデータを返す
     const data = {
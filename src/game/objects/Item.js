@@ -1,5 +1,6 @@
 import { v4 as uuidv4 } from 'uuid';
 import { getDistance } from '../../utils/mathUtils';
+import { getSpatialIndex } from '../map/spatial/SpatialHash';
 
 export default class Item {
   constructor(scene, x, y, texture) {
@@ -13,6 +14,9 @@ export default class Item {
     // 基本的なアイテムプロパティ
     this.uuid = uuidv4();
     this.name = 'Item';
+    // アイテムの種類（ItemType の値）。セーブデータに保存し、ItemFactory.createItem で作り直すときに使う
+    // ビルド時の圧縮でクラス名は変わるため、クラス名ではなくこの値で判別する
+    this.itemType = null;
     this.description = 'A basic item';
     this.size = {
       width: 1,
@@ -25,6 +29,9 @@ export default class Item {
     this.dropTime = Date.now();
     this.interactionDelay = 500; // ミリ秒単位のインタラクション遅延
     
+    // カメラから離れて休止しているか（休止中は表示と浮遊アニメーションを止める）
+    this.isSleeping = false;
+    
     // 表示設定
     this.sprite.setOrigin(0.5, 0.5);
     this.sprite.setScale(0.8);
@@ -61,6 +68,7 @@ export default class Item {
   set x(value) {
     this._x = value;
     if (this.sprite) this.sprite.x = value;
+    this.updateSpatialIndex();
   }
   
   get y() {
@@ -70,6 +78,23 @@ export default class Item {
   set y(value) {
     this._y = value;
     if (this.sprite) this.sprite.y = value;
+    this.updateSpatialIndex();
+  }
+  
+  /**
+   * 空間インデックスの位置を更新する（地面に置かれて登録済みなら、セルが変わったときだけ移し替える）
+   */
+  updateSpatialIndex() {
+    const spatialIndex = getSpatialIndex(this.scene);
+    if (spatialIndex && spatialIndex.has(this)) spatialIndex.update(this, 'item');
+  }
+  
+  /**
+   * 空間インデックスの登録を解除する
+   */
+  removeFromSpatialIndex() {
+    const spatialIndex = getSpatialIndex(this.scene);
+    if (spatialIndex) spatialIndex.remove(this);
   }
   
   // アルファ値のゲッターとセッター
@@ -111,6 +136,23 @@ export default class Item {
     return this;
   }
   
+  setVisible(visible) {
+    if (this.sprite) this.sprite.setVisible(visible);
+    if (this.glow) this.glow.setVisible(visible);
+    return this;
+  }
+  
+  /**
+   * 休止・再開する（カメラから離れたときに TopDownMap から呼ばれる）
+   * @param {boolean} sleeping - 休止するかどうか
+   */
+  setSleeping(sleeping) {
+    if (this.isSleeping === sleeping) return;
+    
+    this.isSleeping = sleeping;
+    this.setVisible(!sleeping);
+  }
+  
   // イベント発火の委譲
   emit(event, ...args) {
     if (this.sprite) {
@@ -184,7 +226,7 @@ export default class Item {
   
   update(time, delta) {
     // アイテムの浮遊アニメーション
-    if (!this.collected) {
+    if (!this.collected && !this.isSleeping) {
       this.y = this.yOrig + Math.sin(time / 500 * this.floatSpeed) * this.floatHeight;
       
       // 光るエフェクト
@@ -205,6 +247,9 @@ export default class Item {
     if (!this.collected && player) {
       this.collected = true;
       
+      // 拾ったアイテムは検索の対象から外す
+      this.removeFromSpatialIndex();
+      
       // 収集エフェクト
       this.scene.tweens.add({
         targets: [this.sprite, this.glow],
@@ -262,6 +307,8 @@ export default class Item {
   
   destroy() {
     // リソースのクリーンアップ
+    this.removeFromSpatialIndex();
+    
     if (this.scene) {
       this.scene.events.off('update', this.update, this);
     }
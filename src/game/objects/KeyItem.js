@@ -0,0 +1,50 @@
+import Item from './Item';
+import { ItemType } from '../../constants/itemTypes';
+
+/**
+ * 鍵（キーアイテム）
+ * 同じフロアの、keyId が一致する鍵のかかった扉や門を開けられる（開けると使い切る）
+ */
+export default class KeyItem extends Item {
+  constructor(scene, x, y, texture, config = {}) {
+    super(scene, x, y, texture);
+
+    // 基本情報
+    this.itemType = ItemType.keyItem;
+    this.name = config.name || '古びた鍵';
+    this.description = config.description || 'どこかの扉の鍵';
+
+    // 開けられる扉の識別子
+    this.keyId = config.keyId || null;
+
+    // 見た目の調整
+    this.sprite.setTint(0xffd700);
+  }
+
+  addToPlayerInventory(player) {
+    // プレイヤーのインベントリに鍵を追加
+    if (player && player.inventory && player.inventory.addItem(this)) {
+      // 取得イベント（ワールド状態の記録用）
+      this.emit('collected', this);
+      return true;
+    }
+    return false;
+  }
+
+  getTooltipData() {
+    return {
+      name: this.name,
+      description: this.description,
+      type: this.itemType
+    };
+  }
+
+  // 保存用データ
+  serialize() {
+    return {
+      name: this.name,
+      description: this.description,
+      keyId: this.keyId
+    };
+  }
+}
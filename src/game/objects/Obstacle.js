@@ -1,4 +1,13 @@
 import { getRandomInt } from '../../utils/mathUtils';
+import { getSpatialIndex } from '../map/spatial/SpatialHash';
+
+/**
+ * 壊せる障害物の種類と耐久値（マップの障害物のうち、これらの種類はスプライトとして置かれ攻撃で壊せる）
+ */
+export const BREAKABLE_OBSTACLE_KINDS = {
+  crate: { name: '木箱', durability: 20, breakParticle: 'wood_particle' },
+  bush: { name: '茂み', durability: 10, breakParticle: 'leaf_particle' }
+};
 
 /**
  * 障害物クラス
@@ -49,6 +58,9 @@ export default class Obstacle {
     // 破壊された場合のドロップアイテム設定
     this.dropItems = config.dropItems || [];
     
+    // ドロップ判定に使う乱数（マップのシードから派生したものを渡すと再現可能になる）
+    this.random = config.random || Math.random;
+    
     // インタラクト可能かどうか
     this.interactive = config.interactive || false;
     
@@ -72,11 +84,17 @@ export default class Obstacle {
     // 障害物の状態
     this.state = 'normal'; // normal, damaged, broken
     
+    // カメラから離れて休止しているか（休止中は表示と物理演算を止める）
+    this.isSleeping = false;
+    
     // ヘルスバーが必要な場合（オプション）
     this.showHealthBar = config.showHealthBar || false;
     if (this.showHealthBar && this.breakable) {
       this.createHealthBar();
     }
+    
+    // 空間インデックスに登録
+    this.updateSpatialIndex();
   }
   
   // 位置プロパティのゲッターとセッター
@@ -87,6 +105,7 @@ export default class Obstacle {
   set x(value) {
     this._x = value;
     if (this.sprite) this.sprite.x = value;
+    this.updateSpatialIndex();
   }
   
   get y() {
@@ -96,6 +115,23 @@ export default class Obstacle {
   set y(value) {
     this._y = value;
     if (this.sprite) this.sprite.y = value;
+    this.updateSpatialIndex();
+  }
+  
+  /**
+   * 空間インデックスに現在の位置を登録する（登録済みならセルが変わったときだけ移し替える）
+   */
+  updateSpatialIndex() {
+    const spatialIndex = getSpatialIndex(this.scene);
+    if (spatialIndex) spatialIndex.update(this, 'obstacle');
+  }
+  
+  /**
+   * 空間インデックスの登録を解除する
+   */
+  removeFromSpatialIndex() {
+    const spatialIndex = getSpatialIndex(this.scene);
+    if (spatialIndex) spatialIndex.remove(this);
   }
   
   // アルファ値のゲッターとセッター
@@ -146,6 +182,39 @@ export default class Obstacle {
     return this;
   }
   
+  setScale(x, y) {
+    if (this.sprite) this.sprite.setScale(x, y);
+    return this;
+  }
+  
+  setDepth(value) {
+    if (this.sprite) this.sprite.setDepth(value);
+    return this;
+  }
+  
+  setVisible(visible) {
+    if (this.sprite) this.sprite.setVisible(visible);
+    if (this.shadow) this.shadow.setVisible(visible);
+    if (this.healthBarBg) this.healthBarBg.setVisible(visible);
+    if (this.healthBar) this.healthBar.setVisible(visible);
+    return this;
+  }
+  
+  /**
+   * 休止・再開する（カメラから離れたときに TopDownMap から呼ばれる）
+   * 壊れた障害物は物理ボディを無効にしたままにする
+   * @param {boolean} sleeping - 休止するかどうか
+   */
+  setSleeping(sleeping) {
+    if (this.isSleeping === sleeping) return;
+    
+    this.isSleeping = sleeping;
+    this.setVisible(!sleeping);
+    if (this.body && this.state !== 'broken') {
+      this.body.enable = !sleeping;
+    }
+  }
+  
   // アニメーション関連のメソッドの委譲
   get anims() {
     return this.sprite ? this.sprite.anims : null;
@@ -269,6 +338,9 @@ export default class Obstacle {
       this.scene.sound.play(this.breakSound, { volume: 0.5 });
     }
     
+    // 壊れた障害物は検索の対象から外す
+    this.removeFromSpatialIndex();
+    
     // イベント発火
     this.emit('broken', { source: source });
     
@@ -324,12 +396,13 @@ export default class Obstacle {
     // ドロップアイテムの処理
     for (const dropItem of this.dropItems) {
       // ドロップ率に基づいて判定
-      if (Math.random() <= dropItem.dropRate) {
-        // アイテムの生成と配置
+      if (this.random() <= dropItem.dropRate) {
+        // アイテムの生成と配置（中身と落ちる位置も同じ乱数で決める）
         const item = itemFactory.createItem({
+          random: this.random,
           ...dropItem.itemConfig,
-          x: this.x + getRandomInt(-10, 10),
-          y: this.y + getRandomInt(-10, 10)
+          x: this.x + Math.floor(this.random() * 21) - 10,
+          y: this.y + Math.floor(this.random() * 21) - 10
         });
         
         if (item) {
@@ -339,6 +412,9 @@ export default class Obstacle {
           if (this.scene.items) {
             this.scene.items.push(item);
           }
+          if (this.scene.topDownMap) {
+            this.scene.topDownMap.registerGroundItem(item);
+          }
         }
       }
     }
@@ -513,6 +589,8 @@ export default class Obstacle {
    * @param {number} delta - 前回更新からの経過時間
    */
   update(time, delta) {
+    if (this.isSleeping) return;
+    
     // ヘルスバーの位置更新
     if (this.healthBar && this.healthBarBg) {
       const yOffset = -this.height / 2 - 10;
@@ -545,6 +623,8 @@ export default class Obstacle {
    * リソースの解放
    */
   destroy() {
+    this.removeFromSpatialIndex();
+    
     // シャドウの削除
     if (this.shadow) {
       this.shadow.destroy();
@@ -1,10 +1,12 @@
 import Item from './Item';
+import { ItemType } from '../../constants/itemTypes';
 
 export default class Potion extends Item {
   constructor(scene, x, y, texture, config = {}) {
     super(scene, x, y, texture);
     
     // 基本情報
+    this.itemType = ItemType.potion;
     this.name = config.name || 'ポーション';
     this.description = config.description || '体力を回復するポーション';
     
@@ -331,6 +333,20 @@ export default class Potion extends Item {
     });
   }
   
+  /**
+   * 保存用データを取得（ItemFactory.createPotionの設定として復元できる形式）
+   * @returns {Object} ポーションデータ
+   */
+  serialize() {
+    return {
+      name: this.name,
+      description: this.description,
+      potionType: this.potionType,
+      effectValue: this.effectValue,
+      duration: this.duration
+    };
+  }
+  
   getTooltipData() {
     // ツールチップに表示するデータ
     let description = this.description;
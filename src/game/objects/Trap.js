@@ -0,0 +1,206 @@
+import { getTrap } from '../map/generator/Hazards';
+
+/**
+ * 罠クラス
+ * 床に仕掛けられたトゲの罠（spikes）と、感圧板を踏むと壁の発射口から矢が飛ぶ矢の罠（arrow）を表現する
+ * 罠はキャラクターが踏むと作動し（trigger）、作動してからしばらくは再び作動しない
+ * ダメージを与える相手の判定はイベント（triggered）を受け取った TopDownMap が行う
+ */
+export default class Trap {
+  /**
+   * コンストラクタ
+   * @param {Phaser.Scene} scene - シーンオブジェクト
+   * @param {number} x - X座標
+   * @param {number} y - Y座標
+   * @param {object} config - 設定オブジェクト
+   */
+  constructor(scene, x, y, config = {}) {
+    this.scene = scene;
+    this._x = x;
+    this._y = y;
+
+    // 基本プロパティ
+    this.kind = config.kind || 'spikes'; // spikes, arrow
+    this.definition = getTrap(this.kind) || getTrap('spikes');
+    this.name = config.name || this.definition.name;
+    this.tileX = config.tileX;
+    this.tileY = config.tileY;
+
+    // 矢の罠の発射口（タイル座標）と矢の飛ぶ向き
+    this.launcher = config.launcher || null;
+    this.direction = config.direction || null;
+
+    // 罠の状態
+    this.state = 'armed'; // armed, triggered
+    this.rearmTime = 0;
+    this.rearmTimer = null;
+
+    // スプライトをメンバーとして作成（床の上、キャラクターより下に描く）
+    this.sprite = scene.add.sprite(x, y, this.getTextureKey());
+    this.sprite.setOrigin(0.5, 0.5);
+    this.sprite.setDepth(1);
+
+    // 作動時のサウンド
+    this.triggerSound = config.triggerSound || (this.kind === 'arrow' ? 'trap_arrow' : 'trap_spikes');
+  }
+
+  // 位置プロパティのゲッター
+  get x() {
+    return this._x;
+  }
+
+  get y() {
+    return this._y;
+  }
+
+  /**
+   * 作動中（再び作動できるようになるのを待っている）かどうか
+   * @returns {boolean} 作動中ならtrue
+   */
+  get isTriggered() {
+    return this.state === 'triggered';
+  }
+
+  // スプライト関連のメソッドの委譲
+  setVisible(visible) {
+    if (this.sprite) this.sprite.setVisible(visible);
+    return this;
+  }
+
+  // イベント発火の委譲
+  emit(event, ...args) {
+    if (this.sprite) {
+      this.sprite.emit(event, ...args);
+    }
+  }
+
+  on(event, callback, context) {
+    if (this.sprite) {
+      this.sprite.on(event, callback, context);
+    }
+    return this;
+  }
+
+  once(event, callback, context) {
+    if (this.sprite) {
+      this.sprite.once(event, callback, context);
+    }
+    return this;
+  }
+
+  /**
+   * 現在の状態のテクスチャキー
+   * @returns {string} テクスチャキー
+   */
+  getTextureKey() {
+    return this.isTriggered ? `trap_${this.kind}_active` : `trap_${this.kind}`;
+  }
+
+  /**
+   * 見た目を状態に合わせる
+   */
+  updateTexture() {
+    const key = this.getTextureKey();
+    if (this.sprite && this.scene.textures && this.scene.textures.exists(key)) {
+      this.sprite.setTexture(key);
+    }
+  }
+
+  /**
+   * 作動できるかどうか
+   * @param {number} time - 現在時間
+   * @returns {boolean} 作動できればtrue
+   */
+  canTrigger(time) {
+    return time >= this.rearmTime;
+  }
+
+  /**
+   * 罠を作動させる（作動してから cooldown の間は作動しない）
+   * @param {Object} victim - 罠を踏んだキャラクター
+   * @param {number} time - 現在時間
+   * @returns {boolean} 作動したかどうか
+   */
+  trigger(victim, time) {
+    if (!this.canTrigger(time)) return false;
+
+    this.state = 'triggered';
+    this.rearmTime = time + this.definition.cooldown;
+    this.updateTexture();
+
+    if (this.scene.sound && this.scene.sound.get(this.triggerSound)) {
+      this.scene.sound.play(this.triggerSound, { volume: 0.5 });
+    }
+
+    // 再び作動できるようになったら見た目を戻す
+    if (this.rearmTimer) this.rearmTimer.remove();
+    if (this.scene.time) {
+      this.rearmTimer = this.scene.time.delayedCall(this.definition.cooldown, () => {
+        this.rearmTimer = null;
+        this.state = 'armed';
+        this.updateTexture();
+      });
+    }
+
+    this.emit('triggered', { trap: this, victim });
+    return true;
+  }
+
+  /**
+   * 矢を飛ばす見た目（矢が届いたら onHit を呼ぶ）
+   * @param {{x: number, y: number}} from - 発射口のワールド座標
+   * @param {{x: number, y: number}} to - 矢が届く位置のワールド座標
+   * @param {function} onHit - 矢が届いたときに呼ぶ関数
+   */
+  fireArrow(from, to, onHit) {
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    const duration = Math.max(80, distance * 1.5);
+
+    if (!this.scene.add || !this.scene.tweens) {
+      onHit();
+      return;
+    }
+
+    const arrow = this.scene.add.sprite(from.x, from.y, 'trap_arrow_bolt');
+    arrow.setDepth(7);
+    arrow.setRotation(Math.atan2(to.y - from.y, to.x - from.x));
+
+    this.scene.tweens.add({
+      targets: arrow,
+      x: to.x,
+      y: to.y,
+      duration,
+      onComplete: () => {
+        arrow.destroy();
+        onHit();
+      }
+    });
+  }
+
+  /**
+   * 罠のツールチップデータを取得
+   * @returns {object} - ツールチップデータ
+   */
+  getTooltipData() {
+    return {
+      name: this.name,
+      description: this.kind === 'arrow' ? '踏むと壁から矢が飛んでくる' : '踏むとトゲが飛び出す',
+      type: 'trap',
+      damage: this.definition.damage
+    };
+  }
+
+  /**
+   * リソースの解放
+   */
+  destroy() {
+    if (this.rearmTimer) {
+      this.rearmTimer.remove();
+      this.rearmTimer = null;
+    }
+    if (this.sprite) {
+      this.sprite.destroy();
+      this.sprite = null;
+    }
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * シード付き乱数のユーティリティ関数を提供します。
+ * マップ生成・敵や宝箱の配置・ドロップなど、ラン（1回のプレイ）の再現性が必要な乱数はすべて
+ * ランのシードから派生させたシードで作成した乱数関数を使います。
+ */
+
+// シードは32ビット符号なし整数で扱う
+const SEED_MODULO = 0x100000000;
+
+/**
+ * 文字列から32ビットのハッシュ値を計算します（FNV-1a）。
+ *
+ * @param {string} text - ハッシュ化する文字列
+ * @returns {number} - 32ビット符号なし整数
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 入力された値をシード（32ビット符号なし整数）に正規化します。
+ * 整数はそのまま（範囲外は丸め込み）、それ以外の文字列や小数はハッシュ化して使います。
+ * 同じ入力からは必ず同じシードが得られます。
+ *
+ * @param {number|string} value - シードとして使う値
+ * @returns {number} - 正規化されたシード
+ */
+export function normalizeSeed(value) {
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return ((value % SEED_MODULO) + SEED_MODULO) % SEED_MODULO;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return normalizeSeed(Number(text) % SEED_MODULO);
+  }
+
+  return hashString(text);
+}
+
+/**
+ * 新しいランのシードをランダムに作成します。
+ * ランの乱数はすべてこのシードから派生するため、Math.random を使うのはここだけです。
+ *
+ * @returns {number} - ランのシード
+ */
+export function generateRunSeed() {
+  return Math.floor(Math.random() * SEED_MODULO);
+}
+
+/**
+ * シードとラベルから子シードを派生させます。
+ * 例: deriveSeed(runSeed, 'floor', 3) は3階のマップ用シード。
+ * ラベルで用途を分けることで、ある用途の乱数の消費量が変わっても他の用途に影響しません。
+ *
+ * @param {number|string} seed - 元のシード
+ * @param {...(string|number)} labels - 用途を表すラベル
+ * @returns {number} - 派生したシード
+ */
+export function deriveSeed(seed, ...labels) {
+  return hashString([normalizeSeed(seed), ...labels].join(':'));
+}
+
+/**
+ * シード付きの乱数関数を作成します（mulberry32）。
+ * 戻り値の関数は Math.random と同じく0以上1未満の値を返します。
+ *
+ * @param {number|string} seed - シード
+ * @returns {function(): number} - 乱数関数
+ */
+export function createSeededRandom(seed) {
+  let state = normalizeSeed(seed);
+
+  return function() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / SEED_MODULO;
+  };
+}
+
+/**
+ * シードとラベルから派生させた乱数関数を作成します。
+ *
+ * @param {number|string} seed - 元のシード
+ * @param {...(string|number)} labels - 用途を表すラベル
+ * @returns {function(): number} - 乱数関数
+ */
+export function forkRandom(seed, ...labels) {
+  return createSeededRandom(deriveSeed(seed, ...labels));
+}
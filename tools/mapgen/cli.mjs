@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// tools/mapgen/cli.mjs
+//
+// Phaser を起動せずにマップを生成するコマンド
+// 使い方は `node tools/mapgen/cli.mjs --help` を参照
+import { register } from 'node:module';
+
+// ゲームのソース（拡張子なしの import）を読み込めるようにしてから本体を読み込む
+register('./loader.mjs', import.meta.url);
+
+const { main } = await import('./mapgen.mjs');
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  console.error(`mapgen: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,44 @@
+// tools/mapgen/loader.mjs
+//
+// src/ 以下のゲームのソースを Node から直接 import するためのモジュールフック
+// - ゲームのソースは Next.js（webpack）向けに拡張子なしで import しているため、.js / index.js を補う
+// - package.json に "type": "module" がないため、src/ 以下の .js は ES Modules として読み込む
+import { existsSync, statSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+// ES Modules として扱うソースのディレクトリ
+const SOURCE_ROOT = new URL('../../src/', import.meta.url).href;
+
+/**
+ * ファイルが存在するかどうか
+ * @param {string} url - file: URL
+ * @returns {boolean} 通常のファイルとして存在すればtrue
+ */
+function isFile(url) {
+  const filePath = fileURLToPath(url);
+  return existsSync(filePath) && statSync(filePath).isFile();
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+
+  if (isRelative && context.parentURL && context.parentURL.startsWith(SOURCE_ROOT)) {
+    const base = new URL(specifier, context.parentURL).href;
+
+    for (const candidate of [base, `${base}.js`, `${base}/index.js`]) {
+      if (isFile(candidate)) {
+        return nextResolve(candidate, context);
+      }
+    }
+  }
+
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SOURCE_ROOT) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+
+  return nextLoad(url, context);
+}
@@ -0,0 +1,611 @@
+// tools/mapgen/mapgen.mjs
+//
+// MapGenerator.generateMap() をNodeで実行し、生成結果をJSONとPNGで書き出す
+// 複数のシードをまとめて生成し、マップタイプごとの統計を取ることもできる
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { performance } from 'node:perf_hooks';
+import { fileURLToPath } from 'node:url';
+import MapGenerator from '../../src/game/map/generator/index.js';
+import { BIOMES, getBiomeTerrainType } from '../../src/game/map/generator/Biomes.js';
+import { getHazard, getTrap } from '../../src/game/map/generator/Hazards.js';
+import { parsePrefabs } from '../../src/game/map/generator/VaultPrefabs.js';
+import { serializeTiledMap } from '../../src/game/map/tiled/TiledMap.js';
+import { generateRunSeed, normalizeSeed } from '../../src/utils/seededRandom.js';
+import { encodePNG } from './png.mjs';
+
+// 生成できるマップタイプ
+const MAP_TYPES = ['dungeon', 'field', 'town', 'arena', 'cave'];
+
+// 難易度
+const DIFFICULTIES = ['normal', 'nightmare', 'hell'];
+
+// Tiled のファイル形式
+const TILED_FORMATS = ['tmj', 'tmx'];
+
+// シードは32ビット符号なし整数
+const SEED_MODULO = 0x100000000;
+
+// 統計で最悪値として表示するシードの数
+const WORST_SEED_COUNT = 5;
+
+// ゲームが読み込むヴォルトのプレハブ定義
+const DEFAULT_PREFABS_PATH = fileURLToPath(new URL('../../public/data/prefabs/vaults.json', import.meta.url));
+
+const USAGE = `使い方: npm run mapgen -- [オプション]
+
+オプション:
+  --type <タイプ>        dungeon, field, town, arena, cave, all（カンマ区切りで複数指定可、既定: dungeon）
+  --seed <シード>        シード（数値または文字列、既定: ランダム）
+  --count <数>           生成するシードの数（シード, シード+1, ... の順、既定: 1）
+  --width <幅>           マップの幅（既定: 80）
+  --height <高さ>        マップの高さ（既定: 80）
+  --difficulty <難易度>  normal, nightmare, hell（既定: normal）
+  --out <ディレクトリ>   出力先（既定: mapgen-output）
+  --scale <px>           PNGの1タイルあたりのピクセル数（既定: 4）
+  --write-maps           --count が2以上でもマップごとのJSON/PNGを書き出す
+  --no-json              マップのJSONを書き出さない
+  --no-png               マップのPNGを書き出さない
+  --tiled <形式>         マップを Tiled のファイルでも書き出す（tmj または tmx）
+  --no-repair            到達できない領域の修復を行わない（検証結果だけを出力する）
+  --prefabs <ファイル>   ヴォルトのプレハブ定義（既定: public/data/prefabs/vaults.json）
+  --no-prefabs           ヴォルトを埋め込まない
+  --biome <バイオーム>   フィールドのバイオーム（${Object.keys(BIOMES).join(', ')}、既定: シードから選ぶ）
+  --help                 このヘルプを表示
+
+--count が2以上のときは既定でマップごとのファイルは書き出さず、統計（stats.json）だけを出力します。`;
+
+// オプションの既定値
+const DEFAULT_OPTIONS = {
+  types: ['dungeon'],
+  seed: null,
+  count: 1,
+  width: 80,
+  height: 80,
+  difficulty: 'normal',
+  out: 'mapgen-output',
+  scale: 4,
+  writeMaps: null,
+  json: true,
+  png: true,
+  tiled: null,
+  repair: true,
+  prefabs: DEFAULT_PREFABS_PATH,
+  biome: null,
+  help: false
+};
+
+// PNGの配色（UIScene のミニマップに合わせる）
+const COLORS = {
+  water: 0x0000ff,
+  lava: 0xff4500,
+  grass: 0x00aa00,
+  dirt: 0x8b4513,
+  sand: 0xe0c080,
+  stone: 0x888888,
+  snow: 0xffffff,
+  chest: 0xffd700,
+  obstacle: 0x555555,
+  crystal: 0x66ccff,
+  floor: 0xa0784c,
+  waypoint: 0x9b59ff,
+  quest_board: 0x6b4226,
+  wall: 0x222222,
+  enemy: 0xff0000,
+  elite: 0xff8800,
+  boss: 0xff00ff,
+  npc: 0xffff00,
+  spawn: 0x00ffff,
+  stairsUp: 0xffffff,
+  stairsDown: 0x9933ff
+};
+
+/**
+ * 正の整数のオプション値を解析
+ * @param {string} name - オプション名
+ * @param {string} value - 値
+ * @returns {number} 整数
+ */
+function parsePositiveInt(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${name} must be a positive integer (got "${value}")`);
+  }
+  return number;
+}
+
+/**
+ * コマンドライン引数を解析
+ * @param {string[]} argv - 引数
+ * @returns {Object} オプション
+ */
+export function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [name, inlineValue] = arg.startsWith('--') ? arg.slice(2).split(/=(.*)/s) : [null];
+
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length) throw new Error(`--${name} requires a value`);
+      return argv[++i];
+    };
+
+    switch (name) {
+      case 'type': {
+        const value = takeValue();
+        const types = value === 'all' ? MAP_TYPES : value.split(',').map(type => type.trim());
+        const unknown = types.filter(type => !MAP_TYPES.includes(type));
+        if (unknown.length > 0) throw new Error(`Unknown map type: ${unknown.join(', ')}`);
+        options.types = [...new Set(types)];
+        break;
+      }
+      case 'seed':
+        options.seed = takeValue();
+        break;
+      case 'count':
+        options.count = parsePositiveInt(name, takeValue());
+        break;
+      case 'width':
+        options.width = parsePositiveInt(name, takeValue());
+        break;
+      case 'height':
+        options.height = parsePositiveInt(name, takeValue());
+        break;
+      case 'difficulty':
+        options.difficulty = takeValue();
+        if (!DIFFICULTIES.includes(options.difficulty)) {
+          throw new Error(`Unknown difficulty: ${options.difficulty}`);
+        }
+        break;
+      case 'out':
+        options.out = takeValue();
+        break;
+      case 'scale':
+        options.scale = parsePositiveInt(name, takeValue());
+        break;
+      case 'write-maps':
+        options.writeMaps = true;
+        break;
+      case 'no-json':
+        options.json = false;
+        break;
+      case 'no-png':
+        options.png = false;
+        break;
+      case 'tiled':
+        options.tiled = takeValue();
+        if (!TILED_FORMATS.includes(options.tiled)) {
+          throw new Error(`Unknown Tiled format: ${options.tiled}`);
+        }
+        break;
+      case 'no-repair':
+        options.repair = false;
+        break;
+      case 'prefabs':
+        options.prefabs = takeValue();
+        break;
+      case 'no-prefabs':
+        options.prefabs = null;
+        break;
+      case 'biome':
+        options.biome = takeValue();
+        if (!BIOMES[options.biome]) {
+          throw new Error(`Unknown biome: ${options.biome}`);
+        }
+        break;
+      case 'help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  // 1枚だけ生成するときは既定でマップを書き出す
+  if (options.writeMaps === null) {
+    options.writeMaps = options.count === 1;
+  }
+
+  return options;
+}
+
+/**
+ * 高さに応じたタイルの色（UIScene.getColorFromHeight と同じ）
+ * @param {number} height - 高さ（0〜1）
+ * @param {string|null} biome - フィールドのバイオーム
+ * @returns {number} 色
+ */
+function getColorFromHeight(height, biome) {
+  return COLORS[getBiomeTerrainType(height, biome)];
+}
+
+/**
+ * タイルの色を取得
+ * @param {Object} mapData - 生成されたマップデータ
+ * @param {number} x - X座標
+ * @param {number} y - Y座標
+ * @returns {number} 色
+ */
+function getTileColor(mapData, x, y) {
+  const key = `${x},${y}`;
+  switch (mapData.objectPlacement[x][y]) {
+    case 1: return getColorFromHeight(0, mapData.biome); // 水（火山では溶岩）
+    case 2: return COLORS.chest;
+    case 3: return COLORS[mapData.obstacleKinds[key]] || COLORS.obstacle; // 水晶・ウェイポイント・掲示板は色を分ける
+    case 4: return COLORS.wall;
+    default:
+      // 危険地帯の色（Hazards.js の color）
+      if (mapData.hazardKinds && getHazard(mapData.hazardKinds[key])) return getHazard(mapData.hazardKinds[key]).color;
+      // 町の建物の床や石畳は決められた種類の色
+      if (mapData.floorKinds && COLORS[mapData.floorKinds[key]]) return COLORS[mapData.floorKinds[key]];
+      return getColorFromHeight(mapData.heightMap[x][y], mapData.biome);
+  }
+}
+
+/**
+ * マップのプレビュー画像を作成
+ * @param {Object} mapData - 生成されたマップデータ
+ * @param {number} scale - 1タイルあたりのピクセル数
+ * @returns {Buffer} PNGファイルの内容
+ */
+export function renderMapPNG(mapData, scale) {
+  const imageWidth = mapData.width * scale;
+  const imageHeight = mapData.height * scale;
+  const pixels = new Uint8Array(imageWidth * imageHeight * 4);
+
+  const fillRect = (left, top, size, color) => {
+    for (let py = top; py < top + size; py++) {
+      for (let px = left; px < left + size; px++) {
+        const offset = (py * imageWidth + px) * 4;
+        pixels[offset] = (color >> 16) & 0xff;
+        pixels[offset + 1] = (color >> 8) & 0xff;
+        pixels[offset + 2] = color & 0xff;
+        pixels[offset + 3] = 0xff;
+      }
+    }
+  };
+
+  for (let x = 0; x < mapData.width; x++) {
+    for (let y = 0; y < mapData.height; y++) {
+      fillRect(x * scale, y * scale, scale, getTileColor(mapData, x, y));
+    }
+  }
+
+  // 敵とNPCはタイルの中央に小さな四角で描く
+  const markerSize = Math.max(1, Math.ceil(scale / 2));
+  const markerOffset = Math.floor((scale - markerSize) / 2);
+  const drawMarker = (entity, color) => {
+    if (entity.x < 0 || entity.x >= mapData.width || entity.y < 0 || entity.y >= mapData.height) return;
+    fillRect(entity.x * scale + markerOffset, entity.y * scale + markerOffset, markerSize, color);
+  };
+
+  (mapData.traps || []).forEach(trap => drawMarker(trap, getTrap(trap.kind).color));
+  mapData.npcPlacement.forEach(npc => drawMarker(npc, COLORS.npc));
+  mapData.enemyPlacement.forEach(enemy => drawMarker(enemy, COLORS[enemy.type] || COLORS.enemy));
+  if (mapData.spawn) drawMarker(mapData.spawn, COLORS.spawn);
+
+  // 階段はタイル全体を塗る（上り階段は開始位置と重なるため開始位置の印を残す）
+  if (mapData.stairs && mapData.stairs.down) {
+    fillRect(mapData.stairs.down.x * scale, mapData.stairs.down.y * scale, scale, COLORS.stairsDown);
+  }
+  if (mapData.stairs && mapData.stairs.up) {
+    const { x, y } = mapData.stairs.up;
+    fillRect(x * scale, y * scale, scale, COLORS.stairsUp);
+    drawMarker(mapData.stairs.up, COLORS.spawn);
+  }
+
+  return encodePNG(imageWidth, imageHeight, pixels);
+}
+
+/**
+ * 書き出し用のマップデータを作成
+ * @param {Object} mapData - 生成されたマップデータ
+ * @returns {Object} JSONにするデータ
+ */
+function toMapJSON(mapData) {
+  return {
+    type: mapData.type,
+    biome: mapData.biome,
+    seed: mapData.seed,
+    difficulty: mapData.difficulty,
+    modifiers: mapData.modifiers,
+    width: mapData.width,
+    height: mapData.height,
+    // ファイルサイズを抑えるため高さは小数点以下3桁に丸める
+    heightMap: mapData.heightMap.map(column => column.map(value => Math.round(value * 1000) / 1000)),
+    objectPlacement: mapData.objectPlacement,
+    enemyPlacement: mapData.enemyPlacement,
+    npcPlacement: mapData.npcPlacement,
+    rooms: mapData.rooms,
+    obstacleKinds: mapData.obstacleKinds,
+    floorKinds: mapData.floorKinds,
+    wallKinds: mapData.wallKinds,
+    townSquare: mapData.townSquare,
+    hazardKinds: mapData.hazardKinds,
+    traps: mapData.traps,
+    spawn: mapData.spawn,
+    stairs: mapData.stairs,
+    connectivity: mapData.connectivity
+  };
+}
+
+/**
+ * タイルが移動可能かどうか（TopDownMap と同じ判定）
+ * @param {Object} mapData - 生成されたマップデータ
+ * @param {number} x - X座標
+ * @param {number} y - Y座標
+ * @returns {boolean} 移動可能ならtrue
+ */
+function isWalkable(mapData, x, y) {
+  return mapData.objectPlacement[x][y] === 0 && mapData.heightMap[x][y] >= 0.3;
+}
+
+/**
+ * 移動可能なタイルの連結領域を調べる（上下左右の4近傍）
+ * @param {Object} mapData - 生成されたマップデータ
+ * @returns {{walkable: number, regions: number, largestRegion: number}} 集計結果
+ */
+function measureRegions(mapData) {
+  const { width, height } = mapData;
+  const visited = new Uint8Array(width * height);
+  const stack = [];
+  let walkable = 0;
+  let regions = 0;
+  let largestRegion = 0;
+
+  for (let startX = 0; startX < width; startX++) {
+    for (let startY = 0; startY < height; startY++) {
+      if (visited[startX * height + startY] || !isWalkable(mapData, startX, startY)) continue;
+
+      regions++;
+      let size = 0;
+      visited[startX * height + startY] = 1;
+      stack.push(startX, startY);
+
+      while (stack.length > 0) {
+        const y = stack.pop();
+        const x = stack.pop();
+        size++;
+
+        for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+          if (visited[nx * height + ny] || !isWalkable(mapData, nx, ny)) continue;
+          visited[nx * height + ny] = 1;
+          stack.push(nx, ny);
+        }
+      }
+
+      walkable += size;
+      largestRegion = Math.max(largestRegion, size);
+    }
+  }
+
+  return { walkable, regions, largestRegion };
+}
+
+/**
+ * 1枚のマップの指標を計算
+ * @param {Object} mapData - 生成されたマップデータ
+ * @param {number} generationMs - 生成にかかった時間（ミリ秒）
+ * @returns {Object} 指標
+ */
+export function measureMap(mapData, generationMs) {
+  const counts = { water: 0, chests: 0, obstacles: 0, walls: 0 };
+
+  for (let x = 0; x < mapData.width; x++) {
+    for (let y = 0; y < mapData.height; y++) {
+      const object = mapData.objectPlacement[x][y];
+      if (object === 1 || (object === 0 && mapData.heightMap[x][y] < 0.3)) counts.water++;
+      else if (object === 2) counts.chests++;
+      else if (object === 3) counts.obstacles++;
+      else if (object === 4) counts.walls++;
+    }
+  }
+
+  const tiles = mapData.width * mapData.height;
+  const { walkable, regions, largestRegion } = measureRegions(mapData);
+  const countEnemies = type => mapData.enemyPlacement.filter(enemy => enemy.type === type).length;
+  const { connectivity } = mapData;
+
+  return {
+    generationMs,
+    walkableRatio: walkable / tiles,
+    // 移動可能なタイルのうち、最大の連結領域に含まれる割合（1なら全域がつながっている）
+    connectedRatio: walkable > 0 ? largestRegion / walkable : 0,
+    regions,
+    // 開始位置から到達できる移動可能タイルの割合（MapGenerator の検証結果）
+    reachableRatio: connectivity.reachableRatio,
+    carvedTiles: connectivity.carvedTiles,
+    relocated: connectivity.relocated.enemies + connectivity.relocated.npcs + connectivity.relocated.chests,
+    unreachableEntities: connectivity.unreachable.enemies + connectivity.unreachable.npcs + connectivity.unreachable.chests,
+    rooms: mapData.rooms.length,
+    vaults: mapData.rooms.filter(room => room.vault).length,
+    enemies: mapData.enemyPlacement.length,
+    elites: countEnemies('elite'),
+    bosses: countEnemies('boss'),
+    modifiers: (mapData.modifiers || []).length,
+    npcs: mapData.npcPlacement.length,
+    chests: counts.chests,
+    obstacles: counts.obstacles,
+    walls: counts.walls,
+    hazards: Object.keys(mapData.hazardKinds || {}).length,
+    traps: (mapData.traps || []).length,
+    waterRatio: counts.water / tiles
+  };
+}
+
+/**
+ * 数値の列を集計
+ * @param {number[]} values - 値
+ * @returns {{min: number, max: number, mean: number, median: number}} 集計結果
+ */
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const round = value => Math.round(value * 1000) / 1000;
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+
+  return {
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1]),
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    median: round(median)
+  };
+}
+
+/**
+ * マップタイプごとの指標を集計
+ * @param {Array<{seed: number, metrics: Object}>} samples - 生成したマップの指標
+ * @returns {Object} 集計結果
+ */
+function summarizeSamples(samples) {
+  const metricNames = Object.keys(samples[0].metrics);
+  const metrics = {};
+  metricNames.forEach(name => {
+    metrics[name] = summarize(samples.map(sample => sample.metrics[name]));
+  });
+
+  // つながりが最も悪いシード（生成アルゴリズムの調整用）
+  const worstConnected = [...samples]
+    .sort((a, b) => a.metrics.connectedRatio - b.metrics.connectedRatio)
+    .slice(0, WORST_SEED_COUNT)
+    .map(sample => ({ seed: sample.seed, connectedRatio: sample.metrics.connectedRatio }));
+
+  return { count: samples.length, metrics, worstConnected };
+}
+
+/**
+ * n番目のシードを取得
+ * @param {number} baseSeed - 最初のシード
+ * @param {number} index - 番号
+ * @returns {number} シード
+ */
+function getSeed(baseSeed, index) {
+  return (baseSeed + index) % SEED_MODULO;
+}
+
+/**
+ * 集計結果を表形式で表示
+ * @param {Object} stats - マップタイプごとの集計結果
+ */
+function printStats(stats) {
+  const columns = [
+    'walkableRatio', 'connectedRatio', 'reachableRatio', 'carvedTiles', 'relocated', 'unreachableEntities',
+    'vaults', 'enemies', 'npcs', 'chests', 'hazards', 'traps', 'generationMs'
+  ];
+
+  Object.entries(stats).forEach(([type, summary]) => {
+    console.log(`\n${type} (${summary.count} maps)`);
+    console.log(`  ${'metric'.padEnd(20)}${['min', 'mean', 'median', 'max'].map(h => h.padStart(10)).join('')}`);
+    columns.forEach(name => {
+      const { min, mean, median, max } = summary.metrics[name];
+      console.log(`  ${name.padEnd(20)}${[min, mean, median, max].map(v => String(v).padStart(10)).join('')}`);
+    });
+    const worst = summary.worstConnected.map(sample => `${sample.seed} (${sample.connectedRatio.toFixed(3)})`);
+    console.log(`  least connected seeds: ${worst.join(', ')}`);
+  });
+}
+
+/**
+ * ヴォルトのプレハブ定義ファイルを読み込む
+ * @param {string} file - ファイルのパス
+ * @returns {Array<Object>} プレハブ
+ */
+function loadPrefabFile(file) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read prefabs from ${file}: ${error.message}`);
+  }
+  return parsePrefabs(data);
+}
+
+/**
+ * マップ生成コマンドを実行
+ * @param {string[]} argv - コマンドライン引数
+ * @returns {Promise<number>} 終了コード
+ */
+export async function main(argv) {
+  const options = parseArgs(argv);
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const baseSeed = normalizeSeed(options.seed === null ? generateRunSeed() : options.seed);
+  const writeMaps = options.writeMaps && (options.json || options.png || options.tiled);
+
+  const generator = new MapGenerator({
+    width: options.width,
+    height: options.height,
+    seed: baseSeed,
+    difficultyLevel: options.difficulty,
+    repairConnectivity: options.repair,
+    prefabs: options.prefabs ? loadPrefabFile(options.prefabs) : [],
+    biome: options.biome
+  });
+
+  mkdirSync(options.out, { recursive: true });
+
+  const stats = {};
+  const startedAt = performance.now();
+
+  for (const type of options.types) {
+    const samples = [];
+
+    for (let index = 0; index < options.count; index++) {
+      const seed = getSeed(baseSeed, index);
+
+      const generationStart = performance.now();
+      const mapData = generator.generateMap(type, seed);
+      const generationMs = performance.now() - generationStart;
+
+      samples.push({ seed, metrics: measureMap(mapData, generationMs) });
+
+      if (writeMaps) {
+        const baseName = path.join(options.out, `${type}-${seed}`);
+        const written = [];
+        if (options.json) {
+          writeFileSync(`${baseName}.json`, JSON.stringify(toMapJSON(mapData)));
+          written.push(`${baseName}.json`);
+        }
+        if (options.png) {
+          writeFileSync(`${baseName}.png`, renderMapPNG(mapData, options.scale));
+          written.push(`${baseName}.png`);
+        }
+        if (options.tiled) {
+          writeFileSync(`${baseName}.${options.tiled}`, serializeTiledMap(mapData, options.tiled));
+          written.push(`${baseName}.${options.tiled}`);
+        }
+        console.log(`Wrote ${written.join(', ')}`);
+      }
+    }
+
+    stats[type] = summarizeSamples(samples);
+  }
+
+  const report = {
+    seed: baseSeed,
+    count: options.count,
+    width: options.width,
+    height: options.height,
+    difficulty: options.difficulty,
+    repairConnectivity: options.repair,
+    prefabs: options.prefabs,
+    biome: options.biome,
+    elapsedMs: Math.round(performance.now() - startedAt),
+    types: stats
+  };
+
+  const statsPath = path.join(options.out, 'stats.json');
+  writeFileSync(statsPath, JSON.stringify(report, null, 2));
+
+  printStats(stats);
+  console.log(`\nSeeds ${baseSeed}..${getSeed(baseSeed, options.count - 1)}, stats written to ${statsPath}`);
+
+  return 0;
+}
@@ -0,0 +1,85 @@
+// tools/mapgen/png.mjs
+//
+// 依存パッケージなしでRGBA画像をPNGとして書き出す最小限のエンコーダー
+import { deflateSync } from 'node:zlib';
+
+// PNGファイルの先頭8バイト
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC32のテーブル
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC32を計算
+ * @param {Buffer} buffer - 対象のバイト列
+ * @returns {number} CRC32
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * PNGのチャンクを作成
+ * @param {string} type - チャンクタイプ（4文字）
+ * @param {Buffer} data - チャンクデータ
+ * @returns {Buffer} チャンク
+ */
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * RGBAのピクセルデータをPNGにエンコードする
+ * @param {number} width - 画像の幅
+ * @param {number} height - 画像の高さ
+ * @param {Uint8Array} rgba - 1ピクセル4バイトのピクセルデータ（左上から行順）
+ * @returns {Buffer} PNGファイルの内容
+ */
+export function encodePNG(width, height, rgba) {
+  if (rgba.length !== width * height * 4) {
+    throw new Error(`Pixel data size mismatch: expected ${width * height * 4}, got ${rgba.length}`);
+  }
+
+  // IHDR: 幅・高さ・ビット深度8・カラータイプ6（RGBA）
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+
+  // 各行の先頭にフィルタータイプ0（なし）を付ける
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', deflateSync(raw)),
+    createChunk('IEND', Buffer.alloc(0))
+  ]);
+}
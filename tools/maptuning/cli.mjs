@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// tools/maptuning/cli.mjs
+//
+// 記録したフロアの結果からマップ生成の調整モデルを学習するコマンド
+// 使い方は `node tools/maptuning/cli.mjs --help` を参照
+import { register } from 'node:module';
+
+// ゲームのソース（拡張子なしの import）を読み込めるようにしてから本体を読み込む
+register('../mapgen/loader.mjs', import.meta.url);
+
+const { main } = await import('./train.mjs');
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  console.error(`maptuning: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,259 @@
+// tools/maptuning/train.mjs
+//
+// ゲームから書き出したフロアの結果（F2キー、PlayerStats.exportFloorOutcomes()）を読み込み、
+// MapTuning のモデルを学習して、ゲームが読み込む形式（model.json と weights.bin）で保存する
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as tf from '@tensorflow/tfjs';
+import MapGenerator from '../../src/game/map/generator/index.js';
+import {
+  FEATURE_NAMES,
+  MODEL_VERSION,
+  TARGET_CLEAR_TIME,
+  TARGET_DAMAGE_TAKEN,
+  TUNED_PARAMETERS,
+  buildTrainingSet,
+  createTuningModel,
+  pickTunedParameters
+} from '../../src/game/map/generator/MapTuning.js';
+import { forkRandom } from '../../src/utils/seededRandom.js';
+
+// ゲームが読み込むモデルの場所（MapTuning.DEFAULT_MODEL_PATH に対応）
+const DEFAULT_OUT_DIR = fileURLToPath(new URL('../../public/data/models/map-tuning', import.meta.url));
+
+// 重みのファイル名
+const WEIGHTS_FILE = 'weights.bin';
+
+// 学習に必要な最小のサンプル数（少なすぎると既定の設定より悪くなる）
+const MIN_SAMPLES = 20;
+
+// 検証に使うサンプルの割合
+const VALIDATION_SPLIT = 0.2;
+
+// 基準モデルの学習データ（想定したプレイヤーのフロアの結果）のシードと、難易度ごとのプレイヤーの数
+const BASELINE_SEED = 20240101;
+const BASELINE_PLAYERS = 40;
+
+// 難易度ごとの最下層のレベル（MainScene.getMaxLevel() に対応）
+const MAX_LEVELS = {
+  normal: 30,
+  nightmare: 60,
+  hell: 100
+};
+
+const USAGE = `使い方: npm run maptuning:train -- --data <ファイル> [オプション]
+      npm run maptuning:train -- --baseline [オプション]
+
+オプション:
+  --data <ファイル>      フロアの結果のJSON（ゲームでF2キーを押して書き出したもの、複数指定可）
+  --baseline             プレイ結果の代わりに、腕前の違うプレイヤーを想定した結果で基準モデルを学習する
+  --out <ディレクトリ>   モデルの出力先（既定: public/data/models/map-tuning）
+  --epochs <数>          学習のエポック数（既定: 200）
+  --help                 このヘルプを表示
+
+学習には${MIN_SAMPLES}件以上のフロアの結果が必要です。`;
+
+// オプションの既定値
+const DEFAULT_OPTIONS = {
+  data: [],
+  out: DEFAULT_OUT_DIR,
+  epochs: 200,
+  baseline: false,
+  help: false
+};
+
+/**
+ * コマンドライン引数を解析
+ * @param {string[]} argv - 引数
+ * @returns {Object} オプション
+ */
+export function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS, data: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [name, inlineValue] = arg.startsWith('--') ? arg.slice(2).split(/=(.*)/s) : [null];
+
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length) throw new Error(`--${name} requires a value`);
+      return argv[++i];
+    };
+
+    switch (name) {
+      case 'data':
+        options.data.push(takeValue());
+        break;
+      case 'out':
+        options.out = takeValue();
+        break;
+      case 'epochs': {
+        const value = takeValue();
+        options.epochs = Number(value);
+        if (!Number.isInteger(options.epochs) || options.epochs < 1) {
+          throw new Error(`--epochs must be a positive integer (got "${value}")`);
+        }
+        break;
+      }
+      case 'baseline':
+        options.baseline = true;
+        break;
+      case 'help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * フロアの結果のファイルを読み込む
+ * PlayerStats.exportFloorOutcomes() の形式（{ outcomes: [...] }）と、結果の配列だけのJSONに対応する
+ * @param {string} file - ファイルのパス
+ * @returns {Array<Object>} フロアの結果（古い順）
+ */
+function loadOutcomeFile(file) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read floor outcomes from ${file}: ${error.message}`);
+  }
+
+  const outcomes = Array.isArray(data) ? data : data && data.outcomes;
+  if (!Array.isArray(outcomes)) {
+    throw new Error(`${file} does not contain floor outcomes`);
+  }
+  return outcomes;
+}
+
+/**
+ * 基準モデルの学習データを作成する
+ * 腕前（0～1）の決まったプレイヤーが既定の生成パラメータのフロアを順に進めた結果を想定する。
+ * 腕前が低いほど死亡しやすく、ダメージを多く受け、クリアに時間がかかる
+ * @returns {Array<Object>} フロアの結果（古い順）
+ */
+export function createBaselineOutcomes() {
+  const outcomes = [];
+
+  for (const [difficulty, maxLevel] of Object.entries(MAX_LEVELS)) {
+    const parameters = pickTunedParameters(new MapGenerator({ difficultyLevel: difficulty }).options);
+
+    for (let player = 0; player < BASELINE_PLAYERS; player++) {
+      const random = forkRandom(BASELINE_SEED, difficulty, player);
+      const skill = random();
+
+      for (let level = 1; level <= maxLevel; level += 1 + Math.floor(random() * 3)) {
+        const struggle = (1 - skill) * (0.5 + level / maxLevel);
+        outcomes.push({
+          difficulty,
+          level,
+          maxLevel,
+          parameters,
+          died: random() < struggle * 0.3,
+          clearTimeMs: TARGET_CLEAR_TIME * (0.5 + struggle + random() * 0.3),
+          damageTaken: TARGET_DAMAGE_TAKEN * (0.3 + struggle * 1.5 + random() * 0.3)
+        });
+      }
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * 学習済みモデルをゲームが読み込む形式で保存する
+ * @param {Object} model - 学習済みモデル
+ * @param {string} outDir - 出力先
+ * @param {Object} metadata - model.json に残す情報
+ * @returns {Promise<string[]>} 書き出したファイル
+ */
+async function saveModel(model, outDir, metadata) {
+  mkdirSync(outDir, { recursive: true });
+  const modelPath = path.join(outDir, 'model.json');
+  const weightsPath = path.join(outDir, WEIGHTS_FILE);
+
+  await model.save(tf.io.withSaveHandler(async artifacts => {
+    writeFileSync(weightsPath, Buffer.from(artifacts.weightData));
+    writeFileSync(modelPath, JSON.stringify({
+      format: artifacts.format,
+      generatedBy: artifacts.generatedBy,
+      convertedBy: artifacts.convertedBy,
+      modelTopology: artifacts.modelTopology,
+      weightsManifest: [{ paths: [WEIGHTS_FILE], weights: artifacts.weightSpecs }],
+      userDefinedMetadata: metadata
+    }, null, 2));
+
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  }));
+
+  return [modelPath, weightsPath];
+}
+
+/**
+ * 学習コマンドを実行
+ * @param {string[]} argv - コマンドライン引数
+ * @returns {Promise<number>} 終了コード
+ */
+export async function main(argv) {
+  const options = parseArgs(argv);
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (options.data.length === 0 && !options.baseline) {
+    throw new Error('--data or --baseline is required (see --help)');
+  }
+
+  const outcomes = options.baseline ? createBaselineOutcomes() : options.data.flatMap(loadOutcomeFile);
+  const { inputs, labels } = buildTrainingSet(outcomes);
+  console.log(`Loaded ${outcomes.length} floor outcomes, ${inputs.length} usable for training`);
+
+  if (inputs.length < MIN_SAMPLES) {
+    console.error(`maptuning: at least ${MIN_SAMPLES} usable floor outcomes are needed to train (got ${inputs.length})`);
+    return 1;
+  }
+
+  const model = createTuningModel(tf);
+  const xs = tf.tensor2d(inputs, [inputs.length, FEATURE_NAMES.length]);
+  const ys = tf.tensor2d(labels, [labels.length, Object.keys(TUNED_PARAMETERS).length]);
+
+  try {
+    const history = await model.fit(xs, ys, {
+      epochs: options.epochs,
+      batchSize: 32,
+      shuffle: true,
+      validationSplit: VALIDATION_SPLIT,
+      verbose: 0
+    });
+
+    const last = history.history.loss.length - 1;
+    const loss = history.history.loss[last];
+    const valLoss = history.history.val_loss[last];
+    console.log(`Trained ${options.epochs} epochs: loss ${loss.toFixed(5)}, validation loss ${valLoss.toFixed(5)}`);
+
+    const files = await saveModel(model, options.out, {
+      version: MODEL_VERSION,
+      features: FEATURE_NAMES,
+      parameters: TUNED_PARAMETERS,
+      baseline: options.baseline,
+      samples: inputs.length,
+      loss,
+      valLoss,
+      trainedAt: new Date().toISOString()
+    });
+    console.log(`Wrote ${files.join(', ')}`);
+  } finally {
+    xs.dispose();
+    ys.dispose();
+    model.dispose();
+  }
+
+  return 0;
+}
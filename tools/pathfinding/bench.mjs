@@ -0,0 +1,135 @@
+// tools/pathfinding/bench.mjs
+//
+// デバッグ用のシーン（F4キー）と同じ経路探索のベンチマークをNodeで実行する
+// 危険地帯と罠のコストなし・ありの両方で計測し、最短の経路にならない方法があるか、
+// コストありでJPSがA*より多くのノードを展開していれば（A*と同じ探索に戻っていれば）失敗として終了コード1を返す
+import {
+  BENCHMARK_MAP_TYPES,
+  BENCHMARK_MAP_SIZE,
+  CHASER_COUNT,
+  benchmarkMap
+} from '../../src/game/map/pathfinding/PathfindingBenchmark.js';
+
+const USAGE = `使い方: npm run pathfinding:bench -- [オプション]
+
+オプション:
+  --type <タイプ>   ${BENCHMARK_MAP_TYPES.join(', ')}, all（カンマ区切りで複数指定可、既定: all）
+  --no-hazards      危険地帯と罠のコストなしの計測だけを行う
+  --help            このヘルプを表示
+
+${BENCHMARK_MAP_SIZE}x${BENCHMARK_MAP_SIZE}のマップで${CHASER_COUNT}体が同じターゲットを追いかける場合の経路を方法ごとに求めます。
+経路の長さ（コストありならコスト）が基準と違うものがあるか、コストありでJPSの展開したノードがA*以上なら終了コード1を返します。`;
+
+// オプションの既定値
+const DEFAULT_OPTIONS = {
+  types: BENCHMARK_MAP_TYPES,
+  hazards: true,
+  help: false
+};
+
+/**
+ * コマンドライン引数を解析
+ * @param {string[]} argv - 引数
+ * @returns {Object} オプション
+ */
+export function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [name, inlineValue] = arg.startsWith('--') ? arg.slice(2).split(/=(.*)/s) : [null];
+
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length) throw new Error(`--${name} requires a value`);
+      return argv[++i];
+    };
+
+    switch (name) {
+      case 'type': {
+        const value = takeValue();
+        const types = value === 'all' ? BENCHMARK_MAP_TYPES : value.split(',').map(type => type.trim());
+        const unknown = types.filter(type => !BENCHMARK_MAP_TYPES.includes(type));
+        if (unknown.length > 0) throw new Error(`Unknown map type: ${unknown.join(', ')}`);
+        options.types = [...new Set(types)];
+        break;
+      }
+      case 'no-hazards':
+        options.hazards = false;
+        break;
+      case 'help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * 計測結果の問題点
+ * @param {Object} result - benchmarkMap() の結果
+ * @returns {string[]} 問題点（なければ空）
+ */
+function findProblems(result) {
+  const problems = [];
+  if (result.mismatches > 0) {
+    problems.push(`${result.mismatches} paths differ from ${result.baselineId}`);
+  }
+
+  if (result.hazards) {
+    const expanded = id => result.methods.find(method => method.id === id).expandedNodes;
+    if (expanded('jps') >= expanded('astar')) {
+      problems.push(`jps expanded ${expanded('jps')} nodes, astar ${expanded('astar')} (jps is not used with hazards)`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * コマンドの本体
+ * @param {string[]} argv - 引数
+ * @returns {Promise<number>} 終了コード
+ */
+export async function main(argv) {
+  const options = parseArgs(argv);
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const pad = (value, width) => String(value).padStart(width);
+  let failed = false;
+
+  for (const hazards of options.hazards ? [false, true] : [false]) {
+    for (const mapType of options.types) {
+      const result = benchmarkMap(mapType, { hazards });
+      const baseline = result.methods.find(method => method.id === result.baselineId).time;
+
+      console.log(hazards
+        ? `[${mapType}, hazards] costly tiles: ${result.costlyTiles}, cost mismatches: ${result.mismatches}`
+        : `[${mapType}] length mismatches: ${result.mismatches}`);
+
+      for (const method of result.methods) {
+        console.log(
+          `${pad(method.time.toFixed(1), 9)} ms` +
+          `${pad(method.expandedNodes, 10)} nodes` +
+          `${pad((baseline / Math.max(method.time, 0.001)).toFixed(1), 8)}x  ` +
+          method.id
+        );
+      }
+
+      for (const problem of findProblems(result)) {
+        console.error(`  FAIL: ${problem}`);
+        failed = true;
+      }
+      console.log('');
+    }
+  }
+
+  return failed ? 1 : 0;
+}
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// tools/pathfinding/cli.mjs
+//
+// Phaser を起動せずに経路探索のベンチマークを実行するコマンド
+// 使い方は `node tools/pathfinding/cli.mjs --help` を参照
+import { register } from 'node:module';
+
+// ゲームのソース（拡張子なしの import）を読み込めるようにしてから本体を読み込む
+register('../mapgen/loader.mjs', import.meta.url);
+
+const { main } = await import('./bench.mjs');
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  console.error(`pathfinding: ${error.message}`);
+  process.exitCode = 1;
+}